@@ -0,0 +1,105 @@
+/**
+ * skarf-worker.js
+ * Web Worker which runs SKARF.ArLib marker detection off the render thread (see SKARF.DetectionWorker in skarf.js)
+ *
+ * Copyright (C) 2013 Skeel Lee (http://cg.skeelogy.com)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see [http://www.gnu.org/licenses/].
+ */
+
+/**
+ * Messages received:
+ * <ul>
+ *   <li>{type: 'init', arLibType, options, scripts}: imports the scripts (paths relative to this file) and creates the ArLib</li>
+ *   <li>{type: 'detect', frameId, time, width, height, buffer}: detects markers in the transferred RGBA buffer</li>
+ *   <li>{type: 'call', method, args}: calls a setter on the ArLib, e.g. setThreshold or setThresholdMode</li>
+ * </ul>
+ * Messages posted:
+ * <ul>
+ *   <li>{type: 'ready'}</li>
+ *   <li>{type: 'detections', frameId, time, detections: [{id, corners, matrix}], threshold}, where matrix is an array of the 16 matrix elements, and threshold is the threshold used for ArLibs that have one</li>
+ *   <li>{type: 'error', frameId, message}, where frameId is undefined for errors during init</li>
+ * </ul>
+ */
+
+//JSARToolKit and skarf.js refer to the window global
+self.window = self;
+
+//default scripts to import for each ArLib type, relative to this file
+var DEFAULT_SCRIPTS = {
+    jsartoolkit: ['lib/three.min.js', 'lib/ar/jsartoolkit/JSARToolKit.min.js', 'skarf.js'],
+    jsaruco: ['lib/three.min.js', 'lib/ar/js-aruco/svd.js', 'lib/ar/js-aruco/posit1.js', 'lib/ar/js-aruco/cv.js', 'lib/ar/js-aruco/aruco.js', 'skarf.js']
+};
+DEFAULT_SCRIPTS.dictionary = DEFAULT_SCRIPTS.jsaruco;
+
+var arLib = null;
+
+function init(data) {
+    var scripts = data.scripts || DEFAULT_SCRIPTS[data.arLibType];
+    if (!scripts) {
+        throw new Error('No scripts to import for ArLib type: ' + data.arLibType);
+    }
+    importScripts.apply(self, scripts);
+
+    var options = data.options;
+    if (options.calibration) {
+        options.calibration = new SKARF.CameraCalibration(options.calibration);
+    }
+    arLib = SKARF.ArLibFactory.create(data.arLibType, options);
+    arLib.init();
+}
+
+function detect(data) {
+    var detections = arLib.detect(new Uint8ClampedArray(data.buffer), data.width, data.height);
+
+    //matrices are sent as plain arrays since THREE.Matrix4 does not survive structured cloning
+    var results = [];
+    var i, len;
+    for (i = 0, len = detections.length; i < len; i++) {
+        results.push({
+            id: detections[i].id,
+            corners: detections[i].corners,
+            matrix: Array.prototype.slice.call(detections[i].matrix.elements)
+        });
+    }
+    return results;
+}
+
+self.onmessage = function (event) {
+    var data = event.data;
+    try {
+        switch (data.type) {
+        case 'init':
+            init(data);
+            self.postMessage({type: 'ready'});
+            break;
+        case 'detect':
+            self.postMessage({
+                type: 'detections',
+                frameId: data.frameId,
+                time: data.time,
+                detections: detect(data),
+                threshold: arLib.getThreshold ? arLib.getThreshold() : undefined
+            });
+            break;
+        case 'call':
+            arLib[data.method].apply(arLib, data.args);
+            break;
+        default:
+            throw new Error('Unknown message type: ' + data.type);
+        }
+    } catch (err) {
+        self.postMessage({type: 'error', frameId: data.frameId, message: err.message});
+    }
+};
@@ -49,10 +49,46 @@
  *
  * });
  *
+ * //the markers JSON file is loaded asynchronously, wait for it if necessary
+ * skarf.ready().then(function () {
+ *     //AR lib has been created and initialized
+ * }, function (err) {
+ *     //markers JSON file could not be loaded
+ * });
+ *
+ * //report model loading progress
+ * skarf.addCallback('modelLoaded', function (params) {
+ *     //params.numLoading gives the number of models that are still loading
+ * });
+ *
  * //update on every frame
  * skarf.update(dt);
  *
  * @example
+ * //How to track a recording deterministically, e.g. for regression tests
+ *
+ * //create a tracking source which only changes frame when stepped
+ * var source = SKARF.TrackingSourceFactory.create('video', { url: 'recordings/session1.webm', frameRate: 30 });
+ * //or: SKARF.TrackingSourceFactory.create('imagesequence', { pattern: 'recordings/frame_####.png', start: 1, count: 300 });
+ *
+ * var skarf = new SKARF.Skarf({
+ *     arLibType: 'jsaruco',
+ *     trackingSource: source,
+ *     ...
+ * });
+ *
+ * //track every frame once, in order, using the frame duration of the source as dt
+ * function next() {
+ *     skarf.stepFrame().then(function (hasFrame) {
+ *         if (hasFrame) {
+ *             //inspect poses here
+ *             next();
+ *         }
+ *     });
+ * }
+ * next();
+ *
+ * @example
  * //How to use GUI markers
  *
  * //in JSON file, define GUI marker
@@ -65,10 +101,10 @@
  *     }
  * }
  *
- * //in your JavaScript, define callback function which will be called when "changed" event happens for the key "sculptAmountSlider" (in the format <em>myKey_myEvent</em>)
- * sculptAmountSlider_changed = function (params) {
+ * //in your JavaScript, subscribe to the "changed" event of the GUI marker with key "sculptAmountSlider"
+ * skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) {
  *     //params.delta will give the changed amount that you should add to your variable
- * }
+ * });
  *
  * //for a full list of events and params available, please refer to the individual classes in this doc
  */
@@ -93,14 +129,15 @@ SKARF.GuiMarkerFactory = {
 
     /**
      * Function to create a SKARF.GuiMarker instance
-     * @param {string} type Type of GuiMarker to create: 'generic', 'button', 'checkbox', 'slider', 'combobox', 'timer'
+     * @param {string} type Type of GuiMarker to create: 'generic', 'button', 'checkbox', 'slider', 'combobox', 'timer', 'pinch', 'relativeangle', 'virtualbuttons'
      * @param {object} options Options
-     * @param {string} options.key Unique string ID that identifies this GUI marker. This name is used to search for callback functions related to this GUI marker.
+     * @param {string} options.key Unique string ID that identifies this GUI marker. This is used to subscribe to events of this GUI marker by key.
      * @param {string} options.name Name for this GUI marker
      * @param {number} options.markerId ID of the AR marker
      * @param {THREE.Object3D} options.markerTransform A transform to hold this GUI marker
      * @param {number} options.markerSize Scale of the GUI marker
      * @param {object} options.params Additional parameters to customize this GUI marker
+     * @param {boolean} [options.legacyGlobalCallbacks=false] Whether to also call global callback functions named in the format <em>myKey_myCallbackType</em>
      */
     create: function (type, options) {
         if (!type) {
@@ -149,12 +186,19 @@ SKARF.GuiMarker = function (options) {
         throw new Error('markerTransform not specified');
     }
     this.__markerTransform = options.markerTransform;
-    //TODO: determine if markerSize is needed
+    //physical size of this marker, which scales the GUI marker
     if (typeof options.markerSize === 'undefined') {
         throw new Error('markerSize not specified');
     }
     this.__markerSize = options.markerSize;
 
+    //whether to also look for global callback functions named <key>_<eventType>
+    this.__legacyGlobalCallbacks = (typeof options.legacyGlobalCallbacks === 'undefined') ? false : options.legacyGlobalCallbacks;
+
+    //3D widget which shows the state of this GUI marker, created by subclasses that have one
+    this.__params = options.params || {};
+    this.__widget = null;
+
     this.__firstDetected = true;
     this.__firstHidden = false;
 
@@ -177,14 +221,14 @@ SKARF.GuiMarker = function (options) {
     this.__rotThresholdLow = 1.0;  //to ignore slight flickerings
     this.__rotThresholdHigh = 10.0;  //in case axes flip and a large change occurs
 
-    //callback objects
+    //callback objects, one for each event type
     this.__callbackObjs = {};
-    this.__callbackObjs['moved'] = {name: this.__key + '_moved', fn: undefined};
-    this.__callbackObjs['rotated'] = {name: this.__key + '_rotated', fn: undefined};
-    this.__callbackObjs['firstDetected'] = {name: this.__key + '_firstDetected', fn: undefined};
-    this.__callbackObjs['firstHidden'] = {name: this.__key + '_firstHidden', fn: undefined};
-    this.__callbackObjs['detected'] = {name: this.__key + '_detected', fn: undefined};
-    this.__callbackObjs['hidden'] = {name: this.__key + '_hidden', fn: undefined};
+    this.__addEventType('moved');
+    this.__addEventType('rotated');
+    this.__addEventType('firstDetected');
+    this.__addEventType('firstHidden');
+    this.__addEventType('detected');
+    this.__addEventType('hidden');
 };
 /**
  * Call this method when the GUI marker is detected
@@ -203,6 +247,11 @@ SKARF.GuiMarker.prototype.detected = function (dt, worldMatrix) {
     //process callbacks
     this.__processCallbacks();
 
+    //animate the widget
+    if (this.__widget) {
+        this.__widget.update(dt);
+    }
+
     //turn off firstDetected
     this.__firstDetected = false;
 
@@ -229,27 +278,33 @@ SKARF.GuiMarker.prototype.__processRotation = function (worldMatrix) {
     //NOTE: tried to extract the Euler Y rotation and then take the difference but can't seem to get it to work.
     //So I'm finding the angle between local Z and world Z manually
 
-    //get the current X axis
+    this.__rotation = this.__computeRotation(worldMatrix);
+
+    this.__dRotation = this.__rotation - this.__prevRotation;
+    var absDRot = Math.abs(this.__dRotation);
+    if (!isNaN(this.__dRotation) && absDRot >= this.__rotThresholdLow && absDRot <= this.__rotThresholdHigh) {
+        this.__invokeCallback('rotated', {guiMarker: this, rotation: this.__rotation, dRotation: this.__dRotation});
+    }
+
+    //store prev rotation
+    this.__prevRotation = this.__rotation;
+};
+SKARF.GuiMarker.prototype.__computeRotation = function (worldMatrix) {
+
+    //get the current Z axis
     this.__currZAxis.getColumnFromMatrix(2, worldMatrix).normalize();
 
     //find the current angle (against world Z)
-    this.__rotation = THREE.Math.radToDeg(Math.acos(this.__currZAxis.dot(this.__worldZAxis)));
+    var rotation = THREE.Math.radToDeg(Math.acos(this.__currZAxis.dot(this.__worldZAxis)));
 
     //check cross product against world Y
     var orthoAxis = new THREE.Vector3().crossVectors(this.__currZAxis, this.__worldZAxis);
     var orthoAngle = orthoAxis.dot(this.__worldYAxis);
     if (orthoAngle < 0) {  //opposite side
-        this.__rotation = 360 - this.__rotation;
-    }
-
-    this.__dRotation = this.__rotation - this.__prevRotation;
-    var absDRot = Math.abs(this.__dRotation);
-    if (!isNaN(this.__dRotation) && absDRot >= this.__rotThresholdLow && absDRot <= this.__rotThresholdHigh) {
-        this.__invokeCallback('rotated', {guiMarker: this, rotation: this.__rotation, dRotation: this.__dRotation});
+        rotation = 360 - rotation;
     }
 
-    //store prev rotation
-    this.__prevRotation = this.__rotation;
+    return rotation;
 };
 SKARF.GuiMarker.prototype.__processCallbacks = function () {
 
@@ -278,20 +333,122 @@ SKARF.GuiMarker.prototype.hidden = function () {
     //call hidden callback
     this.__invokeCallback('hidden', {guiMarker: this});
 };
+/**
+ * Returns the 3D widget which shows the state of this GUI marker
+ * @returns {SKARF.GuiWidget} Widget, or null if this GUI marker has none
+ */
+SKARF.GuiMarker.prototype.getWidget = function () {
+    return this.__widget;
+};
+/**
+ * Removes the widget of this GUI marker and unsubscribes all listeners. Call this once the GUI marker is no longer used, e.g. when the definition of its marker has changed.
+ */
+SKARF.GuiMarker.prototype.dispose = function () {
+    if (this.__widget) {
+        this.__widget.dispose();
+        this.__widget = null;
+    }
+    var type;
+    for (type in this.__callbackObjs) {
+        if (this.__callbackObjs.hasOwnProperty(type)) {
+            this.__callbackObjs[type].listeners.length = 0;
+        }
+    }
+};
+SKARF.GuiMarker.prototype.__createWidget = function (type, enabledByDefault) {
+
+    //the widget parameter is either a boolean, or a style object which also turns the widget on
+    var widget = this.__params.widget;
+    if (typeof widget === 'undefined') {
+        widget = enabledByDefault;
+    }
+    if (!widget) {
+        return null;
+    }
+    var style = (typeof widget === 'object') ? widget : {};
+    if (style.type && SKARF.GuiWidgetFactory.__mappings.hasOwnProperty(style.type) && !SKARF.GuiWidget.isCompatible(style.type, type)) {
+        throw new Error('Widget type of GUI marker ' + this.__key + ' must be ' + type + ' or a subclass of it: ' + style.type);
+    }
+    return SKARF.GuiWidgetFactory.create(style.type || type, {
+        markerTransform: this.__markerTransform,
+        markerSize: this.__markerSize,
+        style: style
+    });
+};
+/**
+ * Returns the key of this GUI marker
+ * @returns {string} Key
+ */
+SKARF.GuiMarker.prototype.getKey = function () {
+    return this.__key;
+};
+/**
+ * Returns the names of the event types that this GUI marker emits
+ * @returns {string[]} Event types
+ */
+SKARF.GuiMarker.prototype.getEventTypes = function () {
+    return Object.keys(this.__callbackObjs);
+};
+/**
+ * Subscribes a listener function to an event of this GUI marker
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} callbackFn Listener function, which will be called with a params object
+ */
+SKARF.GuiMarker.prototype.on = function (type, callbackFn) {
+    if (!this.__callbackObjs.hasOwnProperty(type)) {
+        throw new Error('Event type not emitted by GUI marker ' + this.__key + ': ' + type);
+    }
+    if (typeof callbackFn !== 'function') {
+        throw new Error('Specified callbackFn is not a function');
+    }
+    this.__callbackObjs[type].listeners.push(callbackFn);
+};
+/**
+ * Unsubscribes a listener function from an event of this GUI marker
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} [callbackFn] Listener function to remove. If not specified, all listeners of this event type are removed.
+ */
+SKARF.GuiMarker.prototype.off = function (type, callbackFn) {
+    if (!this.__callbackObjs.hasOwnProperty(type)) {
+        return;
+    }
+    var listeners = this.__callbackObjs[type].listeners;
+    if (typeof callbackFn === 'undefined') {
+        listeners.length = 0;
+        return;
+    }
+    var index = listeners.indexOf(callbackFn);
+    if (index !== -1) {
+        listeners.splice(index, 1);
+    }
+};
+SKARF.GuiMarker.prototype.__addEventType = function (type) {
+    this.__callbackObjs[type] = {name: this.__key + '_' + type, fn: undefined, listeners: []};
+};
 SKARF.GuiMarker.prototype.__invokeCallback = function (type, options) {
 
     var callbackObj = this.__callbackObjs[type];
 
-    //if callback function has not been eval'ed, do it first
+    //call the subscribed listeners (iterate over a copy in case a listener unsubscribes itself)
+    var listeners = callbackObj.listeners.slice();
+    var i, len;
+    for (i = 0, len = listeners.length; i < len; i++) {
+        listeners[i].call(this, options);
+    }
+
+    if (!this.__legacyGlobalCallbacks) {
+        return;
+    }
+
+    //legacy mode: if global callback function has not been found yet, look it up first
     if (typeof callbackObj.fn === 'undefined') {
-        try {
-            callbackObj.fn = eval(callbackObj.name);
-        } catch (err) {
-            callbackObj.fn = null;
+        var globalObj = (typeof window !== 'undefined') ? window : self;
+        if (typeof globalObj[callbackObj.name] === 'function') {
+            callbackObj.fn = globalObj[callbackObj.name];
         }
     }
 
-    //call the callback function if it exists
+    //call the global callback function if it exists
     if (callbackObj.fn) {
         callbackObj.fn.call(this, options);
     }
@@ -302,10 +459,11 @@ SKARF.GuiMarker.prototype.__invokeCallback = function (type, options) {
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
  * </p>
  *
  * <p>
@@ -364,10 +522,11 @@ SKARF.GuiMarkerFactory.register('generic', SKARF.GenericMarker);
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
  * </p>
  *
  * <p>
@@ -379,6 +538,12 @@ SKARF.GuiMarkerFactory.register('generic', SKARF.GenericMarker);
  *     </ul>
  * </ul>
  * </p>
+ * <p>
+ * Available parameter in JSON file:<br/>
+ * <ul>
+ *   <li><strong>widget:</strong> true to flash a {@linkcode SKARF.FlashWidget FlashWidget} on the marker when clicked, or its style (defaults to false)</li>
+ * </ul>
+ * </p>
  *
  * <p>
  * Inherited events from SKARF.GuiMarker:<br/>
@@ -424,16 +589,28 @@ SKARF.GuiMarkerFactory.register('generic', SKARF.GenericMarker);
  */
 SKARF.ButtonMarker = function (options) {
     SKARF.GuiMarker.call(this, options);
-    this.__callbackObjs['clicked'] = {name: this.__key + '_clicked', fn: undefined};
+    this.__addEventType('clicked');
+    this.__widget = this.__createWidget('flash', false);
 };
 //inherit
 SKARF.ButtonMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
 SKARF.ButtonMarker.prototype.constructor = SKARF.ButtonMarker;
 //register with factory
 SKARF.GuiMarkerFactory.register('button', SKARF.ButtonMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.ButtonMarker.validateParams = function (params) {
+    return (typeof params.widget !== 'undefined') ? SKARF.GuiWidget.validateStyle(params.widget, 'flash') : [];
+};
 //override
 SKARF.ButtonMarker.prototype.__processCallbacks = function () {
     if (this.__firstDetected) {
+        if (this.__widget) {
+            this.__widget.flash();
+        }
         this.__invokeCallback('clicked', {guiMarker: this});
     }
     SKARF.GuiMarker.prototype.__processCallbacks.call(this);
@@ -444,10 +621,11 @@ SKARF.ButtonMarker.prototype.__processCallbacks = function () {
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
  * </p>
  *
  * <p>
@@ -460,6 +638,12 @@ SKARF.ButtonMarker.prototype.__processCallbacks = function () {
  *     </ul>
  * </ul>
  * </p>
+ * <p>
+ * Available parameter in JSON file:<br/>
+ * <ul>
+ *   <li><strong>widget:</strong> true to show the state on an {@linkcode SKARF.IndicatorWidget IndicatorWidget} on the marker, or its style (defaults to false)</li>
+ * </ul>
+ * </p>
  *
  * <p>
  * Inherited events from SKARF.GuiMarker:<br/>
@@ -505,18 +689,37 @@ SKARF.ButtonMarker.prototype.__processCallbacks = function () {
  */
 SKARF.CheckBoxMarker = function (options) {
     SKARF.GuiMarker.call(this, options);
-    this.__callbackObjs['toggled'] = {name: this.__key + '_toggled', fn: undefined};
+    this.__addEventType('toggled');
     this.__checked = false;
+    this.__widget = this.__createWidget('indicator', false);
 };
 //inherit
 SKARF.CheckBoxMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
 SKARF.CheckBoxMarker.prototype.constructor = SKARF.CheckBoxMarker;
 //register with factory
 SKARF.GuiMarkerFactory.register('checkbox', SKARF.CheckBoxMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.CheckBoxMarker.validateParams = function (params) {
+    return (typeof params.widget !== 'undefined') ? SKARF.GuiWidget.validateStyle(params.widget, 'indicator') : [];
+};
+/**
+ * Returns whether the "checkbox" is checked
+ * @returns {boolean} Whether the "checkbox" is checked
+ */
+SKARF.CheckBoxMarker.prototype.isChecked = function () {
+    return this.__checked;
+};
 //override
 SKARF.CheckBoxMarker.prototype.__processCallbacks = function () {
     if (this.__firstDetected) {
         this.__checked = !this.__checked;
+        if (this.__widget) {
+            this.__widget.setOn(this.__checked);
+        }
         this.__invokeCallback('toggled', {guiMarker: this, checked: this.__checked});
     }
     SKARF.GuiMarker.prototype.__processCallbacks.call(this);
@@ -527,26 +730,39 @@ SKARF.CheckBoxMarker.prototype.__processCallbacks = function () {
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
+ * </p>
+ *
+ * <p>
+ * The slider reports changes in rotation, unless both <tt>min</tt> and <tt>max</tt> are defined in JSON file.
+ * It then keeps an absolute value within that range, which a full turn of the marker changes by (max - min) * speed,
+ * and shows the value on a {@linkcode SKARF.DialWidget DialWidget} on the marker.
  * </p>
  *
  * <p>
  * Available events:<br/>
  * <ul>
- *   <li><strong>changed:</strong> invoked when marker is rotated</li>
+ *   <li><strong>changed:</strong> invoked when marker is rotated, or only when the value changes if the slider has a range</li>
  *     <ul>
  *       <li>params.guiMarker: this instance</li>
- *       <li>params.delta: change in rotation since previous frame, multiplied by the "speed" parameter defined in JSON file</li>
+ *       <li>params.delta: change in rotation since previous frame, multiplied by the "speed" parameter defined in JSON file. If the slider has a range, this is the change in value instead.</li>
+ *       <li>params.value: current value (only if the slider has a range)</li>
  *     </ul>
  * </ul>
  * </p>
  * <p>
- * Available parameter in JSON file:<br/>
+ * Available parameters in JSON file:<br/>
  * <ul>
  *   <li><strong>speed:</strong> multiplier to change in rotation (defaults to 1.0)</li>
+ *   <li><strong>min:</strong> minimum value</li>
+ *   <li><strong>max:</strong> maximum value</li>
+ *   <li><strong>initial:</strong> initial value (defaults to min)</li>
+ *   <li><strong>step:</strong> values are rounded to multiples of this from min (defaults to no rounding)</li>
+ *   <li><strong>widget:</strong> false to hide the dial, or its style (see {@linkcode SKARF.DialWidget DialWidget}). Shown by default if the slider has a range.</li>
  * </ul>
  * </p>
  *
@@ -595,18 +811,104 @@ SKARF.CheckBoxMarker.prototype.__processCallbacks = function () {
 SKARF.SliderMarker = function (options) {
     SKARF.GuiMarker.call(this, options);
     this.__speed = options.params && options.params.speed ? options.params.speed : 1.0;
-    this.__callbackObjs['changed'] = {name: this.__key + '_changed', fn: undefined};
+    this.__addEventType('changed');
+
+    //absolute value, if a range has been given
+    var params = this.__params;
+    this.__hasRange = typeof params.min !== 'undefined' && typeof params.max !== 'undefined';
+    if (this.__hasRange) {
+        this.__min = params.min;
+        this.__max = params.max;
+        this.__step = params.step || 0;
+        this.__decimals = this.__step ? (String(this.__step).split('.')[1] || '').length : 2;  //for the dial label
+        this.__widget = this.__createWidget('dial', true);
+        this.setValue(typeof params.initial === 'undefined' ? this.__min : params.initial);
+    }
 };
 //inherit
 SKARF.SliderMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
 SKARF.SliderMarker.prototype.constructor = SKARF.SliderMarker;
 //register with factory
 SKARF.GuiMarkerFactory.register('slider', SKARF.SliderMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.SliderMarker.validateParams = function (params) {
+    var problems = [];
+    var fields = ['speed', 'min', 'max', 'initial', 'step'];
+    var i, len;
+    for (i = 0, len = fields.length; i < len; i++) {
+        if (typeof params[fields[i]] !== 'undefined' && typeof params[fields[i]] !== 'number') {
+            problems.push({path: fields[i], message: fields[i] + ' must be a number'});
+        }
+    }
+    if ((typeof params.min === 'undefined') !== (typeof params.max === 'undefined')) {
+        problems.push({path: (typeof params.min === 'undefined') ? 'min' : 'max', message: 'min and max must be specified together'});
+    } else if (typeof params.min === 'number' && typeof params.max === 'number') {
+        if (params.min >= params.max) {
+            problems.push({path: 'max', message: 'max must be greater than min'});
+        } else if (typeof params.initial === 'number' && (params.initial < params.min || params.initial > params.max)) {
+            problems.push({path: 'initial', message: 'initial must be between min and max'});
+        }
+    }
+    if (typeof params.step === 'number' && params.step <= 0) {
+        problems.push({path: 'step', message: 'step must be a positive number'});
+    }
+    if (typeof params.widget !== 'undefined') {
+        problems = problems.concat(SKARF.GuiWidget.validateStyle(params.widget, 'dial'));
+    }
+    return problems;
+};
+/**
+ * Returns the current value of a slider with a range
+ * @returns {number} Current value, or null if the slider has no range
+ */
+SKARF.SliderMarker.prototype.getValue = function () {
+    return this.__hasRange ? this.__value : null;
+};
+/**
+ * Sets the current value of a slider with a range, e.g. when the value has been changed elsewhere. This does not invoke the changed event.
+ * @param {number} value New value, which is clamped to the range and rounded to the step
+ */
+SKARF.SliderMarker.prototype.setValue = function (value) {
+    if (!this.__hasRange) {
+        throw new Error('Slider ' + this.__key + ' has no min and max');
+    }
+    this.__rawValue = Math.min(Math.max(value, this.__min), this.__max);
+    this.__value = this.__roundToStep(this.__rawValue);
+    this.__updateWidget();
+};
+SKARF.SliderMarker.prototype.__roundToStep = function (value) {
+    if (!this.__step) {
+        return value;
+    }
+    value = this.__min + Math.round((value - this.__min) / this.__step) * this.__step;
+    //keep within range if the range is not a multiple of step, and get rid of floating point noise such as 0.30000000000000004
+    return parseFloat(Math.min(value, this.__max).toFixed(10));
+};
+SKARF.SliderMarker.prototype.__updateWidget = function () {
+    if (this.__widget) {
+        this.__widget.setValue((this.__value - this.__min) / (this.__max - this.__min), this.__value.toFixed(this.__decimals));
+    }
+};
 //override
 SKARF.SliderMarker.prototype.__processCallbacks = function () {
     var absDRot = Math.abs(this.__dRotation);
     if (!isNaN(this.__dRotation) && absDRot >= this.__rotThresholdLow && absDRot <= this.__rotThresholdHigh) {
-        this.__invokeCallback('changed', {guiMarker: this, delta: this.__dRotation * this.__speed});
+        if (this.__hasRange) {
+            //unrounded value is kept, so that many small rotations still add up to a step
+            var prevValue = this.__value;
+            this.__rawValue = Math.min(Math.max(this.__rawValue + this.__dRotation / 360.0 * (this.__max - this.__min) * this.__speed, this.__min), this.__max);
+            this.__value = this.__roundToStep(this.__rawValue);
+            if (this.__value !== prevValue) {
+                this.__updateWidget();
+                this.__invokeCallback('changed', {guiMarker: this, value: this.__value, delta: this.__value - prevValue});
+            }
+        } else {
+            this.__invokeCallback('changed', {guiMarker: this, delta: this.__dRotation * this.__speed});
+        }
     }
     SKARF.GuiMarker.prototype.__processCallbacks.call(this);
 };
@@ -616,10 +918,11 @@ SKARF.SliderMarker.prototype.__processCallbacks = function () {
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
  * </p>
  *
  * <p>
@@ -629,15 +932,18 @@ SKARF.SliderMarker.prototype.__processCallbacks = function () {
  *     <ul>
  *       <li>params.guiMarker: this instance</li>
  *       <li>params.selectedId: 0-based numeric ID of selection</li>
+ *       <li>params.label: label of selection (only if labels are defined in JSON file)</li>
  *       <li>params.rotation: current world rotation</li>
  *     </ul>
  * </ul>
  * </p>
  *
  * <p>
- * Available parameter in JSON file:<br/>
+ * Available parameters in JSON file:<br/>
  * <ul>
  *   <li><strong>numChoices:</strong> total number of choices for the combo box (compulsory)</li>
+ *   <li><strong>labels:</strong> label of each choice, which is shown on a {@linkcode SKARF.DialWidget DialWidget} on the marker</li>
+ *   <li><strong>widget:</strong> false to hide the dial, or its style (see {@linkcode SKARF.DialWidget DialWidget}). Shown by default if labels are defined.</li>
  * </ul>
  * </p>
  *
@@ -685,24 +991,71 @@ SKARF.SliderMarker.prototype.__processCallbacks = function () {
  */
 SKARF.ComboBoxMarker = function (options) {
     SKARF.GuiMarker.call(this, options);
-    this.__callbackObjs['changed'] = {name: this.__key + '_changed', fn: undefined};
+    this.__addEventType('changed');
     if (!(options.params && options.params.numChoices)) {
         throw new Error('numChoices not specified as a parameter');
     }
     this.__numChoices = options.params.numChoices;
+    this.__labels = options.params.labels || null;
     this.__currId = 0;
+    this.__widget = this.__createWidget('dial', this.__labels !== null);
+    this.__updateWidget();
 };
 //inherit
 SKARF.ComboBoxMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
 SKARF.ComboBoxMarker.prototype.constructor = SKARF.ComboBoxMarker;
 //register with factory
 SKARF.GuiMarkerFactory.register('combobox', SKARF.ComboBoxMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.ComboBoxMarker.validateParams = function (params) {
+    var problems = [];
+    if (typeof params.numChoices === 'undefined') {
+        problems.push({path: 'numChoices', message: 'numChoices not specified'});
+    } else if (typeof params.numChoices !== 'number' || params.numChoices < 1 || Math.floor(params.numChoices) !== params.numChoices) {
+        problems.push({path: 'numChoices', message: 'numChoices must be a positive integer'});
+    }
+    if (typeof params.labels !== 'undefined') {
+        if (!Array.isArray(params.labels) || params.labels.some(function (label) { return typeof label !== 'string'; })) {
+            problems.push({path: 'labels', message: 'labels must be an array of strings'});
+        } else if (typeof params.numChoices === 'number' && params.labels.length !== params.numChoices) {
+            problems.push({path: 'labels', message: 'labels must have numChoices (' + params.numChoices + ') entries'});
+        }
+    }
+    if (typeof params.widget !== 'undefined') {
+        problems = problems.concat(SKARF.GuiWidget.validateStyle(params.widget, 'dial'));
+    }
+    return problems;
+};
+/**
+ * Returns the 0-based numeric ID of the current selection
+ * @returns {number} ID of selection
+ */
+SKARF.ComboBoxMarker.prototype.getSelectedId = function () {
+    return this.__currId;
+};
+SKARF.ComboBoxMarker.prototype.__getLabel = function (id) {
+    return this.__labels ? this.__labels[id] : String(id + 1);
+};
+SKARF.ComboBoxMarker.prototype.__updateWidget = function () {
+    if (this.__widget) {
+        this.__widget.setValue((this.__currId + 1) / this.__numChoices, this.__getLabel(this.__currId));
+    }
+};
 //override
 SKARF.ComboBoxMarker.prototype.__processCallbacks = function () {
     var newId = Math.floor(this.__rotation / 360.0 * this.__numChoices);
     if (newId !== this.__currId) {
-        this.__invokeCallback('changed', {guiMarker: this, selectedId: newId, rotation: this.__rotation});
+        var params = {guiMarker: this, selectedId: newId, rotation: this.__rotation};
+        if (this.__labels) {
+            params.label = this.__labels[newId];
+        }
+        this.__invokeCallback('changed', params);
         this.__currId = newId;
+        this.__updateWidget();
     }
     SKARF.GuiMarker.prototype.__processCallbacks.call(this);
 };
@@ -712,10 +1065,11 @@ SKARF.ComboBoxMarker.prototype.__processCallbacks = function () {
  * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
  *
  * <p>
- * GUI markers work via event callbacks. Users should define callback functions in their JavaScript which matches this format: <em>myKey_myCallbackType</em>.
- * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event, create a function named "sculptAmountSlider_changed" i.e.
- * <blockquote><tt>sculptAmountSlider_changed = function (params) { ... }</tt></blockquote>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
  * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
  * </p>
  *
  * <p>
@@ -728,9 +1082,10 @@ SKARF.ComboBoxMarker.prototype.__processCallbacks = function () {
  * </ul>
  * </p>
  * <p>
- * Available parameter in JSON file:<br/>
+ * Available parameters in JSON file:<br/>
  * <ul>
  *   <li><strong>time:</strong> duration of timer (defaults to 2.0) </li>
+ *   <li><strong>widget:</strong> true to show the time left on a {@linkcode SKARF.CountdownWidget CountdownWidget} on the marker, or its style (defaults to false)</li>
  * </ul>
  * </p>
  *
@@ -778,16 +1133,38 @@ SKARF.ComboBoxMarker.prototype.__processCallbacks = function () {
  */
 SKARF.TimerMarker = function (options) {
     SKARF.GuiMarker.call(this, options);
-    this.__callbackObjs['reached'] = {name: this.__key + '_reached', fn: undefined};
+    this.__addEventType('reached');
     this.__time = (options.params && options.params.time) || 2.0;
     this.__currTime = 0;
     this.__reached = false;
+    this.__widget = this.__createWidget('countdown', false);
+    this.__updateWidget();
 };
 //inherit
 SKARF.TimerMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
 SKARF.TimerMarker.prototype.constructor = SKARF.TimerMarker;
 //register with factory
 SKARF.GuiMarkerFactory.register('timer', SKARF.TimerMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.TimerMarker.validateParams = function (params) {
+    var problems = [];
+    if (typeof params.time !== 'undefined' && (typeof params.time !== 'number' || params.time <= 0)) {
+        problems.push({path: 'time', message: 'time must be a positive number'});
+    }
+    if (typeof params.widget !== 'undefined') {
+        problems = problems.concat(SKARF.GuiWidget.validateStyle(params.widget, 'countdown'));
+    }
+    return problems;
+};
+SKARF.TimerMarker.prototype.__updateWidget = function () {
+    if (this.__widget) {
+        this.__widget.setProgress(Math.min(this.__currTime / this.__time, 1), this.__time - this.__currTime);
+    }
+};
 //override
 /**
  * Call this method when the GUI marker is detected
@@ -797,6 +1174,7 @@ SKARF.GuiMarkerFactory.register('timer', SKARF.TimerMarker);
 SKARF.TimerMarker.prototype.detected = function (dt, worldMatrix) {
     SKARF.GuiMarker.prototype.detected.call(this, dt, worldMatrix);
     this.__currTime += dt;
+    this.__updateWidget();
     if (!this.__reached && this.__currTime >= this.__time) {
         this.__reached = true;
         this.__invokeCallback('reached', {guiMarker: this});
@@ -810,414 +1188,5739 @@ SKARF.TimerMarker.prototype.hidden = function () {
     //reset if marker disappears
     this.__currTime = 0;
     this.__reached = false;
+    this.__updateWidget();
 
     SKARF.GuiMarker.prototype.hidden.call(this);
 };
 SKARF.TimerMarker.prototype.resetTimer = function () {
     this.__currTime = 0;
+    this.__updateWidget();
 };
 
-//===================================
-// MODEL LOADERS
-//===================================
-
 /**
- * Factory which creates ModelLoaders
- * @namespace
+ * Abstract SKARF.GuiMarker which is controlled by the pose of a second marker, the pair marker, relative to its own marker, e.g. with one marker in each hand.<br/>
+ * It is defined on its own marker ID in the JSON file, and names the ID of its pair marker with the <tt>pairMarkerId</tt> parameter.
+ * The pair marker needs no entry of its own, unless it has a different <tt>size</tt>, in which case it can be defined as an 'empty' model.
+ *
+ * <p>
+ * Available events, in addition to those inherited from SKARF.GuiMarker:<br/>
+ * <ul>
+ *   <li><strong>paired:</strong> invoked when both markers become visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>unpaired:</strong> invoked when either marker is hidden after both have been visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * @constructor
+ * @abstract
+ * @extends {SKARF.GuiMarker}
  */
-SKARF.ModelLoaderFactory = {
-
-    __mappings: {},
-
-    /**
-     * Function to create a SKARF.ModelLoader instance
-     * @param {string} type Type of ModelLoader to create: 'empty', 'json', 'json_bin', 'obj'
-     */
-    create: function (type) {
-        if (!type) {
-            throw new Error('Model type not specified');
-        }
-        if (!this.__mappings.hasOwnProperty(type)) {
-            throw new Error('SKARF.ModelLoader of this type has not been registered with SKARF.ModelLoaderFactory: ' + type);
-        }
-        var loader = new this.__mappings[type]();
-        return loader;
-    },
-
-    /**
-     * Registers a type string to a class
-     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'threejs'
-     * @param {SKARF.ModelLoader} mappingClass ModelLoader class that will be created when the associated type is used
-     */
-    register: function (mappingName, mappingClass) {
-        if (this.__mappings.hasOwnProperty(mappingName)) {
-            throw new Error('Mapping name already exists: ' + mappingName);
-        }
-        this.__mappings[mappingName] = mappingClass;
+SKARF.PairGuiMarker = function (options) {
+    SKARF.GuiMarker.call(this, options);
+    this.__addEventType('paired');
+    this.__addEventType('unpaired');
+    if (!(options.params && typeof options.params.pairMarkerId !== 'undefined')) {
+        throw new Error('pairMarkerId not specified as a parameter');
     }
+    this.__pairMarkerId = options.params.pairMarkerId;
+    this.__pairWorldMatrix = null;
+    this.__pairPosition = new THREE.Vector3();
+    this.__paired = false;
 };
-
+//inherit
+SKARF.PairGuiMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
+SKARF.PairGuiMarker.prototype.constructor = SKARF.PairGuiMarker;
 /**
- * Abstract class for model loaders
- * @constructor
- * @abstract
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
  */
-SKARF.ModelLoader = function () {
-    this.__loader = null;
+SKARF.PairGuiMarker.validateParams = function (params) {
+    var problems = [];
+    if (typeof params.pairMarkerId === 'undefined') {
+        problems.push({path: 'pairMarkerId', message: 'pairMarkerId not specified'});
+    } else if (typeof params.pairMarkerId !== 'number' || params.pairMarkerId < 0 || Math.floor(params.pairMarkerId) !== params.pairMarkerId) {
+        problems.push({path: 'pairMarkerId', message: 'pairMarkerId must be a non-negative integer'});
+    }
+    return problems;
 };
 /**
- * Loads model for marker
- * @abstract
- * @param  {object}  model Data containing the model info (from JSON file)
- * @param  {number}  markerId ID of marker to laod
- * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
- * @param  {number}  overallScale Overall scale
- * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
- * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ * Returns the ID of the pair marker
+ * @returns {number} ID of the pair marker
  */
-SKARF.ModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
-    throw new Error('Abstract method not implemented');
+SKARF.PairGuiMarker.prototype.getPairMarkerId = function () {
+    return this.__pairMarkerId;
 };
 /**
- * Transforms and parents a model onto a transform
- * @param {object} model Data containing the model info (from JSON file)
- * @param {THREE.Mesh} object Mesh to parent
- * @param {THREE.Object3D} markerTransform Transform to parent to
- * @param {number} overallScale Overall scale
- * @param {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ * Call this method before {@linkcode SKARF.GuiMarker#detected detected()} or {@linkcode SKARF.GuiMarker#hidden hidden()} on every frame, once the pair marker has been moved into world space
+ * @param {THREE.Matrix4} worldMatrix World matrix for the pair marker, or null if it is not detected
  */
-SKARF.ModelLoader.prototype.transformAndParent = function (model, obj, markerTransform, overallScale, markerManager) {
-
-    if (obj) {
-
-        obj.traverse(function (object) {
-            if (object instanceof THREE.Mesh) {
-
-                //store the model data into the geometry
-                object.geometry.__jsonData = model;
-
-                //accumulate transformations into matrix
-                var m = new THREE.Matrix4();
-                if (model.translate) {
-                    m.setPosition(new THREE.Vector3(model.translate[0], model.translate[1], model.translate[2]));
-                }
-                if (model.rotate) {
-                    var rotationMat = new THREE.Matrix4();
-                    var rotationVector = new THREE.Vector3(THREE.Math.degToRad(model.rotate[0]), THREE.Math.degToRad(model.rotate[1]), THREE.Math.degToRad(model.rotate[2]));
-                    var rotationOrder = model.rotationOrder || 'XYZ';
-                    rotationMat.makeRotationFromEuler(rotationVector, model.rotationOrder);
-                    m.multiply(rotationMat);
-                }
-                if (model.scale) {
-                    m.scale(new THREE.Vector3(model.scale[0] * overallScale, model.scale[1] * overallScale, model.scale[2] * overallScale));
-                }
-
-                //bake transforms into geometry
-                object.geometry.applyMatrix(m);
-                markerTransform.add(object);
-
-                //store the material in markerManager
-                markerManager.__materials.push(object.material);
-
-                //compute bounding box
-                object.geometry.computeBoundingBox();
-
-                //also set objects to cast shadows
-                object.castShadow = true;
-                object.receiveShadow = true;
-            }
-        });
-
-    }
+SKARF.PairGuiMarker.prototype.setPairWorldMatrix = function (worldMatrix) {
+    this.__pairWorldMatrix = worldMatrix;
 };
-
 /**
- * Model loader which contains no models<br/>
- * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
- * @constructor
- * @extends {SKARF.ModelLoader}
+ * Returns true if both markers are visible
+ * @returns {boolean} True if both markers are visible
  */
-SKARF.EmptyModelLoader = function () {
-    SKARF.ModelLoader.call(this);
-    this.__loader = new THREE.JSONLoader();
-    console.log('Created a SKARF.EmptyModelLoader');
+SKARF.PairGuiMarker.prototype.isPaired = function () {
+    return this.__paired;
 };
-//inherit from SKARF.ModelLoader
-SKARF.EmptyModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
-SKARF.EmptyModelLoader.prototype.constructor = SKARF.EmptyModelLoader;
-//register with factory
+//override
+SKARF.PairGuiMarker.prototype.__processCallbacks = function () {
+    if (this.__pairWorldMatrix) {
+        this.__pairPosition.getPositionFromMatrix(this.__pairWorldMatrix);
+        if (!this.__paired) {
+            this.__paired = true;
+            this.__startPair();
+            this.__invokeCallback('paired', {guiMarker: this});
+        } else {
+            this.__updatePair();
+        }
+    } else {
+        this.__unpair();
+    }
+    SKARF.GuiMarker.prototype.__processCallbacks.call(this);
+};
+/**
+ * Call this method when the marker has been hidden
+ */
+SKARF.PairGuiMarker.prototype.hidden = function () {
+    this.__unpair();
+    SKARF.GuiMarker.prototype.hidden.call(this);
+};
+SKARF.PairGuiMarker.prototype.__unpair = function () {
+    if (this.__paired) {
+        this.__paired = false;
+        this.__invokeCallback('unpaired', {guiMarker: this});
+    }
+};
+SKARF.PairGuiMarker.prototype.__startPair = function () {
+    throw new Error('Abstract method not implemented');
+};
+SKARF.PairGuiMarker.prototype.__updatePair = function () {
+    throw new Error('Abstract method not implemented');
+};
+
+/**
+ * SKARF.PairGuiMarker that emulates a pinch gesture with the distance between the two markers, e.g. for zooming or for a brush size<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
+ *
+ * <p>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
+ * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
+ * </p>
+ *
+ * <p>
+ * Available events:<br/>
+ * <ul>
+ *   <li><strong>changed:</strong> invoked when the distance between the two markers changes</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.distance: current world distance between the two markers</li>
+ *       <li>params.dDistance: change in distance since previous frame, multiplied by the "speed" parameter defined in JSON file</li>
+ *       <li>params.scale: ratio of the current distance to the distance when both markers became visible, e.g. for zooming</li>
+ *     </ul>
+ *   <li><strong>paired:</strong> invoked when both markers become visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>unpaired:</strong> invoked when either marker is hidden after both have been visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>pairMarkerId:</strong> ID of the second marker (compulsory)</li>
+ *   <li><strong>speed:</strong> multiplier to change in distance (defaults to 1.0)</li>
+ * </ul>
+ * </p>
+ *
+ * <p>
+ * Inherited events from SKARF.GuiMarker:<br/>
+ * <ul>
+ *   <li><strong>moved:</strong> invoked when marker is moved</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.dPosition: change in position since previous frame</li>
+ *     </ul>
+ *   <li><strong>rotated:</strong> invoked when marker is rotated</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.rotation: current world rotation</li>
+ *       <li>params.dRotation: change in rotation since previous frame</li>
+ *     </ul>
+ *   <li><strong>detected:</strong> invoked when the <tt>detected()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>firstDetected:</strong> invoked when the <tt>detected()</tt> method is first called since last <tt>hidden()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>hidden:</strong> invoked when the <tt>hidden()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>firstHidden:</strong> invoked when the <tt>hidden()</tt> method is first called since last <tt>detected()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.PairGuiMarker}
+ */
+SKARF.PinchMarker = function (options) {
+    SKARF.PairGuiMarker.call(this, options);
+    this.__addEventType('changed');
+    this.__speed = options.params.speed || 1.0;
+    this.__distance = 0;
+    this.__startDistance = 0;
+};
+//inherit
+SKARF.PinchMarker.prototype = Object.create(SKARF.PairGuiMarker.prototype);
+SKARF.PinchMarker.prototype.constructor = SKARF.PinchMarker;
+//register with factory
+SKARF.GuiMarkerFactory.register('pinch', SKARF.PinchMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.PinchMarker.validateParams = function (params) {
+    var problems = SKARF.PairGuiMarker.validateParams(params);
+    if (typeof params.speed !== 'undefined' && typeof params.speed !== 'number') {
+        problems.push({path: 'speed', message: 'speed must be a number'});
+    }
+    return problems;
+};
+/**
+ * Returns the current world distance between the two markers
+ * @returns {number} Distance, or 0 if the markers have never been visible together
+ */
+SKARF.PinchMarker.prototype.getDistance = function () {
+    return this.__distance;
+};
+//override
+SKARF.PinchMarker.prototype.__startPair = function () {
+    this.__distance = this.__position.distanceTo(this.__pairPosition);
+    this.__startDistance = this.__distance;
+};
+SKARF.PinchMarker.prototype.__updatePair = function () {
+    var distance = this.__position.distanceTo(this.__pairPosition);
+    var dDistance = distance - this.__distance;
+    var absDDist = Math.abs(dDistance);
+    this.__distance = distance;
+    if (absDDist >= this.__moveThresholdLow && absDDist <= this.__moveThresholdHigh) {
+        this.__invokeCallback('changed', {
+            guiMarker: this,
+            distance: distance,
+            dDistance: dDistance * this.__speed,
+            scale: this.__startDistance > 0 ? distance / this.__startDistance : 1.0
+        });
+    }
+};
+
+/**
+ * SKARF.PairGuiMarker that emulates a dial with the angle of the second marker relative to the first one, around the world up axis.
+ * Since the angle is relative, it does not change when both markers are turned together.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
+ *
+ * <p>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
+ * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
+ * </p>
+ *
+ * <p>
+ * Available events:<br/>
+ * <ul>
+ *   <li><strong>changed:</strong> invoked when the relative angle between the two markers changes</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.angle: current relative angle in degrees, from 0 to 360</li>
+ *       <li>params.dAngle: change in relative angle since previous frame, multiplied by the "speed" parameter defined in JSON file</li>
+ *     </ul>
+ *   <li><strong>paired:</strong> invoked when both markers become visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>unpaired:</strong> invoked when either marker is hidden after both have been visible</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>pairMarkerId:</strong> ID of the second marker (compulsory)</li>
+ *   <li><strong>speed:</strong> multiplier to change in angle (defaults to 1.0)</li>
+ * </ul>
+ * </p>
+ *
+ * <p>
+ * Inherited events from SKARF.GuiMarker:<br/>
+ * <ul>
+ *   <li><strong>moved:</strong> invoked when marker is moved</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.dPosition: change in position since previous frame</li>
+ *     </ul>
+ *   <li><strong>rotated:</strong> invoked when marker is rotated</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.rotation: current world rotation</li>
+ *       <li>params.dRotation: change in rotation since previous frame</li>
+ *     </ul>
+ *   <li><strong>detected:</strong> invoked when the <tt>detected()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>firstDetected:</strong> invoked when the <tt>detected()</tt> method is first called since last <tt>hidden()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>hidden:</strong> invoked when the <tt>hidden()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>firstHidden:</strong> invoked when the <tt>hidden()</tt> method is first called since last <tt>detected()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.PairGuiMarker}
+ */
+SKARF.RelativeAngleMarker = function (options) {
+    SKARF.PairGuiMarker.call(this, options);
+    this.__addEventType('changed');
+    this.__speed = options.params.speed || 1.0;
+    this.__angle = 0;
+};
+//inherit
+SKARF.RelativeAngleMarker.prototype = Object.create(SKARF.PairGuiMarker.prototype);
+SKARF.RelativeAngleMarker.prototype.constructor = SKARF.RelativeAngleMarker;
+//register with factory
+SKARF.GuiMarkerFactory.register('relativeangle', SKARF.RelativeAngleMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.RelativeAngleMarker.validateParams = SKARF.PinchMarker.validateParams;
+/**
+ * Returns the current angle of the second marker relative to the first one
+ * @returns {number} Angle in degrees, from 0 to 360
+ */
+SKARF.RelativeAngleMarker.prototype.getAngle = function () {
+    return this.__angle;
+};
+//override
+SKARF.RelativeAngleMarker.prototype.__startPair = function () {
+    this.__angle = this.__computeAngle();
+};
+SKARF.RelativeAngleMarker.prototype.__updatePair = function () {
+    var angle = this.__computeAngle();
+
+    //take the shorter way round, so that crossing 0 degrees does not give a change of almost 360 degrees
+    var dAngle = angle - this.__angle;
+    if (dAngle > 180) {
+        dAngle -= 360;
+    } else if (dAngle < -180) {
+        dAngle += 360;
+    }
+    var absDAngle = Math.abs(dAngle);
+    this.__angle = angle;
+    if (!isNaN(dAngle) && absDAngle >= this.__rotThresholdLow && absDAngle <= this.__rotThresholdHigh) {
+        this.__invokeCallback('changed', {guiMarker: this, angle: angle, dAngle: dAngle * this.__speed});
+    }
+};
+SKARF.RelativeAngleMarker.prototype.__computeAngle = function () {
+    var angle = this.__computeRotation(this.__pairWorldMatrix) - this.__rotation;
+    return (angle < 0) ? angle + 360 : angle;
+};
+
+/**
+ * SKARF.GuiMarker with virtual buttons: rectangular regions printed next to the marker, which are pressed by covering them with a finger.
+ * Unlike SKARF.ButtonMarker, the marker itself stays tracked while a button is pressed, so several buttons can share one marker.
+ * A button is covered when enough of its pixels in the tracking image differ from what they looked like while uncovered.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} instead.</strong>
+ *
+ * <p>
+ * GUI markers work via events. Users should subscribe to events either on the GUI marker itself, or by key through the {@linkcode SKARF.Skarf Skarf} instance (which also works before the marker has been detected).
+ * For example, if you have a GUI marker with key of "sculptAmountSlider" (defined in JSON file) and you want it to react to the "changed" event:
+ * <blockquote><tt>skarf.onGuiMarker('sculptAmountSlider', 'changed', function (params) { ... });</tt></blockquote>
+ * The <tt>params</tt> argument will contain necessary data for that particular event. In the example above, <tt>params.delta</tt> will give the change in rotation since previous frame.
+ * Global callback functions named in the format <em>myKey_myCallbackType</em> are only looked up if the <tt>legacyGlobalCallbacks</tt> option of {@linkcode SKARF.Skarf Skarf} is turned on.
+ * </p>
+ *
+ * <p>
+ * Available events:<br/>
+ * <ul>
+ *   <li><strong>pressed:</strong> invoked when a button has been covered for the number of frames given by the "frames" parameter</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.button: name of the button</li>
+ *       <li>params.index: index of the button in the "buttons" parameter</li>
+ *     </ul>
+ *   <li><strong>released:</strong> invoked when a pressed button has been uncovered for the number of frames given by the "frames" parameter, or when the marker is hidden</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.button: name of the button</li>
+ *       <li>params.index: index of the button in the "buttons" parameter</li>
+ *       <li>params.duration: time in seconds that the button was pressed for</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>buttons:</strong> array of buttons (compulsory), each with:</li>
+ *     <ul>
+ *       <li>name: unique name of the button</li>
+ *       <li>x, z: center of the button on the marker plane, in units of marker size from the marker center</li>
+ *       <li>width, depth: size of the button along x and z, in units of marker size (defaults to 0.5)</li>
+ *     </ul>
+ *   <li><strong>threshold:</strong> difference in luminance, from 0 to 255, at which a pixel counts as covered (defaults to 40)</li>
+ *   <li><strong>coverage:</strong> fraction of the pixels of a button that have to be covered to press it (defaults to 0.6)</li>
+ *   <li><strong>frames:</strong> number of consecutive frames that a button has to be covered to press it, or uncovered to release it (defaults to 3)</li>
+ *   <li><strong>samples:</strong> number of pixels sampled along each side of a button (defaults to 4)</li>
+ *   <li><strong>learningRate:</strong> rate at which the uncovered look of a button adapts to lighting changes, from 0 to 1 (defaults to 0.05)</li>
+ * </ul>
+ * </p>
+ *
+ * <p>
+ * Inherited events from SKARF.GuiMarker:<br/>
+ * <ul>
+ *   <li><strong>moved:</strong> invoked when marker is moved</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.dPosition: change in position since previous frame</li>
+ *     </ul>
+ *   <li><strong>rotated:</strong> invoked when marker is rotated</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.rotation: current world rotation</li>
+ *       <li>params.dRotation: change in rotation since previous frame</li>
+ *     </ul>
+ *   <li><strong>detected:</strong> invoked when the <tt>detected()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>firstDetected:</strong> invoked when the <tt>detected()</tt> method is first called since last <tt>hidden()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *       <li>params.worldMatrix: world matrix of the marker solve</li>
+ *       <li>params.position: current world position</li>
+ *       <li>params.rotation: current world rotation</li>
+ *     </ul>
+ *   <li><strong>hidden:</strong> invoked when the <tt>hidden()</tt> method is called</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ *   <li><strong>firstHidden:</strong> invoked when the <tt>hidden()</tt> method is first called since last <tt>detected()</tt> call</li>
+ *     <ul>
+ *       <li>params.guiMarker: this instance</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.GuiMarker}
+ */
+SKARF.VirtualButtonMarker = function (options) {
+    SKARF.GuiMarker.call(this, options);
+    this.__addEventType('pressed');
+    this.__addEventType('released');
+    if (!(options.params && options.params.buttons)) {
+        throw new Error('buttons not specified as a parameter');
+    }
+    var params = options.params;
+    this.__threshold = (typeof params.threshold === 'undefined') ? 40 : params.threshold;
+    this.__coverage = (typeof params.coverage === 'undefined') ? 0.6 : params.coverage;
+    this.__frames = params.frames || 3;
+    this.__numSamples = params.samples || 4;
+    this.__learningRate = (typeof params.learningRate === 'undefined') ? 0.05 : params.learningRate;
+
+    this.__buttons = [];
+    var numPoints = this.__numSamples * this.__numSamples;
+    var i, j, len, buttonParams, points;
+    for (i = 0, len = params.buttons.length; i < len; i++) {
+        buttonParams = params.buttons[i];
+        points = [];
+        for (j = 0; j < numPoints; j++) {
+            points.push(new THREE.Vector3());
+        }
+        this.__buttons.push({
+            name: buttonParams.name,
+            x: buttonParams.x,
+            z: buttonParams.z,
+            width: buttonParams.width || 0.5,
+            depth: buttonParams.depth || 0.5,
+            points: points,
+            samples: new Float32Array(numPoints),
+            reference: null,
+            coveredFrames: 0,
+            uncoveredFrames: 0,
+            pressed: false,
+            pressedTime: 0
+        });
+    }
+
+    //tracking image, and the matrix that projects world space into it, set by the renderer on every frame
+    this.__trackingCanvasElem = null;
+    this.__viewProjectionMatrix = null;
+    this.__mvpMatrix = new THREE.Matrix4();
+};
+//inherit
+SKARF.VirtualButtonMarker.prototype = Object.create(SKARF.GuiMarker.prototype);
+SKARF.VirtualButtonMarker.prototype.constructor = SKARF.VirtualButtonMarker;
+//register with factory
+SKARF.GuiMarkerFactory.register('virtualbuttons', SKARF.VirtualButtonMarker);
+/**
+ * Validates the parameters of this type of GUI marker (from JSON file)
+ * @param {object} params Parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to params and a <tt>message</tt>
+ */
+SKARF.VirtualButtonMarker.validateParams = function (params) {
+    var problems = [];
+    if (!Array.isArray(params.buttons) || params.buttons.length === 0) {
+        problems.push({path: 'buttons', message: 'buttons must be a non-empty array'});
+    } else {
+        var names = {};
+        var i, len, button, path;
+        for (i = 0, len = params.buttons.length; i < len; i++) {
+            button = params.buttons[i];
+            path = 'buttons[' + i + ']';
+            if (typeof button !== 'object' || button === null) {
+                problems.push({path: path, message: 'button must be an object'});
+                continue;
+            }
+            if (typeof button.name !== 'string') {
+                problems.push({path: path + '.name', message: 'name must be a string'});
+            } else if (names.hasOwnProperty(button.name)) {
+                problems.push({path: path + '.name', message: 'Duplicate button name: ' + button.name});
+            } else {
+                names[button.name] = true;
+            }
+            if (typeof button.x !== 'number') {
+                problems.push({path: path + '.x', message: 'x must be a number'});
+            }
+            if (typeof button.z !== 'number') {
+                problems.push({path: path + '.z', message: 'z must be a number'});
+            }
+            if (typeof button.width !== 'undefined' && (typeof button.width !== 'number' || button.width <= 0)) {
+                problems.push({path: path + '.width', message: 'width must be a positive number'});
+            }
+            if (typeof button.depth !== 'undefined' && (typeof button.depth !== 'number' || button.depth <= 0)) {
+                problems.push({path: path + '.depth', message: 'depth must be a positive number'});
+            }
+        }
+    }
+    if (typeof params.threshold !== 'undefined' && (typeof params.threshold !== 'number' || params.threshold <= 0 || params.threshold > 255)) {
+        problems.push({path: 'threshold', message: 'threshold must be a number greater than 0 and up to 255'});
+    }
+    if (typeof params.coverage !== 'undefined' && (typeof params.coverage !== 'number' || params.coverage <= 0 || params.coverage > 1)) {
+        problems.push({path: 'coverage', message: 'coverage must be a number greater than 0 and up to 1'});
+    }
+    if (typeof params.frames !== 'undefined' && (typeof params.frames !== 'number' || params.frames < 1 || Math.floor(params.frames) !== params.frames)) {
+        problems.push({path: 'frames', message: 'frames must be a positive integer'});
+    }
+    if (typeof params.samples !== 'undefined' && (typeof params.samples !== 'number' || params.samples < 1 || Math.floor(params.samples) !== params.samples)) {
+        problems.push({path: 'samples', message: 'samples must be a positive integer'});
+    }
+    if (typeof params.learningRate !== 'undefined' && (typeof params.learningRate !== 'number' || params.learningRate < 0 || params.learningRate > 1)) {
+        problems.push({path: 'learningRate', message: 'learningRate must be a number from 0 to 1'});
+    }
+    return problems;
+};
+/**
+ * Returns the names of the buttons
+ * @returns {string[]} Names of the buttons
+ */
+SKARF.VirtualButtonMarker.prototype.getButtonNames = function () {
+    var names = [];
+    var i, len;
+    for (i = 0, len = this.__buttons.length; i < len; i++) {
+        names.push(this.__buttons[i].name);
+    }
+    return names;
+};
+/**
+ * Returns true if a button is currently pressed
+ * @param {string} name Name of the button
+ * @returns {boolean} True if the button is pressed
+ */
+SKARF.VirtualButtonMarker.prototype.isPressed = function (name) {
+    var i, len;
+    for (i = 0, len = this.__buttons.length; i < len; i++) {
+        if (this.__buttons[i].name === name) {
+            return this.__buttons[i].pressed;
+        }
+    }
+    throw new Error('Button not found in GUI marker ' + this.__key + ': ' + name);
+};
+/**
+ * Call this method before {@linkcode SKARF.GuiMarker#detected detected()} on every frame, so that the buttons can be sampled
+ * @param {HTMLCanvasElement} canvasElem Canvas which holds the tracking image
+ * @param {THREE.Matrix4} viewProjectionMatrix Matrix which projects world space into normalized device coordinates of the tracking image
+ */
+SKARF.VirtualButtonMarker.prototype.setTrackingImage = function (canvasElem, viewProjectionMatrix) {
+    this.__trackingCanvasElem = canvasElem;
+    this.__viewProjectionMatrix = viewProjectionMatrix;
+};
+/**
+ * Forgets what the buttons look like while uncovered, so that it is learnt again on the next frame.
+ * Call this method if a button was covered when the marker was first detected.
+ */
+SKARF.VirtualButtonMarker.prototype.resetReference = function () {
+    var i, len;
+    for (i = 0, len = this.__buttons.length; i < len; i++) {
+        this.__buttons[i].reference = null;
+        this.__buttons[i].coveredFrames = 0;
+        this.__buttons[i].uncoveredFrames = 0;
+    }
+};
+//override
+/**
+ * Call this method when the GUI marker is detected
+ * @param {number} dt Time elapsed since previous frame
+ * @param {THREE.Matrix4} worldMatrix World matrix for the marker
+ */
+SKARF.VirtualButtonMarker.prototype.detected = function (dt, worldMatrix) {
+    SKARF.GuiMarker.prototype.detected.call(this, dt, worldMatrix);
+    if (!this.__trackingCanvasElem || !this.__viewProjectionMatrix) {
+        return;
+    }
+    this.__mvpMatrix.multiplyMatrices(this.__viewProjectionMatrix, worldMatrix);
+    var i, len;
+    for (i = 0, len = this.__buttons.length; i < len; i++) {
+        this.__updateButton(this.__buttons[i], i, dt);
+    }
+};
+/**
+ * Call this method when the marker has been hidden
+ */
+SKARF.VirtualButtonMarker.prototype.hidden = function () {
+
+    //release all buttons, and learn their look again on the next detection since the lighting may have changed
+    var i, len, button;
+    for (i = 0, len = this.__buttons.length; i < len; i++) {
+        button = this.__buttons[i];
+        if (button.pressed) {
+            this.__release(button, i);
+        }
+    }
+    this.resetReference();
+
+    SKARF.GuiMarker.prototype.hidden.call(this);
+};
+SKARF.VirtualButtonMarker.prototype.__updateButton = function (button, index, dt) {
+
+    //skip the frame if the button is not fully within the tracking image
+    if (!this.__sampleButton(button)) {
+        return;
+    }
+
+    //the first sample is taken as the look of the uncovered button
+    var samples = button.samples;
+    var reference = button.reference;
+    var i, len;
+    if (!reference) {
+        button.reference = new Float32Array(samples);
+        return;
+    }
+
+    var numCovered = 0;
+    for (i = 0, len = samples.length; i < len; i++) {
+        if (Math.abs(samples[i] - reference[i]) > this.__threshold) {
+            numCovered++;
+        }
+    }
+    if (numCovered / samples.length >= this.__coverage) {
+        button.coveredFrames++;
+        button.uncoveredFrames = 0;
+    } else {
+        button.uncoveredFrames++;
+        button.coveredFrames = 0;
+
+        //adapt to lighting changes while the button is not covered
+        for (i = 0, len = samples.length; i < len; i++) {
+            reference[i] += (samples[i] - reference[i]) * this.__learningRate;
+        }
+    }
+
+    if (button.pressed) {
+        button.pressedTime += dt;
+        if (button.uncoveredFrames >= this.__frames) {
+            this.__release(button, index);
+        }
+    } else if (button.coveredFrames >= this.__frames) {
+        button.pressed = true;
+        button.pressedTime = 0;
+        this.__invokeCallback('pressed', {guiMarker: this, button: button.name, index: index});
+    }
+};
+SKARF.VirtualButtonMarker.prototype.__release = function (button, index) {
+    button.pressed = false;
+    this.__invokeCallback('released', {guiMarker: this, button: button.name, index: index, duration: button.pressedTime});
+};
+SKARF.VirtualButtonMarker.prototype.__sampleButton = function (button) {
+    var width = this.__trackingCanvasElem.width;
+    var height = this.__trackingCanvasElem.height;
+    var size = this.__markerSize;
+    var n = this.__numSamples;
+    var points = button.points;
+
+    //project a grid of points over the button into pixel coordinates of the tracking image
+    var minX = width, minY = height, maxX = -1, maxY = -1;
+    var i, j, point;
+    for (i = 0; i < n; i++) {
+        for (j = 0; j < n; j++) {
+            point = points[i * n + j];
+            point.set((button.x + ((i + 0.5) / n - 0.5) * button.width) * size, 0, (button.z + ((j + 0.5) / n - 0.5) * button.depth) * size);
+            point.applyProjection(this.__mvpMatrix);
+            point.x = Math.floor((point.x + 1) / 2 * width);
+            point.y = Math.floor((1 - point.y) / 2 * height);
+            if (point.z > 1 || point.x < 0 || point.x >= width || point.y < 0 || point.y >= height) {
+                return false;
+            }
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        }
+    }
+
+    //read only the pixels around the button, and store the luminance of each point
+    var imageData = this.__trackingCanvasElem.getContext('2d').getImageData(minX, minY, maxX - minX + 1, maxY - minY + 1);
+    var data = imageData.data;
+    var len, index;
+    for (i = 0, len = points.length; i < len; i++) {
+        point = points[i];
+        index = ((point.y - minY) * imageData.width + (point.x - minX)) * 4;
+        button.samples[i] = 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+    }
+    return true;
+};
+
+//===================================
+// GUI WIDGETS
+//===================================
+
+/**
+ * Factory which creates GuiWidgets
+ * @namespace
+ */
+SKARF.GuiWidgetFactory = {
+
+    __mappings: {},
+
+    /**
+     * Function to create a SKARF.GuiWidget instance
+     * @param {string} type Type of GuiWidget to create: 'dial', 'countdown', 'indicator', 'flash'
+     * @param {object} options Options
+     * @param {THREE.Object3D} options.markerTransform Transform of the marker to attach the widget to
+     * @param {number} options.markerSize Size of the marker, which scales the widget
+     * @param {object} [options.style] Style of the widget (from JSON file), which overrides the defaults of the widget type
+     */
+    create: function (type, options) {
+        if (!type) {
+            throw new Error('SKARF.GuiWidget type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.GuiWidget of this type has not been registered with SKARF.GuiWidgetFactory: ' + type);
+        }
+        var widget = new this.__mappings[type](options);
+        return widget;
+    },
+
+    /**
+     * Registers a type string to a class
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'dial'
+     * @param {SKARF.GuiWidget} mappingClass GuiWidget class that will be created when the associated type is used
+     */
+    register: function (mappingName, mappingClass) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
+        }
+        this.__mappings[mappingName] = mappingClass;
+    }
+};
+
+/**
+ * Abstract class for 3D widgets which GUI markers attach to their marker transform to show their state, e.g. the value of a slider.<br/>
+ * Widgets are turned on or styled with the <tt>widget</tt> parameter of a GUI marker in the JSON file, which is either a boolean or a style object, e.g.
+ * <blockquote><tt>"widget": { "color": "#ff8000", "radius": 0.8 }</tt></blockquote>
+ * Lengths are in units of the marker size, and the widget lies in the plane of the marker.
+ * @constructor
+ * @abstract
+ * @param {object} options Options, as for {@linkcode SKARF.GuiWidgetFactory#create GuiWidgetFactory.create()}
+ */
+SKARF.GuiWidget = function (options) {
+    if (typeof options.markerTransform === 'undefined') {
+        throw new Error('markerTransform not specified');
+    }
+    this.__markerTransform = options.markerTransform;
+    this.__markerSize = options.markerSize || 1.0;
+
+    //style from JSON file overrides the defaults of this widget type
+    this.__style = {};
+    var defaultStyle = this.constructor.defaultStyle || {};
+    var style = options.style || {};
+    var name;
+    for (name in defaultStyle) {
+        if (defaultStyle.hasOwnProperty(name)) {
+            this.__style[name] = style.hasOwnProperty(name) ? style[name] : defaultStyle[name];
+        }
+    }
+
+    this.__objects = [];
+};
+/**
+ * Validates the <tt>widget</tt> parameter of a GUI marker (from JSON file)
+ * @param {boolean | object} widget Widget parameter to validate
+ * @param {string} defaultType Type of widget that the GUI marker creates by default
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to the params of the GUI marker and a <tt>message</tt>
+ */
+SKARF.GuiWidget.validateStyle = function (widget, defaultType) {
+    var problems = [];
+    if (typeof widget === 'boolean') {
+        return problems;
+    }
+    if (widget === null || typeof widget !== 'object' || Array.isArray(widget)) {
+        problems.push({path: 'widget', message: 'widget must be a boolean or an object'});
+        return problems;
+    }
+    if (typeof widget.type !== 'undefined') {
+        if (!SKARF.GuiWidgetFactory.__mappings.hasOwnProperty(widget.type)) {
+            problems.push({path: 'widget.type', message: 'type has not been registered with SKARF.GuiWidgetFactory: ' + widget.type});
+        } else if (!SKARF.GuiWidget.isCompatible(widget.type, defaultType)) {
+            problems.push({path: 'widget.type', message: 'type must be ' + defaultType + ' or a subclass of it: ' + widget.type});
+        }
+    }
+    return problems;
+};
+/**
+ * Returns true if a type of widget can be used by GUI markers which create another type of widget by default,
+ * i.e. if it is the same type or a subclass of it, and therefore has the same methods
+ * @param {string} type Type of widget
+ * @param {string} defaultType Type of widget that the GUI marker creates by default
+ * @returns {boolean} True if the type can be used instead of defaultType
+ */
+SKARF.GuiWidget.isCompatible = function (type, defaultType) {
+    var mappings = SKARF.GuiWidgetFactory.__mappings;
+    return type === defaultType || mappings[type].prototype instanceof mappings[defaultType];
+};
+/**
+ * Updates animations of this widget. GUI markers call this on every frame that the marker is detected.
+ * @param {number} dt Time elapsed since previous frame
+ */
+SKARF.GuiWidget.prototype.update = function (dt) {
+};
+/**
+ * Removes this widget from the marker transform
+ */
+SKARF.GuiWidget.prototype.dispose = function () {
+    var i, len;
+    for (i = 0, len = this.__objects.length; i < len; i++) {
+        this.__markerTransform.remove(this.__objects[i]);
+        this.__objects[i].geometry.dispose();
+        if (this.__objects[i].material.map) {
+            this.__objects[i].material.map.dispose();
+        }
+        this.__objects[i].material.dispose();
+    }
+    this.__objects.length = 0;
+};
+SKARF.GuiWidget.prototype.__addObject = function (geometry, material, height) {
+
+    //lay the object flat on the marker, slightly above it so that stacked objects do not z-fight
+    var mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.y = height * this.__markerSize;
+    mesh.scale.set(this.__markerSize, this.__markerSize, this.__markerSize);
+
+    this.__markerTransform.add(mesh);
+    this.__objects.push(mesh);
+    return mesh;
+};
+SKARF.GuiWidget.prototype.__createArc = function (innerRadius, outerRadius, color, opacity, height) {
+    var material = new THREE.ShaderMaterial({
+        uniforms: {
+            uColor: { type: 'c', value: new THREE.Color(color) },
+            uOpacity: { type: 'f', value: opacity },
+            uFraction: { type: 'f', value: 1.0 }
+        },
+        vertexShader: this.__shaders.vert['passPosition'],
+        fragmentShader: this.__shaders.frag['arc'],
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    return this.__addObject(new THREE.RingGeometry(innerRadius, outerRadius, 64, 1, 0, Math.PI * 2), material, height);
+};
+SKARF.GuiWidget.prototype.__setArcFraction = function (arc, fraction) {
+    arc.material.uniforms['uFraction'].value = Math.min(Math.max(fraction, 0), 1);
+};
+SKARF.GuiWidget.prototype.__createLabel = function (size, height) {
+    var canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    var texture = new THREE.Texture(canvas);
+    var material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    var label = this.__addObject(new THREE.PlaneGeometry(size, size / 2), material, height);
+    label.canvas = canvas;
+    label.text = null;
+    return label;
+};
+SKARF.GuiWidget.prototype.__setLabelText = function (label, text) {
+    if (label.text === text) {
+        return;
+    }
+    label.text = text;
+
+    var context = label.canvas.getContext('2d');
+    context.clearRect(0, 0, label.canvas.width, label.canvas.height);
+    context.font = this.__style.font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = this.__style.textOutlineColor;
+    context.strokeText(text, label.canvas.width / 2, label.canvas.height / 2);
+    context.fillStyle = this.__style.textColor;
+    context.fillText(text, label.canvas.width / 2, label.canvas.height / 2);
+
+    label.material.map.needsUpdate = true;
+};
+SKARF.GuiWidget.prototype.__shaders = {
+
+    vert: {
+
+        passPosition: [
+
+            //Vertex shader which passes the untransformed position to the fragment shader
+
+            "varying vec2 vPosition;",
+
+            "void main() {",
+                "vPosition = position.xy;",
+                "gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);",
+            "}"
+
+        ].join('\n')
+
+    },
+
+    frag: {
+
+        arc: [
+
+            //Fragment shader which only draws the part of a ring up to a fraction of a full turn, clockwise from the top
+
+            "uniform vec3 uColor;",
+            "uniform float uOpacity;",
+            "uniform float uFraction;",
+
+            "varying vec2 vPosition;",
+
+            "void main() {",
+                "float turn = atan(vPosition.x, vPosition.y) / 6.2831853;",
+                "if (turn < 0.0) {",
+                    "turn += 1.0;",
+                "}",
+                "if (turn > uFraction) {",
+                    "discard;",
+                "}",
+                "gl_FragColor = vec4(uColor, uOpacity);",
+            "}"
+
+        ].join('\n')
+
+    }
+};
+
+/**
+ * SKARF.GuiWidget which shows a value as a progress ring around the marker, with an optional text label in the middle<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiWidgetFactory GuiWidgetFactory} instead.</strong>
+ *
+ * <p>
+ * Available style properties in JSON file:<br/>
+ * <ul>
+ *   <li><strong>radius:</strong> outer radius of the ring (defaults to 0.8)</li>
+ *   <li><strong>width:</strong> width of the ring (defaults to 0.15)</li>
+ *   <li><strong>color:</strong> color of the filled part of the ring (defaults to "#00ff00")</li>
+ *   <li><strong>opacity:</strong> opacity of the filled part of the ring (defaults to 0.9)</li>
+ *   <li><strong>backgroundColor:</strong> color of the unfilled part of the ring (defaults to "#000000")</li>
+ *   <li><strong>backgroundOpacity:</strong> opacity of the unfilled part of the ring (defaults to 0.4)</li>
+ *   <li><strong>label:</strong> whether to show the text label (defaults to true)</li>
+ *   <li><strong>font:</strong> CSS font of the text label (defaults to "bold 64px sans-serif")</li>
+ *   <li><strong>textColor:</strong> color of the text label (defaults to "#ffffff")</li>
+ *   <li><strong>textOutlineColor:</strong> color of the outline of the text label (defaults to "#000000")</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.GuiWidget}
+ */
+SKARF.DialWidget = function (options) {
+    SKARF.GuiWidget.call(this, options);
+
+    var style = this.__style;
+    this.__background = this.__createArc(style.radius - style.width, style.radius, style.backgroundColor, style.backgroundOpacity, 0.01);
+    this.__arc = this.__createArc(style.radius - style.width, style.radius, style.color, style.opacity, 0.02);
+    this.__label = style.label ? this.__createLabel(2 * (style.radius - style.width), 0.03) : null;
+
+    this.setValue(0, '');
+};
+//inherit
+SKARF.DialWidget.prototype = Object.create(SKARF.GuiWidget.prototype);
+SKARF.DialWidget.prototype.constructor = SKARF.DialWidget;
+//register with factory
+SKARF.GuiWidgetFactory.register('dial', SKARF.DialWidget);
+/**
+ * Default style of this widget type
+ * @type {object}
+ */
+SKARF.DialWidget.defaultStyle = {
+    radius: 0.8,
+    width: 0.15,
+    color: '#00ff00',
+    opacity: 0.9,
+    backgroundColor: '#000000',
+    backgroundOpacity: 0.4,
+    label: true,
+    font: 'bold 64px sans-serif',
+    textColor: '#ffffff',
+    textOutlineColor: '#000000'
+};
+/**
+ * Shows a value
+ * @param {number} fraction Fraction of the ring to fill, from 0 to 1
+ * @param {string} [text] Text to show in the label
+ */
+SKARF.DialWidget.prototype.setValue = function (fraction, text) {
+    this.__setArcFraction(this.__arc, fraction);
+    if (this.__label && typeof text !== 'undefined') {
+        this.__setLabelText(this.__label, text);
+    }
+};
+/**
+ * Returns the fraction of the ring that is filled
+ * @returns {number} Fraction from 0 to 1
+ */
+SKARF.DialWidget.prototype.getFraction = function () {
+    return this.__arc.material.uniforms['uFraction'].value;
+};
+
+/**
+ * SKARF.DialWidget which counts down to a time, by filling the ring as the time passes and showing the time left in the label<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiWidgetFactory GuiWidgetFactory} instead.</strong>
+ *
+ * <p>
+ * Available style properties in JSON file, in addition to those of {@linkcode SKARF.DialWidget DialWidget}:<br/>
+ * <ul>
+ *   <li><strong>reachedColor:</strong> color of the ring once the time has been reached (defaults to "#ffff00")</li>
+ *   <li><strong>decimals:</strong> number of decimals of the time left in the label (defaults to 1)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.DialWidget}
+ */
+SKARF.CountdownWidget = function (options) {
+    SKARF.DialWidget.call(this, options);
+    this.__color = new THREE.Color(this.__style.color);
+    this.__reachedColor = new THREE.Color(this.__style.reachedColor);
+};
+//inherit
+SKARF.CountdownWidget.prototype = Object.create(SKARF.DialWidget.prototype);
+SKARF.CountdownWidget.prototype.constructor = SKARF.CountdownWidget;
+//register with factory
+SKARF.GuiWidgetFactory.register('countdown', SKARF.CountdownWidget);
+/**
+ * Default style of this widget type
+ * @type {object}
+ */
+SKARF.CountdownWidget.defaultStyle = {
+    radius: 0.8,
+    width: 0.15,
+    color: '#00ffff',
+    reachedColor: '#ffff00',
+    opacity: 0.9,
+    backgroundColor: '#000000',
+    backgroundOpacity: 0.4,
+    label: true,
+    decimals: 1,
+    font: 'bold 64px sans-serif',
+    textColor: '#ffffff',
+    textOutlineColor: '#000000'
+};
+/**
+ * Shows the progress of the countdown
+ * @param {number} fraction Fraction of the time that has passed, from 0 to 1
+ * @param {number} timeLeft Time left in seconds
+ */
+SKARF.CountdownWidget.prototype.setProgress = function (fraction, timeLeft) {
+    this.__arc.material.uniforms['uColor'].value.copy(fraction >= 1 ? this.__reachedColor : this.__color);
+    this.setValue(fraction, Math.max(timeLeft, 0).toFixed(this.__style.decimals));
+};
+
+/**
+ * SKARF.GuiWidget which shows an on/off state as a colored disc on the marker, with an optional text label<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiWidgetFactory GuiWidgetFactory} instead.</strong>
+ *
+ * <p>
+ * Available style properties in JSON file:<br/>
+ * <ul>
+ *   <li><strong>radius:</strong> radius of the disc (defaults to 0.3)</li>
+ *   <li><strong>onColor:</strong> color of the disc when on (defaults to "#00ff00")</li>
+ *   <li><strong>offColor:</strong> color of the disc when off (defaults to "#ff0000")</li>
+ *   <li><strong>opacity:</strong> opacity of the disc (defaults to 0.8)</li>
+ *   <li><strong>label:</strong> whether to show the text label (defaults to true)</li>
+ *   <li><strong>onText:</strong> text of the label when on (defaults to "ON")</li>
+ *   <li><strong>offText:</strong> text of the label when off (defaults to "OFF")</li>
+ *   <li><strong>font:</strong> CSS font of the text label (defaults to "bold 64px sans-serif")</li>
+ *   <li><strong>textColor:</strong> color of the text label (defaults to "#ffffff")</li>
+ *   <li><strong>textOutlineColor:</strong> color of the outline of the text label (defaults to "#000000")</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.GuiWidget}
+ */
+SKARF.IndicatorWidget = function (options) {
+    SKARF.GuiWidget.call(this, options);
+
+    var style = this.__style;
+    this.__onColor = new THREE.Color(style.onColor);
+    this.__offColor = new THREE.Color(style.offColor);
+    this.__disc = this.__addObject(new THREE.CircleGeometry(style.radius, 32), new THREE.MeshBasicMaterial({
+        color: style.offColor,
+        transparent: true,
+        opacity: style.opacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }), 0.01);
+    this.__label = null;
+    if (style.label) {
+        //place the label beside the disc, so that it is not covered by the disc color
+        this.__label = this.__createLabel(1.0, 0.02);
+        this.__label.position.z = -(style.radius + 0.3) * this.__markerSize;
+    }
+
+    this.setOn(false);
+};
+//inherit
+SKARF.IndicatorWidget.prototype = Object.create(SKARF.GuiWidget.prototype);
+SKARF.IndicatorWidget.prototype.constructor = SKARF.IndicatorWidget;
+//register with factory
+SKARF.GuiWidgetFactory.register('indicator', SKARF.IndicatorWidget);
+/**
+ * Default style of this widget type
+ * @type {object}
+ */
+SKARF.IndicatorWidget.defaultStyle = {
+    radius: 0.3,
+    onColor: '#00ff00',
+    offColor: '#ff0000',
+    opacity: 0.8,
+    label: true,
+    onText: 'ON',
+    offText: 'OFF',
+    font: 'bold 64px sans-serif',
+    textColor: '#ffffff',
+    textOutlineColor: '#000000'
+};
+/**
+ * Shows a state
+ * @param {boolean} isOn Whether the state is on
+ */
+SKARF.IndicatorWidget.prototype.setOn = function (isOn) {
+    this.__isOn = isOn;
+    this.__disc.material.color.copy(isOn ? this.__onColor : this.__offColor);
+    if (this.__label) {
+        this.__setLabelText(this.__label, isOn ? this.__style.onText : this.__style.offText);
+    }
+};
+/**
+ * Returns the state which is shown
+ * @returns {boolean} Whether the state is on
+ */
+SKARF.IndicatorWidget.prototype.isOn = function () {
+    return this.__isOn;
+};
+
+/**
+ * SKARF.GuiWidget which flashes a disc on the marker, which then fades out, e.g. when a button is pressed<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.GuiWidgetFactory GuiWidgetFactory} instead.</strong>
+ *
+ * <p>
+ * Available style properties in JSON file:<br/>
+ * <ul>
+ *   <li><strong>radius:</strong> radius of the disc (defaults to 0.7)</li>
+ *   <li><strong>color:</strong> color of the disc (defaults to "#ffffff")</li>
+ *   <li><strong>opacity:</strong> opacity of the disc at the start of the flash (defaults to 0.8)</li>
+ *   <li><strong>duration:</strong> time in seconds for the flash to fade out (defaults to 0.5)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.GuiWidget}
+ */
+SKARF.FlashWidget = function (options) {
+    SKARF.GuiWidget.call(this, options);
+
+    var style = this.__style;
+    this.__disc = this.__addObject(new THREE.CircleGeometry(style.radius, 32), new THREE.MeshBasicMaterial({
+        color: style.color,
+        transparent: true,
+        opacity: 0,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }), 0.04);
+    this.__timeLeft = 0;
+};
+//inherit
+SKARF.FlashWidget.prototype = Object.create(SKARF.GuiWidget.prototype);
+SKARF.FlashWidget.prototype.constructor = SKARF.FlashWidget;
+//register with factory
+SKARF.GuiWidgetFactory.register('flash', SKARF.FlashWidget);
+/**
+ * Default style of this widget type
+ * @type {object}
+ */
+SKARF.FlashWidget.defaultStyle = {
+    radius: 0.7,
+    color: '#ffffff',
+    opacity: 0.8,
+    duration: 0.5
+};
+/**
+ * Starts a flash
+ */
+SKARF.FlashWidget.prototype.flash = function () {
+    this.__timeLeft = this.__style.duration;
+    this.__disc.material.opacity = this.__style.opacity;
+};
+//override
+SKARF.FlashWidget.prototype.update = function (dt) {
+    if (this.__timeLeft <= 0) {
+        return;
+    }
+    this.__timeLeft = Math.max(this.__timeLeft - (dt || 0), 0);
+    this.__disc.material.opacity = this.__style.opacity * this.__timeLeft / this.__style.duration;
+};
+
+//===================================
+// MODEL LOADERS
+//===================================
+
+/**
+ * Factory which creates ModelLoaders
+ * @namespace
+ */
+SKARF.ModelLoaderFactory = {
+
+    __mappings: {},
+
+    /**
+     * Function to create a SKARF.ModelLoader instance
+     * @param {string} type Type of ModelLoader to create: 'empty', 'json', 'json_bin', 'obj', 'gltf', 'glb'
+     */
+    create: function (type) {
+        if (!type) {
+            throw new Error('Model type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.ModelLoader of this type has not been registered with SKARF.ModelLoaderFactory: ' + type);
+        }
+        var loader = new this.__mappings[type]();
+        return loader;
+    },
+
+    /**
+     * Registers a type string to a class
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'threejs'
+     * @param {SKARF.ModelLoader} mappingClass ModelLoader class that will be created when the associated type is used
+     */
+    register: function (mappingName, mappingClass) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
+        }
+        this.__mappings[mappingName] = mappingClass;
+    }
+};
+
+/**
+ * Abstract class for model loaders
+ * @constructor
+ * @abstract
+ */
+SKARF.ModelLoader = function () {
+    this.__loader = null;
+};
+/**
+ * Validates model data (from JSON file) for this type of model loader.<br/>
+ * This default implementation requires a <tt>url</tt>. Subclasses with other requirements should define their own static <tt>validate</tt> function.
+ * @param {object} model Data containing the model info
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to model and a <tt>message</tt>
+ */
+SKARF.ModelLoader.validate = function (model) {
+    var problems = [];
+    if (typeof model.url !== 'string' || model.url === '') {
+        problems.push({path: 'url', message: 'url not specified'});
+    }
+    return problems;
+};
+/**
+ * Loads model for marker.<br/>
+ * Implementations must report the outcome to markerManager by calling either <tt>markerManager.__modelLoaded()</tt> or <tt>markerManager.__modelLoadFailed()</tt>.
+ * @abstract
+ * @param  {object}  model Data containing the model info (from JSON file)
+ * @param  {number}  markerId ID of marker to laod
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  overallScale Overall scale
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.ModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
+    throw new Error('Abstract method not implemented');
+};
+/**
+ * Transforms and parents a model onto a transform
+ * @param {object} model Data containing the model info (from JSON file)
+ * @param {THREE.Mesh} object Mesh to parent
+ * @param {THREE.Object3D} markerTransform Transform to parent to
+ * @param {number} overallScale Overall scale
+ * @param {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.ModelLoader.prototype.transformAndParent = function (model, obj, markerTransform, overallScale, markerManager) {
+
+    if (obj) {
+
+        //collect the meshes first, since parenting them onto markerTransform removes them from the hierarchy being traversed
+        var meshes = [];
+        obj.traverse(function (object) {
+            if (object instanceof THREE.Mesh) {
+                meshes.push(object);
+            }
+        });
+
+        var m = this.getModelMatrix(model, overallScale);
+
+        meshes.forEach(function (object) {
+
+            //store the model data into the geometry
+            object.geometry.__jsonData = model;
+
+            //bake transforms into geometry
+            object.geometry.applyMatrix(m);
+            markerTransform.add(object);
+
+            //store the material in markerManager
+            markerManager.__materials.push(object.material);
+
+            //compute bounding box
+            object.geometry.computeBoundingBox();
+
+            //also set objects to cast shadows
+            object.castShadow = true;
+            object.receiveShadow = true;
+        });
+
+    }
+};
+
+/**
+ * Returns the matrix of the translate, rotate and scale in the model data, which is baked into the geometry of loaded models
+ * @param {object} model Data containing the model info (from JSON file)
+ * @param {number} overallScale Overall scale
+ * @returns {THREE.Matrix4} Matrix that transforms from model space to marker space
+ */
+SKARF.ModelLoader.prototype.getModelMatrix = function (model, overallScale) {
+
+    //accumulate transformations into matrix
+    var m = new THREE.Matrix4();
+    if (model.translate) {
+        m.setPosition(new THREE.Vector3(model.translate[0], model.translate[1], model.translate[2]));
+    }
+    if (model.rotate) {
+        var rotationMat = new THREE.Matrix4();
+        var rotationVector = new THREE.Vector3(THREE.Math.degToRad(model.rotate[0]), THREE.Math.degToRad(model.rotate[1]), THREE.Math.degToRad(model.rotate[2]));
+        rotationMat.makeRotationFromEuler(rotationVector, model.rotationOrder || 'XYZ');
+        m.multiply(rotationMat);
+    }
+    if (model.scale) {
+        m.scale(new THREE.Vector3(model.scale[0] * overallScale, model.scale[1] * overallScale, model.scale[2] * overallScale));
+    }
+    return m;
+};
+
+/**
+ * Model loader which contains no models<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ModelLoader}
+ */
+SKARF.EmptyModelLoader = function () {
+    SKARF.ModelLoader.call(this);
+    this.__loader = new THREE.JSONLoader();
+    console.log('Created a SKARF.EmptyModelLoader');
+};
+//inherit from SKARF.ModelLoader
+SKARF.EmptyModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
+SKARF.EmptyModelLoader.prototype.constructor = SKARF.EmptyModelLoader;
+//register with factory
 SKARF.ModelLoaderFactory.register('empty', SKARF.EmptyModelLoader);
+/**
+ * Validates model data (from JSON file) for this type of model loader. Empty models need no url.
+ * @param {object} model Data containing the model info
+ * @returns {object[]} Problems found, each with a <tt>path</tt> relative to model and a <tt>message</tt>
+ */
+SKARF.EmptyModelLoader.validate = function (model) {
+    return [];
+};
+//override methods
+/**
+ * Loads model for marker
+ * @param  {object}  model Data containing the model info (from JSON file)
+ * @param  {number}  markerId ID of marker to laod
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  overallScale Overall scale
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.EmptyModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
+    //TODO: time how long it takes to load
+
+    //bake transformations into vertices
+    this.transformAndParent(model, null, markerTransform, overallScale, markerManager);
+
+    console.log('Loaded empty transform for marker id ' + markerId);
+    markerManager.__modelLoaded(markerId, model, markerTransform, null);
+};
+
+/**
+ * Model loader which contains Three.js JSON model data
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ModelLoader}
+ */
+SKARF.JsonModelLoader = function () {
+    SKARF.ModelLoader.call(this);
+    this.__loader = new THREE.JSONLoader();
+    console.log('Created a SKARF.JsonModelLoader');
+};
+//inherit from SKARF.ModelLoader
+SKARF.JsonModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
+SKARF.JsonModelLoader.prototype.constructor = SKARF.JsonModelLoader;
+//register with factory
+SKARF.ModelLoaderFactory.register('json', SKARF.JsonModelLoader);
+//override methods
+/**
+ * Loads model for marker
+ * @param  {object}  model Data containing the model info (from JSON file)
+ * @param  {number}  markerId ID of marker to laod
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  overallScale Overall scale
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.JsonModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
+    //TODO: time how long it takes to load
+
+    var that = this;
+    this.__loadGeometry(model.url, function (geometry, materials) {
+
+        //set wireframe visibility
+        var i, len;
+        for (i = 0, len = materials.length; i < len; i++) {
+            materials[i].wireframe = isWireframeVisible;
+        }
+
+        //create mesh
+        var mesh = new THREE.Mesh(geometry, new THREE.MeshFaceMaterial(materials));
+
+        //bake transformations into vertices
+        that.transformAndParent(model, mesh, markerTransform, overallScale, markerManager);
+
+        console.log('Loaded mesh ' + model.url + ' for marker id ' + markerId);
+        markerManager.__modelLoaded(markerId, model, markerTransform, mesh);
+
+    }, function (error) {
+        markerManager.__modelLoadFailed(markerId, model, markerTransform, error);
+    });
+};
+SKARF.JsonModelLoader.prototype.__loadGeometry = function (url, onLoad, onError) {
+    //NOTE: THREE.JSONLoader.load() does not report errors, so fetch the JSON ourselves and just use the loader to parse it
+    var that = this;
+    $.ajax({
+        url: url,
+        dataType: 'JSON'
+    }).done(function (data) {
+        var result = that.__loader.parse(data, that.__loader.extractUrlBase(url));
+        onLoad(result.geometry, result.materials);
+    }).fail(function (xhr, textStatus, error) {
+        onError(new Error('error loading ' + url + ': ' + (error || textStatus)));
+    });
+};
+
+/**
+ * Model loader which contains Three.js JSON binary models
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ModelLoader}
+ */
+SKARF.JsonBinaryModelLoader = function () {
+    SKARF.ModelLoader.call(this);
+    if (typeof THREE.BinaryLoader === 'undefined') {
+        throw new Error('THREE.BinaryLoader does not exist. Have you included BinaryLoader.js?');
+    }
+    this.__loader = new THREE.BinaryLoader();
+    console.log('Created a SKARF.JsonBinaryModelLoader');
+};
+//inherit from SKARF.JsonModelLoader
+SKARF.JsonBinaryModelLoader.prototype = Object.create(SKARF.JsonModelLoader.prototype);
+SKARF.JsonBinaryModelLoader.prototype.constructor = SKARF.JsonBinaryModelLoader;
+//register with factory
+SKARF.ModelLoaderFactory.register('json_bin', SKARF.JsonBinaryModelLoader);
+//override methods
+SKARF.JsonBinaryModelLoader.prototype.__loadGeometry = function (url, onLoad, onError) {
+    //NOTE: THREE.BinaryLoader.load() does not report errors either, so fetch both the JSON and the binary buffers ourselves
+    var urlBase = this.__loader.extractUrlBase(url);
+    $.ajax({
+        url: url,
+        dataType: 'JSON'
+    }).done(function (json) {
+
+        var bufferUrl = urlBase + json.buffers;
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', bufferUrl, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = function () {
+            if (xhr.status === 200 || xhr.status === 0) {
+                THREE.BinaryLoader.prototype.createBinModel(xhr.response, onLoad, urlBase, json.materials);
+            } else {
+                onError(new Error('error loading ' + bufferUrl + ': ' + xhr.status));
+            }
+        };
+        xhr.onerror = function () {
+            onError(new Error('error loading ' + bufferUrl));
+        };
+        xhr.send(null);
+
+    }).fail(function (xhr, textStatus, error) {
+        onError(new Error('error loading ' + url + ': ' + (error || textStatus)));
+    });
+};
+
+/**
+ * Model loader which contains OBJ models
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ModelLoader}
+ */
+SKARF.ObjModelLoader = function () {
+
+    SKARF.ModelLoader.call(this);
+
+    if (typeof THREE.OBJMTLLoader === 'undefined') {
+        throw new Error('THREE.OBJMTLLoader does not exist. Have you included OBJMTLLoader.js and MTLLoader.js?');
+    }
+    console.log('Created a SKARF.ObjModelLoader');
+};
+//inherit from SKARF.ModelLoader
+SKARF.ObjModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
+SKARF.ObjModelLoader.prototype.constructor = SKARF.ObjModelLoader;
+//register with factory
+SKARF.ModelLoaderFactory.register('obj', SKARF.ObjModelLoader);
+//override methods
+/**
+ * Loads model for marker. Several models can be loading at the same time.
+ * @param  {object}  model Data containing the model info (from JSON file)
+ * @param  {number}  markerId ID of marker to laod
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  overallScale Overall scale
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.ObjModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
+
+    //THREE.OBJMTLLoader dispatches its events on itself without saying which load they belong to,
+    //so use a new one for each load, and keep the state of the load in this closure instead of in this shared instance
+    var that = this;
+    var loader = new THREE.OBJMTLLoader();
+    loader.addEventListener('load', function (event) {
+
+        var object = event.content;  //this ia a THREE.Object3D
+
+        //set wireframe visibility
+        var child, grandChild;
+        var i, j, leni, lenj;
+        for (i = 0, leni = object.children.length; i < leni; i++) {
+            child = object.children[i];
+            for (j = 0, lenj = child.children.length; j < lenj; j++) {
+                grandChild = child.children[j];
+                if (grandChild instanceof THREE.Mesh) {
+                    grandChild.material.wireframe = isWireframeVisible;
+                }
+            }
+        }
+
+        //transform and parent
+        that.transformAndParent(model, object, markerTransform, overallScale, markerManager);
+
+        console.log('Loaded mesh ' + model.url + ' for marker id ' + markerId);
+        markerManager.__modelLoaded(markerId, model, markerTransform, object);
+    });
+    loader.addEventListener('error', function (event) {
+        markerManager.__modelLoadFailed(markerId, model, markerTransform, new Error(event.message));
+    });
+
+    var mtlFile = model.url.replace(/\.obj/g, '.mtl');  //assume mtl file has same base name as .obj
+    loader.load(model.url, mtlFile);
+};
+
+/**
+ * Model loader which contains glTF 2.0 models, with the buffers and images either in separate files or embedded as data URIs.<br/>
+ * The node hierarchy of the default scene is baked into the geometry of each mesh, with one THREE.Mesh for each primitive.
+ * PBR materials are approximated with THREE.MeshPhongMaterial, and animations, skins, morph targets, cameras and lights are ignored.
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ModelLoader}
+ */
+SKARF.GltfModelLoader = function () {
+    SKARF.ModelLoader.call(this);
+    console.log('Created a SKARF.GltfModelLoader');
+};
+//inherit from SKARF.ModelLoader
+SKARF.GltfModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
+SKARF.GltfModelLoader.prototype.constructor = SKARF.GltfModelLoader;
+//register with factory
+SKARF.ModelLoaderFactory.register('gltf', SKARF.GltfModelLoader);
+//typed arrays for each accessor component type
+SKARF.GltfModelLoader.prototype.__componentTypes = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+//number of components for each accessor type
+SKARF.GltfModelLoader.prototype.__typeSizes = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+//largest value of each integer component type, to convert normalized accessors into floats
+SKARF.GltfModelLoader.prototype.__normalizeDivisors = {
+    5120: 127,
+    5121: 255,
+    5122: 32767,
+    5123: 65535
+};
+SKARF.GltfModelLoader.prototype.__wrapModes = {
+    33071: THREE.ClampToEdgeWrapping,
+    33648: THREE.MirroredRepeatWrapping,
+    10497: THREE.RepeatWrapping
+};
+//override methods
+/**
+ * Loads model for marker
+ * @param  {object}  model Data containing the model info (from JSON file)
+ * @param  {number}  markerId ID of marker to laod
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  overallScale Overall scale
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ */
+SKARF.GltfModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
+
+    //NOTE: this loader instance is shared by all markers with this model type, so keep the state of each load in this closure
+    var that = this;
+    var urlBase = THREE.Loader.prototype.extractUrlBase(model.url);
+    var onError = function (error) {
+        markerManager.__modelLoadFailed(markerId, model, markerTransform, error);
+    };
+    this.__loadGltf(model.url, function (gltf, binChunk) {
+        that.__loadBuffers(gltf, binChunk, urlBase, function (buffers) {
+
+            var object;
+            try {
+                object = that.__parse(gltf, buffers, urlBase, isWireframeVisible);
+            } catch (error) {
+                onError(new Error('error parsing ' + model.url + ': ' + error.message));
+                return;
+            }
+
+            //bake transformations into vertices
+            that.transformAndParent(model, object, markerTransform, overallScale, markerManager);
+
+            console.log('Loaded mesh ' + model.url + ' for marker id ' + markerId);
+            markerManager.__modelLoaded(markerId, model, markerTransform, object);
+
+        }, onError);
+    }, onError);
+};
+SKARF.GltfModelLoader.prototype.__loadGltf = function (url, onLoad, onError) {
+    $.ajax({
+        url: url,
+        dataType: 'JSON'
+    }).done(function (gltf) {
+        onLoad(gltf, null);
+    }).fail(function (xhr, textStatus, error) {
+        onError(new Error('error loading ' + url + ': ' + (error || textStatus)));
+    });
+};
+SKARF.GltfModelLoader.prototype.__loadArrayBuffer = function (url, onLoad, onError) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.responseType = 'arraybuffer';
+    xhr.onload = function () {
+        if (xhr.status === 200 || xhr.status === 0) {
+            onLoad(xhr.response);
+        } else {
+            onError(new Error('error loading ' + url + ': ' + xhr.status));
+        }
+    };
+    xhr.onerror = function () {
+        onError(new Error('error loading ' + url));
+    };
+    xhr.send(null);
+};
+SKARF.GltfModelLoader.prototype.__loadBuffers = function (gltf, binChunk, urlBase, onLoad, onError) {
+    var bufferDefs = gltf.buffers || [];
+    var buffers = [];
+    var numLoading = bufferDefs.length;
+    var failed = false;
+    if (numLoading === 0) {
+        onLoad(buffers);
+        return;
+    }
+    var bufferLoaded = function (index, buffer) {
+        buffers[index] = buffer;
+        numLoading--;
+        if (numLoading === 0 && !failed) {
+            onLoad(buffers);
+        }
+    };
+    var bufferFailed = function (error) {
+        if (!failed) {
+            failed = true;
+            onError(error);
+        }
+    };
+    var that = this;
+    bufferDefs.forEach(function (bufferDef, index) {
+        if (typeof bufferDef.uri === 'undefined') {
+            //the first buffer of a binary glTF file has no uri, and refers to its BIN chunk
+            if (index === 0 && binChunk) {
+                bufferLoaded(index, binChunk);
+            } else {
+                bufferFailed(new Error('buffer ' + index + ' has no uri'));
+            }
+        } else if (bufferDef.uri.indexOf('data:') === 0) {
+            bufferLoaded(index, that.__decodeDataUri(bufferDef.uri));
+        } else {
+            that.__loadArrayBuffer(that.__resolveUri(bufferDef.uri, urlBase), function (buffer) {
+                bufferLoaded(index, buffer);
+            }, bufferFailed);
+        }
+    });
+};
+SKARF.GltfModelLoader.prototype.__resolveUri = function (uri, urlBase) {
+    if (/^(data:|blob:|[a-z]+:\/\/|\/)/i.test(uri)) {
+        return uri;
+    }
+    return urlBase + uri;
+};
+SKARF.GltfModelLoader.prototype.__decodeDataUri = function (uri) {
+    var commaIndex = uri.indexOf(',');
+    var header = uri.substring(0, commaIndex);
+    var data = uri.substring(commaIndex + 1);
+    var str = (header.indexOf(';base64') !== -1) ? atob(data) : unescape(data);
+    var bytes = new Uint8Array(str.length);
+    var i, len;
+    for (i = 0, len = str.length; i < len; i++) {
+        bytes[i] = str.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+SKARF.GltfModelLoader.prototype.__parse = function (gltf, buffers, urlBase, isWireframeVisible) {
+
+    if (!gltf.asset || typeof gltf.asset.version !== 'string' || gltf.asset.version.charAt(0) !== '2') {
+        throw new Error('only glTF 2.0 is supported');
+    }
+    var extensionsRequired = gltf.extensionsRequired || [];
+    if (extensionsRequired.length > 0) {
+        throw new Error('required extensions are not supported: ' + extensionsRequired.join(', '));
+    }
+
+    //state of this parse, so that textures and materials that are used by many primitives are only created once
+    var context = {
+        gltf: gltf,
+        buffers: buffers,
+        urlBase: urlBase,
+        isWireframeVisible: isWireframeVisible,
+        textures: [],
+        materials: {}
+    };
+
+    var object = new THREE.Object3D();
+    var sceneIndex = (typeof gltf.scene === 'undefined') ? 0 : gltf.scene;
+    var scene = gltf.scenes && gltf.scenes[sceneIndex];
+    var nodeIndices = scene ? (scene.nodes || []) : [];
+    var i, len;
+    for (i = 0, len = nodeIndices.length; i < len; i++) {
+        this.__parseNode(context, nodeIndices[i], new THREE.Matrix4(), object);
+    }
+    return object;
+};
+SKARF.GltfModelLoader.prototype.__parseNode = function (context, nodeIndex, parentMatrix, object) {
+
+    var node = context.gltf.nodes[nodeIndex];
+
+    //accumulate the transform of this node onto its parent's
+    var matrix = new THREE.Matrix4();
+    if (node.matrix) {
+        matrix.elements.set(node.matrix);  //both are column-major
+    } else {
+        var t = node.translation || [0, 0, 0];
+        var r = node.rotation || [0, 0, 0, 1];
+        var s = node.scale || [1, 1, 1];
+        matrix.makeFromPositionQuaternionScale(new THREE.Vector3(t[0], t[1], t[2]), new THREE.Quaternion(r[0], r[1], r[2], r[3]), new THREE.Vector3(s[0], s[1], s[2]));
+    }
+    var worldMatrix = parentMatrix.clone().multiply(matrix);
+
+    //bake the node transform into a new geometry for each primitive, since a mesh can be used by many nodes
+    var i, len, mesh;
+    if (typeof node.mesh !== 'undefined') {
+        var primitives = context.gltf.meshes[node.mesh].primitives;
+        for (i = 0, len = primitives.length; i < len; i++) {
+            mesh = this.__parsePrimitive(context, primitives[i], worldMatrix);
+            if (mesh) {
+                mesh.name = node.name || context.gltf.meshes[node.mesh].name || '';
+                object.add(mesh);
+            }
+        }
+    }
+
+    var children = node.children || [];
+    for (i = 0, len = children.length; i < len; i++) {
+        this.__parseNode(context, children[i], worldMatrix, object);
+    }
+};
+SKARF.GltfModelLoader.prototype.__parsePrimitive = function (context, primitive, worldMatrix) {
+
+    var mode = (typeof primitive.mode === 'undefined') ? 4 : primitive.mode;
+    if (mode < 4) {
+        console.warn('Skipping glTF primitive with points or lines, which are not supported');
+        return null;
+    }
+    var attributes = primitive.attributes;
+    if (typeof attributes.POSITION === 'undefined') {
+        return null;
+    }
+
+    var geometry = new THREE.Geometry();
+    var positions = this.__readAccessor(context, attributes.POSITION);
+    var normals = (typeof attributes.NORMAL !== 'undefined') ? this.__readAccessor(context, attributes.NORMAL) : null;
+    var uvs = (typeof attributes.TEXCOORD_0 !== 'undefined') ? this.__readAccessor(context, attributes.TEXCOORD_0) : null;
+    var colors = (typeof attributes.COLOR_0 !== 'undefined') ? this.__readAccessor(context, attributes.COLOR_0) : null;
+    var numVertices = positions.array.length / 3;
+    var i, len;
+    for (i = 0; i < numVertices; i++) {
+        geometry.vertices.push(new THREE.Vector3(positions.array[i * 3], positions.array[i * 3 + 1], positions.array[i * 3 + 2]));
+    }
+
+    //convert strips and fans into a list of triangles
+    var indices = (typeof primitive.indices !== 'undefined') ? this.__readAccessor(context, primitive.indices).array : null;
+    var numIndices = indices ? indices.length : numVertices;
+    var triangles = [];
+    var getIndex = function (i) {
+        return indices ? indices[i] : i;
+    };
+    if (mode === 4) {
+        for (i = 0; i + 2 < numIndices; i += 3) {
+            triangles.push(getIndex(i), getIndex(i + 1), getIndex(i + 2));
+        }
+    } else if (mode === 5) {
+        for (i = 0; i + 2 < numIndices; i++) {
+            if (i % 2 === 0) {
+                triangles.push(getIndex(i), getIndex(i + 1), getIndex(i + 2));
+            } else {
+                triangles.push(getIndex(i + 1), getIndex(i), getIndex(i + 2));
+            }
+        }
+    } else {
+        for (i = 1; i + 1 < numIndices; i++) {
+            triangles.push(getIndex(0), getIndex(i), getIndex(i + 1));
+        }
+    }
+
+    //a mirroring transform flips the winding order, which has to be flipped back
+    var flip = worldMatrix.determinant() < 0;
+
+    var face, vertexIndices, j;
+    for (i = 0, len = triangles.length; i < len; i += 3) {
+        vertexIndices = flip ? [triangles[i], triangles[i + 2], triangles[i + 1]] : [triangles[i], triangles[i + 1], triangles[i + 2]];
+        face = new THREE.Face3(vertexIndices[0], vertexIndices[1], vertexIndices[2]);
+        for (j = 0; j < 3; j++) {
+            if (normals) {
+                face.vertexNormals.push(this.__getVector3(normals, vertexIndices[j]));
+            }
+            if (colors) {
+                face.vertexColors.push(new THREE.Color().setRGB(colors.array[vertexIndices[j] * colors.itemSize], colors.array[vertexIndices[j] * colors.itemSize + 1], colors.array[vertexIndices[j] * colors.itemSize + 2]));
+            }
+        }
+        geometry.faces.push(face);
+        if (uvs) {
+            //glTF has the origin of texture coordinates at the top left of the image, but textures are flipped vertically by Three.js
+            geometry.faceVertexUvs[0].push([
+                new THREE.Vector2(uvs.array[vertexIndices[0] * 2], 1 - uvs.array[vertexIndices[0] * 2 + 1]),
+                new THREE.Vector2(uvs.array[vertexIndices[1] * 2], 1 - uvs.array[vertexIndices[1] * 2 + 1]),
+                new THREE.Vector2(uvs.array[vertexIndices[2] * 2], 1 - uvs.array[vertexIndices[2] * 2 + 1])
+            ]);
+        }
+    }
+
+    geometry.applyMatrix(worldMatrix);
+    geometry.computeCentroids();
+    geometry.computeFaceNormals();
+    if (!normals) {
+        geometry.computeVertexNormals();
+    }
+
+    return new THREE.Mesh(geometry, this.__getMaterial(context, primitive.material, !!colors));
+};
+SKARF.GltfModelLoader.prototype.__getVector3 = function (accessor, index) {
+    return new THREE.Vector3(accessor.array[index * 3], accessor.array[index * 3 + 1], accessor.array[index * 3 + 2]);
+};
+SKARF.GltfModelLoader.prototype.__readAccessor = function (context, accessorIndex) {
+
+    var accessor = context.gltf.accessors[accessorIndex];
+    if (accessor.sparse) {
+        throw new Error('sparse accessors are not supported');
+    }
+    var ArrayType = this.__componentTypes[accessor.componentType];
+    var itemSize = this.__typeSizes[accessor.type];
+    if (!ArrayType || !itemSize) {
+        throw new Error('unknown accessor type: ' + accessor.type + ' of ' + accessor.componentType);
+    }
+    var numElements = accessor.count * itemSize;
+
+    //accessors without a buffer view are all zeros
+    var array;
+    if (typeof accessor.bufferView === 'undefined') {
+        array = new ArrayType(numElements);
+    } else {
+        var bufferView = context.gltf.bufferViews[accessor.bufferView];
+        var buffer = context.buffers[bufferView.buffer];
+        var byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        var elementBytes = ArrayType.BYTES_PER_ELEMENT * itemSize;
+        var byteStride = bufferView.byteStride || elementBytes;
+        if (byteStride === elementBytes && byteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+            array = new ArrayType(buffer, byteOffset, numElements);
+        } else {
+            //interleaved or unaligned data has to be copied out element by element
+            var bytes = new Uint8Array(accessor.count * elementBytes);
+            var i;
+            for (i = 0; i < accessor.count; i++) {
+                bytes.set(new Uint8Array(buffer, byteOffset + i * byteStride, elementBytes), i * elementBytes);
+            }
+            array = new ArrayType(bytes.buffer);
+        }
+    }
+
+    if (accessor.normalized && this.__normalizeDivisors[accessor.componentType]) {
+        var divisor = this.__normalizeDivisors[accessor.componentType];
+        var floats = new Float32Array(numElements);
+        var j;
+        for (j = 0; j < numElements; j++) {
+            floats[j] = Math.max(array[j] / divisor, -1);
+        }
+        array = floats;
+    }
+
+    return {array: array, itemSize: itemSize};
+};
+SKARF.GltfModelLoader.prototype.__getMaterial = function (context, materialIndex, hasVertexColors) {
+
+    var key = materialIndex + (hasVertexColors ? '_vertexColors' : '');
+    if (context.materials.hasOwnProperty(key)) {
+        return context.materials[key];
+    }
+
+    var materialDef = (typeof materialIndex === 'undefined') ? {} : context.gltf.materials[materialIndex];
+    var pbr = materialDef.pbrMetallicRoughness || {};
+    var baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+    var roughness = (typeof pbr.roughnessFactor === 'undefined') ? 1 : pbr.roughnessFactor;
+    var metallic = (typeof pbr.metallicFactor === 'undefined') ? 1 : pbr.metallicFactor;
+    var emissive = materialDef.emissiveFactor || [0, 0, 0];
+    var alphaMode = materialDef.alphaMode || 'OPAQUE';
+
+    //approximate the metallic-roughness model with Phong shading: smoother surfaces get smaller and brighter highlights
+    var specular = 0.1 + 0.4 * metallic * (1 - roughness);
+    var material = new THREE.MeshPhongMaterial({
+        color: new THREE.Color().setRGB(baseColor[0], baseColor[1], baseColor[2]),
+        emissive: new THREE.Color().setRGB(emissive[0], emissive[1], emissive[2]),
+        specular: new THREE.Color().setRGB(specular, specular, specular),
+        shininess: 2 + 98 * (1 - roughness),
+        opacity: (alphaMode === 'BLEND') ? baseColor[3] : 1,
+        transparent: alphaMode === 'BLEND',
+        alphaTest: (alphaMode === 'MASK') ? ((typeof materialDef.alphaCutoff === 'undefined') ? 0.5 : materialDef.alphaCutoff) : 0,
+        side: materialDef.doubleSided ? THREE.DoubleSide : THREE.FrontSide,
+        vertexColors: hasVertexColors ? THREE.VertexColors : THREE.NoColors,
+        wireframe: context.isWireframeVisible
+    });
+    material.name = materialDef.name || '';
+    if (pbr.baseColorTexture) {
+        material.map = this.__getTexture(context, pbr.baseColorTexture.index);
+    }
+
+    context.materials[key] = material;
+    return material;
+};
+SKARF.GltfModelLoader.prototype.__getTexture = function (context, textureIndex) {
+
+    if (context.textures[textureIndex]) {
+        return context.textures[textureIndex];
+    }
+
+    var gltf = context.gltf;
+    var textureDef = gltf.textures[textureIndex];
+    var image = gltf.images[textureDef.source];
+    var url;
+    if (typeof image.bufferView !== 'undefined') {
+        //image embedded in a buffer, e.g. in a binary glTF file
+        var bufferView = gltf.bufferViews[image.bufferView];
+        var bytes = new Uint8Array(context.buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+        url = URL.createObjectURL(new Blob([bytes], {type: image.mimeType}));
+    } else {
+        url = this.__resolveUri(image.uri, context.urlBase);
+    }
+
+    //the texture is updated once the image has loaded
+    var texture = THREE.ImageUtils.loadTexture(url);
+    var sampler = (typeof textureDef.sampler !== 'undefined') ? gltf.samplers[textureDef.sampler] : {};
+    texture.wrapS = this.__wrapModes[sampler.wrapS] || THREE.RepeatWrapping;
+    texture.wrapT = this.__wrapModes[sampler.wrapT] || THREE.RepeatWrapping;
+
+    context.textures[textureIndex] = texture;
+    return texture;
+};
+
+/**
+ * Model loader which contains binary glTF 2.0 models (.glb), with the buffers and images either in the BIN chunk or in separate files.
+ * See {@linkcode SKARF.GltfModelLoader GltfModelLoader} for what is supported.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.GltfModelLoader}
+ */
+SKARF.GlbModelLoader = function () {
+    SKARF.ModelLoader.call(this);
+    console.log('Created a SKARF.GlbModelLoader');
+};
+//inherit from SKARF.GltfModelLoader
+SKARF.GlbModelLoader.prototype = Object.create(SKARF.GltfModelLoader.prototype);
+SKARF.GlbModelLoader.prototype.constructor = SKARF.GlbModelLoader;
+//register with factory
+SKARF.ModelLoaderFactory.register('glb', SKARF.GlbModelLoader);
 //override methods
+SKARF.GlbModelLoader.prototype.__loadGltf = function (url, onLoad, onError) {
+    var that = this;
+    this.__loadArrayBuffer(url, function (arrayBuffer) {
+        var result;
+        try {
+            result = that.__parseGlb(arrayBuffer);
+        } catch (error) {
+            onError(new Error('error parsing ' + url + ': ' + error.message));
+            return;
+        }
+        onLoad(result.gltf, result.binChunk);
+    }, onError);
+};
+SKARF.GlbModelLoader.prototype.__parseGlb = function (arrayBuffer) {
+
+    //12-byte header: magic "glTF", version and total length
+    var dataView = new DataView(arrayBuffer);
+    if (arrayBuffer.byteLength < 12 || dataView.getUint32(0, true) !== 0x46546C67) {
+        throw new Error('not a binary glTF file');
+    }
+    if (dataView.getUint32(4, true) !== 2) {
+        throw new Error('only binary glTF version 2 is supported');
+    }
+
+    //followed by chunks, each with their length and type: a JSON chunk first, then an optional BIN chunk
+    var gltf = null;
+    var binChunk = null;
+    var offset = 12;
+    var chunkLength, chunkType;
+    while (offset + 8 <= arrayBuffer.byteLength) {
+        chunkLength = dataView.getUint32(offset, true);
+        chunkType = dataView.getUint32(offset + 4, true);
+        offset += 8;
+        if (chunkType === 0x4E4F534A) {
+            gltf = JSON.parse(this.__decodeUtf8(new Uint8Array(arrayBuffer, offset, chunkLength)));
+        } else if (chunkType === 0x004E4942) {
+            binChunk = arrayBuffer.slice(offset, offset + chunkLength);
+        }
+        offset += chunkLength;
+    }
+    if (!gltf) {
+        throw new Error('JSON chunk not found');
+    }
+    return {gltf: gltf, binChunk: binChunk};
+};
+SKARF.GlbModelLoader.prototype.__decodeUtf8 = function (bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+    //convert in blocks, since apply() has a limit on the number of arguments
+    var str = '';
+    var i, len;
+    for (i = 0, len = bytes.length; i < len; i += 8192) {
+        str += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, len)));
+    }
+    return decodeURIComponent(escape(str));
+};
+
+/**
+ * Levels of detail of a model on a marker transform, created by {@linkcode SKARF.MarkerManager MarkerManager} for models with <tt>lod</tt> levels.<br/>
+ * Each level is a set of meshes which are parented directly to the marker transform, and only the meshes of the selected level are visible.
+ * @constructor
+ */
+SKARF.ModelLod = function () {
+    this.__levels = [];
+    this.__currentLevel = -1;
+};
+/**
+ * Adds a level
+ * @param {THREE.Mesh[]} meshes Meshes of the level
+ * @param {number} distance Distance from the camera at which this level starts to be used
+ */
+SKARF.ModelLod.prototype.addLevel = function (meshes, distance) {
+    var i, len;
+    for (i = 0, len = this.__levels.length; i < len; i++) {
+        if (distance < this.__levels[i].distance) {
+            break;
+        }
+    }
+    this.__levels.splice(i, 0, {meshes: meshes, distance: distance});
+    this.__currentLevel = -1;
+};
+/**
+ * Returns the levels, sorted by increasing distance
+ * @returns {object[]} Levels, each with <tt>meshes</tt> and <tt>distance</tt>
+ */
+SKARF.ModelLod.prototype.getLevels = function () {
+    return this.__levels;
+};
+/**
+ * Returns the index of the selected level
+ * @returns {number} Index of the selected level, or -1 if no level has been selected yet
+ */
+SKARF.ModelLod.prototype.getCurrentLevel = function () {
+    return this.__currentLevel;
+};
+/**
+ * Selects the level to use for a distance from the camera, and shows only the meshes of that level
+ * @param {number} distance Distance from the camera
+ * @returns {number} Index of the selected level
+ */
+SKARF.ModelLod.prototype.selectLevel = function (distance) {
+    var level = 0;
+    var i, len, j, lenj;
+    for (i = 1, len = this.__levels.length; i < len; i++) {
+        if (distance >= this.__levels[i].distance) {
+            level = i;
+        } else {
+            break;
+        }
+    }
+    for (i = 0, len = this.__levels.length; i < len; i++) {
+        for (j = 0, lenj = this.__levels[i].meshes.length; j < lenj; j++) {
+            this.__levels[i].meshes[j].visible = (i === level);
+        }
+    }
+    this.__currentLevel = level;
+    return level;
+};
+
+//===================================
+// MARKER MANAGER
+//===================================
+
+/**
+ * Manager to manage markers, both for models and GuiMarkers.<br/>
+ * The markers JSON file is loaded asynchronously. Use {@linkcode SKARF.MarkerManager#ready ready()} to find out when it has been loaded.
+ * Calls to {@linkcode SKARF.MarkerManager#loadForMarker loadForMarker()} before then are deferred until the file has been loaded.
+ *
+ * <p>
+ * Available callback types for {@linkcode SKARF.MarkerManager#addCallback addCallback()}:<br/>
+ * <ul>
+ *   <li><strong>modelLoadStarted:</strong> invoked when a model starts loading for a marker</li>
+ *   <li><strong>modelLoaded:</strong> invoked when a model has been loaded and parented to its marker transform</li>
+ *   <li><strong>modelLoadFailed:</strong> invoked when a model could not be loaded</li>
+ *     <ul>
+ *       <li>params.markerId: ID of the marker</li>
+ *       <li>params.model: data containing the model info (from JSON file)</li>
+ *       <li>params.markerTransform: transform that the model is parented to</li>
+ *       <li>params.object: loaded object (modelLoaded only, null for empty models)</li>
+ *       <li>params.collisionProxy: collision proxy of the model, or null if it has none (modelLoaded only, see {@linkcode SKARF.MarkerManager#getCollisionProxy getCollisionProxy()})</li>
+ *       <li>params.error: Error describing the failure (modelLoadFailed only)</li>
+ *       <li>params.numLoading: number of models that are still loading</li>
+ *     </ul>
+ *   <li><strong>markerChanged:</strong> invoked when the definition of a marker has been registered, updated or removed at runtime</li>
+ *     <ul>
+ *       <li>params.markerId: ID of the marker</li>
+ *       <li>params.model: new model definition, or null if the marker is not a model (anymore)</li>
+ *       <li>params.guiMarker: new GuiMarker definition, or null if the marker is not a GuiMarker (anymore)</li>
+ *     </ul>
+ * </ul>
+ * </p>
+ *
+ * <p>
+ * If the model cache is turned on with <tt>modelCache: true</tt>, models are cached by URL and by the fields that are baked into their geometry (see {@linkcode SKARF.MarkerManager.modelCacheKeyFields modelCacheKeyFields}),
+ * so each model is only fetched and parsed once. Every marker transform that loads it gets its own meshes, which share the geometry and materials of the cached model,
+ * so changing a material changes it for all of them. Clone the material of a mesh before changing it on its own, e.g. to highlight it. Call {@linkcode SKARF.MarkerManager#releaseModel releaseModel()} once a marker transform no longer needs its model.
+ * The cached model is disposed once it has been released by all of them. Models with <tt>"cache": false</tt> in the JSON file are loaded afresh each time, as are all models if the cache is off, which is the default.
+ * </p>
+ *
+ * <p>
+ * Marker definitions can be registered, updated and removed at runtime with {@linkcode SKARF.MarkerManager#setModel setModel()}, {@linkcode SKARF.MarkerManager#setGuiMarker setGuiMarker()}
+ * and {@linkcode SKARF.MarkerManager#removeMarker removeMarker()}, or by changing the markers JSON file and calling {@linkcode SKARF.MarkerManager#reload reload()} (or {@linkcode SKARF.MarkerManager#watch watch()} during development).
+ * Marker transforms which have already been loaded for a changed marker reload their model or rebuild their GuiMarker.
+ * </p>
+ * @constructor
+ * @param {string} markersJsonFile Path to a JSON file that specifies markers and models to load
+ * @param {object} [options] Options
+ * @param {boolean} [options.legacyGlobalCallbacks=false] Whether GuiMarkers should also call global callback functions named in the format <em>myKey_myCallbackType</em>
+ * @param {boolean} [options.modelCache=false] Whether to share the geometry and materials of models that are loaded more than once. Changing a material of a cached model changes it for every marker transform that uses the model.
+ */
+SKARF.MarkerManager = function (markersJsonFile, options) {
+    this.__markersJsonFile = markersJsonFile;
+
+    options = options || {};
+    this.__legacyGlobalCallbacks = (typeof options.legacyGlobalCallbacks === 'undefined') ? false : options.legacyGlobalCallbacks;
+
+    this.__markerData = null;
+    this.__modelLoaders = {};
+
+    this.__materials = [];
+
+    //cached models by key, each with the marker transforms waiting for it to load and the instances that have been handed out
+    this.__isModelCacheEnabled = (typeof options.modelCache === 'undefined') ? false : options.modelCache;
+    this.__modelCache = {};
+
+    //handlers for models that are loaded onto internal transforms, e.g. for the model cache or for LOD levels
+    this.__loadHandlers = [];
+
+    //models with LOD levels or collision proxies, each loaded in parts onto holder transforms
+    this.__modelSets = [];
+
+    //GuiMarker listeners subscribed by key, and the GuiMarkers created so far, by key
+    this.__guiMarkerListeners = {};
+    this.__guiMarkers = {};
+
+    //marker transforms loaded so far and not released yet, so that they can be reloaded when the definitions of their markers change
+    this.__markerInstances = [];
+    this.__isWireframeVisible = false;
+
+    //pending reload and timer of watch()
+    this.__reloadPromise = null;
+    this.__watchTimerId = null;
+
+    this.__callbacks = {};
+    var i, len;
+    for (i = 0, len = SKARF.MarkerManager.callbackTypes.length; i < len; i++) {
+        this.__callbacks[SKARF.MarkerManager.callbackTypes[i]] = [];
+    }
+    this.__numModelsLoading = 0;
+
+    this.__readyPromise = this.__load();
+
+    //ready() still rejects, but a standalone MarkerManager whose ready() is never called should not cause an unhandled rejection
+    this.__readyPromise.then(null, function () {
+        //error has already been reported when loading
+    });
+};
+/**
+ * Callback types that can be added using {@linkcode SKARF.MarkerManager#addCallback addCallback()}
+ * @type {string[]}
+ */
+SKARF.MarkerManager.callbackTypes = ['modelLoadStarted', 'modelLoaded', 'modelLoadFailed', 'markerChanged'];
+/**
+ * Fields of a model (from JSON file) that make up its key in the model cache. Models which only differ in other fields, e.g. their name, share the same cached model.<br/>
+ * The physics fields are included since they are stored with the geometry.
+ * @type {string[]}
+ */
+SKARF.MarkerManager.modelCacheKeyFields = ['type', 'url', 'translate', 'rotate', 'rotationOrder', 'scale', 'mass', 'friction', 'restitution', 'linearDamping', 'angularDamping'];
+SKARF.MarkerManager.prototype.__load = function () {
+    console.log('Loading markers json file: ' + this.__markersJsonFile);
+
+    var that = this;
+    return this.__fetch(false).then(function (data) {
+        that.__markerData = data;
+        console.log('Loaded ' + that.__markersJsonFile);
+        console.log('Main marker id: ' + that.__markerData.mainMarkerId);
+
+        //report all problems in the file now, rather than when each marker is first seen
+        that.__reportProblems(data);
+
+        return data;
+    }, function (error) {
+        console.error(error.message);
+        throw error;
+    });
+};
+SKARF.MarkerManager.prototype.__fetch = function (bypassCache) {
+
+    //load the JSON file
+    var that = this;
+    return new Promise(function (resolve, reject) {
+        $.ajax({
+            url: that.__markersJsonFile,
+            dataType: 'JSON',
+            cache: !bypassCache
+        }).done(function (data) {
+            resolve(data);
+        }).fail(function (xhr, textStatus, error) {
+            reject(new Error('error loading ' + that.__markersJsonFile + ': ' + (error || textStatus)));
+        });
+    });
+};
+SKARF.MarkerManager.prototype.__reportProblems = function (data) {
+    var problems = SKARF.MarkerDataValidator.format(SKARF.MarkerDataValidator.validate(data, {requireMainMarkerId: false}));
+    var i, len;
+    for (i = 0, len = problems.length; i < len; i++) {
+        console.error(this.__markersJsonFile + ': ' + problems[i]);
+    }
+};
+/**
+ * Returns a promise which resolves with the marker data once the markers JSON file has been loaded, or rejects if it could not be loaded
+ * @returns {Promise} Promise
+ */
+SKARF.MarkerManager.prototype.ready = function () {
+    return this.__readyPromise;
+};
+/**
+ * Returns true if the markers JSON file has been loaded
+ * @returns {boolean} True if the markers JSON file has been loaded
+ */
+SKARF.MarkerManager.prototype.isReady = function () {
+    return this.__markerData !== null;
+};
+/**
+ * Returns the number of models that are still loading
+ * @returns {number} Number of models that are still loading
+ */
+SKARF.MarkerManager.prototype.getNumModelsLoading = function () {
+    return this.__numModelsLoading;
+};
+/**
+ * Adds a callback function that will be called during specific events
+ * @param {string} type Type of callback: 'modelLoadStarted', 'modelLoaded', 'modelLoadFailed', 'markerChanged'
+ * @param {function} callbackFn Callback function to call
+ */
+SKARF.MarkerManager.prototype.addCallback = function (type, callbackFn) {
+    if (!this.__callbacks.hasOwnProperty(type)) {
+        throw new Error('Callback type not recognised by SKARF.MarkerManager: ' + type);
+    }
+    if (callbackFn) {
+        if (typeof callbackFn === 'function') {
+            this.__callbacks[type].push(callbackFn);
+        } else {
+            throw new Error('Specified callbackFn is not a function');
+        }
+    } else {
+        throw new Error('Callback function not defined');
+    }
+};
+SKARF.MarkerManager.prototype.__invokeCallbacks = function (type, params) {
+    var callbacks = this.__callbacks[type];
+    var i, len;
+    for (i = 0, len = callbacks.length; i < len; i++) {
+        callbacks[i](params);
+    }
+};
+SKARF.MarkerManager.prototype.__modelLoadStarted = function (markerId, model, markerTransform) {
+    this.__numModelsLoading++;
+    this.__invokeCallbacks('modelLoadStarted', {markerId: markerId, model: model, markerTransform: markerTransform, numLoading: this.__numModelsLoading});
+};
+SKARF.MarkerManager.prototype.__modelLoaded = function (markerId, model, markerTransform, object) {
+    var handler = this.__takeLoadHandler(markerTransform);
+    if (handler) {
+        handler.onLoad(object);
+        return;
+    }
+    if (this.__isStaleModel(markerTransform, model)) {
+        //the definition of the marker has changed while this model was loading
+        this.__disposeMeshes(this.__removeModelMeshes(markerTransform, model));
+        this.__modelLoadEnded(markerId, model, markerTransform, new Error('model definition changed before it had loaded'));
+        return;
+    }
+    this.__numModelsLoading--;
+    this.__invokeCallbacks('modelLoaded', {markerId: markerId, model: model, markerTransform: markerTransform, object: object, collisionProxy: markerTransform.collisionProxy || null, numLoading: this.__numModelsLoading});
+};
+SKARF.MarkerManager.prototype.__modelLoadFailed = function (markerId, model, markerTransform, error) {
+    console.error('Unable to load model for marker id ' + markerId + ': ' + error.message);
+    this.__modelLoadEnded(markerId, model, markerTransform, error);
+};
+SKARF.MarkerManager.prototype.__modelLoadEnded = function (markerId, model, markerTransform, error) {
+    //same as __modelLoadFailed(), without reporting the error, e.g. since it has been reported already or since the model has been released
+    var handler = this.__takeLoadHandler(markerTransform);
+    if (handler) {
+        handler.onError(error);
+        return;
+    }
+    this.__numModelsLoading--;
+    this.__invokeCallbacks('modelLoadFailed', {markerId: markerId, model: model, markerTransform: markerTransform, error: error, numLoading: this.__numModelsLoading});
+};
+SKARF.MarkerManager.prototype.__addLoadHandler = function (target, onLoad, onError) {
+    this.__loadHandlers.push({target: target, onLoad: onLoad, onError: onError});
+};
+SKARF.MarkerManager.prototype.__takeLoadHandler = function (target) {
+    var i, len, handler;
+    for (i = 0, len = this.__loadHandlers.length; i < len; i++) {
+        if (this.__loadHandlers[i].target === target) {
+            handler = this.__loadHandlers[i];
+            this.__loadHandlers.splice(i, 1);
+            return handler;
+        }
+    }
+    return null;
+};
+/**
+ * Loads model for marker. If the markers JSON file has not been loaded yet, loading is deferred until it has.
+ * @param  {number}  markerId ID of marker to load
+ * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
+ * @param  {number}  markerSize Size of marker
+ * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ */
+SKARF.MarkerManager.prototype.loadForMarker = function (markerId, markerTransform, markerSize, isWireframeVisible) {
+
+    //defer until the markers JSON file has been loaded
+    if (!this.isReady()) {
+        var that = this;
+        this.__readyPromise.then(function () {
+            that.loadForMarker(markerId, markerTransform, markerSize, isWireframeVisible);
+        }, function () {
+            //error has already been reported when loading
+        });
+        return;
+    }
+
+    markerSize = markerSize || 1.0;
+    this.__isWireframeVisible = !!isWireframeVisible;
+
+    //remember the transform, even if its marker has no definition yet, so that it can be reloaded when the definition changes
+    var instance = this.__findMarkerInstance(markerTransform);
+    if (instance) {
+        instance.markerId = markerId;
+        instance.markerSize = markerSize;
+    } else {
+        instance = {markerId: markerId, markerTransform: markerTransform, markerSize: markerSize, model: null};
+        this.__markerInstances.push(instance);
+    }
+
+    this.__loadMarkerInstance(instance, isWireframeVisible);
+};
+SKARF.MarkerManager.prototype.__loadMarkerInstance = function (instance, isWireframeVisible) {
+
+    var markerId = instance.markerId;
+    var markerTransform = instance.markerTransform;
+    var markerSize = instance.markerSize;
+
+    //two types of markers to load:
+
+    if (this.__markerData.models && this.__markerData.models[markerId]) {
+        //1) models
+        var model = this.__markerData.models[markerId];
+        if (model) {
+            instance.model = model;
+            this.__modelLoadStarted(markerId, model, markerTransform);
+            if (model.lod || model.collision) {
+                this.__loadModelSet(markerId, model, markerTransform, markerSize, isWireframeVisible);
+            } else {
+                this.__loadModel(markerId, model, markerTransform, markerSize, isWireframeVisible);
+            }
+        }
+    } else if (this.__markerData.guiMarkers && this.__markerData.guiMarkers[markerId]) {
+        //2) GUI markers
+        var guiMarker = this.__markerData.guiMarkers[markerId];
+        if (guiMarker) {
+            var type = guiMarker.type;
+            guiMarker = SKARF.GuiMarkerFactory.create(type, {
+                name: guiMarker.name,
+                key: guiMarker.key,
+                markerId: markerId,
+                markerTransform: markerTransform,
+                markerSize: markerSize,
+                params: guiMarker.params,
+                legacyGlobalCallbacks: this.__legacyGlobalCallbacks
+            });
+            this.__attachGuiMarkerListeners(guiMarker);
+            markerTransform.guiMarker = guiMarker;
+        }
+    } else if (!this.__isPairMarker(markerId)) {
+        console.warn('Unable to find data for marker id ' + markerId);
+    }
+
+};
+SKARF.MarkerManager.prototype.__unloadMarkerInstance = function (instance) {
+    var markerTransform = instance.markerTransform;
+    if (instance.model) {
+        this.__releaseModel(markerTransform);
+
+        //__releaseModel() leaves the meshes of models that are not cached
+        this.__disposeMeshes(this.__removeModelMeshes(markerTransform, instance.model));
+        instance.model = null;
+    }
+    if (markerTransform.guiMarker) {
+        this.__detachGuiMarker(markerTransform.guiMarker);
+        markerTransform.guiMarker.dispose();
+        delete markerTransform.guiMarker;
+    }
+};
+SKARF.MarkerManager.prototype.__findMarkerInstance = function (markerTransform) {
+    var i, len;
+    for (i = 0, len = this.__markerInstances.length; i < len; i++) {
+        if (this.__markerInstances[i].markerTransform === markerTransform) {
+            return this.__markerInstances[i];
+        }
+    }
+    return null;
+};
+SKARF.MarkerManager.prototype.__isStaleModel = function (markerTransform, model) {
+    var instance = this.__findMarkerInstance(markerTransform);
+    return instance !== null && instance.model !== model;
+};
+SKARF.MarkerManager.prototype.__removeModelMeshes = function (markerTransform, model) {
+    //loaders store the model data into the geometry of the meshes that they parent to the marker transform
+    var meshes = markerTransform.children.filter(function (child) {
+        return child instanceof THREE.Mesh && child.geometry.__jsonData === model;
+    });
+    meshes.forEach(function (mesh) {
+        markerTransform.remove(mesh);
+    });
+    return meshes;
+};
+SKARF.MarkerManager.prototype.__loadModel = function (markerId, model, markerTransform, markerSize, isWireframeVisible) {
+    if (this.__isModelCacheEnabled && model.cache !== false && model.type !== 'empty') {
+        this.__loadCachedModel(markerId, model, markerTransform, markerSize, isWireframeVisible);
+    } else {
+        this.__getModelLoader(model.type).loadForMarker(model, markerId, markerTransform, markerSize, isWireframeVisible, this);
+    }
+};
+SKARF.MarkerManager.prototype.__getModelLoader = function (type) {
+    if (!this.__modelLoaders.hasOwnProperty(type)) {
+        //create a loader using SKARF.ModelLoaderFactory
+        this.__modelLoaders[type] = SKARF.ModelLoaderFactory.create(type);
+    }
+    return this.__modelLoaders[type];
+};
+SKARF.MarkerManager.prototype.__getModelCacheKey = function (model, markerSize) {
+    var fields = SKARF.MarkerManager.modelCacheKeyFields;
+    var values = [markerSize];
+    var i, len;
+    for (i = 0, len = fields.length; i < len; i++) {
+        values.push(typeof model[fields[i]] === 'undefined' ? null : model[fields[i]]);
+    }
+    return JSON.stringify(values);
+};
+SKARF.MarkerManager.prototype.__loadCachedModel = function (markerId, model, markerTransform, markerSize, isWireframeVisible) {
+    var request = {markerId: markerId, model: model, markerTransform: markerTransform};
+    var key = this.__getModelCacheKey(model, markerSize);
+    var entry = this.__modelCache[key];
+    if (entry) {
+        if (entry.loaded) {
+            this.__instantiateCachedModel(entry, request);
+        } else {
+            entry.requests.push(request);
+        }
+        return;
+    }
+
+    //load the model once onto a template transform, which is never added to the scene
+    entry = {
+        key: key,
+        model: model,
+        template: new THREE.Object3D(),
+        object: null,
+        loaded: false,
+        requests: [request],
+        instances: []
+    };
+    this.__modelCache[key] = entry;
+    var that = this;
+    this.__addLoadHandler(entry.template, function (object) {
+        that.__cachedModelLoaded(entry, object);
+    }, function (error) {
+        that.__cachedModelLoadFailed(entry, error);
+    });
+    this.__getModelLoader(model.type).loadForMarker(model, markerId, entry.template, markerSize, isWireframeVisible, this);
+};
+SKARF.MarkerManager.prototype.__cachedModelLoaded = function (entry, object) {
+    entry.loaded = true;
+    entry.object = object;
+
+    //the marker transforms may all have been released while loading
+    if (entry.requests.length === 0) {
+        this.__disposeCachedModel(entry);
+        return;
+    }
+
+    var requests = entry.requests;
+    entry.requests = [];
+    var i, len;
+    for (i = 0, len = requests.length; i < len; i++) {
+        this.__instantiateCachedModel(entry, requests[i]);
+    }
+};
+SKARF.MarkerManager.prototype.__cachedModelLoadFailed = function (entry, error) {
+
+    //forget the model, so that it is loaded again the next time
+    delete this.__modelCache[entry.key];
+
+    var requests = entry.requests;
+    entry.requests = [];
+    var i, len;
+    for (i = 0, len = requests.length; i < len; i++) {
+        this.__modelLoadEnded(requests[i].markerId, requests[i].model, requests[i].markerTransform, error);
+    }
+};
+SKARF.MarkerManager.prototype.__instantiateCachedModel = function (entry, request) {
+
+    //new meshes which share the geometry and materials of the cached model
+    var meshes = [];
+    var children = entry.template.children;
+    var i, len, mesh;
+    for (i = 0, len = children.length; i < len; i++) {
+        mesh = new THREE.Mesh(children[i].geometry, children[i].material);
+        mesh.name = children[i].name;
+        mesh.castShadow = children[i].castShadow;
+        mesh.receiveShadow = children[i].receiveShadow;
+        request.markerTransform.add(mesh);
+        meshes.push(mesh);
+    }
+    entry.instances.push({markerTransform: request.markerTransform, meshes: meshes});
+
+    this.__modelLoaded(request.markerId, request.model, request.markerTransform, entry.object);
+};
+SKARF.MarkerManager.prototype.__disposeCachedModel = function (entry) {
+    delete this.__modelCache[entry.key];
+    this.__disposeMeshes(entry.template.children);
+};
+SKARF.MarkerManager.prototype.__disposeMeshes = function (meshes) {
+    var disposed = [];
+    var dispose = function (resource) {
+        if (resource && disposed.indexOf(resource) === -1) {
+            disposed.push(resource);
+            resource.dispose();
+        }
+    };
+    var i, j, len, lenj, materials, index;
+    for (i = 0, len = meshes.length; i < len; i++) {
+        dispose(meshes[i].geometry);
+
+        //the materials were stored for toggling wireframe mode, so forget them
+        index = this.__materials.indexOf(meshes[i].material);
+        if (index !== -1) {
+            this.__materials.splice(index, 1);
+        }
+        materials = (meshes[i].material instanceof THREE.MeshFaceMaterial) ? meshes[i].material.materials : [meshes[i].material];
+        for (j = 0, lenj = materials.length; j < lenj; j++) {
+            dispose(materials[j].map);
+            dispose(materials[j]);
+        }
+    }
+};
+/**
+ * Removes the cached model which has been loaded onto a marker transform, and disposes the geometry, materials and textures of the model
+ * once no marker transforms use it anymore. If the model is still loading, the marker transform no longer waits for it.<br/>
+ * Keep the marker transform until anything else which uses the geometry or materials of its meshes, e.g. a physics mesh, has been removed as well.<br/>
+ * Models with LOD levels or a collision proxy are always released, including their meshes, LOD levels and collision proxy.<br/>
+ * The marker transform is forgotten, so it is no longer reloaded when the definition of its marker changes.
+ * @param {THREE.Object3D} markerTransform Transform that the model has been loaded onto
+ * @returns {boolean} True if a model was released, false if the marker transform had none, e.g. since its model is not cached
+ */
+SKARF.MarkerManager.prototype.releaseModel = function (markerTransform) {
+    var instance = this.__findMarkerInstance(markerTransform);
+    if (instance) {
+        this.__markerInstances.splice(this.__markerInstances.indexOf(instance), 1);
+    }
+    return this.__releaseModel(markerTransform);
+};
+SKARF.MarkerManager.prototype.__releaseModel = function (markerTransform) {
+    var released = this.__releaseModelSet(markerTransform);
+    var endedRequests = [];
+    var key, entry, i, j, len, lenj, mesh;
+    for (key in this.__modelCache) {
+        if (!this.__modelCache.hasOwnProperty(key)) {
+            continue;
+        }
+        entry = this.__modelCache[key];
+
+        for (i = entry.requests.length - 1; i >= 0; i--) {
+            if (entry.requests[i].markerTransform === markerTransform) {
+                endedRequests.push(entry.requests.splice(i, 1)[0]);
+                released = true;
+            }
+        }
+        for (i = entry.instances.length - 1; i >= 0; i--) {
+            if (entry.instances[i].markerTransform === markerTransform) {
+                //the meshes of LOD levels have been moved from their holder transform onto the marker transform
+                for (j = 0, lenj = entry.instances[i].meshes.length; j < lenj; j++) {
+                    mesh = entry.instances[i].meshes[j];
+                    if (mesh.parent) {
+                        mesh.parent.remove(mesh);
+                    }
+                }
+                entry.instances.splice(i, 1);
+                released = true;
+            }
+        }
+
+        if (entry.loaded && entry.instances.length === 0 && entry.requests.length === 0) {
+            this.__disposeCachedModel(entry);
+        }
+    }
+
+    //every load that has started still ends with either modelLoaded or modelLoadFailed.
+    //end them once the cache is up to date, since ending a part of a model with LOD levels may release its other parts.
+    for (i = 0, len = endedRequests.length; i < len; i++) {
+        this.__modelLoadEnded(endedRequests[i].markerId, endedRequests[i].model, markerTransform, new Error('model released before it had loaded'));
+    }
+    return released;
+};
+/**
+ * Returns information about the models in the model cache, e.g. to check that models are released
+ * @returns {object[]} Information for each cached model, with its <tt>url</tt>, whether it has <tt>loaded</tt> and <tt>refCount</tt>, the number of marker transforms that use it or are waiting for it
+ */
+SKARF.MarkerManager.prototype.getModelCacheInfo = function () {
+    var info = [];
+    var key, entry;
+    for (key in this.__modelCache) {
+        if (this.__modelCache.hasOwnProperty(key)) {
+            entry = this.__modelCache[key];
+            info.push({url: entry.model.url, loaded: entry.loaded, refCount: entry.instances.length + entry.requests.length});
+        }
+    }
+    return info;
+};
+SKARF.MarkerManager.prototype.__loadModelSet = function (markerId, model, markerTransform, markerSize, isWireframeVisible) {
+
+    //level 0 is the model itself, without the fields that make it a set
+    var baseModel = {};
+    var field;
+    for (field in model) {
+        if (model.hasOwnProperty(field) && field !== 'lod' && field !== 'collision') {
+            baseModel[field] = model[field];
+        }
+    }
+
+    //each part of the set is loaded onto its own holder transform, and the meshes are only moved onto the marker transform once all parts have ended
+    var set = {markerId: markerId, model: model, baseModel: baseModel, markerTransform: markerTransform, markerSize: markerSize, parts: [], numLoading: 0, loaded: false, released: false, meshes: []};
+    set.parts.push({isLevel: true, model: baseModel, distance: 0});
+    var i, len;
+    if (model.lod) {
+        for (i = 0, len = model.lod.length; i < len; i++) {
+            set.parts.push({isLevel: true, model: this.__createModelSetPart(baseModel, model.lod[i].url, model.lod[i].type), distance: model.lod[i].distance});
+        }
+    }
+    if (model.collision && model.collision.type === 'convexHull' && model.collision.url) {
+        set.parts.push({isLevel: false, model: this.__createModelSetPart(baseModel, model.collision.url, model.collision.modelType)});
+    }
+    this.__modelSets.push(set);
+
+    //add all handlers before loading, since some loaders end synchronously
+    var that = this;
+    set.numLoading = set.parts.length;
+    set.parts.forEach(function (part) {
+        part.holder = new THREE.Object3D();
+        part.object = null;
+        part.error = null;
+        that.__addLoadHandler(part.holder, function (object) {
+            part.object = object;
+            that.__modelSetPartEnded(set);
+        }, function (error) {
+            part.error = error;
+            that.__modelSetPartEnded(set);
+        });
+    });
+    set.parts.forEach(function (part) {
+        that.__loadModel(markerId, part.model, part.holder, markerSize, isWireframeVisible);
+    });
+};
+SKARF.MarkerManager.prototype.__createModelSetPart = function (baseModel, url, type) {
+    //same transforms and physics fields as the model itself, with another url
+    var partModel = {};
+    var field;
+    for (field in baseModel) {
+        if (baseModel.hasOwnProperty(field)) {
+            partModel[field] = baseModel[field];
+        }
+    }
+    partModel.url = url;
+    partModel.type = type || baseModel.type;
+    return partModel;
+};
+SKARF.MarkerManager.prototype.__modelSetPartEnded = function (set) {
+    set.numLoading--;
+    if (set.numLoading > 0) {
+        return;
+    }
+
+    //the set has already ended with modelLoadFailed when it was released
+    if (set.released) {
+        this.__releaseModelSetParts(set);
+        return;
+    }
+
+    var level0 = set.parts[0];
+    if (level0.error) {
+        this.__releaseModelSetParts(set);
+        this.__modelSets.splice(this.__modelSets.indexOf(set), 1);
+        this.__modelLoadEnded(set.markerId, set.model, set.markerTransform, level0.error);
+        return;
+    }
+
+    //move the meshes of each level onto the marker transform, level 0 first so that it stays the first child
+    var modelLod = set.model.lod ? new SKARF.ModelLod() : null;
+    var levelMeshes = [];
+    var hullMeshes = null;
+    var i, len, part, meshes;
+    for (i = 0, len = set.parts.length; i < len; i++) {
+        part = set.parts[i];
+        if (part.error) {
+            console.warn('Skipping ' + (part.isLevel ? 'LOD level ' + i : 'collision model') + ' of marker id ' + set.markerId + ' which could not be loaded');
+            continue;
+        }
+        if (!part.isLevel) {
+            hullMeshes = part.holder.children.slice();
+            continue;
+        }
+        meshes = part.holder.children.slice();
+        meshes.forEach(function (mesh) {
+            set.markerTransform.add(mesh);
+        });
+        set.meshes = set.meshes.concat(meshes);
+        levelMeshes.push(meshes);
+        if (modelLod) {
+            modelLod.addLevel(meshes, part.distance);
+        }
+    }
+    if (modelLod) {
+        modelLod.selectLevel(0);
+        set.markerTransform.modelLod = modelLod;
+    }
+    if (set.model.collision) {
+        set.markerTransform.collisionProxy = this.__createCollisionProxy(set.model.collision, set.baseModel, set.markerSize, levelMeshes, hullMeshes);
+    }
+
+    //the collision model is only needed for its vertices
+    for (i = 0, len = set.parts.length; i < len; i++) {
+        if (!set.parts[i].isLevel) {
+            this.__releaseModel(set.parts[i].holder);
+        }
+    }
+
+    set.loaded = true;
+    this.__modelLoaded(set.markerId, set.model, set.markerTransform, level0.object);
+};
+SKARF.MarkerManager.prototype.__releaseModelSetParts = function (set) {
+    var i, len;
+    for (i = 0, len = set.parts.length; i < len; i++) {
+        this.__releaseModel(set.parts[i].holder);
+    }
+};
+SKARF.MarkerManager.prototype.__releaseModelSet = function (markerTransform) {
+    var i, len, set;
+    for (i = 0, len = this.__modelSets.length; i < len; i++) {
+        if (this.__modelSets[i].markerTransform === markerTransform) {
+            set = this.__modelSets[i];
+            this.__modelSets.splice(i, 1);
+            break;
+        }
+    }
+    if (!set) {
+        return false;
+    }
+
+    if (!set.loaded) {
+        //every load that has started still ends with either modelLoaded or modelLoadFailed
+        set.released = true;
+        this.__modelLoadEnded(set.markerId, set.model, markerTransform, new Error('model released before it had loaded'));
+        this.__releaseModelSetParts(set);
+        return true;
+    }
+
+    //meshes of models that are not cached are not released with their holder transforms
+    this.__releaseModelSetParts(set);
+    for (i = 0, len = set.meshes.length; i < len; i++) {
+        if (set.meshes[i].parent) {
+            set.meshes[i].parent.remove(set.meshes[i]);
+        }
+    }
+    if (markerTransform.collisionProxy) {
+        markerTransform.collisionProxy.geometry.dispose();
+    }
+    delete markerTransform.modelLod;
+    delete markerTransform.collisionProxy;
+    return true;
+};
+SKARF.MarkerManager.prototype.__createCollisionProxy = function (collision, model, markerSize, levelMeshes, hullMeshes) {
+
+    //explicit sizes and points are in model units, so they are transformed into marker space like the geometry of the model
+    var matrix = this.__getModelLoader(model.type).getModelMatrix(model, markerSize);
+    var toVector3 = function (array) {
+        return new THREE.Vector3(array[0], array[1], array[2]);
+    };
+    var geometry, center, size, radius, box, i, len;
+
+    switch (collision.type) {
+    case 'box':
+        if (collision.size) {
+            size = toVector3(collision.size);
+            geometry = new THREE.CubeGeometry(size.x, size.y, size.z);
+            center = collision.center ? toVector3(collision.center) : new THREE.Vector3();
+            geometry.applyMatrix(new THREE.Matrix4().makeTranslation(center.x, center.y, center.z));
+            geometry.applyMatrix(matrix);
+        } else {
+            //fit to the bounding box of level 0
+            box = this.__getMeshesBoundingBox(levelMeshes[0]);
+            size = box.size();
+            geometry = new THREE.CubeGeometry(size.x, size.y, size.z);
+            center = box.center();
+            geometry.applyMatrix(new THREE.Matrix4().makeTranslation(center.x, center.y, center.z));
+        }
+        break;
+    case 'sphere':
+        if (collision.radius) {
+            center = (collision.center ? toVector3(collision.center) : new THREE.Vector3()).applyMatrix4(matrix);
+            radius = collision.radius * matrix.getMaxScaleOnAxis();
+        } else {
+            //fit around the center of the bounding box of level 0
+            center = this.__getMeshesBoundingBox(levelMeshes[0]).center();
+            radius = 0;
+            this.__getMeshesVertices(levelMeshes[0]).forEach(function (vertex) {
+                radius = Math.max(radius, vertex.distanceTo(center));
+            });
+        }
+        geometry = new THREE.SphereGeometry(radius, 16, 12);
+        geometry.applyMatrix(new THREE.Matrix4().makeTranslation(center.x, center.y, center.z));
+        break;
+    case 'convexHull':
+        //only the vertices are needed, since the hull is computed by the physics engine
+        geometry = new THREE.Geometry();
+        if (collision.points) {
+            for (i = 0, len = collision.points.length; i < len; i++) {
+                geometry.vertices.push(toVector3(collision.points[i]).applyMatrix4(matrix));
+            }
+        } else {
+            //use the collision model, or else the lowest level of detail
+            geometry.vertices = this.__getMeshesVertices(hullMeshes || levelMeshes[levelMeshes.length - 1]);
+        }
+        break;
+    default:
+        throw new Error('Unknown collision proxy type: ' + collision.type);
+    }
+
+    geometry.computeBoundingBox();
+    if (!center) {
+        center = geometry.boundingBox.center();
+    }
+    if (collision.type === 'box') {
+        size = geometry.boundingBox.size();
+    }
+    return {type: collision.type, geometry: geometry, center: center, size: size || null, radius: radius || null};
+};
+SKARF.MarkerManager.prototype.__getMeshesVertices = function (meshes) {
+    //geometry of loaded meshes is already in marker space
+    var vertices = [];
+    var i, len, j, lenj;
+    for (i = 0, len = meshes.length; i < len; i++) {
+        for (j = 0, lenj = meshes[i].geometry.vertices.length; j < lenj; j++) {
+            vertices.push(meshes[i].geometry.vertices[j].clone());
+        }
+    }
+    return vertices;
+};
+SKARF.MarkerManager.prototype.__getMeshesBoundingBox = function (meshes) {
+    return new THREE.Box3().setFromPoints(this.__getMeshesVertices(meshes));
+};
+/**
+ * Returns the collision proxy of the model which has been loaded onto a marker transform, as declared with <tt>collision</tt> in the markers JSON file.<br/>
+ * Its geometry is in the space of the marker transform, like the geometry of the meshes of the model, so it can be used for physics meshes and water obstacles in place of the meshes.
+ * Note that physics box and sphere meshes are centered on their position, so offset them by the <tt>center</tt> of the proxy.
+ * @param {THREE.Object3D} markerTransform Transform that the model has been loaded onto
+ * @returns {object} Collision proxy with its <tt>type</tt> ('box', 'sphere' or 'convexHull'), <tt>geometry</tt>, <tt>center</tt>, <tt>size</tt> (box only) and <tt>radius</tt> (sphere only), or null if the model has none or has not loaded yet
+ */
+SKARF.MarkerManager.prototype.getCollisionProxy = function (markerTransform) {
+    return markerTransform.collisionProxy || null;
+};
+SKARF.MarkerManager.prototype.__isPairMarker = function (markerId) {
+    //pair markers of pair GUI markers need no data of their own
+    var guiMarkers = this.__markerData.guiMarkers || {};
+    var id;
+    for (id in guiMarkers) {
+        if (guiMarkers.hasOwnProperty(id) && guiMarkers[id] && guiMarkers[id].params && String(guiMarkers[id].params.pairMarkerId) === String(markerId)) {
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Creates the pose filter defined for a marker in the markers JSON file.
+ * The marker's own <tt>poseFilter</tt> is used if it has one, otherwise the top-level <tt>poseFilter</tt> is used.
+ * @param  {number} markerId ID of marker
+ * @returns {SKARF.PoseFilter} Pose filter, or null if no pose filter has been defined or the markers JSON file has not been loaded yet
+ */
+SKARF.MarkerManager.prototype.createPoseFilterForMarker = function (markerId) {
+    if (!this.isReady()) {
+        return null;
+    }
+    var data = this.__markerData;
+    var markerDef = (data.models && data.models[markerId]) || (data.guiMarkers && data.guiMarkers[markerId]);
+    var poseFilterDef = (markerDef && markerDef.poseFilter) || data.poseFilter;
+    if (!poseFilterDef) {
+        return null;
+    }
+    return SKARF.PoseFilterFactory.create(poseFilterDef.type, poseFilterDef.params);
+};
+/**
+ * Returns the grace period defined for a marker in the markers JSON file, during which a marker that is not detected still counts as detected.
+ * The marker's own <tt>gracePeriod</tt> is used if it has one, otherwise the top-level <tt>gracePeriod</tt> is used, e.g.
+ * <blockquote><tt>"gracePeriod": { "frames": 5, "milliseconds": 200, "extrapolate": true }</tt></blockquote>
+ * The marker counts as lost once either <tt>frames</tt> or <tt>milliseconds</tt> has been reached. With <tt>extrapolate</tt>,
+ * its pose is extrapolated from its recent velocity, otherwise its last pose is kept.
+ * @param  {number} markerId ID of marker
+ * @returns {object} Grace period, or null if no grace period has been defined or the markers JSON file has not been loaded yet
+ */
+SKARF.MarkerManager.prototype.getGracePeriodForMarker = function (markerId) {
+    if (!this.isReady()) {
+        return null;
+    }
+    var data = this.__markerData;
+    var markerDef = (data.models && data.models[markerId]) || (data.guiMarkers && data.guiMarkers[markerId]);
+    return (markerDef && markerDef.gracePeriod) || data.gracePeriod || null;
+};
+/**
+ * Returns the physical sizes of the markers which define their own <tt>size</tt> in the markers JSON file, e.g.
+ * <blockquote><tt>"models": { "64": { "type": "empty", "size": 80 } }</tt></blockquote>
+ * Markers without a size use the markerSize given to {@linkcode SKARF.Skarf Skarf}.
+ * @returns {object} Sizes in the same units as markerSize, keyed by marker ID. Empty if the markers JSON file has not been loaded yet.
+ */
+SKARF.MarkerManager.prototype.getMarkerSizes = function () {
+    var sizes = {};
+    if (!this.isReady()) {
+        return sizes;
+    }
+    var sections = [this.__markerData.guiMarkers || {}, this.__markerData.models || {}];  //models win, like in loadForMarker()
+    var i, len, markerId;
+    for (i = 0, len = sections.length; i < len; i++) {
+        for (markerId in sections[i]) {
+            if (sections[i].hasOwnProperty(markerId) && sections[i][markerId] && typeof sections[i][markerId].size === 'number') {
+                sizes[markerId] = sections[i][markerId].size;
+            }
+        }
+    }
+    return sizes;
+};
+/**
+ * Subscribes a listener function to an event of the GUI marker with the given key.
+ * This can be called before the GUI marker has been detected, in which case the listener is attached when the GUI marker is created.
+ * A warning is logged for GUI markers with this key that do not emit the event type.
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} callbackFn Listener function, which will be called with a params object
+ */
+SKARF.MarkerManager.prototype.onGuiMarker = function (key, type, callbackFn) {
+    if (typeof callbackFn !== 'function') {
+        throw new Error('Specified callbackFn is not a function');
+    }
+
+    if (!this.__guiMarkerListeners.hasOwnProperty(key)) {
+        this.__guiMarkerListeners[key] = {};
+    }
+    if (!this.__guiMarkerListeners[key].hasOwnProperty(type)) {
+        this.__guiMarkerListeners[key][type] = [];
+    }
+    this.__guiMarkerListeners[key][type].push(callbackFn);
+
+    //attach to GUI markers that have already been created
+    var guiMarkers = this.__guiMarkers[key] || [];
+    var i, len;
+    for (i = 0, len = guiMarkers.length; i < len; i++) {
+        this.__attachGuiMarkerListener(guiMarkers[i], type, callbackFn);
+    }
+};
+/**
+ * Unsubscribes a listener function from an event of the GUI marker with the given key
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} [callbackFn] Listener function to remove. If not specified, all listeners of this event type are removed.
+ */
+SKARF.MarkerManager.prototype.offGuiMarker = function (key, type, callbackFn) {
+    var listeners = this.__guiMarkerListeners[key] && this.__guiMarkerListeners[key][type];
+    if (listeners) {
+        if (typeof callbackFn === 'undefined') {
+            listeners.length = 0;
+        } else if (listeners.indexOf(callbackFn) !== -1) {
+            listeners.splice(listeners.indexOf(callbackFn), 1);
+        }
+    }
+
+    var guiMarkers = this.__guiMarkers[key] || [];
+    var i, len;
+    for (i = 0, len = guiMarkers.length; i < len; i++) {
+        guiMarkers[i].off(type, callbackFn);
+    }
+};
+SKARF.MarkerManager.prototype.__attachGuiMarkerListeners = function (guiMarker) {
+    var key = guiMarker.getKey();
+
+    if (!this.__guiMarkers.hasOwnProperty(key)) {
+        this.__guiMarkers[key] = [];
+    }
+    this.__guiMarkers[key].push(guiMarker);
+
+    var listeners = this.__guiMarkerListeners[key] || {};
+    var type, i, len;
+    for (type in listeners) {
+        if (listeners.hasOwnProperty(type)) {
+            for (i = 0, len = listeners[type].length; i < len; i++) {
+                this.__attachGuiMarkerListener(guiMarker, type, listeners[type][i]);
+            }
+        }
+    }
+};
+SKARF.MarkerManager.prototype.__attachGuiMarkerListener = function (guiMarker, type, callbackFn) {
+    //listeners stay subscribed by key, since the GUI marker with this key may emit the event type once its definition changes
+    if (guiMarker.getEventTypes().indexOf(type) === -1) {
+        console.warn('GUI marker ' + guiMarker.getKey() + ' does not emit event type: ' + type);
+        return;
+    }
+    guiMarker.on(type, callbackFn);
+};
+
+SKARF.MarkerManager.prototype.__detachGuiMarker = function (guiMarker) {
+    var guiMarkers = this.__guiMarkers[guiMarker.getKey()] || [];
+    var index = guiMarkers.indexOf(guiMarker);
+    if (index !== -1) {
+        guiMarkers.splice(index, 1);
+    }
+};
+/**
+ * Sets the wireframe mode of the materials of all loaded models, and of models that are loaded afterwards
+ * @param {boolean} isVisible Whether to show the models as wireframes
+ */
+SKARF.MarkerManager.prototype.setWireframeVisible = function (isVisible) {
+
+    this.__isWireframeVisible = isVisible;
+
+    var i, j, leni, lenj, m;
+    for (i = 0, leni = this.__materials.length; i < leni; i++) {
+        m = this.__materials[i];
+        if (m instanceof THREE.MeshFaceMaterial) {
+            for (j = 0, lenj = m.materials.length; j < lenj; j++) {
+                m.materials[j].wireframe = isVisible;
+            }
+        } else {
+            m.wireframe = isVisible;
+        }
+    }
+};
+/**
+ * Registers or updates the model definition of a marker, in the same format as the <tt>models</tt> in the markers JSON file.<br/>
+ * This replaces any definition of the marker, including a GuiMarker definition. Marker transforms which have already been loaded for the marker reload their model.
+ * If the markers JSON file has not been loaded yet, the definition is applied once it has.
+ * @param {number} markerId ID of marker
+ * @param {object} model Data containing the model info. It is copied, so later changes to it have no effect.
+ */
+SKARF.MarkerManager.prototype.setModel = function (markerId, model) {
+    var problems = [];
+    SKARF.MarkerDataValidator.__validateModel(String(markerId), model, problems);
+    this.__throwIfInvalid(problems);
+    this.__setMarkerDefinition(String(markerId), 'models', JSON.parse(JSON.stringify(model)));
+};
+/**
+ * Registers or updates the GuiMarker definition of a marker, in the same format as the <tt>guiMarkers</tt> in the markers JSON file.<br/>
+ * This replaces any definition of the marker, including a model definition. Marker transforms which have already been loaded for the marker rebuild their GuiMarker,
+ * and listeners subscribed with {@linkcode SKARF.MarkerManager#onGuiMarker onGuiMarker()} are attached to the new GuiMarker.
+ * If the markers JSON file has not been loaded yet, the definition is applied once it has.
+ * @param {number} markerId ID of marker
+ * @param {object} guiMarker Data containing the GuiMarker info. It is copied, so later changes to it have no effect.
+ */
+SKARF.MarkerManager.prototype.setGuiMarker = function (markerId, guiMarker) {
+    var problems = [];
+    SKARF.MarkerDataValidator.__validateGuiMarker(String(markerId), guiMarker, problems);
+    this.__throwIfInvalid(problems);
+    this.__setMarkerDefinition(String(markerId), 'guiMarkers', JSON.parse(JSON.stringify(guiMarker)));
+};
+/**
+ * Removes the definition of a marker. Marker transforms which have already been loaded for the marker release their model or dispose their GuiMarker.
+ * If the markers JSON file has not been loaded yet, the definition is removed once it has.
+ * @param {number} markerId ID of marker
+ */
+SKARF.MarkerManager.prototype.removeMarker = function (markerId) {
+    this.__setMarkerDefinition(String(markerId), null, null);
+};
+SKARF.MarkerManager.prototype.__throwIfInvalid = function (problems) {
+    if (problems.length > 0) {
+        throw new Error('Invalid marker definition: ' + SKARF.MarkerDataValidator.format(problems).join('; '));
+    }
+};
+SKARF.MarkerManager.prototype.__setMarkerDefinition = function (markerId, section, definition) {
+
+    //defer until the markers JSON file has been loaded, so that the definition is applied on top of it
+    if (!this.isReady()) {
+        var that = this;
+        this.__readyPromise.then(function () {
+            that.__setMarkerDefinition(markerId, section, definition);
+        }, function () {
+            //error has already been reported when loading
+        });
+        return;
+    }
+
+    //a marker is either a model or a GUI marker, so the definition replaces the definition in the other section too
+    var data = this.__markerData;
+    if (data.models) {
+        delete data.models[markerId];
+    }
+    if (data.guiMarkers) {
+        delete data.guiMarkers[markerId];
+    }
+    if (definition) {
+        if (!data[section]) {
+            data[section] = {};
+        }
+        data[section][markerId] = definition;
+    }
+
+    this.__markerChanged(markerId);
+};
+SKARF.MarkerManager.prototype.__markerChanged = function (markerId) {
+
+    //unload everything first, so that a GuiMarker key or model which moves to another marker is not created twice
+    var instances = this.__markerInstances.filter(function (instance) {
+        return String(instance.markerId) === markerId;
+    });
+    var data = this.__markerData;
+    var model = (data.models && data.models[markerId]) || null;
+    var guiMarker = (data.guiMarkers && data.guiMarkers[markerId]) || null;
+    var i, len;
+    for (i = 0, len = instances.length; i < len; i++) {
+        this.__unloadMarkerInstance(instances[i]);
+    }
+    if (model || guiMarker) {
+        for (i = 0, len = instances.length; i < len; i++) {
+            this.__loadMarkerInstance(instances[i], this.__isWireframeVisible);
+        }
+    }
+
+    this.__invokeCallbacks('markerChanged', {markerId: markerId, model: model, guiMarker: guiMarker});
+};
+/**
+ * Loads the markers JSON file again, and applies the marker definitions that have changed, like {@linkcode SKARF.MarkerManager#setModel setModel()} and {@linkcode SKARF.MarkerManager#setGuiMarker setGuiMarker()} would.<br/>
+ * Definitions registered at runtime are replaced by those in the file. Other data in the file, e.g. the <tt>mainMarkerId</tt> and marker sizes, only takes effect when the app is restarted.
+ * Markers whose new definitions are invalid keep their previous definitions, and the problems are logged.
+ * @returns {Promise} Promise which resolves with the IDs of the markers whose definitions have been applied, or rejects if the file could not be loaded
+ */
+SKARF.MarkerManager.prototype.reload = function () {
+
+    //reloads triggered while one is pending share its result
+    if (this.__reloadPromise) {
+        return this.__reloadPromise;
+    }
+
+    var that = this;
+    var clearReloadPromise = function () {
+        that.__reloadPromise = null;
+    };
+    this.__reloadPromise = this.__readyPromise.then(function () {
+        return that.__fetch(true);
+    }).then(function (data) {
+        clearReloadPromise();
+        return that.__applyMarkerData(data);
+    }, function (error) {
+        clearReloadPromise();
+        throw error;
+    });
+    return this.__reloadPromise;
+};
+SKARF.MarkerManager.prototype.__applyMarkerData = function (data) {
+    var previousData = this.__markerData;
+    var getDefinitions = function (markerData, markerId) {
+        return JSON.stringify([(markerData.models || {})[markerId], (markerData.guiMarkers || {})[markerId]]);
+    };
+
+    //compare the definitions of all markers in either version of the file
+    var markerIds = [];
+    var sections = [previousData.models, previousData.guiMarkers, data.models, data.guiMarkers];
+    var i, len, markerId;
+    for (i = 0, len = sections.length; i < len; i++) {
+        for (markerId in sections[i]) {
+            if (sections[i].hasOwnProperty(markerId) && markerIds.indexOf(markerId) === -1) {
+                markerIds.push(markerId);
+            }
+        }
+    }
+    var changedMarkerIds = markerIds.filter(function (markerId) {
+        return getDefinitions(previousData, markerId) !== getDefinitions(data, markerId);
+    });
+
+    //like setModel() and setGuiMarker(), keep the previous definitions of markers whose new definitions are invalid
+    var that = this;
+    var appliedMarkerIds = changedMarkerIds.filter(function (markerId) {
+        var problems = [];
+        if (data.models && typeof data.models[markerId] !== 'undefined') {
+            SKARF.MarkerDataValidator.__validateModel(markerId, data.models[markerId], problems);
+        }
+        if (data.guiMarkers && typeof data.guiMarkers[markerId] !== 'undefined') {
+            SKARF.MarkerDataValidator.__validateGuiMarker(markerId, data.guiMarkers[markerId], problems);
+        }
+        if (problems.length === 0) {
+            return true;
+        }
+        SKARF.MarkerDataValidator.format(problems).forEach(function (problem) {
+            console.error(that.__markersJsonFile + ': ' + problem + ' (keeping the previous definition)');
+        });
+        that.__restoreMarkerDefinition(data, previousData, markerId);
+        return false;
+    });
+
+    this.__markerData = data;
+    for (i = 0, len = appliedMarkerIds.length; i < len; i++) {
+        console.log('Reloading marker id ' + appliedMarkerIds[i] + ' from ' + this.__markersJsonFile);
+
+        //carry on with the other markers if one cannot be reloaded
+        try {
+            this.__markerChanged(appliedMarkerIds[i]);
+        } catch (error) {
+            console.error('Unable to reload marker id ' + appliedMarkerIds[i] + ': ' + error.message);
+        }
+    }
+    return appliedMarkerIds;
+};
+SKARF.MarkerManager.prototype.__restoreMarkerDefinition = function (data, previousData, markerId) {
+    var sections = ['models', 'guiMarkers'];
+    var i, len, section;
+    for (i = 0, len = sections.length; i < len; i++) {
+        section = sections[i];
+        if (data[section]) {
+            delete data[section][markerId];
+        }
+        if (previousData[section] && typeof previousData[section][markerId] !== 'undefined') {
+            if (!data[section]) {
+                data[section] = {};
+            }
+            data[section][markerId] = previousData[section][markerId];
+        }
+    }
+};
+/**
+ * Watches the markers JSON file during development, by calling {@linkcode SKARF.MarkerManager#reload reload()} periodically, so that changes to the file show up without restarting the app.<br/>
+ * To reload only when the file has been saved, e.g. on a message from a development server, call reload() directly instead.
+ * @param {number} [interval=1000] Time between reloads in milliseconds
+ */
+SKARF.MarkerManager.prototype.watch = function (interval) {
+    this.unwatch();
+    var that = this;
+    this.__watchTimerId = setInterval(function () {
+        that.reload().then(null, function (error) {
+            console.error('Unable to reload ' + that.__markersJsonFile + ': ' + error.message);
+        });
+    }, interval || 1000);
+};
+/**
+ * Stops watching the markers JSON file
+ */
+SKARF.MarkerManager.prototype.unwatch = function () {
+    if (this.__watchTimerId !== null) {
+        clearInterval(this.__watchTimerId);
+        this.__watchTimerId = null;
+    }
+};
+
+//===================================
+// MARKER DATA VALIDATOR
+//===================================
+
+/**
+ * Validator for the data in markers JSON files.<br/>
+ * Checks <tt>mainMarkerId</tt>, <tt>models</tt> and <tt>guiMarkers</tt> entries against the types registered with
+ * {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory}, {@linkcode SKARF.GuiMarkerFactory GuiMarkerFactory} and {@linkcode SKARF.PoseFilterFactory PoseFilterFactory}, and reports all problems at once.
+ * @namespace
+ */
+SKARF.MarkerDataValidator = {
+
+    __rotationOrders: ['XYZ', 'YZX', 'ZXY', 'XZY', 'YXZ', 'ZYX'],
+
+    /**
+     * Validates marker data
+     * @param {object} data Marker data (parsed from a markers JSON file)
+     * @param {object} [options] Options
+     * @param {boolean} [options.requireMainMarkerId=true] Whether <tt>mainMarkerId</tt> must be specified. It is not needed if the data is only used with a standalone {@linkcode SKARF.MarkerManager MarkerManager}.
+     * @returns {object[]} Problems found, each with <tt>markerId</tt> (null if not specific to a marker), <tt>path</tt> and <tt>message</tt>. Empty if the data is valid.
+     */
+    validate: function (data, options) {
+
+        options = options || {};
+        var requireMainMarkerId = (typeof options.requireMainMarkerId === 'undefined') ? true : options.requireMainMarkerId;
+
+        var problems = [];
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            problems.push({markerId: null, path: '', message: 'marker data must be an object'});
+            return problems;
+        }
+
+        var sections = ['models', 'guiMarkers'];
+        var i, len, section;
+        for (i = 0, len = sections.length; i < len; i++) {
+            section = sections[i];
+            if (typeof data[section] !== 'undefined' && !this.__isObject(data[section])) {
+                problems.push({markerId: null, path: section, message: section + ' must be an object'});
+            }
+        }
+        var models = this.__isObject(data.models) ? data.models : {};
+        var guiMarkers = this.__isObject(data.guiMarkers) ? data.guiMarkers : {};
+
+        //main marker
+        if (typeof data.mainMarkerId === 'undefined') {
+            if (requireMainMarkerId) {
+                problems.push({markerId: null, path: 'mainMarkerId', message: 'mainMarkerId not specified'});
+            }
+        } else if (!this.__isMarkerId(data.mainMarkerId)) {
+            problems.push({markerId: null, path: 'mainMarkerId', message: 'mainMarkerId must be an integer marker ID: ' + data.mainMarkerId});
+        } else if (!models.hasOwnProperty(data.mainMarkerId)) {
+            problems.push({markerId: String(data.mainMarkerId), path: 'mainMarkerId', message: 'main marker is not defined in models'});
+        }
+
+        //marker board
+        if (typeof data.markerBoard !== 'undefined') {
+            this.__validateMarkerBoard(data.markerBoard, problems);
+        }
+
+        //default pose filter and grace period
+        if (typeof data.poseFilter !== 'undefined') {
+            this.__validatePoseFilter(null, 'poseFilter', data.poseFilter, problems);
+        }
+        if (typeof data.gracePeriod !== 'undefined') {
+            this.__validateGracePeriod(null, 'gracePeriod', data.gracePeriod, problems);
+        }
+
+        //models
+        var markerId;
+        for (markerId in models) {
+            if (models.hasOwnProperty(markerId)) {
+                this.__validateModel(markerId, models[markerId], problems);
+            }
+        }
+
+        //GUI markers
+        for (markerId in guiMarkers) {
+            if (guiMarkers.hasOwnProperty(markerId)) {
+                if (models.hasOwnProperty(markerId)) {
+                    problems.push({markerId: markerId, path: 'guiMarkers.' + markerId, message: 'marker is also defined in models, so this GUI marker will never be created'});
+                }
+                this.__validateGuiMarker(markerId, guiMarkers[markerId], problems);
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * Formats problems returned by {@linkcode SKARF.MarkerDataValidator.validate validate()} into readable lines
+     * @param {object[]} problems Problems returned by validate()
+     * @returns {string[]} One line per problem
+     */
+    format: function (problems) {
+        var lines = [];
+        var i, len, problem;
+        for (i = 0, len = problems.length; i < len; i++) {
+            problem = problems[i];
+            lines.push((problem.markerId !== null ? 'marker ' + problem.markerId + ': ' : '') + (problem.path ? problem.path + ': ' : '') + problem.message);
+        }
+        return lines;
+    },
+
+    __validateModel: function (markerId, model, problems) {
+
+        var path = 'models.' + markerId;
+        if (!this.__isMarkerId(markerId)) {
+            problems.push({markerId: markerId, path: path, message: 'marker ID must be an integer'});
+        }
+        if (!this.__isObject(model)) {
+            problems.push({markerId: markerId, path: path, message: 'model must be an object'});
+            return;
+        }
+
+        //type
+        var loaderClass = null;
+        if (typeof model.type === 'undefined') {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type not specified'});
+        } else if (!SKARF.ModelLoaderFactory.__mappings.hasOwnProperty(model.type)) {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type has not been registered with SKARF.ModelLoaderFactory: ' + model.type});
+        } else {
+            loaderClass = SKARF.ModelLoaderFactory.__mappings[model.type];
+        }
+
+        //transforms
+        var fields = ['translate', 'rotate', 'scale'];
+        var i, len;
+        for (i = 0, len = fields.length; i < len; i++) {
+            if (typeof model[fields[i]] !== 'undefined' && !this.__isVector3(model[fields[i]])) {
+                problems.push({markerId: markerId, path: path + '.' + fields[i], message: fields[i] + ' must be an array of 3 numbers'});
+            }
+        }
+        if (typeof model.rotationOrder !== 'undefined' && this.__rotationOrders.indexOf(model.rotationOrder) === -1) {
+            problems.push({markerId: markerId, path: path + '.rotationOrder', message: 'rotationOrder must be one of ' + this.__rotationOrders.join(', ')});
+        }
+
+        //physics
+        fields = ['mass', 'friction', 'restitution', 'linearDamping', 'angularDamping'];
+        for (i = 0, len = fields.length; i < len; i++) {
+            if (typeof model[fields[i]] !== 'undefined' && typeof model[fields[i]] !== 'number') {
+                problems.push({markerId: markerId, path: path + '.' + fields[i], message: fields[i] + ' must be a number'});
+            }
+        }
+
+        //model cache
+        if (typeof model.cache !== 'undefined' && typeof model.cache !== 'boolean') {
+            problems.push({markerId: markerId, path: path + '.cache', message: 'cache must be a boolean'});
+        }
+
+        //levels of detail and collision proxy
+        if (typeof model.lod !== 'undefined') {
+            this.__validateLod(markerId, path + '.lod', model.lod, problems);
+        }
+        if (typeof model.collision !== 'undefined') {
+            this.__validateCollision(markerId, path + '.collision', model.collision, problems);
+        }
+
+        //physical size, pose filter and grace period
+        if (typeof model.size !== 'undefined') {
+            this.__validateSize(markerId, path + '.size', model.size, problems);
+        }
+        if (typeof model.poseFilter !== 'undefined') {
+            this.__validatePoseFilter(markerId, path + '.poseFilter', model.poseFilter, problems);
+        }
+        if (typeof model.gracePeriod !== 'undefined') {
+            this.__validateGracePeriod(markerId, path + '.gracePeriod', model.gracePeriod, problems);
+        }
+
+        //type-specific
+        if (loaderClass) {
+            this.__addProblems(markerId, path, (loaderClass.validate || SKARF.ModelLoader.validate)(model), problems);
+        }
+    },
+
+    __validateGuiMarker: function (markerId, guiMarker, problems) {
+
+        var path = 'guiMarkers.' + markerId;
+        if (!this.__isMarkerId(markerId)) {
+            problems.push({markerId: markerId, path: path, message: 'marker ID must be an integer'});
+        }
+        if (!this.__isObject(guiMarker)) {
+            problems.push({markerId: markerId, path: path, message: 'GUI marker must be an object'});
+            return;
+        }
+
+        var fields = ['name', 'key'];
+        var i, len;
+        for (i = 0, len = fields.length; i < len; i++) {
+            if (typeof guiMarker[fields[i]] === 'undefined') {
+                problems.push({markerId: markerId, path: path + '.' + fields[i], message: fields[i] + ' not specified'});
+            } else if (typeof guiMarker[fields[i]] !== 'string' || guiMarker[fields[i]] === '') {
+                problems.push({markerId: markerId, path: path + '.' + fields[i], message: fields[i] + ' must be a non-empty string'});
+            }
+        }
+
+        //type
+        var guiMarkerClass = null;
+        if (typeof guiMarker.type === 'undefined') {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type not specified'});
+        } else if (!SKARF.GuiMarkerFactory.__mappings.hasOwnProperty(guiMarker.type)) {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type has not been registered with SKARF.GuiMarkerFactory: ' + guiMarker.type});
+        } else {
+            guiMarkerClass = SKARF.GuiMarkerFactory.__mappings[guiMarker.type];
+        }
+
+        //params
+        if (typeof guiMarker.params !== 'undefined' && !this.__isObject(guiMarker.params)) {
+            problems.push({markerId: markerId, path: path + '.params', message: 'params must be an object'});
+        } else if (guiMarkerClass && guiMarkerClass.validateParams) {
+            this.__addProblems(markerId, path + '.params', guiMarkerClass.validateParams(guiMarker.params || {}), problems);
+        }
+
+        //physical size, pose filter and grace period
+        if (typeof guiMarker.size !== 'undefined') {
+            this.__validateSize(markerId, path + '.size', guiMarker.size, problems);
+        }
+        if (typeof guiMarker.poseFilter !== 'undefined') {
+            this.__validatePoseFilter(markerId, path + '.poseFilter', guiMarker.poseFilter, problems);
+        }
+        if (typeof guiMarker.gracePeriod !== 'undefined') {
+            this.__validateGracePeriod(markerId, path + '.gracePeriod', guiMarker.gracePeriod, problems);
+        }
+    },
+
+    __validateMarkerBoard: function (markerBoard, problems) {
+        if (!this.__isObject(markerBoard)) {
+            problems.push({markerId: null, path: 'markerBoard', message: 'markerBoard must be an object'});
+            return;
+        }
+        var markerId, member, path;
+        for (markerId in markerBoard) {
+            if (markerBoard.hasOwnProperty(markerId)) {
+                member = markerBoard[markerId];
+                path = 'markerBoard.' + markerId;
+                if (!this.__isMarkerId(markerId)) {
+                    problems.push({markerId: markerId, path: path, message: 'marker ID must be an integer'});
+                }
+                if (!this.__isObject(member)) {
+                    problems.push({markerId: markerId, path: path, message: 'marker board member must be an object'});
+                    continue;
+                }
+                if (typeof member.translate !== 'undefined' && !this.__isVector3(member.translate)) {
+                    problems.push({markerId: markerId, path: path + '.translate', message: 'translate must be an array of 3 numbers'});
+                }
+                if (typeof member.rotate !== 'undefined' && !this.__isVector3(member.rotate)) {
+                    problems.push({markerId: markerId, path: path + '.rotate', message: 'rotate must be an array of 3 numbers'});
+                }
+                if (typeof member.rotationOrder !== 'undefined' && this.__rotationOrders.indexOf(member.rotationOrder) === -1) {
+                    problems.push({markerId: markerId, path: path + '.rotationOrder', message: 'rotationOrder must be one of ' + this.__rotationOrders.join(', ')});
+                }
+            }
+        }
+    },
+
+    __validateSize: function (markerId, path, size, problems) {
+        if (typeof size !== 'number' || !(size > 0)) {
+            problems.push({markerId: markerId, path: path, message: 'size must be a positive number'});
+        }
+    },
+
+    __validateGracePeriod: function (markerId, path, gracePeriod, problems) {
+        if (!this.__isObject(gracePeriod)) {
+            problems.push({markerId: markerId, path: path, message: 'gracePeriod must be an object'});
+            return;
+        }
+        if (typeof gracePeriod.frames === 'undefined' && typeof gracePeriod.milliseconds === 'undefined') {
+            problems.push({markerId: markerId, path: path, message: 'either frames or milliseconds must be specified'});
+        }
+        if (typeof gracePeriod.frames !== 'undefined' && (typeof gracePeriod.frames !== 'number' || gracePeriod.frames < 0 || Math.floor(gracePeriod.frames) !== gracePeriod.frames)) {
+            problems.push({markerId: markerId, path: path + '.frames', message: 'frames must be a non-negative integer'});
+        }
+        if (typeof gracePeriod.milliseconds !== 'undefined' && (typeof gracePeriod.milliseconds !== 'number' || gracePeriod.milliseconds < 0)) {
+            problems.push({markerId: markerId, path: path + '.milliseconds', message: 'milliseconds must be a non-negative number'});
+        }
+        if (typeof gracePeriod.extrapolate !== 'undefined' && typeof gracePeriod.extrapolate !== 'boolean') {
+            problems.push({markerId: markerId, path: path + '.extrapolate', message: 'extrapolate must be a boolean'});
+        }
+    },
+
+    __collisionTypes: ['box', 'sphere', 'convexHull'],
+
+    __validateLod: function (markerId, path, lod, problems) {
+        if (!Array.isArray(lod)) {
+            problems.push({markerId: markerId, path: path, message: 'lod must be an array'});
+            return;
+        }
+        var i, len, level, levelPath;
+        for (i = 0, len = lod.length; i < len; i++) {
+            level = lod[i];
+            levelPath = path + '[' + i + ']';
+            if (!this.__isObject(level)) {
+                problems.push({markerId: markerId, path: levelPath, message: 'LOD level must be an object'});
+                continue;
+            }
+            if (typeof level.url !== 'string' || level.url === '') {
+                problems.push({markerId: markerId, path: levelPath + '.url', message: 'url not specified'});
+            }
+            if (typeof level.distance !== 'number' || !(level.distance > 0)) {
+                problems.push({markerId: markerId, path: levelPath + '.distance', message: 'distance must be a positive number'});
+            }
+            if (typeof level.type !== 'undefined' && !SKARF.ModelLoaderFactory.__mappings.hasOwnProperty(level.type)) {
+                problems.push({markerId: markerId, path: levelPath + '.type', message: 'type has not been registered with SKARF.ModelLoaderFactory: ' + level.type});
+            }
+        }
+    },
+
+    __validateCollision: function (markerId, path, collision, problems) {
+        if (!this.__isObject(collision)) {
+            problems.push({markerId: markerId, path: path, message: 'collision must be an object'});
+            return;
+        }
+        if (this.__collisionTypes.indexOf(collision.type) === -1) {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type must be one of ' + this.__collisionTypes.join(', ')});
+        }
+        if (typeof collision.center !== 'undefined' && !this.__isVector3(collision.center)) {
+            problems.push({markerId: markerId, path: path + '.center', message: 'center must be an array of 3 numbers'});
+        }
+        if (typeof collision.size !== 'undefined' && !(this.__isVector3(collision.size) && collision.size[0] > 0 && collision.size[1] > 0 && collision.size[2] > 0)) {
+            problems.push({markerId: markerId, path: path + '.size', message: 'size must be an array of 3 positive numbers'});
+        }
+        if (typeof collision.radius !== 'undefined' && (typeof collision.radius !== 'number' || !(collision.radius > 0))) {
+            problems.push({markerId: markerId, path: path + '.radius', message: 'radius must be a positive number'});
+        }
+        if (typeof collision.points !== 'undefined') {
+            if (!Array.isArray(collision.points) || collision.points.length < 4) {
+                problems.push({markerId: markerId, path: path + '.points', message: 'points must be an array of at least 4 points'});
+            } else {
+                var i, len;
+                for (i = 0, len = collision.points.length; i < len; i++) {
+                    if (!this.__isVector3(collision.points[i])) {
+                        problems.push({markerId: markerId, path: path + '.points[' + i + ']', message: 'point must be an array of 3 numbers'});
+                    }
+                }
+            }
+        }
+        if (typeof collision.url !== 'undefined' && (typeof collision.url !== 'string' || collision.url === '')) {
+            problems.push({markerId: markerId, path: path + '.url', message: 'url must be a non-empty string'});
+        }
+        if (typeof collision.modelType !== 'undefined' && !SKARF.ModelLoaderFactory.__mappings.hasOwnProperty(collision.modelType)) {
+            problems.push({markerId: markerId, path: path + '.modelType', message: 'modelType has not been registered with SKARF.ModelLoaderFactory: ' + collision.modelType});
+        }
+    },
+
+    __validatePoseFilter: function (markerId, path, poseFilter, problems) {
+        if (!this.__isObject(poseFilter)) {
+            problems.push({markerId: markerId, path: path, message: 'poseFilter must be an object'});
+        } else if (typeof poseFilter.type === 'undefined') {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type not specified'});
+        } else if (!SKARF.PoseFilterFactory.__mappings.hasOwnProperty(poseFilter.type)) {
+            problems.push({markerId: markerId, path: path + '.type', message: 'type has not been registered with SKARF.PoseFilterFactory: ' + poseFilter.type});
+        } else if (typeof poseFilter.params !== 'undefined' && !this.__isObject(poseFilter.params)) {
+            problems.push({markerId: markerId, path: path + '.params', message: 'params must be an object'});
+        }
+    },
+
+    __addProblems: function (markerId, basePath, typeProblems, problems) {
+        var i, len;
+        for (i = 0, len = typeProblems.length; i < len; i++) {
+            problems.push({markerId: markerId, path: basePath + '.' + typeProblems[i].path, message: typeProblems[i].message});
+        }
+    },
+
+    __isObject: function (value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    },
+
+    __isMarkerId: function (value) {
+        return /^\d+$/.test(String(value));
+    },
+
+    __isVector3: function (value) {
+        return Array.isArray(value) && value.length === 3 &&
+            typeof value[0] === 'number' && typeof value[1] === 'number' && typeof value[2] === 'number';
+    }
+};
+
+//===================================
+// HELPERS
+//===================================
+
+// I'm going to use a glMatrix-style matrix as an intermediary.
+// So the first step is to create a function to convert a glMatrix matrix into a Three.js Matrix4.
+THREE.Matrix4.prototype.setFromArray = function (m) {
+    return this.set(
+        m[0], m[4], m[8], m[12],
+        m[1], m[5], m[9], m[13],
+        m[2], m[6], m[10], m[14],
+        m[3], m[7], m[11], m[15]
+    );
+};
+
+/**
+ * Keys of marker instances, for when multiple printed copies of the same marker ID are tracked at the same time (see the multipleInstances option of {@linkcode SKARF.Skarf Skarf}).
+ * The first instance of a marker is keyed by its marker ID as usual, and the other instances by <tt>&lt;markerId&gt;#&lt;instance&gt;</tt> e.g. '1001#1'.
+ * @namespace
+ */
+SKARF.MarkerInstanceKeys = {
+
+    /**
+     * Creates the key of a marker instance
+     * @param {number} markerId ID of marker
+     * @param {number} instance Index of the instance, where 0 is the first instance
+     * @returns {string} Key
+     */
+    create: function (markerId, instance) {
+        return instance ? markerId + '#' + instance : String(markerId);
+    },
+
+    /**
+     * Returns the marker ID of a key
+     * @param {string} key Key of marker instance
+     * @returns {string} Marker ID
+     */
+    getMarkerId: function (key) {
+        key = String(key);
+        var index = key.indexOf('#');
+        return (index === -1) ? key : key.substring(0, index);
+    },
+
+    /**
+     * Returns the instance index of a key
+     * @param {string} key Key of marker instance
+     * @returns {number} Index of the instance, where 0 is the first instance
+     */
+    getInstance: function (key) {
+        key = String(key);
+        var index = key.indexOf('#');
+        return (index === -1) ? 0 : parseInt(key.substring(index + 1), 10);
+    }
+};
+
+function copyMarkerMatrix(arMat, glMat) {
+    glMat[0] = arMat.m00;
+    glMat[1] = -arMat.m10;
+    glMat[2] = arMat.m20;
+    glMat[3] = 0;
+    glMat[4] = arMat.m01;
+    glMat[5] = -arMat.m11;
+    glMat[6] = arMat.m21;
+    glMat[7] = 0;
+    glMat[8] = -arMat.m02;
+    glMat[9] = arMat.m12;
+    glMat[10] = -arMat.m22;
+    glMat[11] = 0;
+    glMat[12] = arMat.m03;
+    glMat[13] = -arMat.m13;
+    glMat[14] = arMat.m23;
+    glMat[15] = 1;
+}
+
+//===================================
+// POSE FILTERS
+//===================================
+
 /**
- * Loads model for marker
- * @param  {object}  model Data containing the model info (from JSON file)
- * @param  {number}  markerId ID of marker to laod
- * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
- * @param  {number}  overallScale Overall scale
- * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
- * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ * Factory which creates PoseFilters
+ * @namespace
  */
-SKARF.EmptyModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
-    //TODO: time how long it takes to load
+SKARF.PoseFilterFactory = {
+
+    __mappings: {},
+
+    /**
+     * Function to create a SKARF.PoseFilter instance
+     * @param {string} type Type of PoseFilter to create: 'exponential', 'oneeuro', 'slerp'
+     * @param {object} [params] Additional parameters to customize this PoseFilter
+     */
+    create: function (type, params) {
+        if (!type) {
+            throw new Error('SKARF.PoseFilter type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.PoseFilter of this type has not been registered with SKARF.PoseFilterFactory: ' + type);
+        }
+        var poseFilter = new this.__mappings[type](params || {});
+        return poseFilter;
+    },
+
+    /**
+     * Registers a type string to a class
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'oneeuro'
+     * @param {SKARF.PoseFilter} mappingClass PoseFilter class that will be created when the associated type is used
+     */
+    register: function (mappingName, mappingClass) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
+        }
+        this.__mappings[mappingName] = mappingClass;
+    }
+};
+
+/**
+ * Abstract class for pose filters, which smooth the solved matrix of a marker over time to reduce jitter.<br/>
+ * Pose filters are defined per marker in the markers JSON file, e.g.
+ * <blockquote><tt>"poseFilter": { "type": "oneeuro", "params": { "minCutoff": 1.0, "beta": 0.5 } }</tt></blockquote>
+ * A top-level <tt>poseFilter</tt> in the JSON file applies to all markers which do not define their own.
+ * @constructor
+ * @abstract
+ * @param {object} params Parameters to customize this PoseFilter
+ */
+SKARF.PoseFilter = function (params) {
+    this.__params = params;
+
+    this.__initialized = false;
+
+    //raw pose of current frame
+    this.__rawPosition = new THREE.Vector3();
+    this.__rawQuaternion = new THREE.Quaternion();
+    this.__rawScale = new THREE.Vector3();
+
+    //filtered pose
+    this.__position = new THREE.Vector3();
+    this.__quaternion = new THREE.Quaternion();
+};
+/**
+ * Filters a solved matrix in place
+ * @param {THREE.Matrix4} matrix Solved matrix of the current frame, which will be replaced by the filtered matrix
+ * @param {number} dt Time elapsed since previous frame
+ */
+SKARF.PoseFilter.prototype.filter = function (matrix, dt) {
+
+    matrix.decompose(this.__rawPosition, this.__rawQuaternion, this.__rawScale);
+
+    if (!this.__initialized) {
+        //nothing to filter against on the first frame
+        this.__position.copy(this.__rawPosition);
+        this.__quaternion.copy(this.__rawQuaternion);
+        this.__initialized = true;
+    } else {
+        this.__filterPose(dt || 1.0 / 60.0);
+    }
+
+    matrix.makeFromPositionQuaternionScale(this.__position, this.__quaternion, this.__rawScale);
+};
+/**
+ * Resets the filter, so that the next pose is used as-is. Call this when the marker has been lost.
+ */
+SKARF.PoseFilter.prototype.reset = function () {
+    this.__initialized = false;
+};
+SKARF.PoseFilter.prototype.__filterPose = function (dt) {
+    throw new Error('Abstract method not implemented');
+};
+
+/**
+ * SKARF.PoseFilter which exponentially smooths both position and rotation<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.PoseFilterFactory PoseFilterFactory} instead.</strong>
+ *
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>alpha:</strong> weight of the current frame's position, from 0 (frozen) to 1 (no smoothing) (defaults to 0.5)</li>
+ *   <li><strong>rotationAlpha:</strong> weight of the current frame's rotation (defaults to alpha)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.PoseFilter}
+ */
+SKARF.ExponentialPoseFilter = function (params) {
+    SKARF.PoseFilter.call(this, params);
+    this.__alpha = (typeof params.alpha === 'undefined') ? 0.5 : params.alpha;
+    this.__rotationAlpha = (typeof params.rotationAlpha === 'undefined') ? this.__alpha : params.rotationAlpha;
+};
+//inherit
+SKARF.ExponentialPoseFilter.prototype = Object.create(SKARF.PoseFilter.prototype);
+SKARF.ExponentialPoseFilter.prototype.constructor = SKARF.ExponentialPoseFilter;
+//register with factory
+SKARF.PoseFilterFactory.register('exponential', SKARF.ExponentialPoseFilter);
+//override
+SKARF.ExponentialPoseFilter.prototype.__filterPose = function (dt) {
+    this.__position.lerp(this.__rawPosition, this.__alpha);
+    this.__quaternion.slerp(this.__rawQuaternion, this.__rotationAlpha);
+};
+
+/**
+ * SKARF.PoseFilter which uses the One Euro filter (Casiez et al. 2012): heavy smoothing when the marker is still, and little lag when it moves fast<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.PoseFilterFactory PoseFilterFactory} instead.</strong>
+ *
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>minCutoff:</strong> minimum cutoff frequency in Hz for position. Lower values reduce jitter. (defaults to 1.0)</li>
+ *   <li><strong>beta:</strong> how fast the position cutoff frequency increases with speed. Higher values reduce lag. (defaults to 1.0)</li>
+ *   <li><strong>dCutoff:</strong> cutoff frequency in Hz for the speed estimate (defaults to 1.0)</li>
+ *   <li><strong>rotationMinCutoff:</strong> minimum cutoff frequency in Hz for rotation (defaults to minCutoff)</li>
+ *   <li><strong>rotationBeta:</strong> how fast the rotation cutoff frequency increases with angular speed in radians per second (defaults to beta)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.PoseFilter}
+ */
+SKARF.OneEuroPoseFilter = function (params) {
+    SKARF.PoseFilter.call(this, params);
+    this.__minCutoff = (typeof params.minCutoff === 'undefined') ? 1.0 : params.minCutoff;
+    this.__beta = (typeof params.beta === 'undefined') ? 1.0 : params.beta;
+    this.__dCutoff = (typeof params.dCutoff === 'undefined') ? 1.0 : params.dCutoff;
+    this.__rotationMinCutoff = (typeof params.rotationMinCutoff === 'undefined') ? this.__minCutoff : params.rotationMinCutoff;
+    this.__rotationBeta = (typeof params.rotationBeta === 'undefined') ? this.__beta : params.rotationBeta;
+
+    //raw pose of previous frame, and filtered speeds
+    this.__prevRawPosition = new THREE.Vector3();
+    this.__prevRawQuaternion = new THREE.Quaternion();
+    this.__speed = 0;
+    this.__angularSpeed = 0;
+};
+//inherit
+SKARF.OneEuroPoseFilter.prototype = Object.create(SKARF.PoseFilter.prototype);
+SKARF.OneEuroPoseFilter.prototype.constructor = SKARF.OneEuroPoseFilter;
+//register with factory
+SKARF.PoseFilterFactory.register('oneeuro', SKARF.OneEuroPoseFilter);
+//override
+SKARF.OneEuroPoseFilter.prototype.filter = function (matrix, dt) {
+    var wasInitialized = this.__initialized;
+    SKARF.PoseFilter.prototype.filter.call(this, matrix, dt);
+    if (!wasInitialized) {
+        this.__speed = 0;
+        this.__angularSpeed = 0;
+    }
+    this.__prevRawPosition.copy(this.__rawPosition);
+    this.__prevRawQuaternion.copy(this.__rawQuaternion);
+};
+SKARF.OneEuroPoseFilter.prototype.__filterPose = function (dt) {
+
+    var dAlpha = this.__getAlpha(this.__dCutoff, dt);
+
+    //position: filter the speed first, then use it to adapt the cutoff
+    var speed = this.__rawPosition.distanceTo(this.__prevRawPosition) / dt;
+    this.__speed += dAlpha * (speed - this.__speed);
+    this.__position.lerp(this.__rawPosition, this.__getAlpha(this.__minCutoff + this.__beta * this.__speed, dt));
+
+    //rotation: same, but with angular speed and slerp
+    var dot = Math.min(1, Math.abs(
+        this.__rawQuaternion.x * this.__prevRawQuaternion.x +
+            this.__rawQuaternion.y * this.__prevRawQuaternion.y +
+            this.__rawQuaternion.z * this.__prevRawQuaternion.z +
+            this.__rawQuaternion.w * this.__prevRawQuaternion.w
+    ));
+    var angularSpeed = 2 * Math.acos(dot) / dt;
+    this.__angularSpeed += dAlpha * (angularSpeed - this.__angularSpeed);
+    this.__quaternion.slerp(this.__rawQuaternion, this.__getAlpha(this.__rotationMinCutoff + this.__rotationBeta * this.__angularSpeed, dt));
+};
+SKARF.OneEuroPoseFilter.prototype.__getAlpha = function (cutoff, dt) {
+    var tau = 1.0 / (2 * Math.PI * cutoff);
+    return 1.0 / (1.0 + tau / dt);
+};
+
+/**
+ * SKARF.PoseFilter which only smooths rotation, using spherical linear interpolation. Position is left as solved.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.PoseFilterFactory PoseFilterFactory} instead.</strong>
+ *
+ * <p>
+ * Available parameters in JSON file:<br/>
+ * <ul>
+ *   <li><strong>alpha:</strong> weight of the current frame's rotation, from 0 (frozen) to 1 (no smoothing) (defaults to 0.3)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.PoseFilter}
+ */
+SKARF.SlerpPoseFilter = function (params) {
+    SKARF.PoseFilter.call(this, params);
+    this.__alpha = (typeof params.alpha === 'undefined') ? 0.3 : params.alpha;
+};
+//inherit
+SKARF.SlerpPoseFilter.prototype = Object.create(SKARF.PoseFilter.prototype);
+SKARF.SlerpPoseFilter.prototype.constructor = SKARF.SlerpPoseFilter;
+//register with factory
+SKARF.PoseFilterFactory.register('slerp', SKARF.SlerpPoseFilter);
+//override
+SKARF.SlerpPoseFilter.prototype.__filterPose = function (dt) {
+    this.__position.copy(this.__rawPosition);
+    this.__quaternion.slerp(this.__rawQuaternion, this.__alpha);
+};
+
+/**
+ * Tracks the velocity of a marker's solved matrix, so that its pose can be extrapolated for a few frames after the marker has been lost
+ * @constructor
+ */
+SKARF.PosePredictor = function () {
+    this.__hasPrev = false;
+
+    this.__prevPosition = new THREE.Vector3();
+    this.__prevQuaternion = new THREE.Quaternion();
+
+    //velocity in units per second, and rotation over the last frame
+    this.__velocity = new THREE.Vector3();
+    this.__dQuaternion = new THREE.Quaternion();
+    this.__dQuaternionDt = 0;
+
+    //temp variables
+    this.__position = new THREE.Vector3();
+    this.__quaternion = new THREE.Quaternion();
+    this.__scale = new THREE.Vector3();
+    this.__dPosition = new THREE.Vector3();
+    this.__tmpQuaternion = new THREE.Quaternion();
+};
+/**
+ * Records the solved matrix of a frame in which the marker has been detected
+ * @param {THREE.Matrix4} matrix Solved matrix
+ * @param {number} dt Time elapsed since previous frame
+ */
+SKARF.PosePredictor.prototype.update = function (matrix, dt) {
+    dt = dt || 1.0 / 60.0;
+
+    matrix.decompose(this.__position, this.__quaternion, this.__scale);
+
+    if (this.__hasPrev) {
+        this.__velocity.subVectors(this.__position, this.__prevPosition).divideScalar(dt);
+        this.__dQuaternion.multiplyQuaternions(this.__quaternion, this.__tmpQuaternion.copy(this.__prevQuaternion).inverse());
+        this.__dQuaternionDt = dt;
+    }
+
+    this.__prevPosition.copy(this.__position);
+    this.__prevQuaternion.copy(this.__quaternion);
+    this.__hasPrev = true;
+};
+/**
+ * Extrapolates a solved matrix in place by the velocity recorded so far
+ * @param {THREE.Matrix4} matrix Solved matrix of the previous frame, which will be replaced by the extrapolated matrix
+ * @param {number} dt Time elapsed since previous frame
+ */
+SKARF.PosePredictor.prototype.extrapolate = function (matrix, dt) {
+    dt = dt || 1.0 / 60.0;
+
+    if (!this.__hasPrev || this.__dQuaternionDt === 0) {
+        return;  //no velocity yet, so just hold the pose
+    }
+
+    matrix.decompose(this.__position, this.__quaternion, this.__scale);
+
+    this.__position.add(this.__dPosition.copy(this.__velocity).multiplyScalar(dt));
+    this.__tmpQuaternion.set(0, 0, 0, 1).slerp(this.__dQuaternion, dt / this.__dQuaternionDt);
+    this.__quaternion.multiplyQuaternions(this.__tmpQuaternion, this.__quaternion);
+
+    matrix.makeFromPositionQuaternionScale(this.__position, this.__quaternion, this.__scale);
+};
+/**
+ * Forgets the recorded velocity. Call this when the marker has been lost.
+ */
+SKARF.PosePredictor.prototype.reset = function () {
+    this.__hasPrev = false;
+    this.__velocity.set(0, 0, 0);
+    this.__dQuaternion.set(0, 0, 0, 1);
+    this.__dQuaternionDt = 0;
+};
+
+//===================================
+// CAMERA CALIBRATION
+//===================================
+
+/**
+ * Intrinsic parameters of a camera, usually estimated by a {@linkcode SKARF.CameraCalibrator CameraCalibrator} and stored in an intrinsics JSON file, e.g.
+ * <blockquote><tt>{ "imageWidth": 640, "imageHeight": 480, "fx": 622.4, "fy": 621.9, "cx": 318.7, "cy": 242.1, "distortion": [0.11, -0.24] }</tt></blockquote>
+ * <tt>fx</tt> and <tt>fy</tt> are the focal lengths in pixels, <tt>cx</tt> and <tt>cy</tt> is the principal point in pixels from the top-left of the image,
+ * and <tt>distortion</tt> holds the radial distortion coefficients k1 and k2 (optional, defaults to no distortion).
+ * The parameters are scaled to the size of the tracking canvas, so the canvas should have the same aspect ratio as the images used for calibration.
+ * @constructor
+ * @param {object} data Intrinsic parameters (from JSON file)
+ */
+SKARF.CameraCalibration = function (data) {
+
+    var problems = SKARF.CameraCalibration.validate(data);
+    if (problems.length > 0) {
+        throw new Error('Invalid camera calibration: ' + problems.map(function (problem) {
+            return problem.message;
+        }).join('; '));
+    }
+
+    this.imageWidth = data.imageWidth;
+    this.imageHeight = data.imageHeight;
+    this.fx = data.fx;
+    this.fy = data.fy;
+    this.cx = data.cx;
+    this.cy = data.cy;
+    this.distortion = [0, 0];
+    if (data.distortion) {
+        this.distortion[0] = data.distortion[0] || 0;
+        this.distortion[1] = data.distortion[1] || 0;
+    }
+};
+/**
+ * Validates intrinsic parameters (from JSON file)
+ * @param {object} data Intrinsic parameters to validate
+ * @returns {object[]} Problems found, each with a <tt>path</tt> and a <tt>message</tt>. Empty if the data is valid.
+ */
+SKARF.CameraCalibration.validate = function (data) {
+    var problems = [];
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        problems.push({path: '', message: 'camera calibration must be an object'});
+        return problems;
+    }
+    var keys = ['imageWidth', 'imageHeight', 'fx', 'fy'];
+    var i, len;
+    for (i = 0, len = keys.length; i < len; i++) {
+        if (typeof data[keys[i]] !== 'number' || !(data[keys[i]] > 0)) {
+            problems.push({path: keys[i], message: keys[i] + ' must be a positive number'});
+        }
+    }
+    keys = ['cx', 'cy'];
+    for (i = 0, len = keys.length; i < len; i++) {
+        if (typeof data[keys[i]] !== 'number' || !isFinite(data[keys[i]])) {
+            problems.push({path: keys[i], message: keys[i] + ' must be a number'});
+        }
+    }
+    if (typeof data.distortion !== 'undefined') {
+        if (!Array.isArray(data.distortion) || data.distortion.length > 2) {
+            problems.push({path: 'distortion', message: 'distortion must be an array of at most 2 numbers [k1, k2]'});
+        } else {
+            for (i = 0, len = data.distortion.length; i < len; i++) {
+                if (typeof data.distortion[i] !== 'number' || !isFinite(data.distortion[i])) {
+                    problems.push({path: 'distortion[' + i + ']', message: 'distortion coefficients must be numbers'});
+                }
+            }
+        }
+    }
+    return problems;
+};
+/**
+ * Loads an intrinsics JSON file
+ * @param {string} url Path to the intrinsics JSON file
+ * @returns {Promise} Promise which resolves with a SKARF.CameraCalibration, or rejects if the file could not be loaded or is invalid
+ */
+SKARF.CameraCalibration.load = function (url) {
+    console.log('Loading camera calibration file: ' + url);
+    return new Promise(function (resolve, reject) {
+        $.ajax({
+            url: url,
+            dataType: 'JSON'
+        }).done(function (data) {
+            try {
+                resolve(new SKARF.CameraCalibration(data));
+                console.log('Loaded ' + url);
+            } catch (err) {
+                console.error(url + ': ' + err.message);
+                reject(err);
+            }
+        }).fail(function (xhr, textStatus, error) {
+            var err = new Error('error loading ' + url + ': ' + (error || textStatus));
+            console.error(err.message);
+            reject(err);
+        });
+    });
+};
+/**
+ * Returns a copy of this calibration scaled to another image size, e.g. the size of the tracking canvas
+ * @param {number} width Width of image
+ * @param {number} height Height of image
+ * @returns {SKARF.CameraCalibration} Scaled calibration
+ */
+SKARF.CameraCalibration.prototype.scaledTo = function (width, height) {
+    var sx = width / this.imageWidth;
+    var sy = height / this.imageHeight;
+    if (Math.abs(sx - sy) > 0.01 * Math.max(sx, sy)) {
+        console.warn('Camera calibration was done at ' + this.imageWidth + 'x' + this.imageHeight + ', which has a different aspect ratio from ' + width + 'x' + height);
+    }
+    return new SKARF.CameraCalibration({
+        imageWidth: width,
+        imageHeight: height,
+        fx: this.fx * sx,
+        fy: this.fy * sy,
+        cx: this.cx * sx,
+        cy: this.cy * sy,
+        distortion: this.distortion
+    });
+};
+/**
+ * Applies the lens distortion to a point, i.e. maps an ideal pixel position to where the camera observes it
+ * @param {number} x X position in pixels
+ * @param {number} y Y position in pixels
+ * @returns {object} Distorted point with <tt>x</tt> and <tt>y</tt>
+ */
+SKARF.CameraCalibration.prototype.distortPoint = function (x, y) {
+    var nx = (x - this.cx) / this.fx;
+    var ny = (y - this.cy) / this.fy;
+    var r2 = nx * nx + ny * ny;
+    var factor = 1 + this.distortion[0] * r2 + this.distortion[1] * r2 * r2;
+    return {x: this.cx + nx * factor * this.fx, y: this.cy + ny * factor * this.fy};
+};
+/**
+ * Removes the lens distortion from a point, i.e. maps an observed pixel position to its ideal position
+ * @param {number} x X position in pixels
+ * @param {number} y Y position in pixels
+ * @returns {object} Undistorted point with <tt>x</tt> and <tt>y</tt>
+ */
+SKARF.CameraCalibration.prototype.undistortPoint = function (x, y) {
+    var dx = (x - this.cx) / this.fx;
+    var dy = (y - this.cy) / this.fy;
+
+    //there is no closed-form inverse, so iterate from the distorted point
+    var nx = dx, ny = dy, r2, factor, i;
+    for (i = 0; i < 10; i++) {
+        r2 = nx * nx + ny * ny;
+        factor = 1 + this.distortion[0] * r2 + this.distortion[1] * r2 * r2;
+        nx = dx / factor;
+        ny = dy / factor;
+    }
+    return {x: this.cx + nx * this.fx, y: this.cy + ny * this.fy};
+};
+/**
+ * Returns true if this calibration has any lens distortion
+ * @returns {boolean} True if this calibration has any lens distortion
+ */
+SKARF.CameraCalibration.prototype.hasDistortion = function () {
+    return this.distortion[0] !== 0 || this.distortion[1] !== 0;
+};
+/**
+ * Returns a camera projection matrix (for a camera looking down -Z with Y up) matching these intrinsics
+ * @param {number} near Near clipping distance
+ * @param {number} far Far clipping distance
+ * @returns {Float32Array} Projection matrix in column-major order, which can be passed to {@linkcode SKARF.ThreeJsRenderer#initCameraProjMatrix initCameraProjMatrix()}
+ */
+SKARF.CameraCalibration.prototype.getProjectionMatrixArray = function (near, far) {
+    var w = this.imageWidth, h = this.imageHeight;
+    var m = new Float32Array(16);
+    m[0] = 2 * this.fx / w;
+    m[5] = 2 * this.fy / h;
+    m[8] = 1 - 2 * this.cx / w;
+    m[9] = 2 * this.cy / h - 1;
+    m[10] = -(far + near) / (far - near);
+    m[11] = -1;
+    m[14] = -2 * far * near / (far - near);
+    return m;
+};
+/**
+ * Returns the intrinsic parameters in the format of an intrinsics JSON file
+ * @returns {object} Intrinsic parameters
+ */
+SKARF.CameraCalibration.prototype.toJSON = function () {
+    return {
+        imageWidth: this.imageWidth,
+        imageHeight: this.imageHeight,
+        fx: this.fx,
+        fy: this.fy,
+        cx: this.cx,
+        cy: this.cy,
+        distortion: this.distortion.slice()
+    };
+};
+
+/**
+ * Estimates the intrinsic parameters of a camera from several views of a planar target, using Zhang's method.<br/>
+ * Each frame is a set of correspondences between points on the target (in any planar unit, e.g. mm, with z = 0) and where they were observed in the image (in pixels).
+ * Frames can come from a checkerboard whose corners have been found by other means (see {@linkcode SKARF.CameraCalibrator.createCheckerboardPoints createCheckerboardPoints()}),
+ * or from a printed grid of js-aruco markers, which is detected directly by {@linkcode SKARF.CameraCalibrator#addMarkerGridImage addMarkerGridImage()}.
+ * At least 3 frames with the target held at clearly different angles are needed; 10 to 20 give good results.
+ * <p>
+ * Typical usage:
+ * <blockquote><tt>var calibrator = new SKARF.CameraCalibrator(640, 480);<br/>
+ * //for each captured frame<br/>
+ * calibrator.addMarkerGridImage(imageData, layout);<br/>
+ * //when enough frames have been captured<br/>
+ * var calibration = calibrator.calibrate();<br/>
+ * var json = JSON.stringify(calibration.toJSON());</tt></blockquote>
+ * </p>
+ * @constructor
+ * @param {number} imageWidth Width of the captured images
+ * @param {number} imageHeight Height of the captured images
+ */
+SKARF.CameraCalibrator = function (imageWidth, imageHeight) {
+    if (!(imageWidth > 0) || !(imageHeight > 0)) {
+        throw new Error('imageWidth and imageHeight must be positive numbers');
+    }
+    this.__imageWidth = imageWidth;
+    this.__imageHeight = imageHeight;
+    this.__frames = [];
+    this.__detector = null;
+};
+/**
+ * Minimum number of frames needed by {@linkcode SKARF.CameraCalibrator#calibrate calibrate()}
+ * @type {number}
+ */
+SKARF.CameraCalibrator.MIN_FRAMES = 3;
+/**
+ * Creates the target points of the inner corners of a checkerboard, row by row starting from the top-left corner
+ * @param {number} cols Number of inner corners per row
+ * @param {number} rows Number of inner corners per column
+ * @param {number} squareSize Size of a square
+ * @returns {object[]} Target points, each with <tt>x</tt> and <tt>y</tt>
+ */
+SKARF.CameraCalibrator.createCheckerboardPoints = function (cols, rows, squareSize) {
+    var points = [];
+    var r, c;
+    for (r = 0; r < rows; r++) {
+        for (c = 0; c < cols; c++) {
+            points.push({x: c * squareSize, y: r * squareSize});
+        }
+    }
+    return points;
+};
+/**
+ * Adds a frame of correspondences
+ * @param {object[]} imagePoints Observed points in pixels, each with <tt>x</tt> and <tt>y</tt>
+ * @param {object[]} targetPoints Points on the planar target, each with <tt>x</tt> and <tt>y</tt>, in the same order as imagePoints
+ */
+SKARF.CameraCalibrator.prototype.addFrame = function (imagePoints, targetPoints) {
+    if (imagePoints.length !== targetPoints.length) {
+        throw new Error('imagePoints and targetPoints must have the same length');
+    }
+    if (imagePoints.length < 4) {
+        throw new Error('A frame needs at least 4 points');
+    }
+    var frame = {imagePoints: [], targetPoints: []};
+    var i, len;
+    for (i = 0, len = imagePoints.length; i < len; i++) {
+        frame.imagePoints.push({x: imagePoints[i].x, y: imagePoints[i].y});
+        frame.targetPoints.push({x: targetPoints[i].x, y: targetPoints[i].y});
+    }
+    this.__frames.push(frame);
+};
+/**
+ * Adds a frame of detected markers from a printed marker grid
+ * @param {object[]} markers Detected markers, each with <tt>id</tt> and 4 <tt>corners</tt> in pixels (as returned by js-aruco's <tt>AR.Detector</tt>)
+ * @param {object} layout Position of each marker of the grid, keyed by marker ID, each with <tt>x</tt> and <tt>y</tt> of its top-left corner and its <tt>size</tt>, in the same unit
+ * @returns {number} Number of markers of the grid found in this frame. The frame is only added if at least 2 markers are found.
+ */
+SKARF.CameraCalibrator.prototype.addMarkerGridFrame = function (markers, layout) {
+    var imagePoints = [], targetPoints = [];
+    var numFound = 0;
+    var i, len, j, cell, corners;
+    for (i = 0, len = markers.length; i < len; i++) {
+        if (!layout.hasOwnProperty(markers[i].id)) {
+            continue;
+        }
+        cell = layout[markers[i].id];
+        corners = markers[i].corners;
+
+        //js-aruco returns the corners clockwise from the top-left corner of the marker
+        targetPoints.push({x: cell.x, y: cell.y}, {x: cell.x + cell.size, y: cell.y}, {x: cell.x + cell.size, y: cell.y + cell.size}, {x: cell.x, y: cell.y + cell.size});
+        for (j = 0; j < 4; j++) {
+            imagePoints.push({x: corners[j].x, y: corners[j].y});
+        }
+        numFound++;
+    }
+    if (numFound >= 2) {
+        this.addFrame(imagePoints, targetPoints);
+    }
+    return numFound;
+};
+/**
+ * Detects a printed marker grid in an image using js-aruco, and adds it as a frame
+ * @param {ImageData} imageData Image data of the captured image
+ * @param {object} layout Position of each marker of the grid (see {@linkcode SKARF.CameraCalibrator#addMarkerGridFrame addMarkerGridFrame()})
+ * @returns {number} Number of markers of the grid found in this image
+ */
+SKARF.CameraCalibrator.prototype.addMarkerGridImage = function (imageData, layout) {
+    if (!this.__detector) {
+        this.__detector = new AR.Detector();
+    }
+    return this.addMarkerGridFrame(this.__detector.detect(imageData), layout);
+};
+/**
+ * Returns the number of frames added so far
+ * @returns {number} Number of frames
+ */
+SKARF.CameraCalibrator.prototype.getNumFrames = function () {
+    return this.__frames.length;
+};
+/**
+ * Removes all frames
+ */
+SKARF.CameraCalibrator.prototype.clear = function () {
+    this.__frames = [];
+};
+/**
+ * Estimates the intrinsic parameters from the frames added so far
+ * @returns {SKARF.CameraCalibration} Estimated calibration. Its <tt>rmsError</tt> property holds the RMS reprojection error in pixels.
+ */
+SKARF.CameraCalibrator.prototype.calibrate = function () {
+
+    if (this.__frames.length < SKARF.CameraCalibrator.MIN_FRAMES) {
+        throw new Error('At least ' + SKARF.CameraCalibrator.MIN_FRAMES + ' frames are needed, only ' + this.__frames.length + ' added');
+    }
+
+    //homography from the target plane to the image, for each frame
+    var homographies = [];
+    var i, len;
+    for (i = 0, len = this.__frames.length; i < len; i++) {
+        homographies.push(this.__estimateHomography(this.__frames[i].imagePoints, this.__frames[i].targetPoints));
+    }
+
+    //solve the linear intrinsics, then the pose of each frame, then the radial distortion
+    var k = this.__estimateIntrinsics(homographies);
+    var poses = [];
+    for (i = 0, len = homographies.length; i < len; i++) {
+        poses.push(this.__estimatePose(k, homographies[i]));
+    }
+    var distortion = this.__estimateDistortion(k, poses);
+
+    //refine everything together by minimizing the reprojection error
+    var refined = this.__refine(k, distortion, poses);
+
+    var calibration = new SKARF.CameraCalibration({
+        imageWidth: this.__imageWidth,
+        imageHeight: this.__imageHeight,
+        fx: refined.k.fx,
+        fy: refined.k.fy,
+        cx: refined.k.cx,
+        cy: refined.k.cy,
+        distortion: refined.distortion
+    });
+    calibration.rmsError = this.__computeRmsError(calibration, refined.poses);
+    return calibration;
+};
+SKARF.CameraCalibrator.prototype.__estimateHomography = function (imagePoints, targetPoints) {
+
+    //normalize both point sets for numerical stability (Hartley)
+    var tImg = this.__normalizingTransform(imagePoints);
+    var tTgt = this.__normalizingTransform(targetPoints);
 
-    //bake transformations into vertices
-    this.transformAndParent(model, null, markerTransform, overallScale, markerManager);
+    //build A^T * A of the DLT system directly
+    var ata = [];
+    var r, c;
+    for (r = 0; r < 9; r++) {
+        ata.push([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    }
+    var i, len, X, Y, u, v, rows;
+    for (i = 0, len = imagePoints.length; i < len; i++) {
+        X = (targetPoints[i].x - tTgt.mx) * tTgt.s;
+        Y = (targetPoints[i].y - tTgt.my) * tTgt.s;
+        u = (imagePoints[i].x - tImg.mx) * tImg.s;
+        v = (imagePoints[i].y - tImg.my) * tImg.s;
+        rows = [
+            [X, Y, 1, 0, 0, 0, -u * X, -u * Y, -u],
+            [0, 0, 0, X, Y, 1, -v * X, -v * Y, -v]
+        ];
+        this.__accumulateNormalMatrix(ata, rows[0]);
+        this.__accumulateNormalMatrix(ata, rows[1]);
+    }
+    var h = this.__smallestEigenvector(ata);
+
+    //denormalize: H = inv(T_img) * Hn * T_tgt
+    var hn = [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], h[8]]];
+    var tTgtMat = [[tTgt.s, 0, -tTgt.s * tTgt.mx], [0, tTgt.s, -tTgt.s * tTgt.my], [0, 0, 1]];
+    var tImgInv = [[1 / tImg.s, 0, tImg.mx], [0, 1 / tImg.s, tImg.my], [0, 0, 1]];
+    var H = this.__multiply3(tImgInv, this.__multiply3(hn, tTgtMat));
+    var scale = H[2][2] !== 0 ? H[2][2] : 1;
+    for (r = 0; r < 3; r++) {
+        for (c = 0; c < 3; c++) {
+            H[r][c] /= scale;
+        }
+    }
+    return H;
+};
+SKARF.CameraCalibrator.prototype.__normalizingTransform = function (points) {
+    var mx = 0, my = 0, dist = 0;
+    var i, len = points.length;
+    for (i = 0; i < len; i++) {
+        mx += points[i].x;
+        my += points[i].y;
+    }
+    mx /= len;
+    my /= len;
+    for (i = 0; i < len; i++) {
+        dist += Math.sqrt((points[i].x - mx) * (points[i].x - mx) + (points[i].y - my) * (points[i].y - my));
+    }
+    dist /= len;
+    return {mx: mx, my: my, s: dist > 0 ? Math.SQRT2 / dist : 1};
+};
+SKARF.CameraCalibrator.prototype.__accumulateNormalMatrix = function (ata, row) {
+    var n = row.length;
+    var r, c;
+    for (r = 0; r < n; r++) {
+        for (c = 0; c < n; c++) {
+            ata[r][c] += row[r] * row[c];
+        }
+    }
+};
+SKARF.CameraCalibrator.prototype.__multiply3 = function (a, b) {
+    var m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    var r, c, k;
+    for (r = 0; r < 3; r++) {
+        for (c = 0; c < 3; c++) {
+            for (k = 0; k < 3; k++) {
+                m[r][c] += a[r][k] * b[k][c];
+            }
+        }
+    }
+    return m;
+};
+SKARF.CameraCalibrator.prototype.__smallestEigenvector = function (matrix) {
+
+    //cyclic Jacobi eigenvalue algorithm for symmetric matrices
+    var n = matrix.length;
+    var a = [], v = [];
+    var r, c, k;
+    for (r = 0; r < n; r++) {
+        a.push(matrix[r].slice());
+        v.push([]);
+        for (c = 0; c < n; c++) {
+            v[r].push(r === c ? 1 : 0);
+        }
+    }
 
-    console.log('Loaded empty transform for marker id ' + markerId);
+    var sweep, offDiag, theta, t, cs, sn, akr, akc, vkr, vkc;
+    for (sweep = 0; sweep < 100; sweep++) {
+        offDiag = 0;
+        for (r = 0; r < n; r++) {
+            for (c = r + 1; c < n; c++) {
+                offDiag += a[r][c] * a[r][c];
+            }
+        }
+        if (offDiag < 1e-30) {
+            break;
+        }
+        for (r = 0; r < n; r++) {
+            for (c = r + 1; c < n; c++) {
+                if (a[r][c] === 0) {
+                    continue;
+                }
+                theta = (a[c][c] - a[r][r]) / (2 * a[r][c]);
+                t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                cs = 1 / Math.sqrt(t * t + 1);
+                sn = t * cs;
+                for (k = 0; k < n; k++) {
+                    akr = a[k][r];
+                    akc = a[k][c];
+                    a[k][r] = cs * akr - sn * akc;
+                    a[k][c] = sn * akr + cs * akc;
+                }
+                for (k = 0; k < n; k++) {
+                    akr = a[r][k];
+                    akc = a[c][k];
+                    a[r][k] = cs * akr - sn * akc;
+                    a[c][k] = sn * akr + cs * akc;
+                }
+                for (k = 0; k < n; k++) {
+                    vkr = v[k][r];
+                    vkc = v[k][c];
+                    v[k][r] = cs * vkr - sn * vkc;
+                    v[k][c] = sn * vkr + cs * vkc;
+                }
+            }
+        }
+    }
+
+    //eigenvectors are the columns of v
+    var minIndex = 0;
+    for (k = 1; k < n; k++) {
+        if (a[k][k] < a[minIndex][minIndex]) {
+            minIndex = k;
+        }
+    }
+    var result = [];
+    for (k = 0; k < n; k++) {
+        result.push(v[k][minIndex]);
+    }
+    return result;
+};
+SKARF.CameraCalibrator.prototype.__estimateIntrinsics = function (homographies) {
+
+    //each homography gives two constraints on B = inv(K)^T * inv(K), stored as b = [B11, B12, B22, B13, B23, B33]
+    var vij = function (H, i, j) {
+        return [
+            H[0][i] * H[0][j],
+            H[0][i] * H[1][j] + H[1][i] * H[0][j],
+            H[1][i] * H[1][j],
+            H[2][i] * H[0][j] + H[0][i] * H[2][j],
+            H[2][i] * H[1][j] + H[1][i] * H[2][j],
+            H[2][i] * H[2][j]
+        ];
+    };
+
+    //precondition with a rough camera matrix, so that B is well scaled
+    var s = Math.max(this.__imageWidth, this.__imageHeight);
+    var pre = [[1 / s, 0, -this.__imageWidth / (2 * s)], [0, 1 / s, -this.__imageHeight / (2 * s)], [0, 0, 1]];
+
+    var vtv = [];
+    var r;
+    for (r = 0; r < 6; r++) {
+        vtv.push([0, 0, 0, 0, 0, 0]);
+    }
+    var i, len, H, v12, v11, v22, diff;
+    for (i = 0, len = homographies.length; i < len; i++) {
+        H = this.__multiply3(pre, homographies[i]);
+        v12 = vij(H, 0, 1);
+        v11 = vij(H, 0, 0);
+        v22 = vij(H, 1, 1);
+        diff = [];
+        for (r = 0; r < 6; r++) {
+            diff.push(v11[r] - v22[r]);
+        }
+        this.__accumulateNormalMatrix(vtv, v12);
+        this.__accumulateNormalMatrix(vtv, diff);
+    }
+    var b = this.__smallestEigenvector(vtv);
+    var B11 = b[0], B12 = b[1], B22 = b[2], B13 = b[3], B23 = b[4], B33 = b[5];
+
+    //closed-form solution from Zhang's paper, ignoring skew
+    var denom = B11 * B22 - B12 * B12;
+    var v0 = (B12 * B13 - B11 * B23) / denom;
+    var lambda = B33 - (B13 * B13 + v0 * (B12 * B13 - B11 * B23)) / B11;
+    var alpha = Math.sqrt(lambda / B11);
+    var beta = Math.sqrt(lambda * B11 / denom);
+    var gamma = -B12 * alpha * alpha * beta / lambda;
+    var u0 = gamma * v0 / beta - B13 * alpha * alpha / lambda;
+    if (!isFinite(alpha) || !isFinite(beta) || !isFinite(u0) || !isFinite(v0)) {
+        throw new Error('Calibration failed, please add frames with the target held at more varied angles');
+    }
+
+    //undo the preconditioning
+    return {
+        fx: alpha * s,
+        fy: beta * s,
+        cx: u0 * s + this.__imageWidth / 2,
+        cy: v0 * s + this.__imageHeight / 2
+    };
+};
+SKARF.CameraCalibrator.prototype.__estimatePose = function (k, H) {
+
+    //columns of inv(K) * H are r1, r2 and t, up to scale
+    var kinv = [[1 / k.fx, 0, -k.cx / k.fx], [0, 1 / k.fy, -k.cy / k.fy], [0, 0, 1]];
+    var m = this.__multiply3(kinv, H);
+    var lambda = 1 / Math.sqrt(m[0][0] * m[0][0] + m[1][0] * m[1][0] + m[2][0] * m[2][0]);
+    if (m[2][2] < 0) {
+        lambda = -lambda;  //target must be in front of the camera
+    }
+    var r1 = [m[0][0] * lambda, m[1][0] * lambda, m[2][0] * lambda];
+    var r2 = [m[0][1] * lambda, m[1][1] * lambda, m[2][1] * lambda];
+    var t = [m[0][2] * lambda, m[1][2] * lambda, m[2][2] * lambda];
+    return {r1: r1, r2: r2, t: t};
+};
+SKARF.CameraCalibrator.prototype.__refine = function (k, distortion, poses) {
+
+    //Levenberg-Marquardt over [fx, fy, cx, cy, k1, k2] followed by [rotation vector, translation] of each frame
+    var params = [k.fx, k.fy, k.cx, k.cy, distortion[0], distortion[1]];
+    var i, len;
+    for (i = 0, len = poses.length; i < len; i++) {
+        Array.prototype.push.apply(params, this.__poseToVector(poses[i]));
+        params.push(poses[i].t[0], poses[i].t[1], poses[i].t[2]);
+    }
+    var numParams = params.length;
+
+    var residuals = this.__computeResiduals(params);
+    var cost = this.__sumOfSquares(residuals);
+    var lambda = 1e-3;
+
+    var iter, p, r, c, step, saved, col, jacobian, jtj, jtr, a, delta, trial, trialResiduals, trialCost, improved;
+    for (iter = 0; iter < 100; iter++) {
+
+        //numerical jacobian, one column per parameter
+        jacobian = [];
+        for (p = 0; p < numParams; p++) {
+            step = 1e-6 * Math.max(1, Math.abs(params[p]));
+            saved = params[p];
+            params[p] = saved + step;
+            col = this.__computeResiduals(params);
+            params[p] = saved;
+            for (r = 0; r < col.length; r++) {
+                col[r] = (col[r] - residuals[r]) / step;
+            }
+            jacobian.push(col);
+        }
+        jtj = [];
+        jtr = [];
+        for (r = 0; r < numParams; r++) {
+            jtj.push([]);
+            for (c = 0; c < numParams; c++) {
+                jtj[r].push(c < r ? jtj[c][r] : this.__dot(jacobian[r], jacobian[c]));
+            }
+            jtr.push(this.__dot(jacobian[r], residuals));
+        }
+
+        //try steps with increasing damping until the cost goes down
+        improved = false;
+        while (lambda < 1e10) {
+            a = [];
+            for (r = 0; r < numParams; r++) {
+                a.push(jtj[r].slice());
+                a[r][r] += lambda * jtj[r][r];
+            }
+            delta = this.__solveLinearSystem(a, jtr.map(function (value) { return -value; }));
+            if (delta) {
+                trial = params.map(function (value, index) { return value + delta[index]; });
+                trialResiduals = this.__computeResiduals(trial);
+                trialCost = this.__sumOfSquares(trialResiduals);
+                if (trialCost < cost) {
+                    improved = (cost - trialCost) > 1e-12 * cost;
+                    params = trial;
+                    residuals = trialResiduals;
+                    cost = trialCost;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+        if (!improved) {
+            break;
+        }
+    }
+
+    var refinedPoses = [];
+    for (i = 0, len = poses.length; i < len; i++) {
+        refinedPoses.push(this.__vectorToPose(params, 6 + i * 6));
+    }
+    return {
+        k: {fx: params[0], fy: params[1], cx: params[2], cy: params[3]},
+        distortion: [params[4], params[5]],
+        poses: refinedPoses
+    };
+};
+SKARF.CameraCalibrator.prototype.__computeResiduals = function (params) {
+    var residuals = [];
+    var fx = params[0], fy = params[1], cx = params[2], cy = params[3], k1 = params[4], k2 = params[5];
+    var i, leni, j, lenj, frame, pose, n, r2, factor;
+    for (i = 0, leni = this.__frames.length; i < leni; i++) {
+        frame = this.__frames[i];
+        pose = this.__vectorToPose(params, 6 + i * 6);
+        for (j = 0, lenj = frame.targetPoints.length; j < lenj; j++) {
+            n = this.__projectNormalized(pose, frame.targetPoints[j]);
+            r2 = n.x * n.x + n.y * n.y;
+            factor = 1 + k1 * r2 + k2 * r2 * r2;
+            residuals.push(cx + n.x * factor * fx - frame.imagePoints[j].x, cy + n.y * factor * fy - frame.imagePoints[j].y);
+        }
+    }
+    return residuals;
+};
+SKARF.CameraCalibrator.prototype.__poseToVector = function (pose) {
+
+    //orthonormalize r1 and r2, since the linear estimate is not an exact rotation
+    var r1 = pose.r1.slice(), r2 = pose.r2.slice();
+    var len1 = Math.sqrt(this.__dot(r1, r1));
+    r1 = r1.map(function (value) { return value / len1; });
+    var d = this.__dot(r1, r2);
+    r2 = r2.map(function (value, index) { return value - d * r1[index]; });
+    var len2 = Math.sqrt(this.__dot(r2, r2));
+    r2 = r2.map(function (value) { return value / len2; });
+    var r3 = [r1[1] * r2[2] - r1[2] * r2[1], r1[2] * r2[0] - r1[0] * r2[2], r1[0] * r2[1] - r1[1] * r2[0]];
+
+    //rotation matrix (columns r1, r2, r3) to rotation vector
+    var cosTheta = Math.max(-1, Math.min(1, (r1[0] + r2[1] + r3[2] - 1) / 2));
+    var theta = Math.acos(cosTheta);
+    var v = [r2[2] - r3[1], r3[0] - r1[2], r1[1] - r2[0]];
+    var scale = theta < 1e-8 ? 0.5 : theta / (2 * Math.sin(theta));
+    return [v[0] * scale, v[1] * scale, v[2] * scale];
+};
+SKARF.CameraCalibrator.prototype.__vectorToPose = function (params, offset) {
+
+    //rotation vector to rotation matrix (Rodrigues)
+    var rx = params[offset], ry = params[offset + 1], rz = params[offset + 2];
+    var theta = Math.sqrt(rx * rx + ry * ry + rz * rz);
+    var kx = 0, ky = 0, kz = 0, cs = 1, sn = 0, vc = 0;
+    if (theta > 1e-12) {
+        kx = rx / theta;
+        ky = ry / theta;
+        kz = rz / theta;
+        cs = Math.cos(theta);
+        sn = Math.sin(theta);
+        vc = 1 - cs;
+    }
+    return {
+        r1: [cs + kx * kx * vc, ky * kx * vc + kz * sn, kz * kx * vc - ky * sn],
+        r2: [kx * ky * vc - kz * sn, cs + ky * ky * vc, kz * ky * vc + kx * sn],
+        t: [params[offset + 3], params[offset + 4], params[offset + 5]]
+    };
+};
+SKARF.CameraCalibrator.prototype.__solveLinearSystem = function (a, b) {
+
+    //gaussian elimination with partial pivoting, returns null if the matrix is singular
+    var n = b.length;
+    var x = b.slice();
+    var r, c, k, pivot, tmp, factor;
+    for (c = 0; c < n; c++) {
+        pivot = c;
+        for (r = c + 1; r < n; r++) {
+            if (Math.abs(a[r][c]) > Math.abs(a[pivot][c])) {
+                pivot = r;
+            }
+        }
+        if (Math.abs(a[pivot][c]) < 1e-300) {
+            return null;
+        }
+        tmp = a[c];
+        a[c] = a[pivot];
+        a[pivot] = tmp;
+        tmp = x[c];
+        x[c] = x[pivot];
+        x[pivot] = tmp;
+        for (r = c + 1; r < n; r++) {
+            factor = a[r][c] / a[c][c];
+            for (k = c; k < n; k++) {
+                a[r][k] -= factor * a[c][k];
+            }
+            x[r] -= factor * x[c];
+        }
+    }
+    for (r = n - 1; r >= 0; r--) {
+        for (k = r + 1; k < n; k++) {
+            x[r] -= a[r][k] * x[k];
+        }
+        x[r] /= a[r][r];
+    }
+    return x;
+};
+SKARF.CameraCalibrator.prototype.__dot = function (a, b) {
+    var sum = 0;
+    var i, len;
+    for (i = 0, len = a.length; i < len; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+};
+SKARF.CameraCalibrator.prototype.__sumOfSquares = function (values) {
+    return this.__dot(values, values);
+};
+SKARF.CameraCalibrator.prototype.__projectNormalized = function (pose, point) {
+    var x = pose.r1[0] * point.x + pose.r2[0] * point.y + pose.t[0];
+    var y = pose.r1[1] * point.x + pose.r2[1] * point.y + pose.t[1];
+    var z = pose.r1[2] * point.x + pose.r2[2] * point.y + pose.t[2];
+    return {x: x / z, y: y / z};
+};
+SKARF.CameraCalibrator.prototype.__estimateDistortion = function (k, poses) {
+
+    //linear least squares for [k1, k2], from the difference between the observed and ideal points
+    var a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    var i, leni, j, lenj, frame, n, r2, du, dv, eu, ev;
+    for (i = 0, leni = this.__frames.length; i < leni; i++) {
+        frame = this.__frames[i];
+        for (j = 0, lenj = frame.targetPoints.length; j < lenj; j++) {
+            n = this.__projectNormalized(poses[i], frame.targetPoints[j]);
+            r2 = n.x * n.x + n.y * n.y;
+            du = n.x * k.fx;
+            dv = n.y * k.fy;
+            eu = frame.imagePoints[j].x - (k.cx + du);
+            ev = frame.imagePoints[j].y - (k.cy + dv);
+            a11 += (du * du + dv * dv) * r2 * r2;
+            a12 += (du * du + dv * dv) * r2 * r2 * r2;
+            a22 += (du * du + dv * dv) * r2 * r2 * r2 * r2;
+            b1 += (du * eu + dv * ev) * r2;
+            b2 += (du * eu + dv * ev) * r2 * r2;
+        }
+    }
+    var det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-12) {
+        return [0, 0];
+    }
+    return [(a22 * b1 - a12 * b2) / det, (a11 * b2 - a12 * b1) / det];
+};
+SKARF.CameraCalibrator.prototype.__computeRmsError = function (calibration, poses) {
+    var sum = 0, count = 0;
+    var i, leni, j, lenj, frame, n, p, ex, ey;
+    for (i = 0, leni = this.__frames.length; i < leni; i++) {
+        frame = this.__frames[i];
+        for (j = 0, lenj = frame.targetPoints.length; j < lenj; j++) {
+            n = this.__projectNormalized(poses[i], frame.targetPoints[j]);
+            p = calibration.distortPoint(calibration.cx + n.x * calibration.fx, calibration.cy + n.y * calibration.fy);
+            ex = p.x - frame.imagePoints[j].x;
+            ey = p.y - frame.imagePoints[j].y;
+            sum += ex * ex + ey * ey;
+            count++;
+        }
+    }
+    return Math.sqrt(sum / count);
 };
 
+//===================================
+// POSE RECORDING
+//===================================
+
 /**
- * Model loader which contains Three.js JSON model data
- * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * Per-frame log of the markers detected in an AR session, and their solved matrices, which can be replayed with the 'replay' {@linkcode SKARF.ArLibFactory ArLib} without a camera or tracker.<br/>
+ * Logs are recorded with a {@linkcode SKARF.PoseRecorder PoseRecorder} and saved either as JSON (see {@linkcode SKARF.PoseLog#toJSON toJSON()}) or in a more compact binary format (see {@linkcode SKARF.PoseLog#toArrayBuffer toArrayBuffer()}).
+ * The JSON format looks like this, with matrices stored as 16 numbers in column-major order:
+ * <blockquote><tt>{ "version": 1, "arLibType": "jsaruco", "markerSize": 35, "mainMarkerId": 64, "compensationMatrix": [...], "projectionMatrix": [...],<br/>
+ * &nbsp;&nbsp;"frames": [ { "dt": 0.0167, "markers": { "64": [...], "70": [...] } }, ... ] }</tt></blockquote>
+ * Markers are keyed by {@linkcode SKARF.MarkerInstanceKeys instance key}, so copies of the same marker ID are recorded separately.
  * @constructor
- * @extends {SKARF.ModelLoader}
+ * @param {object} data Log data in the JSON format
  */
-SKARF.JsonModelLoader = function () {
-    SKARF.ModelLoader.call(this);
-    this.__loader = new THREE.JSONLoader();
-    console.log('Created a SKARF.JsonModelLoader');
+SKARF.PoseLog = function (data) {
+    if (typeof data.markerSize === 'undefined') {
+        throw new Error('markerSize not specified');
+    }
+    if (typeof data.mainMarkerId === 'undefined') {
+        throw new Error('mainMarkerId not specified');
+    }
+    this.arLibType = data.arLibType || '';
+    this.markerSize = data.markerSize;
+    this.mainMarkerId = data.mainMarkerId;
+    this.compensationMatrix = data.compensationMatrix || new THREE.Matrix4().elements;
+    this.projectionMatrix = data.projectionMatrix || null;
+    this.frames = data.frames || [];
 };
-//inherit from SKARF.ModelLoader
-SKARF.JsonModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
-SKARF.JsonModelLoader.prototype.constructor = SKARF.JsonModelLoader;
-//register with factory
-SKARF.ModelLoaderFactory.register('json', SKARF.JsonModelLoader);
-//override methods
 /**
- * Loads model for marker
- * @param  {object}  model Data containing the model info (from JSON file)
- * @param  {number}  markerId ID of marker to laod
- * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
- * @param  {number}  overallScale Overall scale
- * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
- * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ * Version of the log formats written by this class
+ * @type {number}
  */
-SKARF.JsonModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
-    //TODO: time how long it takes to load
+SKARF.PoseLog.VERSION = 2;  //version 2 adds the instance index of each marker to the binary format
+SKARF.PoseLog.__MAGIC = 'SKPL';
+/**
+ * Creates a log from the binary format
+ * @param {ArrayBuffer} buffer Binary log
+ * @returns {SKARF.PoseLog} Log
+ */
+SKARF.PoseLog.fromArrayBuffer = function (buffer) {
+    var view = new DataView(buffer);
+    var offset = 0;
+    var readString = function () {
+        var length = view.getUint32(offset, true);
+        offset += 4;
+        var str = '';
+        var i;
+        for (i = 0; i < length; i++) {
+            str += String.fromCharCode(view.getUint8(offset + i));
+        }
+        offset += length;
+        return str;
+    };
+    var readMatrix = function () {
+        var elements = [];
+        var i;
+        for (i = 0; i < 16; i++) {
+            elements.push(view.getFloat64(offset, true));
+            offset += 8;
+        }
+        return elements;
+    };
 
-    var that = this;
-    this.__loader.load(model.url, function (geometry, materials) {
+    if (readString() !== SKARF.PoseLog.__MAGIC) {
+        throw new Error('Not a binary pose log');
+    }
+    var version = view.getUint32(offset, true);
+    offset += 4;
+    if (version > SKARF.PoseLog.VERSION) {
+        throw new Error('Unsupported pose log version: ' + version);
+    }
 
-        //set wireframe visibility
-        var i, len;
-        for (i = 0, len = materials.length; i < len; i++) {
-            materials[i].wireframe = isWireframeVisible;
+    var data = {};
+    data.arLibType = readString();
+    data.markerSize = view.getFloat64(offset, true);
+    offset += 8;
+    data.mainMarkerId = view.getInt32(offset, true);
+    offset += 4;
+    data.compensationMatrix = readMatrix();
+    var hasProjectionMatrix = view.getUint8(offset);
+    offset += 1;
+    data.projectionMatrix = hasProjectionMatrix ? readMatrix() : null;
+
+    data.frames = [];
+    var numFrames = view.getUint32(offset, true);
+    offset += 4;
+    var i, j, numMarkers, frame, markerId, instance;
+    for (i = 0; i < numFrames; i++) {
+        frame = {dt: view.getFloat64(offset, true), markers: {}};
+        numMarkers = view.getUint32(offset + 8, true);
+        offset += 12;
+        for (j = 0; j < numMarkers; j++) {
+            markerId = view.getInt32(offset, true);
+            offset += 4;
+            instance = 0;
+            if (version >= 2) {
+                instance = view.getUint32(offset, true);
+                offset += 4;
+            }
+            frame.markers[SKARF.MarkerInstanceKeys.create(markerId, instance)] = readMatrix();
         }
+        data.frames.push(frame);
+    }
+    return new SKARF.PoseLog(data);
+};
+/**
+ * Loads a log file, in either the JSON or the binary format
+ * @param {string} url Path to the log file
+ * @returns {Promise} Promise which resolves with a SKARF.PoseLog, or rejects if the file could not be loaded
+ */
+SKARF.PoseLog.load = function (url) {
+    console.log('Loading pose log file: ' + url);
+    return new Promise(function (resolve, reject) {
+        var fail = function (message) {
+            var err = new Error('error loading ' + url + ': ' + message);
+            console.error(err.message);
+            reject(err);
+        };
+
+        //jQuery cannot load binary data, so use XHR directly
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', url, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = function () {
+            if (xhr.status !== 200 && xhr.status !== 0) {
+                fail(xhr.statusText);
+                return;
+            }
+            try {
+                var bytes = new Uint8Array(xhr.response, 0, Math.min(xhr.response.byteLength, 8));
+                var log;
+                if (String.fromCharCode.apply(null, bytes).indexOf(SKARF.PoseLog.__MAGIC) !== -1) {
+                    log = SKARF.PoseLog.fromArrayBuffer(xhr.response);
+                } else {
+                    log = new SKARF.PoseLog(JSON.parse(new TextDecoder('utf-8').decode(xhr.response)));
+                }
+                console.log('Loaded ' + url + ' (' + log.getNumFrames() + ' frames)');
+                resolve(log);
+            } catch (err) {
+                fail(err.message);
+            }
+        };
+        xhr.onerror = function () {
+            fail('network error');
+        };
+        xhr.send();
+    });
+};
+/**
+ * Returns the number of frames in this log
+ * @returns {number} Number of frames
+ */
+SKARF.PoseLog.prototype.getNumFrames = function () {
+    return this.frames.length;
+};
+/**
+ * Returns the log in the JSON format, e.g. to save with <tt>JSON.stringify()</tt>
+ * @returns {object} Log data
+ */
+SKARF.PoseLog.prototype.toJSON = function () {
+    return {
+        version: SKARF.PoseLog.VERSION,
+        arLibType: this.arLibType,
+        markerSize: this.markerSize,
+        mainMarkerId: this.mainMarkerId,
+        compensationMatrix: this.compensationMatrix,
+        projectionMatrix: this.projectionMatrix,
+        frames: this.frames
+    };
+};
+/**
+ * Returns the log in the binary format. Matrices are stored as 64-bit floats, so a replay gives exactly the same poses as a JSON log.
+ * @returns {ArrayBuffer} Binary log
+ */
+SKARF.PoseLog.prototype.toArrayBuffer = function () {
 
-        //create mesh
-        var mesh = new THREE.Mesh(geometry, new THREE.MeshFaceMaterial(materials));
+    //work out the size first
+    var size = 4 + 4 + 4 + 4 + this.arLibType.length + 8 + 4 + 128 + 1 + (this.projectionMatrix ? 128 : 0) + 4;
+    var i, len, key;
+    for (i = 0, len = this.frames.length; i < len; i++) {
+        size += 12 + Object.keys(this.frames[i].markers).length * (4 + 4 + 128);
+    }
 
-        //bake transformations into vertices
-        that.transformAndParent(model, mesh, markerTransform, overallScale, markerManager);
+    var buffer = new ArrayBuffer(size);
+    var view = new DataView(buffer);
+    var offset = 0;
+    var writeString = function (str) {
+        view.setUint32(offset, str.length, true);
+        offset += 4;
+        var j;
+        for (j = 0; j < str.length; j++) {
+            view.setUint8(offset + j, str.charCodeAt(j) & 0xff);
+        }
+        offset += str.length;
+    };
+    var writeMatrix = function (elements) {
+        var j;
+        for (j = 0; j < 16; j++) {
+            view.setFloat64(offset, elements[j], true);
+            offset += 8;
+        }
+    };
+
+    writeString(SKARF.PoseLog.__MAGIC);
+    view.setUint32(offset, SKARF.PoseLog.VERSION, true);
+    offset += 4;
+    writeString(this.arLibType);
+    view.setFloat64(offset, this.markerSize, true);
+    offset += 8;
+    view.setInt32(offset, this.mainMarkerId, true);
+    offset += 4;
+    writeMatrix(this.compensationMatrix);
+    view.setUint8(offset, this.projectionMatrix ? 1 : 0);
+    offset += 1;
+    if (this.projectionMatrix) {
+        writeMatrix(this.projectionMatrix);
+    }
 
-        console.log('Loaded mesh ' + model.url + ' for marker id ' + markerId);
-    });
+    view.setUint32(offset, this.frames.length, true);
+    offset += 4;
+    var frame, markerIds, j, lenj;
+    for (i = 0, len = this.frames.length; i < len; i++) {
+        frame = this.frames[i];
+        markerIds = Object.keys(frame.markers);
+        view.setFloat64(offset, frame.dt, true);
+        view.setUint32(offset + 8, markerIds.length, true);
+        offset += 12;
+        for (j = 0, lenj = markerIds.length; j < lenj; j++) {
+            key = markerIds[j];
+            view.setInt32(offset, parseInt(SKARF.MarkerInstanceKeys.getMarkerId(key), 10), true);
+            view.setUint32(offset + 4, SKARF.MarkerInstanceKeys.getInstance(key), true);
+            offset += 8;
+            writeMatrix(frame.markers[key]);
+        }
+    }
+    return buffer;
 };
 
 /**
- * Model loader which contains Three.js JSON binary models
- * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * Records the markers detected on every frame, and their solved matrices, into a {@linkcode SKARF.PoseLog PoseLog}.<br/>
+ * The matrices are recorded as they come from the AR lib, before any grace periods or pose filters are applied, so these are applied again on replay.
+ * Use {@linkcode SKARF.Skarf#startPoseRecording Skarf.startPoseRecording()} instead of creating one on your own.
  * @constructor
- * @extends {SKARF.ModelLoader}
+ * @param {object} options Options
+ * @param {string} options.arLibType Type of AR lib being recorded
+ * @param {number} options.markerSize Size of marker
+ * @param {number} options.mainMarkerId ID of main marker
+ * @param {THREE.Matrix4} options.compensationMatrix Compensation matrix of the AR lib
+ * @param {THREE.Matrix4} [options.projectionMatrix] Projection matrix of the render camera
  */
-SKARF.JsonBinaryModelLoader = function () {
-    SKARF.ModelLoader.call(this);
-    if (typeof THREE.BinaryLoader === 'undefined') {
-        throw new Error('THREE.BinaryLoader does not exist. Have you included BinaryLoader.js?');
+SKARF.PoseRecorder = function (options) {
+    this.__log = new SKARF.PoseLog({
+        arLibType: options.arLibType,
+        markerSize: options.markerSize,
+        mainMarkerId: options.mainMarkerId,
+        compensationMatrix: Array.prototype.slice.call(options.compensationMatrix.elements),
+        projectionMatrix: options.projectionMatrix ? Array.prototype.slice.call(options.projectionMatrix.elements) : null
+    });
+};
+/**
+ * Returns the log recorded so far
+ * @returns {SKARF.PoseLog} Log
+ */
+SKARF.PoseRecorder.prototype.getLog = function () {
+    return this.__log;
+};
+SKARF.PoseRecorder.prototype.__addFrame = function (dt, markerTransforms) {
+    var frame = {dt: dt || 0, markers: {}};
+    var id;
+    for (id in markerTransforms) {
+        if (markerTransforms.hasOwnProperty(id) && markerTransforms[id].detected) {
+            frame.markers[id] = Array.prototype.slice.call(markerTransforms[id].currSolvedMatrix.elements);
+        }
     }
-    this.__loader = new THREE.BinaryLoader();
-    console.log('Created a SKARF.JsonBinaryModelLoader');
+    this.__log.frames.push(frame);
 };
-//inherit from SKARF.JsonModelLoader
-SKARF.JsonBinaryModelLoader.prototype = Object.create(SKARF.JsonModelLoader.prototype);
-SKARF.JsonBinaryModelLoader.prototype.constructor = SKARF.JsonBinaryModelLoader;
-//register with factory
-SKARF.ModelLoaderFactory.register('json_bin', SKARF.JsonBinaryModelLoader);
+
+//===================================
+// DETECTION WORKER
+//===================================
 
 /**
- * Model loader which contains OBJ models
- * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ModelLoaderFactory ModelLoaderFactory} instead.</strong>
+ * Runs {@linkcode SKARF.ArLib#detect detect()} of an ArLib in a Web Worker (js/skarf-worker.js), so that marker detection does not hold up the render loop.<br/>
+ * Only one frame is in flight at a time, and frames posted while the worker is busy are dropped. The latest result is kept and extrapolated by the time that has passed since its frame was captured, to compensate for the latency of the worker.<br/>
+ * <strong>Please do not instantiate this class on your own. It is created by an ArLib when useWorker is turned on.</strong>
  * @constructor
- * @extends {SKARF.ModelLoader}
+ * @param {object} options Options
+ * @param {string} options.arLibType ArLib type to create in the worker: 'jsartoolkit', 'jsaruco', 'dictionary'
+ * @param {object} options.arLibOptions Options of the ArLib to create in the worker. These must be structured-cloneable, i.e. no DOM elements or class instances.
+ * @param {string} [options.url='js/skarf-worker.js'] Path to the worker script
+ * @param {string[]} [options.scripts] Scripts for the worker to import, relative to the worker script. Defaults to three.min.js, skarf.js and the scripts of the ArLib in js/lib.
+ * @param {boolean} [options.latencyCompensation=true] Whether to extrapolate the detected poses by the latency of the worker
+ * @param {number} [options.maxLatencyCompensation=0.25] Maximum time in seconds to extrapolate the detected poses by
  */
-SKARF.ObjModelLoader = function () {
-
-    SKARF.ModelLoader.call(this);
-
-    if (typeof THREE.OBJMTLLoader === 'undefined') {
-        throw new Error('THREE.OBJMTLLoader does not exist. Have you included OBJMTLLoader.js and MTLLoader.js?');
+SKARF.DetectionWorker = function (options) {
+
+    this.__url = options.url || 'js/skarf-worker.js';
+    this.__latencyCompensation = (typeof options.latencyCompensation === 'undefined') ? true : options.latencyCompensation;
+    this.__maxLatencyCompensation = (typeof options.maxLatencyCompensation === 'undefined') ? 0.25 : options.maxLatencyCompensation;
+
+    this.__ready = false;
+    this.__failed = false;
+    this.__busy = false;
+    this.__frameId = 0;
+
+    //latest result, with the matrices converted to THREE.Matrix4
+    this.__hasResult = false;
+    this.__latestDetections = [];
+    this.__latestTime = 0;
+    this.__latency = 0;
+    this.__threshold = null;
+
+    //velocity of each marker across the results, used for latency compensation
+    this.__posePredictors = {};
+
+    if (typeof Worker === 'undefined') {
+        this.__fail('Web Workers are not supported');
+        return;
     }
-    this.__loader = new THREE.OBJMTLLoader();
-    console.log('Created a SKARF.ObjModelLoader');
 
-    //register an event listener
     var that = this;
-    this.__loader.addEventListener('load', function (event) {
-
-        var object = event.content;  //this ia a THREE.Object3D
+    this.__worker = new Worker(this.__url);
+    this.__worker.onmessage = function (event) {
+        that.__onMessage(event.data);
+    };
+    this.__worker.onerror = function (event) {
+        that.__fail('error in ' + that.__url + ': ' + event.message);
+    };
+    this.__worker.postMessage({
+        type: 'init',
+        arLibType: options.arLibType,
+        options: options.arLibOptions,
+        scripts: options.scripts
+    });
+};
+SKARF.DetectionWorker.prototype.__now = function () {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+};
+SKARF.DetectionWorker.prototype.__fail = function (message) {
+    this.__failed = true;
+    this.__ready = false;
+    console.error(message);
+    this.terminate();
+};
+SKARF.DetectionWorker.prototype.__onMessage = function (data) {
+    switch (data.type) {
+    case 'ready':
+        this.__ready = true;
+        break;
+    case 'detections':
+        this.__busy = false;
+        this.__onDetections(data);
+        break;
+    case 'error':
+        if (typeof data.frameId === 'undefined') {
+            this.__fail('error initializing ' + this.__url + ': ' + data.message);
+        } else {
+            //a frame which fails to be detected is just skipped
+            this.__busy = false;
+            console.error(data.message);
+        }
+        break;
+    }
+};
+SKARF.DetectionWorker.prototype.__onDetections = function (data) {
+
+    var dt = this.__latestTime ? (data.time - this.__latestTime) / 1000.0 : 0;
+    var now = this.__now();
+    this.__latency = now - data.time;
+    this.__latestTime = data.time;
+
+    var detections = [];
+    var seen = {};
+    var i, len, markerId, matrix;
+    for (i = 0, len = data.detections.length; i < len; i++) {
+        markerId = data.detections[i].id;
+        matrix = new THREE.Matrix4().setFromArray(data.detections[i].matrix);
+        detections.push({
+            id: markerId,
+            corners: data.detections[i].corners,
+            matrix: matrix
+        });
 
-        //set wireframe visibility
-        var child, grandChild;
-        var i, j, leni, lenj;
-        for (i = 0, leni = object.children.length; i < leni; i++) {
-            child = object.children[i];
-            for (j = 0, lenj = child.children.length; j < lenj; j++) {
-                grandChild = child.children[j];
-                if (grandChild instanceof THREE.Mesh) {
-                    grandChild.material.wireframe = that.__isWireframeVisible;
-                }
-            }
+        if (!this.__posePredictors.hasOwnProperty(markerId)) {
+            this.__posePredictors[markerId] = new SKARF.PosePredictor();
         }
+        this.__posePredictors[markerId].update(matrix, dt);
+        seen[markerId] = true;
+    }
 
-        //transform and parent
-        that.transformAndParent(that.__model, object, that.__markerTransform, that.__overallScale, that.__markerManager);
+    //forget the velocity of markers which have been lost, so that they do not jump when they are found again
+    var keys = Object.keys(this.__posePredictors);
+    for (i = 0, len = keys.length; i < len; i++) {
+        if (!seen[keys[i]]) {
+            this.__posePredictors[keys[i]].reset();
+        }
+    }
 
-        console.log('Loaded mesh ' + that.__model.url + ' for marker id ' + that.__markerId);
-    });
+    this.__latestDetections = detections;
+    this.__hasResult = true;
+    if (typeof data.threshold === 'number') {
+        this.__threshold = data.threshold;
+    }
 };
-//inherit from SKARF.ModelLoader
-SKARF.ObjModelLoader.prototype = Object.create(SKARF.ModelLoader.prototype);
-SKARF.ObjModelLoader.prototype.constructor = SKARF.ObjModelLoader;
-//register with factory
-SKARF.ModelLoaderFactory.register('obj', SKARF.ObjModelLoader);
-//override methods
 /**
- * Loads model for marker
- * @param  {object}  model Data containing the model info (from JSON file)
- * @param  {number}  markerId ID of marker to laod
- * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
- * @param  {number}  overallScale Overall scale
- * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
- * @param  {SKARF.MarkerManager} markerManager Instance of MarkerManager
+ * Returns whether the worker has been initialized and is able to detect frames
+ * @returns {boolean} Whether the worker is ready
+ */
+SKARF.DetectionWorker.prototype.isReady = function () {
+    return this.__ready;
+};
+/**
+ * Returns whether the worker has failed to load or initialize. Detection should fall back to the render thread if so.
+ * @returns {boolean} Whether the worker has failed
+ */
+SKARF.DetectionWorker.prototype.hasFailed = function () {
+    return this.__failed;
+};
+/**
+ * Returns whether the worker has returned any result yet
+ * @returns {boolean} Whether there is a result
+ */
+SKARF.DetectionWorker.prototype.hasResult = function () {
+    return this.__hasResult;
+};
+/**
+ * Returns the time between capturing the frame of the latest result and receiving it
+ * @returns {number} Latency in milliseconds
+ */
+SKARF.DetectionWorker.prototype.getLatency = function () {
+    return this.__latency;
+};
+/**
+ * Returns the threshold which the ArLib in the worker has used for the latest result, for ArLibs that threshold the image
+ * @returns {number} Threshold value, or null if not known
+ */
+SKARF.DetectionWorker.prototype.getThreshold = function () {
+    return this.__threshold;
+};
+/**
+ * Posts a frame to the worker for detection, unless the worker is still busy with the previous frame.
+ * The buffer of the image data is transferred to the worker, so the image data cannot be used afterwards.
+ * @param {ImageData} imageData RGBA image data of the frame
+ * @returns {boolean} Whether the frame has been posted
+ */
+SKARF.DetectionWorker.prototype.postFrame = function (imageData) {
+    if (!this.__ready || this.__busy) {
+        return false;
+    }
+    this.__busy = true;
+    this.__frameId++;
+    var buffer = imageData.data.buffer;
+    this.__worker.postMessage({
+        type: 'detect',
+        frameId: this.__frameId,
+        time: this.__now(),
+        width: imageData.width,
+        height: imageData.height,
+        buffer: buffer
+    }, [buffer]);
+    return true;
+};
+/**
+ * Calls a method of the ArLib in the worker, e.g. to keep its threshold in sync
+ * @param {string} method Name of method
+ * @param {array} args Arguments, which must be structured-cloneable
+ */
+SKARF.DetectionWorker.prototype.call = function (method, args) {
+    if (this.__worker) {
+        this.__worker.postMessage({type: 'call', method: method, args: args});
+    }
+};
+/**
+ * Returns the latest detected markers, with their matrices extrapolated to the current time if latency compensation is turned on
+ * @returns {object[]} Detected markers, in the same format as {@linkcode SKARF.ArLib#detect detect()}
  */
-SKARF.ObjModelLoader.prototype.loadForMarker = function (model, markerId, markerTransform, overallScale, isWireframeVisible, markerManager) {
-
-    //store variables in the instance since there seems to be no way to pass to loader.load (TODO: verify this)
-    this.__model = model;
-    this.__markerId = markerId;
-    this.__markerTransform = markerTransform;
-    this.__overallScale = overallScale;
-    this.__isWireframeVisible = isWireframeVisible;
-    this.__markerManager = markerManager;
+SKARF.DetectionWorker.prototype.getDetections = function () {
+    if (!this.__latencyCompensation) {
+        return this.__latestDetections;
+    }
 
-    //call load()
-    var mtlFile = model.url.replace(/\.obj/g, '.mtl');  //assume mtl file has same base name as .obj
-    this.__loader.load(model.url, mtlFile);
+    var elapsed = Math.min((this.__now() - this.__latestTime) / 1000.0, this.__maxLatencyCompensation);
+    var detections = [];
+    var i, len, matrix;
+    for (i = 0, len = this.__latestDetections.length; i < len; i++) {
+        matrix = this.__latestDetections[i].matrix.clone();
+        if (elapsed > 0) {
+            this.__posePredictors[this.__latestDetections[i].id].extrapolate(matrix, elapsed);
+        }
+        detections.push({
+            id: this.__latestDetections[i].id,
+            corners: this.__latestDetections[i].corners,
+            matrix: matrix
+        });
+    }
+    return detections;
+};
+/**
+ * Terminates the worker
+ */
+SKARF.DetectionWorker.prototype.terminate = function () {
+    if (this.__worker) {
+        this.__worker.terminate();
+        this.__worker = null;
+    }
+    this.__ready = false;
 };
 
 //===================================
-// MARKER MANAGER
+// MARKER DICTIONARIES
 //===================================
 
 /**
- * Manager to manage markers, both for models and GuiMarkers
- * @constructor
+ * Factory which creates SKARF.MarkerDictionaries of square fiducial markers, used by the 'dictionary' {@linkcode SKARF.ArLibFactory ArLib}.<br/>
+ * The following dictionaries are registered, with the same codes and IDs as the predefined dictionaries of OpenCV's aruco module:
+ * <ul>
+ *   <li>'aruco4x4_50': ArUco 4x4 bits, IDs 0 to 49</li>
+ *   <li>'aruco5x5_100': ArUco 5x5 bits, IDs 0 to 99</li>
+ *   <li>'aruco6x6_250': ArUco 6x6 bits, IDs 0 to 249</li>
+ *   <li>'apriltag36h11': AprilTag 36h11, IDs 0 to 586</li>
+ * </ul>
+ * @namespace
  */
-SKARF.MarkerManager = function (markersJsonFile) {
-    this.__markersJsonFile = markersJsonFile;
+SKARF.MarkerDictionaryFactory = {
 
-    this.__markerData = null;
-    this.__modelLoaders = {};
+    __mappings: {},
 
-    this.__materials = [];
+    /**
+     * Function to create a SKARF.MarkerDictionary instance
+     * @param {string} type Type of dictionary to create e.g. 'apriltag36h11'
+     * @returns {SKARF.MarkerDictionary} Created instance
+     */
+    create: function (type) {
+        if (!type) {
+            throw new Error('SKARF.MarkerDictionary type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.MarkerDictionary of this type has not been registered with SKARF.MarkerDictionaryFactory: ' + type);
+        }
+        return new SKARF.MarkerDictionary(this.__mappings[type]);
+    },
 
-    this.__load();
+    /**
+     * Registers a type string to the codes of a dictionary
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'apriltag36h11'
+     * @param {object} data Dictionary data
+     * @param {number} data.markerSize Number of bits along each side of the marker, excluding the black border
+     * @param {number} data.maxCorrectionBits Maximum number of bit errors that can be corrected without mistaking one marker for another
+     * @param {string[]} data.codes Hex string of the bits of each marker, read row by row from the top-left with the marker upright and white as 1. The index of a code is its marker ID.
+     */
+    register: function (mappingName, data) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
+        }
+        this.__mappings[mappingName] = data;
+    }
 };
-SKARF.MarkerManager.prototype.__load = function () {
-    console.log('Loading markers json file: ' + this.__markersJsonFile);
 
-    //load the JSON file
-    var that = this;
-    $.ajax({
-        url: this.__markersJsonFile,
-        dataType: 'JSON',
-        async: false
-    }).done(function (data) {
-        that.__markerData = data;
-        console.log('Loaded ' + that.__markersJsonFile);
-        console.log('Main marker id: ' + that.__markerData.mainMarkerId);
-    }).error(function (xhr, textStatus, error) {
-        throw new Error('error loading ' + this.__markersJsonFile + ': ' + error);
-    });
+/**
+ * Dictionary of square fiducial markers, which identifies markers from their bits.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.MarkerDictionaryFactory MarkerDictionaryFactory} instead.</strong>
+ * @constructor
+ * @param {object} data Dictionary data (see {@linkcode SKARF.MarkerDictionaryFactory.register MarkerDictionaryFactory.register()})
+ */
+SKARF.MarkerDictionary = function (data) {
+
+    this.markerSize = data.markerSize;
+    this.maxCorrectionBits = data.maxCorrectionBits;
+
+    //bits of each code in all 4 rotations, where rotation r is the upright code turned counter-clockwise r times
+    this.__rotatedCodes = [];
+    var i, len, bits, rotations, r;
+    for (i = 0, len = data.codes.length; i < len; i++) {
+        bits = this.__hexToBits(data.codes[i]);
+        rotations = [bits];
+        for (r = 1; r < 4; r++) {
+            rotations.push(this.__rotateCounterClockwise(rotations[r - 1]));
+        }
+        this.__rotatedCodes.push(rotations);
+    }
 };
 /**
- * Loads model for marker
- * @param  {number}  markerId ID of marker to load
- * @param  {THREE.Object3D}  markerTransform Transform to parent to after model has loaded
- * @param  {number}  markerSize Size of marker
- * @param  {boolean} isWireframeVisible Whether to initialize the wireframe mode to true
+ * Returns the number of markers in this dictionary
+ * @returns {number} Number of markers
  */
-SKARF.MarkerManager.prototype.loadForMarker = function (markerId, markerTransform, markerSize, isWireframeVisible) {
-
-    markerSize = markerSize || 1.0;
-
-    //two types of markers to load:
+SKARF.MarkerDictionary.prototype.getNumMarkers = function () {
+    return this.__rotatedCodes.length;
+};
+/**
+ * Identifies a marker from the bits read off an image
+ * @param {number[]} bits Bits of the marker (white as 1), read row by row from the top-left of the image, i.e. markerSize * markerSize values
+ * @param {number} [maxCorrectionBits] Maximum number of bit errors to correct. Defaults to maxCorrectionBits of the dictionary.
+ * @returns {object} Match with <tt>id</tt>, <tt>rotation</tt> (number of times the upright marker has been turned counter-clockwise in the image) and <tt>distance</tt> (number of bit errors), or null if no marker matches
+ */
+SKARF.MarkerDictionary.prototype.identify = function (bits, maxCorrectionBits) {
+    if (typeof maxCorrectionBits === 'undefined') {
+        maxCorrectionBits = this.maxCorrectionBits;
+    }
 
-    if (this.__markerData.models && this.__markerData.models[markerId]) {
-        //1) models
-        var model = this.__markerData.models[markerId];
-        if (model) {
-            var type = model.type;
-            if (!this.__modelLoaders.hasOwnProperty(type)) {
-                //create a loader using SKARF.ModelLoaderFactory
-                this.__modelLoaders[type] = SKARF.ModelLoaderFactory.create(type);
+    var best = null;
+    var i, leni, r, j, lenj, code, distance;
+    for (i = 0, leni = this.__rotatedCodes.length; i < leni; i++) {
+        for (r = 0; r < 4; r++) {
+            code = this.__rotatedCodes[i][r];
+            distance = 0;
+            for (j = 0, lenj = code.length; j < lenj && distance <= maxCorrectionBits; j++) {
+                if (code[j] !== bits[j]) {
+                    distance++;
+                }
+            }
+            if (distance <= maxCorrectionBits && (!best || distance < best.distance)) {
+                best = {id: i, rotation: r, distance: distance};
+                if (distance === 0) {
+                    return best;
+                }
             }
-            this.__modelLoaders[type].loadForMarker(model, markerId, markerTransform, markerSize, isWireframeVisible, this);
         }
-    } else if (this.__markerData.guiMarkers && this.__markerData.guiMarkers[markerId]) {
-        //2) GUI markers
-        var guiMarker = this.__markerData.guiMarkers[markerId];
-        if (guiMarker) {
-            var type = guiMarker.type;
-            guiMarker = SKARF.GuiMarkerFactory.create(type, {
-                name: guiMarker.name,
-                key: guiMarker.key,
-                markerId: markerId,
-                markerTransform: markerTransform,
-                markerSize: markerSize,
-                params: guiMarker.params
-            });
-            markerTransform.guiMarker = guiMarker;
+    }
+    return best;
+};
+SKARF.MarkerDictionary.prototype.__hexToBits = function (hex) {
+    var numBits = this.markerSize * this.markerSize;
+    var bits = [];
+    var i, j, value;
+    for (i = 0; i < hex.length; i++) {
+        value = parseInt(hex.charAt(i), 16);
+        for (j = 3; j >= 0; j--) {
+            bits.push((value >> j) & 1);
         }
-    } else {
-        console.warn('Unable to find data for marker id ' + markerId);
     }
-
+    //drop the padding at the front
+    return bits.slice(bits.length - numBits);
 };
-
-//===================================
-// HELPERS
-//===================================
-
-// I'm going to use a glMatrix-style matrix as an intermediary.
-// So the first step is to create a function to convert a glMatrix matrix into a Three.js Matrix4.
-THREE.Matrix4.prototype.setFromArray = function (m) {
-    return this.set(
-        m[0], m[4], m[8], m[12],
-        m[1], m[5], m[9], m[13],
-        m[2], m[6], m[10], m[14],
-        m[3], m[7], m[11], m[15]
-    );
+SKARF.MarkerDictionary.prototype.__rotateCounterClockwise = function (bits) {
+    var n = this.markerSize;
+    var rotated = [];
+    var row, col;
+    for (row = 0; row < n; row++) {
+        for (col = 0; col < n; col++) {
+            rotated.push(bits[col * n + (n - 1 - row)]);
+        }
+    }
+    return rotated;
 };
 
-function copyMarkerMatrix(arMat, glMat) {
-    glMat[0] = arMat.m00;
-    glMat[1] = -arMat.m10;
-    glMat[2] = arMat.m20;
-    glMat[3] = 0;
-    glMat[4] = arMat.m01;
-    glMat[5] = -arMat.m11;
-    glMat[6] = arMat.m21;
-    glMat[7] = 0;
-    glMat[8] = -arMat.m02;
-    glMat[9] = arMat.m12;
-    glMat[10] = -arMat.m22;
-    glMat[11] = 0;
-    glMat[12] = arMat.m03;
-    glMat[13] = -arMat.m13;
-    glMat[14] = arMat.m23;
-    glMat[15] = 1;
-}
+//codes below are generated from the predefined dictionaries of OpenCV's aruco module
+//ArUco 4x4 (50 markers)
+SKARF.MarkerDictionaryFactory.register('aruco4x4_50', {
+    markerSize: 4,
+    maxCorrectionBits: 1,
+    codes: [
+        'b532', '0f9a', '332d', '9946', '549e', '79cd', '9e2e', 'c4f2', 'feda', 'cf56', 'f991', '11a7',
+        '0eb7', '2a0f', '24b1', '263e', '4665', '6600', '6c5e', '76af', '868b', 'b02b', 'ccd5', 'dd82',
+        'fe47', '9471', 'ace4', 'a554', '2123', '346f', '4415', '57b2', '9ecf', 'f0cb', '08ae', '0929',
+        '1875', '04ff', '0df6', '1c5a', '1718', '2a28', '328c', '38b2', '24e8', '2eeb', '2d3f', '4b64',
+        '502e', '5013'
+    ]
+});
+//ArUco 5x5 (100 markers)
+SKARF.MarkerDictionaryFactory.register('aruco5x5_100', {
+    markerSize: 5,
+    maxCorrectionBits: 3,
+    codes: [
+        '145b2bc', '01c06e6', '1af0edd', '10395f7', '1aeb524', '1d4082d', '0d3d7ec', '0e2146b', '10d6132', '1313fa5', '13cee03', '1a2dac0',
+        '1e62b11', '05e7166', '1fcfca8', '051e37f', '097a758', '0bea26f', '0f64dc4', '1061de8', '12dda75', '150e440', '16b0ca1', '0ba12de',
+        '19cd023', '1a59972', '1c3ce8b', '0224246', '03b9672', '024223b', '027376e', '0368873', '040d0ce', '04aaac8', '04643ba', '07a6fea',
+        '0998aac', '082d101', '09aad1d', '0863c72', '0ad2825', '0a52f9e', '0d849f7', '0c309d9', '0da7e31', '0e9627a', '0e9b997', '0f94806',
+        '0f59125', '0f6b7d7', '11b58e4', '11ad279', '11e380b', '1169445', '12ffb4a', '158cb8d', '15987f0', '1422fdf', '14e1227', '156df22',
+        '173dbf1', '164c93c', '17cbb86', '1880a87', '19147dd', '184eb8a', '18d85ad', '1b2cda9', '1babd73', '1e9d432', '1e76528', '0f5740a',
+        '1b11a53', '018ce65', '02ab219', '098e981', '0a8061c', '141a158', '185314c', '196d12c', '1fad3a2', '00922b5', '019bce0', '00b547c',
+        '002c76f', '0132289', '012d2a7', '00c4b43', '0067bc5', '00faa0d', '01f1f54', '038e879', '0323b23', '02c3647', '02da51b', '02e9d8d',
+        '027c562', '03efdf5', '0521ee0', '0448efd'
+    ]
+});
+//ArUco 6x6 (250 markers)
+SKARF.MarkerDictionaryFactory.register('aruco6x6_250', {
+    markerSize: 6,
+    maxCorrectionBits: 5,
+    codes: [
+        '1e3dd82a6', '0efba3891', '15907eacd', 'c91b3069e', 'd607d6e15', 'd8e8e0e68', '4268b41f5', '88a50f29a', '307d524fd',
+        '3c2f34b3c', '45dfc74e3', '48d85b257', '710558fc6', '86dcfad07', '8d72a93f6', 'a2b89dcde', '09fd1e9c4', '154dbd18f',
+        '300a310e2', '4807efafd', '56df11db6', '66883274c', '76e8cb781', '9a53d9cf3', 'a9cb84024', 'c67549490', 'c1d288941',
+        'e7480852b', 'ea2fca848', 'e963b77b1', 'fa36652af', '065bff7bd', '0541d72d6', '0cf7246a2', '1338a39eb', '15a893e74',
+        '3a417ee9e', '4f11e26c0', '530db6d20', '589bfae34', '6409e8a0b', '60537a891', '6159069ba', '6bff78d7b', '70ad96a4f',
+        '75846f71a', '7a95192fc', '8609760aa', '8a2d44c3f', '93eb78b14', '988da84d4', '9ede2b3c8', 'a529e07b8', 'b593b855f',
+        'b7f8e426f', 'bc205225e', 'c04487765', 'c4c324259', 'c5a91bd8d', 'ce73e6b2c', 'cd0ca6272', 'c9435d44d', 'cfbe80f34',
+        'e57d15877', 'efc6858e9', 'f77ef3772', '2ce43f254', '2bdcff4b3', '37c7ddbda', 'a1a254e0f', 'a982c1bb5', 'd81b49b08',
+        '035829f86', '07c4095fc', '0fe26617b', '144836441', '10ad5ffb7', '12829553f', '16e13184c', '187a496b0', '1ae886112',
+        '1913ae0a1', '1b67b5a17', '25dc95f0b', '288961f76', '3354146aa', '31c16c1f7', '33cb18c66', '3ecfe490f', '464518a3f',
+        '44ba70b67', '419c623e8', '48d1914a1', '54f499f6d', '575a9c813', '558355b2c', '57b77610f', '5c3436fe4', '5c48fc77e',
+        '5e6eef402', '5f233b6ff', '5b742a632', '650fa33ae', '65d3175cc', '6a9c245ae', '69c5f3042', '69d2484ea', '7479e2de6',
+        '72cf23eab', '77b1dc414', '7e0c07217', '7a6970647', '78b2d8707', '79c585794', '866f59fc6', '82f6727f5', '854e2f414',
+        '9a1185934', '9c7160c97', '9dd194fd8', 'a21e12e38', 'ae701c82c', 'ad01219c1', 'b0351f9ee', 'b64ad80d4', 'b537314b4',
+        'beaac7e3b', 'bb683dbcf', 'c672f72c1', 'c1e74dbab', 'cb55ee59d', 'cba053724', 'd0090fcf1', 'd06c3ad54', 'd3f120574',
+        'e6e33b1a7', 'e3533ea4a', 'e8068eb14', 'ec07c0597', 'eaf3803da', 'f63b27d88', 'f30798379', 'fe4bba9b9', 'aba57d86b',
+        'c0d1625ab', '13ce7bae7', '4e81fd617', '56e076320', '6a708a540', '72a898a18', '815d42f80', 'cf4cc3d5f', 'd6bb65864',
+        'ecd313a31', 'f521f5207', 'f91fa5df7', '0024f47a7', '00084d882', '043cc2f29', '047b50211', '067ae4c1d', '00aa968a3',
+        '04d138e94', '0510a80da', '0140b0007', '019d9cee1', '081057e3b', '086b97b66', '0ee8b860a', '0b6c76b9b', '0fdcb98cb',
+        '0fcacf3a0', '14249fd98', '1407201fd', '150910d57', '135cd7307', '11479abb6', '1cb9a9238', '1cdd07766', '1f2e7c24b',
+        '196642477', '1957d4c84', '1fa8f4f04', '1b8246ed8', '1baee10fe', '22a4b63ca', '22bf9012f', '232c15b40', '255aa966c',
+        '27a5afa97', '25f40e425', '286655cde', '2c427e0e0', '2ab97cbd0', '2946e1d23', '2da628410', '2bfb209a6', '368cd66bc',
+        '3487777c7', '34ddeb840', '3791f76f1', '3a228e175', '3e13bd408', '3c9843ca2', '39589d179', '3974daeeb', '3f6dbc731',
+        '3d6bc050c', '39ab27497', '46024e25e', '4682ba0bc', '42e9cd5ae', '44c9b7b3f', '40c7d41e9', '46d2b4cce', '43195356b',
+        '4122e6dd9', '4753a59ab', '4e1ef1e08', '4e4ac0960', '4e5faa06f', '4a8d32943', '491594b39', '4d4ddb621', '4ba761e81',
+        '49d483d8e', '56290ef6c', '537ed5ffc', '55f5a7afa', '55d5ea64f', '581bab1da', '5ebe926dd', '5f10f99b5', '5d1edfa5c',
+        '5f718df02', '5de11e468', '6033bb247', '64581afe1', '63c8dda76', '61da3d8fd', '6e3a22afa', '6e6105b71', '6a89a9e8c',
+        '6a97224f5', '6b12c3801', '6b684b22a', '6f94c1579', '6da6fea0d', '6feaca457', '703d38a60'
+    ]
+});
+//AprilTag 36h11 (587 markers)
+SKARF.MarkerDictionaryFactory.register('apriltag36h11', {
+    markerSize: 6,
+    maxCorrectionBits: 5,
+    codes: [
+        '21a146bab', '92d18fe9b', '7089014bb', '193979e27', '44153d3d7', '35cd5b8cf', 'a10ba56a0', '2b874a608', 'b57fb8d44',
+        '4e20b5a64', '61d897f2c', 'ab3469ffc', '594ca45c2', 'fa1c2d2e2', '97c24b972', '75928624a', '1caafe99a', '3236ddc16',
+        '884e527d6', '5771a8c7e', 'f52925b81', '2e59cc1a1', '7fa58ab31', 'eb43384f9', '3913d5345', 'd79b1a3b5', '0dfbe768d',
+        '5cd7a031d', 'b9c8f7a4b', '46987e06b', '6e0c5d527', '5bc567bb4', '1e6302bc2', '8ac7d046a', 'a65fe2326', '5400eb616',
+        'f7a066836', '2dd0afdf6', '3b9cb60b1', 'ad6a1caf9', '93b62efb5', 'bb210d93d', 'dee55094b', 'a0cd1479b', '2a23abb27',
+        '4f67f4b5f', '58a815818', '743427d64', '1dec40874', '892ab3a02', '38d5742ee', '0c43567a1', '5db311cb1', 'c957ca1f9',
+        'a22457823', '29ace98f3', 'ccc52c528', 'da8b3578c', 'd5b4b9e36', 'ac9cdd3ce', 'cbdaa8391', '1986256b1', 'bae6cc889',
+        'df91b10e5', 'a1a9d5a75', '2b651aa9d', '4d5c2e19d', '5b163736b', 'f753d60a8', '5e84b37d2', 'fce43a9f2', 'bb926d1a6',
+        'ed8d236e5', '6af846f37', 'ea56a5138', '5d497146c', '470360eca', '8c4bcd67a', '295f3901e', 'f6b577e97', '520602f5a',
+        'b5119492e', '48e299ab7', 'b79f5737a', 'a814c683e', '2da900583', 'd4aba4797', '982a0e65c', 'f480ccc15', '0b20ea732',
+        'a9506710a', '0486e2ee1', 'b0a972615', 'e73f3a257', '17e205b98', 'ec9ab2b24', 'd9339e076', 'eb8874f99', '9420a55cc',
+        'e364ff992', '8a4cb8f0a', 'f72aee766', '73cc6b569', 'c99ca6a59', '366a0c535', '509e51943', 'ba6d227d1', 'd2acf163b',
+        'd989fef68', '641707bb2', 'f9bd312ab', '77739c207', '68bf8d1bf', 'dedd84a6e', '42eaec49b', '302b68d53', '4ebb930ce',
+        '439c5d9b5', 'e1fc9228d', 'f8a6a8d4a', 'b53902a18', 'b163475ee', 'ad2f5af29', 'aab5dc850', 'b3ec25786', '4799c4405',
+        '8bc68dc04', '702f15dde', 'b42293da9', '1acad0382', '813363971', '0e692ad70', '8ad05c5b9', '85e654c1b', '3d0ac2b3b',
+        '4bbfa0552', '722dde306', '369d1acd2', 'a2d994e60', '5fad9139d', '57535ae96', '5f5ef1d46', 'ebc3e6acc', '0a99c835d',
+        '5463e49a5', '25676893a', 'abed37064', '59bdded94', '64fa04c09', '250e44e75', 'e58a374bc', '24caa5741', 'e42cf6588',
+        '6ea238538', 'f75813025', '0ceb33bbd', '786ae8670', 'f0de8c969', '26c81efe6', '69f489086', '3fbf92a4d', 'd6555a760',
+        '9ccae236d', 'b256c16a3', 'd78ac7221', '2dc1fe262', 'af2051090', '932c08afe', '53feca775', '5d292497a', '2f101a22b',
+        'c6ad16b14', 'd2eca4b20', 'a6fa603d4', '3057c3b69', 'e817b54d2', '40abfc3e0', 'f53ad16e7', '36f3a06e8', '27782e418',
+        '3e9062146', '01fd7ad4e', 'c8765bc64', 'ad3d8215f', '96317a27e', '05f813ca6', '0e7adc22e', 'bf52c4a50', '724f6ae2e',
+        '540fd7ea8', '9c962f741', '264042b01', '197cb7754', '1f2bb850d', 'c87d6c2ad', 'dc8d2dede', 'cb6b01738', 'be4210368',
+        'bb4622a77', '733226ef8', '4933ade39', '1f1c896c7', '897665aba', '92f46ba12', '297981767', 'ad702cf8d', '473198b90',
+        'ec2e8e06b', '36a1d6980', 'a5ce8650f', '637870348', 'f3ab41d46', 'e6032a8b5', '4c11eec73', '261de50d6', '296616e32',
+        '37cff1a0a', 'c457847ab', '776e52ff9', '980819bb9', '50cb2b5d8', '8b6918063', '12d9c2ce9', '158c2e738', '6b84015ea',
+        '67695db9f', '3e72745c1', '01ca1a571', '22e7036f5', 'd5dcedae1', '809532c5b', 'f7e4e9d54', '59d84f9cb', 'f42ed0851',
+        '5db4a91fa', '0d58e5b1f', '69fb9fa43', '29ba51f60', '587c67427', 'd8b9021ed', 'bb594449e', 'aa231f35a', '0d95943f4',
+        'dec461257', '05a16930d', 'e2512eb58', 'ab48e2dc0', '0cb68494f', '927a6b5b1', 'bb90f3450', '632e8fad0', 'c2eeaf2a7',
+        '1eb2af39d', '511548c52', '4693d5de4', '888e9161d', '68836ff4f', '51bd2e441', '7a0ac40e9', '8bb762b4a', '1caf83a1a',
+        'c2700bbbd', 'fb2ed09aa', 'f8520294e', '7aa104ca6', '6a96d2bcb', '28f2ec75e', '607065eb4', '7ad9b3a8c', '3572d6cbf',
+        'd426efb8f', '64ee4dbaa', '983d7a8f1', '8ca31f499', '025457b46', 'd53ae4149', '9d3c64396', '795332ee5', '70884d664',
+        '1dd3528d8', 'd8e51d246', 'd6029ca38', 'd94ab610c', '766bb8880', 'fd0c6b319', '3bff8b9d1', 'e786f4d4e', 'd4e6b9b79',
+        'cfa8bb369', '20a4366c6', '5cefb9536', '0f06b6605', 'bb51d25e7', 'f7e262641', '81fda9855', '2241dbc59', '56fb4b280',
+        'eda64c6d0', 'ce7b080f4', '6192ee7e9', '943ff5124', '88b3beadf', '9b27e58d0', 'be0b45fd2', '69fb3a72a', '61383a832',
+        '6688639b3', '54d01c992', '90b10c02a', 'f667fc6d1', '7acd75813', '3abd07f61', '543012473', '067794d58', 'a855b1201',
+        '9cb4d7fdb', '31a193e6a', '3da3b76d4', '4153f1e04', '5544335b5', '92f61249d', '269a35f8a', '042677896', '9487cdc6f',
+        '4ea7e7d9c', '2e367345b', '3a5e8f304', '76d9faa77', '64e4ea1df', '12a7b434d', '4973d9553', 'cdb418975', '8bda76d2e',
+        'f54a4dec8', '811616f8a', '4036f4e6b', '2736282a6', 'a413d229f', '901fe4c17', '9abfce56e', '2d325b9ef', 'd9901f6a9',
+        '3aa64fade', '65288d60b', '0a53e960b', 'e9e09c3e4', '4d9b7863d', 'd98bb4833', '34b181ed7', '5b373f490', '8572b7b91',
+        '2c5d056a4', 'e4671296d', '2a08d6f78', '452949c61', '2501ec5b7', 'b8f54779c', 'a3b7ea4b3', '443d6b9b4', 'be2dcb848',
+        'b51fc47ec', '6f38cf988', '90f2fe934', '07fd540ab', 'ee53c3d08', 'f7098ebca', '65467c309', 'ae6fd797e', '8bc4739e9',
+        '971930fe4', '9a752df57', 'bd47fe53e', '6f1530928', '5de1cc489', '111ce3dcd', 'a4c7e157c', '552691112', '9d6511805',
+        '6663c1cb3', 'bfc594002', '3a3500387', '76d4f679c', '446f2667b', '17ae59e97', '36132d63e', '8e07492bf', '188acddf1',
+        'ed9052d02', '5b6bd01f5', '84a4d070e', 'c9b2a3af4', 'ab18852fc', '9de918390', '3576ee9e0', 'e8d00d210', '709b5a95c',
+        'a9022a314', 'a03ea2b9c', '1e589ec5e', '74470eedd', '36bd44159', 'b7f8d2516', 'dcde4bfa5', '9eda99c30', '8ffb98a8b',
+        '9ac777e71', '8d0a53cb3', 'c9ed1dced', 'c238535ea', 'ee4aa6437', 'cd8345a1e', '5a19e05ae', '96d780d25', 'e2c885185',
+        'c5314f8db', 'a47c37ee1', '1d82c6f8c', '325c5c6c8', '5d9d1bae0', '9549e075e', '8a6845c15', 'adf9f10fe', '95cef30b0',
+        '71933b20d', '1f0de3a6f', '596f5bba6', 'cd61d9f34', 'a478ad328', 'dade4012f', 'd15764370', '3a2bf5d22', '2303e348d',
+        '41b9bf9a9', '5a4e93ee3', '462b44512', '4e01719c1', '73a0d9137', '932b416dd', 'ff4b615a7', '2c880f1ac', '6f3bb6aa1',
+        '476d21ae6', 'f9c290688', '768111210', '623458f55', 'f31919e1f', 'ef47a7dd1', 'c6c777808', 'eec96f096', '9b3c9bdaf',
+        '6fd432573', '60e7d0aa9', '0651cda34', 'e2acc04e7', '9460d1a22', '82b79b177', '4eb189f4b', 'cbf9c3b1e', '6f6c64841',
+        'e54e50a2e', '632f30f23', 'b3bb3de6c', '6331f5383', 'bca1dafe5', 'd1816cab9', '0d8407aca', '794e1d7e5', '92de65442',
+        '651497949', '33f751712', '3c9ce9195', '7ecb81d7a', 'ede140178', 'c09b0ee2c', '14e61f774', '6d336649a', '865dd0880',
+        'f7214bfb8', 'd8b9c2e22', '99a70737f', 'c0ecf90c9', 'bb8b26e01', '05678fcac', '33b483834', 'eb9d84b83', '7ca277ea2',
+        '02af5f66b', '4a678c122', '121592bf3', 'cc82b48c9', '77cbe90fc', '5ef7d7931', '117947995', '344d5f970', 'df2f12e72',
+        '114277b37', '0b8fa73d5', '36e16f423', '057402b7e', 'c342423a7', '758c34dab', '67dc61614', '29b222068', '7101af0fa',
+        '54d22bc75', '908ba3af9', 'eb68c9b51', '2605d442c', '6ab88b7f4', '207c7657d', '377940d20', 'ac2eb77b6', '3e87318ec',
+        '47afea1aa', '46de35b74', '48a36ba10', 'f0711536b', '963f87ed4', 'd83ab9965', '7b2eb5a0f', 'b6adfaf32', '87e07a4ea',
+        '7b4518f4e', '9064a3738', '3c242ca12', '96b25c4a4', '8b01d83ac', 'e51cceb25', '480f58db0', 'bae295867', '89fc0fba0',
+        'dd06475e9', 'f7fe46b4c', '43cef026d', '6393585a2', '87b404456', '4fa47cbea', '7619f955a', '51b9a1330', '1533637c7',
+        '7587a972a', '60de11622', '7d4ce68ae', 'af135e81c', '31c9b647c', 'ac43d8155', 'd853e1cfb', '4fcdc5cf0', 'ee696fd2d',
+        'b71618475', 'b9b4b8781', '328579505', '95e947771', '9aa0302e2', 'ec1828d17', 'bc5079635', '8785c1b79', 'd37aadb7a',
+        '817f02ce0', 'fd63dfb0a', '510ac1af2', '3d1edf8d3', 'f4b73a402', '37d789e9c', '8f11c77ca', 'c4bd036be', '7dfa995c9',
+        '7b14e8251', 'ca070e7f4', '5c22dbcd5', 'a0db726c8', '6b7776de2', '80f58e748', 'e1ac1ff4a', '1bbaea85c', '26ac557fc',
+        'e5d1ef357', '1f29d4e10', '459fbb15b', 'd4b049559', '6cb70acf8', 'f8617a518', 'c391dac34', '51235e2cc', '74407c4fe',
+        'df1609a24', 'ced27dc17'
+    ]
+});
 
 //===================================
 // AR LIBRARIES
@@ -1234,14 +6937,30 @@ SKARF.ArLibFactory = {
 
     /**
      * Function to create a SKARF.ArLib instance
-     * @param {string} type Type of ArLib to create: 'jsartoolkit', 'jsaruco'
+     * @param {string} type Type of ArLib to create: 'jsartoolkit', 'jsaruco', 'dictionary', 'replay'
      * @param {object} options Options
-     * @param {canvas} options.trackingElem Canvas DOM element used for tracking
+     * @param {canvas} [options.trackingElem] Canvas DOM element used for tracking. Not needed if width and height are specified, e.g. when only using {@linkcode SKARF.ArLib#detect detect()} in a Web Worker or under Node.
+     * @param {number} [options.width] Width of the images to track. Defaults to the width of trackingElem.
+     * @param {number} [options.height] Height of the images to track. Defaults to the height of trackingElem.
      * @param {number} options.markerSize Size of marker in mm, determines scale of scene
+     * @param {object} [options.markerSizes] Sizes in mm of markers which differ from markerSize, keyed by marker ID
      * @param {number} options.mainMarkerId ID of main marker
+     * @param {object} [options.markerBoard] Offsets of other markers from the main marker, used to solve the main marker pose (see {@linkcode SKARF.MarkerBoard MarkerBoard})
+     * @param {boolean} [options.multipleInstances=false] Whether copies of the same marker ID which are visible at the same time are tracked separately (see {@linkcode SKARF.MarkerInstanceKeys MarkerInstanceKeys}). The main marker is always tracked once.
      * @param {number} [options.verticalFov] Vertical field-of-view of web cam (you will have to estimate this). If this is not defined, it will use use some default field-of-view which works in general for web cams.
+     * @param {SKARF.CameraCalibration} [options.calibration] Intrinsic parameters of the web cam. If this is defined, verticalFov is ignored.
      * @param {number} [options.threshold=128] Threshold value for turning tracking stream into a binary image. Ranges from 0 to 255. Used only for JSARToolKit.
+     * @param {string} [options.thresholdMode='fixed'] How the threshold adapts to the lighting: 'fixed', 'otsu', 'search' (see {@linkcode SKARF.JsArToolKitArLib#setThresholdMode setThresholdMode()}). Used only for JSARToolKit.
+     * @param {string} [options.dictionary='apriltag36h11'] Dictionary of markers to identify (see {@linkcode SKARF.MarkerDictionaryFactory MarkerDictionaryFactory}). Used only for 'dictionary'.
+     * @param {number} [options.maxCorrectionBits] Maximum number of bit errors to correct when identifying markers. Defaults to 60% of what the dictionary can correct. Used only for 'dictionary'.
      * @param {boolean} [options.debug=false] Whether to turn on debug view/mode
+     * @param {SKARF.PoseLog} [options.poseLog] Log to replay. Used only for 'replay'.
+     * @param {boolean} [options.loop=false] Whether to loop the replay. Used only for 'replay'.
+     * @param {boolean} [options.useWorker=false] Whether to detect markers in a Web Worker instead of the render thread (see {@linkcode SKARF.DetectionWorker DetectionWorker}). Not used for 'replay'.
+     * @param {string} [options.workerUrl='js/skarf-worker.js'] Path to the worker script
+     * @param {string[]} [options.workerScripts] Scripts for the worker to import, relative to the worker script
+     * @param {boolean} [options.latencyCompensation=true] Whether to extrapolate the poses detected by the worker by its latency
+     * @param {number} [options.maxLatencyCompensation=0.25] Maximum time in seconds to extrapolate the poses detected by the worker by
      */
     create: function (type, options) {
         if (!type) {
@@ -1251,6 +6970,7 @@ SKARF.ArLibFactory = {
             throw new Error('SKARF.ArLib of this type has not been registered with SKARF.ArLibFactory: ' + type);
         }
         var arLib = new this.__mappings[type](options);
+        arLib.__type = type;  //so that the same type can be created in a worker
         return arLib;
     },
 
@@ -1274,58 +6994,493 @@ SKARF.ArLibFactory = {
  */
 SKARF.ArLib = function (options) {
 
-    if (typeof options.trackingElem === 'undefined') {
-        throw new Error('trackingElem not specified');
+    //the tracking element is optional, as long as the size of the images to track is known
+    this.__trackingElem = options.trackingElem || null;
+    this.__width = options.width || (this.__trackingElem ? this.__trackingElem.width : undefined);
+    this.__height = options.height || (this.__trackingElem ? this.__trackingElem.height : undefined);
+    if (!this.__width || !this.__height) {
+        throw new Error('trackingElem, or width and height not specified');
     }
-    this.__trackingElem = options.trackingElem;
 
     if (typeof options.markerSize === 'undefined') {
         throw new Error('markerSize not specified');
     }
     this.__markerSize = options.markerSize;
+    this.__markerSizes = options.markerSizes || {};
 
     this.__verticalFov = options.verticalFov;
 
+    //optional intrinsic parameters of the camera, scaled to the tracking canvas during init
+    this.__calibration = options.calibration || null;
+    this.__canvasCalibration = null;
+
     if (typeof options.mainMarkerId === 'undefined') {
         throw new Error('mainMarkerId not specified');
     }
-    this.__mainMarkerId = options.mainMarkerId;
+    this.__mainMarkerId = options.mainMarkerId;
+
+    //optional board of markers with known offsets from the main marker, used to solve the main marker pose when it is not visible
+    this.__markerBoard = options.markerBoard ? new SKARF.MarkerBoard(this.__mainMarkerId, options.markerBoard) : null;
+
+    //whether copies of the same marker ID get their own transforms, matched across frames by their position in the image
+    this.__multipleInstances = (typeof options.multipleInstances === 'undefined') ? false : options.multipleInstances;
+    this.__instanceKeys = {};  //keys of the instances of each marker ID
+
+    this.__debug = (typeof options.debug === 'undefined') ? false : options.debug;
+
+    //optional worker which detects markers off the render thread, created on the first update
+    this.__useWorker = (typeof options.useWorker === 'undefined') ? false : options.useWorker;
+    this.__workerUrl = options.workerUrl;
+    this.__workerScripts = options.workerScripts;
+    this.__latencyCompensation = options.latencyCompensation;
+    this.__maxLatencyCompensation = options.maxLatencyCompensation;
+    this.__detectionWorker = null;
+    this.__type = null;
+
+    this.__compensationMatrix = new THREE.Matrix4();
+
+    this.__mainMarkerHasEverBeenDetected = false;
+
+    //temp matrix for calculations later
+    this.__tmpMat = new THREE.Matrix4();
+
+    //variables to be assigned by skarf (both are null when running headless)
+    this.__canvasElem = null;
+    this.__renderer = null;
+    this.__context = null;
+
+    this.__markers = {};  //keeps track of which marker instances have been seen, keyed by instance key
+};
+/**
+ * Gets debug value
+ * @returns {boolean} Debug value
+ */
+SKARF.ArLib.prototype.getDebug = function () {
+    return this.__debug;
+};
+/**
+ * Sets debug value
+ * @param {boolean} value Debug value to set to
+ */
+SKARF.ArLib.prototype.setDebug = function (value) {
+    this.__debug = value;
+};
+/**
+ * Returns the physical size of a marker, which is used to solve its pose
+ * @param {number} markerId ID of marker
+ * @returns {number} Size of the marker in mm
+ */
+SKARF.ArLib.prototype.getMarkerSize = function (markerId) {
+    return this.__markerSizes.hasOwnProperty(markerId) ? this.__markerSizes[markerId] : this.__markerSize;
+};
+/**
+ * Gets whether markers are detected in a Web Worker
+ * @returns {boolean} Whether markers are detected in a Web Worker
+ */
+SKARF.ArLib.prototype.getUseWorker = function () {
+    return this.__useWorker;
+};
+/**
+ * Sets whether markers are detected in a Web Worker. Turn this off to fall back to detecting synchronously on the render thread.
+ * @param {boolean} value Whether to detect markers in a Web Worker
+ */
+SKARF.ArLib.prototype.setUseWorker = function (value) {
+    this.__useWorker = value;
+    if (!value && this.__detectionWorker) {
+        this.__detectionWorker.terminate();
+        this.__detectionWorker = null;
+    }
+};
+/**
+ * Returns the worker which detects markers off the render thread
+ * @returns {SKARF.DetectionWorker} Detection worker, or null if not using a worker
+ */
+SKARF.ArLib.prototype.getDetectionWorker = function () {
+    return this.__detectionWorker;
+};
+/**
+ * Terminates the detection worker, if any
+ */
+SKARF.ArLib.prototype.dispose = function () {
+    this.setUseWorker(false);
+};
+/**
+ * Initializes the instance
+ * @abstract
+ */
+SKARF.ArLib.prototype.init = function () {
+    throw new Error('Abstract method not implemented');
+};
+/**
+ * Initializes the camera projection matrix from the camera calibration, if any.
+ * This is called automatically during initialization. Call this function only if you need to re-initialize the camera projection matrix again.
+ */
+SKARF.ArLib.prototype.initCameraProjMatrix = function () {
+    if (this.__canvasCalibration) {
+        this.__renderer.initCameraProjMatrix(this.__canvasCalibration.getProjectionMatrixArray(0.1, 10000));
+    }
+};
+/**
+ * Returns the camera calibration used for tracking
+ * @returns {SKARF.CameraCalibration} Camera calibration, or null if the camera has not been calibrated
+ */
+SKARF.ArLib.prototype.getCalibration = function () {
+    return this.__calibration;
+};
+SKARF.ArLib.prototype.__initCanvasCalibration = function () {
+    if (this.__calibration) {
+        this.__canvasCalibration = this.__calibration.scaledTo(this.__width, this.__height);
+    }
+};
+/**
+ * Detects markers in an image and solves their poses. This does not need a DOM canvas or a renderer, so it can be used in a Web Worker or under Node, after {@linkcode SKARF.ArLib#init init()}.
+ * @abstract
+ * @param {ImageData | Uint8ClampedArray | Uint8Array} image RGBA image, either as ImageData (or any object with <tt>width</tt>, <tt>height</tt> and <tt>data</tt>), or as a typed array of RGBA values
+ * @param {number} [width] Width of the image, if it is a typed array. Defaults to the width of this instance.
+ * @param {number} [height] Height of the image, if it is a typed array. Defaults to the height of this instance.
+ * @returns {object[]} Detected markers, each with <tt>id</tt>, <tt>corners</tt> (4 points in pixels) and <tt>matrix</tt> (THREE.Matrix4 solved matrix of the marker, relative to the camera)
+ */
+SKARF.ArLib.prototype.detect = function (image, width, height) {
+    throw new Error('Abstract method not implemented');
+};
+SKARF.ArLib.prototype.__toImageData = function (image, width, height) {
+    var imageData = image.data ? image : {
+        width: width || this.__width,
+        height: height || this.__height,
+        data: image
+    };
+    if (imageData.width !== this.__width || imageData.height !== this.__height) {
+        throw new Error('Image must be ' + this.__width + 'x' + this.__height + ', but is ' + imageData.width + 'x' + imageData.height);
+    }
+    if (imageData.data.length < imageData.width * imageData.height * 4) {
+        throw new Error('Image data is too short for a ' + imageData.width + 'x' + imageData.height + ' RGBA image');
+    }
+    return imageData;
+};
+SKARF.ArLib.prototype.__getCanvasImageData = function () {
+    if (!this.__context) {
+        this.__context = this.__canvasElem.getContext('2d');
+    }
+    return this.__context.getImageData(0, 0, this.__width, this.__height);
+};
+SKARF.ArLib.prototype.__getWorkerOptions = function () {
+    return {
+        width: this.__width,
+        height: this.__height,
+        markerSize: this.__markerSize,
+        markerSizes: this.__markerSizes,
+        mainMarkerId: this.__mainMarkerId,
+        verticalFov: this.__verticalFov,
+        calibration: this.__calibration ? this.__calibration.toJSON() : null
+    };
+};
+SKARF.ArLib.prototype.__detectFromCanvas = function () {
+    var imageData = this.__getCanvasImageData();
+
+    if (this.__useWorker) {
+        if (!this.__detectionWorker) {
+            this.__detectionWorker = new SKARF.DetectionWorker({
+                arLibType: this.__type,
+                arLibOptions: this.__getWorkerOptions(),
+                url: this.__workerUrl,
+                scripts: this.__workerScripts,
+                latencyCompensation: this.__latencyCompensation,
+                maxLatencyCompensation: this.__maxLatencyCompensation
+            });
+        }
+        if (this.__detectionWorker.isReady()) {
+            if (this.__detectionWorker.hasResult()) {
+                this.__detectionWorker.postFrame(imageData);
+                return this.__detectionWorker.getDetections();
+            }
+
+            //keep detecting synchronously until the first result arrives, so that markers do not flicker off in between
+            //(the frame is only posted afterwards since its buffer is transferred to the worker)
+            var detections = this.detect(imageData);
+            this.__detectionWorker.postFrame(imageData);
+            return detections;
+        }
+        if (this.__detectionWorker.hasFailed()) {
+            console.warn('Falling back to detecting markers on the render thread');
+            this.setUseWorker(false);
+        }
+    }
+
+    //detect synchronously, which is also done while the worker is still loading
+    return this.detect(imageData);
+};
+SKARF.ArLib.prototype.__applyDetections = function (detections, dt) {
+
+    //set all markers detected to false first
+    var keys = Object.keys(this.__markers);
+    var i, len, markerId;
+    for (i = 0, len = keys.length; i < len; i++) {
+        this.__renderer.__setMarkerDetected(keys[i], false);
+    }
+
+    //work out which instance each detection belongs to
+    var instanceKeys = this.__multipleInstances ? this.__matchInstances(detections) : null;
+
+    var key;
+    for (i = 0, len = detections.length; i < len; i++) {
+        markerId = detections[i].id;
+        key = instanceKeys ? instanceKeys[i] : markerId;
+        if (key === null) {
+            continue;  //extra copy of the main marker
+        }
+
+        // If this is a new id, let's start tracking it.
+        if (typeof this.__markers[key] === 'undefined') {
+            this.__trackMarker(markerId, key);
+        }
+
+        //store the current solved matrix, and register that this marker has been detected
+        this.__renderer.__setCurrSolvedMatrixValues(key, detections[i].matrix);
+        this.__renderer.__setMarkerDetected(key, true);
+        if (instanceKeys) {
+            this.__markers[key].position = this.__getCentroid(detections[i].corners);
+        }
+    }
+
+    //solve the main marker from the marker board, if any
+    this.__updateMarkerBoard();
+
+    //update the solved scene
+    this.__renderer.__updateSolvedScene(dt, this.__mainMarkerId);
+};
+SKARF.ArLib.prototype.__getCentroid = function (corners) {
+    var x = 0, y = 0;
+    var i, len;
+    for (i = 0, len = corners.length; i < len; i++) {
+        x += corners[i].x;
+        y += corners[i].y;
+    }
+    return {x: x / len, y: y / len};
+};
+SKARF.ArLib.prototype.__matchInstances = function (detections) {
+
+    //group the detections by marker ID
+    var indicesById = {};
+    var i, len, markerId;
+    for (i = 0, len = detections.length; i < len; i++) {
+        markerId = detections[i].id;
+        if (!indicesById.hasOwnProperty(markerId)) {
+            indicesById[markerId] = [];
+        }
+        indicesById[markerId].push(i);
+    }
+
+    var keys = [];
+    var indices, instanceKeys, pairs, position, centroid, j, lenj, k, lenk, pair, usedKeys, usedIndices, maxInstances;
+    for (markerId in indicesById) {
+        if (indicesById.hasOwnProperty(markerId)) {
+            indices = indicesById[markerId];
+            instanceKeys = this.__instanceKeys[markerId] || [];
+
+            //pair up each detection with each existing instance, by distance from where the instance was last seen
+            pairs = [];
+            for (j = 0, lenj = indices.length; j < lenj; j++) {
+                centroid = this.__getCentroid(detections[indices[j]].corners);
+                for (k = 0, lenk = instanceKeys.length; k < lenk; k++) {
+                    position = this.__markers[instanceKeys[k]].position;
+                    pairs.push({
+                        index: indices[j],
+                        key: instanceKeys[k],
+                        distance: position ? (centroid.x - position.x) * (centroid.x - position.x) + (centroid.y - position.y) * (centroid.y - position.y) : Infinity
+                    });
+                }
+            }
+            pairs.sort(function (a, b) {
+                return a.distance - b.distance;
+            });
+
+            //closest pairs first
+            usedKeys = {};
+            usedIndices = {};
+            for (j = 0, lenj = pairs.length; j < lenj; j++) {
+                pair = pairs[j];
+                if (!usedKeys[pair.key] && !usedIndices[pair.index]) {
+                    keys[pair.index] = pair.key;
+                    usedKeys[pair.key] = true;
+                    usedIndices[pair.index] = true;
+                }
+            }
+
+            //new instances for the rest, except for the main marker which can only have one
+            maxInstances = (markerId == this.__mainMarkerId) ? 1 : Infinity;  //double equals for auto type conversion
+            for (j = 0, lenj = indices.length; j < lenj; j++) {
+                if (!usedIndices[indices[j]]) {
+                    keys[indices[j]] = (instanceKeys.length < maxInstances) ? SKARF.MarkerInstanceKeys.create(markerId, instanceKeys.length) : null;
+                    if (keys[indices[j]] !== null) {
+                        instanceKeys.push(keys[indices[j]]);
+                        this.__instanceKeys[markerId] = instanceKeys;
+                    }
+                }
+            }
+        }
+    }
+    return keys;
+};
+/**
+ * Returns the marker board used to solve the main marker pose
+ * @returns {SKARF.MarkerBoard} Marker board, or null if no marker board has been defined
+ */
+SKARF.ArLib.prototype.getMarkerBoard = function () {
+    return this.__markerBoard;
+};
+SKARF.ArLib.prototype.__trackMarker = function (markerId, key) {
+
+    //the first instance of a marker is keyed by its marker ID
+    key = (typeof key === 'undefined') ? String(markerId) : String(key);
+
+    console.log('Creating new marker root for id ' + markerId + ((key !== String(markerId)) ? ' (instance ' + key + ')' : ''));
+
+    //create an object for the marker instance
+    this.__markers[key] = {markerId: markerId, position: null};
+    if (!this.__instanceKeys.hasOwnProperty(markerId)) {
+        this.__instanceKeys[markerId] = [];
+    }
+    if (this.__instanceKeys[markerId].indexOf(key) === -1) {
+        this.__instanceKeys[markerId].push(key);
+    }
 
-    this.__debug = (typeof options.debug === 'undefined') ? false : options.debug;
+    //create a transform for this marker
+    var markerSize = this.getMarkerSize(markerId);
+    var transform = this.__renderer.__createTransformForMarker(markerId, markerSize, key);
 
-    this.__compensationMatrix = new THREE.Matrix4();
+    //delay-load the model
+    this.__renderer.loadForMarker(markerId, transform, markerSize);
 
-    this.__mainMarkerHasEverBeenDetected = false;
+    //if this is the main marker id, turn on flag
+    if (markerId == this.__mainMarkerId) {  //double equals for auto type conversion
+        this.__mainMarkerHasEverBeenDetected = true;
+    }
+};
+SKARF.ArLib.prototype.__updateMarkerBoard = function () {
 
-    //temp matrix for calculations later
-    this.__tmpMat = new THREE.Matrix4();
+    if (!this.__markerBoard) {
+        return;
+    }
 
-    //variables to be assigned by skarf
-    this.__canvasElem = null;
-    this.__renderer = null;
+    //gather the solved matrices of all detected markers
+    var solvedMatrices = {};
+    var transforms = this.__renderer.__markerTransforms;
+    var id;
+    for (id in transforms) {
+        if (transforms.hasOwnProperty(id) && transforms[id].detected) {
+            solvedMatrices[id] = transforms[id].currSolvedMatrix;
+        }
+    }
 
-    this.__markers = {};  //this is just to keep track if a certain marker id has been seen
+    //solve the main marker pose from the board, and treat it as a detected main marker
+    if (this.__markerBoard.solve(solvedMatrices, this.__compensationMatrix, this.__tmpMat)) {
+        if (typeof this.__markers[this.__mainMarkerId] === 'undefined') {
+            this.__trackMarker(this.__mainMarkerId);
+        }
+        this.__renderer.__setCurrSolvedMatrixValues(this.__mainMarkerId, this.__tmpMat);
+        this.__renderer.__setMarkerDetected(this.__mainMarkerId, true);
+    }
 };
+
 /**
- * Gets debug value
- * @returns {boolean} Debug value
+ * A board of markers with known offsets from the main marker.<br/>
+ * The main marker pose is solved from whichever markers of the board are visible, so the world keeps updating when the main marker itself is covered.
+ * The board is defined in the markers JSON file, keyed by marker ID, with each offset given in world space relative to the main marker, e.g.
+ * <blockquote><tt>"markerBoard": { "65": { "translate": [2, 0, 0] }, "66": { "translate": [0, 0, 2], "rotate": [0, 90, 0] } }</tt></blockquote>
+ * The main marker is always a member of the board, with no offset.
+ * @constructor
+ * @param {number} mainMarkerId ID of main marker
+ * @param {object} boardData Offsets of the other markers of the board (from JSON file)
  */
-SKARF.ArLib.prototype.getDebug = function () {
-    return this.__debug;
+SKARF.MarkerBoard = function (mainMarkerId, boardData) {
+
+    //world-space offset of each member from the main marker
+    this.__offsets = {};
+    this.__offsets[mainMarkerId] = new THREE.Matrix4();
+
+    var markerId, member, rotationMat;
+    for (markerId in boardData) {
+        if (boardData.hasOwnProperty(markerId) && markerId != mainMarkerId) {  //double equals for auto type conversion
+            member = boardData[markerId];
+            this.__offsets[markerId] = new THREE.Matrix4();
+            if (member.translate) {
+                this.__offsets[markerId].setPosition(new THREE.Vector3(member.translate[0], member.translate[1], member.translate[2]));
+            }
+            if (member.rotate) {
+                rotationMat = new THREE.Matrix4().makeRotationFromEuler(new THREE.Vector3(THREE.Math.degToRad(member.rotate[0]), THREE.Math.degToRad(member.rotate[1]), THREE.Math.degToRad(member.rotate[2])), member.rotationOrder || 'XYZ');
+                this.__offsets[markerId].multiply(rotationMat);
+            }
+        }
+    }
+
+    //temp variables
+    this.__tmpMat = new THREE.Matrix4();
+    this.__tmpOffsetInv = new THREE.Matrix4();
+    this.__position = new THREE.Vector3();
+    this.__quaternion = new THREE.Quaternion();
+    this.__scale = new THREE.Vector3();
+    this.__positionSum = new THREE.Vector3();
+    this.__quaternionSum = new THREE.Quaternion();
 };
 /**
- * Sets debug value
- * @param {boolean} value Debug value to set to
+ * Returns true if the given marker is a member of this board
+ * @param {number} markerId ID of marker
+ * @returns {boolean} True if the given marker is a member of this board
  */
-SKARF.ArLib.prototype.setDebug = function (value) {
-    this.__debug = value;
+SKARF.MarkerBoard.prototype.hasMarker = function (markerId) {
+    return this.__offsets.hasOwnProperty(markerId);
 };
 /**
- * Initializes the instance
- * @abstract
+ * Solves the main marker pose from the visible members of this board
+ * @param {object} solvedMatrices Solved matrices (THREE.Matrix4) of the detected markers, keyed by marker ID
+ * @param {THREE.Matrix4} compensationMatrix Compensation matrix of the ArLib which solved the matrices
+ * @param {THREE.Matrix4} outMatrix Matrix to store the solved main marker matrix in
+ * @returns {boolean} True if any member of the board is visible and the pose has been solved
  */
-SKARF.ArLib.prototype.init = function () {
-    throw new Error('Abstract method not implemented');
+SKARF.MarkerBoard.prototype.solve = function (solvedMatrices, compensationMatrix, outMatrix) {
+
+    var numVisible = 0;
+    this.__positionSum.set(0, 0, 0);
+    this.__quaternionSum.set(0, 0, 0, 0);
+
+    var markerId;
+    for (markerId in this.__offsets) {
+        if (this.__offsets.hasOwnProperty(markerId) && solvedMatrices.hasOwnProperty(markerId)) {
+
+            //A marker k is placed in world space at C * inv(S_main) * S_k * C, where C is the compensation matrix.
+            //Setting that to its offset O_k gives the main marker matrix S_main = S_k * C * inv(O_k) * C
+            this.__tmpMat.copy(solvedMatrices[markerId]);
+            this.__tmpMat.multiply(compensationMatrix);
+            this.__tmpMat.multiply(this.__tmpOffsetInv.getInverse(this.__offsets[markerId]));
+            this.__tmpMat.multiply(compensationMatrix);
+
+            //accumulate the estimates, flipping quaternions into the same hemisphere before summing
+            this.__tmpMat.decompose(this.__position, this.__quaternion, this.__scale);
+            this.__positionSum.add(this.__position);
+            if (numVisible > 0 && this.__dotQuaternions(this.__quaternion, this.__quaternionSum) < 0) {
+                this.__quaternion.set(-this.__quaternion.x, -this.__quaternion.y, -this.__quaternion.z, -this.__quaternion.w);
+            }
+            this.__quaternionSum.set(
+                this.__quaternionSum.x + this.__quaternion.x,
+                this.__quaternionSum.y + this.__quaternion.y,
+                this.__quaternionSum.z + this.__quaternion.z,
+                this.__quaternionSum.w + this.__quaternion.w
+            );
+            numVisible++;
+        }
+    }
+
+    if (numVisible === 0) {
+        return false;
+    }
+
+    this.__positionSum.divideScalar(numVisible);
+    this.__quaternionSum.normalize();
+    outMatrix.makeFromPositionQuaternionScale(this.__positionSum, this.__quaternionSum, this.__scale);
+    return true;
+};
+SKARF.MarkerBoard.prototype.__dotQuaternions = function (a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
 };
 /**
  * Updates the instance
@@ -1347,6 +7502,13 @@ SKARF.JsArToolKitArLib = function (options) {
 
     this.__threshold = options.threshold || 128;
 
+    //automatic thresholding
+    this.__otsuSmoothing = 0.3;  //blend towards the Otsu threshold of each frame, so that the threshold does not flicker
+    this.__searchStep = 16;  //distance between the thresholds tried while searching
+    this.__maxSearchTries = 3;  //extra thresholds to try per frame while searching
+    this.__histogram = new Uint32Array(256);
+    this.setThresholdMode(options.thresholdMode || 'fixed');
+
     this.__compensationMatrix = new THREE.Matrix4().makeScale(1, 1, -1);  //scale in -z to swap from LH-coord to RH-coord
     this.__compensationMatrix.multiply(new THREE.Matrix4().makeRotationX(THREE.Math.degToRad(90)));  //rotate 90deg in X to get Y-up;
 
@@ -1361,18 +7523,58 @@ SKARF.JsArToolKitArLib.prototype.constructor = SKARF.JsArToolKitArLib;
 SKARF.ArLibFactory.register('jsartoolkit', SKARF.JsArToolKitArLib);
 //override methods
 /**
- * Gets threshold value
+ * Threshold modes that can be set using {@linkcode SKARF.JsArToolKitArLib#setThresholdMode setThresholdMode()}
+ * @type {string[]}
+ */
+SKARF.JsArToolKitArLib.thresholdModes = ['fixed', 'otsu', 'search'];
+/**
+ * Gets threshold value. When the threshold is chosen automatically, this is the value which has been chosen for the latest frame.
  * @returns {number} Threshold value
  */
 SKARF.JsArToolKitArLib.prototype.getThreshold = function () {
+    if (this.__detectionWorker && this.__detectionWorker.hasResult() && this.__detectionWorker.getThreshold() !== null) {
+        return this.__detectionWorker.getThreshold();
+    }
     return this.__threshold;
 };
 /**
- * Sets threshold value
+ * Sets threshold value. When the threshold is chosen automatically, this is where the next frame starts from.
  * @param {number} value Threshold value to set to
  */
 SKARF.JsArToolKitArLib.prototype.setThreshold = function (value) {
     this.__threshold = value;
+    this.__searchBase = value;
+    this.__searchIndex = 0;
+    if (this.__detectionWorker) {
+        this.__detectionWorker.call('setThreshold', [value]);
+    }
+};
+/**
+ * Gets threshold mode
+ * @returns {string} Threshold mode
+ */
+SKARF.JsArToolKitArLib.prototype.getThresholdMode = function () {
+    return this.__thresholdMode;
+};
+/**
+ * Sets how the threshold adapts to the lighting:
+ * <ul>
+ *   <li>'fixed': the threshold is only changed by {@linkcode SKARF.JsArToolKitArLib#setThreshold setThreshold()}</li>
+ *   <li>'otsu': the threshold follows the Otsu threshold of the histogram of each frame</li>
+ *   <li>'search': the threshold is kept while markers are detected, and a few other thresholds around it are tried on every frame in which no markers are detected</li>
+ * </ul>
+ * @param {string} mode Threshold mode
+ */
+SKARF.JsArToolKitArLib.prototype.setThresholdMode = function (mode) {
+    if (SKARF.JsArToolKitArLib.thresholdModes.indexOf(mode) === -1) {
+        throw new Error('Threshold mode must be one of ' + SKARF.JsArToolKitArLib.thresholdModes.join(', ') + ': ' + mode);
+    }
+    this.__thresholdMode = mode;
+    this.__searchBase = this.__threshold;
+    this.__searchIndex = 0;
+    if (this.__detectionWorker) {
+        this.__detectionWorker.call('setThresholdMode', [mode]);
+    }
 };
 /**
  * Initializes the instance
@@ -1383,11 +7585,16 @@ SKARF.JsArToolKitArLib.prototype.init = function () {
 
     // Create a RGB raster object for the 2D canvas.
     // JSARToolKit uses raster objects to read image data.
-    // Note that you need to set canvas.changed = true on every frame.
-    this.__raster = new NyARRgbRaster_Canvas2D(this.__canvasElem);
+    // The raster reads from an image source which is given new image data on every detect(), so no DOM canvas is needed.
+    this.__rasterSource = this.__createRasterSource();
+    this.__raster = new NyARRgbRaster_Canvas2D(this.__rasterSource);
 
     // FLARParam is the thing used by FLARToolKit to set camera parameters.
-    this.__flarParam = new FLARParam(this.__canvasElem.width, this.__canvasElem.height, this.__verticalFov);
+    this.__flarParam = new FLARParam(this.__width, this.__height, this.__verticalFov);
+    this.__initCanvasCalibration();
+    if (this.__canvasCalibration) {
+        this.__applyCalibration(this.__canvasCalibration);
+    }
 
     // The FLARMultiIdMarkerDetector is the actual detection engine for marker detection.
     // It detects multiple ID markers. ID markers are special markers that encode a number.
@@ -1398,7 +7605,9 @@ SKARF.JsArToolKitArLib.prototype.init = function () {
     this.__detector.setContinueMode(true);
 
     //set the camera projection matrix in the renderer
-    this.initCameraProjMatrix();
+    if (this.__renderer) {
+        this.initCameraProjMatrix();
+    }
 };
 /**
  * Initializes the camera projection matrix.
@@ -1409,31 +7618,60 @@ SKARF.JsArToolKitArLib.prototype.initCameraProjMatrix = function () {
     this.__flarParam.copyCameraMatrix(camProjMatrixArray, 0.1, 10000);
     this.__renderer.initCameraProjMatrix(camProjMatrixArray);
 };
+SKARF.JsArToolKitArLib.prototype.__applyCalibration = function (calibration) {
+
+    //JSARToolKit models distortion as d = 1 - f / 1e8 * r^2 (r in pixels), which only approximates k1, so k2 is dropped
+    var dist = new FloatVector([calibration.cx, calibration.cy, -calibration.distortion[0] * 100000000.0 / (calibration.fx * calibration.fy), 1]);
+    var projection = new FloatVector([calibration.fx, 0, calibration.cx, 0,
+                                      0, calibration.fy, calibration.cy, 0,
+                                      0, 0, 1, 0]);
+    this.__flarParam.setValue(dist, projection);
+};
 /**
  * Updates the instance
  * @param  {number} dt Elapsed time since previous frame
  */
 SKARF.JsArToolKitArLib.prototype.update = function (dt) {
-
     DEBUG = this.__debug;
+    this.__applyDetections(this.__detectFromCanvas(), dt);
+};
+/**
+ * Detects markers in an image and solves their poses, without needing a DOM canvas or a renderer.
+ * The corners are in the order found by JSARToolKit, with lens distortion removed.
+ * @param {ImageData | Uint8ClampedArray | Uint8Array} image RGBA image, either as ImageData (or any object with <tt>width</tt>, <tt>height</tt> and <tt>data</tt>), or as a typed array of RGBA values
+ * @param {number} [width] Width of the image, if it is a typed array. Defaults to the width of this instance.
+ * @param {number} [height] Height of the image, if it is a typed array. Defaults to the height of this instance.
+ * @returns {object[]} Detected markers, each with <tt>id</tt>, <tt>corners</tt> (4 points in pixels) and <tt>matrix</tt> (THREE.Matrix4 solved matrix of the marker, relative to the camera)
+ */
+SKARF.JsArToolKitArLib.prototype.detect = function (image, width, height) {
 
-    //set all markers detected to false first
-    var keys = Object.keys(this.__markers);
-    var i, j;
-    for (i = 0; i < keys.length; i++) {
-        this.__renderer.__setMarkerDetected(keys[i], false);
+    //NOTE: THE IMAGE MUST BE THE SAME SIZE AS THE RASTER
+    //OTHERWISE WILL GET AN "Uncaught #<Object>" ERROR
+    var imageData = this.__toImageData(image, width, height);
+    this.__rasterSource.imageData = imageData;
+    this.__rasterSource.changed = true;
+
+    if (this.__thresholdMode === 'otsu') {
+        this.__threshold = Math.round(this.__threshold + (this.__computeOtsuThreshold(imageData) - this.__threshold) * this.__otsuSmoothing);
     }
 
     // Do marker detection by using the detector object on the raster object.
     // The threshold parameter determines the threshold value
     // for turning the video frame into a 1-bit black-and-white image.
-    //
-    //NOTE: THE CANVAS MUST BE THE SAME SIZE AS THE RASTER
-    //OTHERWISE WILL GET AN "Uncaught #<Object>" ERROR
     var markerCount = this.__detector.detectMarkerLite(this.__raster, this.__threshold);
 
+    if (this.__thresholdMode === 'search') {
+        if (markerCount > 0) {
+            this.__searchBase = this.__threshold;
+            this.__searchIndex = 0;
+        } else {
+            markerCount = this.__searchThreshold();
+        }
+    }
+
     // Go through the detected markers and get their IDs and transformation matrices.
-    var id, currId;
+    var detections = [];
+    var i, j, id, currId, vertices;
     for (i = 0; i < markerCount; i++) {
 
         // Get the ID marker data for the current marker.
@@ -1451,45 +7689,126 @@ SKARF.JsArToolKitArLib.prototype.update = function (dt) {
             }
         }
 
-        // If this is a new id, let's start tracking it.
-        if (typeof this.__markers[currId] === 'undefined') {
-
-            //create empty object for the marker
-            this.__markers[currId] = {};
-
-            //create a transform for this marker
-            var transform = this.__renderer.__createTransformForMarker(currId, this.__markerSize);
-
-            //delay-load the model
-            this.__renderer.loadForMarker(currId, transform, this.__markerSize);
-
-            //if this is the main marker id, turn on flag
-            if (currId == this.__mainMarkerId) {  //double equals for auto type conversion
-                this.__mainMarkerHasEverBeenDetected = true;
-            }
-        }
-
         try {
-            // Get the transformation matrix for the detected marker.
+            // Get the transformation matrix for the detected marker,
+            // with the square of the detector resized to the physical size of this marker.
+            this.__detector._offset.setSquare(this.getMarkerSize(currId));
             this.__detector.getTransformMatrix(i, this.__resultMat);
 
             // Copy the marker matrix to the tmp matrix.
             copyMarkerMatrix(this.__resultMat, this.__tmp);
 
-            //store the current solved matrix first
-            this.__tmpMat.setFromArray(this.__tmp);
-            this.__renderer.__setCurrSolvedMatrixValues(currId, this.__tmpMat);
-
-            //register that this marker has been detected
-            this.__renderer.__setMarkerDetected(currId, true);
+            vertices = this.__detector.getSquare(i).sqvertex;
+            detections.push({
+                id: currId,
+                corners: [
+                    {x: vertices[0].x, y: vertices[0].y},
+                    {x: vertices[1].x, y: vertices[1].y},
+                    {x: vertices[2].x, y: vertices[2].y},
+                    {x: vertices[3].x, y: vertices[3].y}
+                ],
+                matrix: new THREE.Matrix4().setFromArray(this.__tmp)
+            });
         } catch (err) {
             //just print to console but let the error pass so that the program can continue
             console.log(err.message);
         }
     }
+    return detections;
+};
+SKARF.JsArToolKitArLib.prototype.__computeOtsuThreshold = function (imageData) {
+
+    //histogram of the mean of RGB, which is what JSARToolKit thresholds, sampled on every other row and column
+    var histogram = this.__histogram;
+    var data = imageData.data;
+    var rowStride = imageData.width * 4;
+    var i, x, y, pos;
+    for (i = 0; i < 256; i++) {
+        histogram[i] = 0;
+    }
+    var total = 0;
+    for (y = 0; y < imageData.height; y += 2) {
+        for (x = 0; x < imageData.width; x += 2) {
+            pos = y * rowStride + x * 4;
+            histogram[((data[pos] + data[pos + 1] + data[pos + 2]) / 3) | 0]++;
+            total++;
+        }
+    }
 
-    //update the solved scene
-    this.__renderer.__updateSolvedScene(dt, this.__mainMarkerId);
+    //pick the threshold which maximizes the variance between the dark and light classes
+    var sum = 0;
+    for (i = 0; i < 256; i++) {
+        sum += i * histogram[i];
+    }
+    var sumDark = 0, numDark = 0, numLight, meanDark, meanLight, variance;
+    var maxVariance = 0, threshold = this.__threshold;
+    for (i = 0; i < 256; i++) {
+        numDark += histogram[i];
+        if (numDark === 0) {
+            continue;
+        }
+        numLight = total - numDark;
+        if (numLight === 0) {
+            break;
+        }
+        sumDark += i * histogram[i];
+        meanDark = sumDark / numDark;
+        meanLight = (sum - sumDark) / numLight;
+        variance = numDark * numLight * (meanDark - meanLight) * (meanDark - meanLight);
+        if (variance > maxVariance) {
+            maxVariance = variance;
+            threshold = i;  //JSARToolKit counts values equal to the threshold as dark
+        }
+    }
+    return threshold;
+};
+SKARF.JsArToolKitArLib.prototype.__searchThreshold = function () {
+
+    //try thresholds alternating above and below the last one that worked, carrying on from where the previous frame stopped
+    var tries, offset, candidate, markerCount;
+    for (tries = 0; tries < this.__maxSearchTries; tries++) {
+        this.__searchIndex++;
+        offset = Math.ceil(this.__searchIndex / 2) * this.__searchStep * ((this.__searchIndex % 2) ? 1 : -1);
+        if (Math.abs(offset) > 255) {
+            //tried everything, so start over
+            this.__searchIndex = 0;
+            continue;
+        }
+        candidate = this.__searchBase + offset;
+        if (candidate < 0 || candidate > 255) {
+            continue;
+        }
+        markerCount = this.__detector.detectMarkerLite(this.__raster, candidate);
+        if (markerCount > 0) {
+            this.__threshold = candidate;
+            this.__searchBase = candidate;
+            this.__searchIndex = 0;
+            return markerCount;
+        }
+    }
+    return 0;
+};
+SKARF.JsArToolKitArLib.prototype.__getWorkerOptions = function () {
+    var options = SKARF.ArLib.prototype.__getWorkerOptions.call(this);
+    options.threshold = this.__threshold;
+    options.thresholdMode = this.__thresholdMode;
+    return options;
+};
+SKARF.JsArToolKitArLib.prototype.__createRasterSource = function () {
+    //JSARToolKit reads images with canvas.getContext('2d').getImageData(), so this object stands in for both the canvas and its context
+    var source = {
+        width: this.__width,
+        height: this.__height,
+        changed: false,
+        imageData: null,
+        getContext: function () {
+            return source;
+        },
+        getImageData: function () {
+            return source.imageData;
+        }
+    };
+    return source;
 };
 
 /**
@@ -1513,141 +7832,628 @@ SKARF.ArLibFactory.register('jsaruco', SKARF.JsArucoArLib);
 SKARF.JsArucoArLib.prototype.init = function () {
     this.__detector = new AR.Detector();
 
-    //NOTE: the second parameter is suppose to be canvasWidth (from the js-aruco example).
-    //However, it cannot work when I change the aspect ratio of the tracking canvas.
-    //It seems as though the tracking canvas must be 4:3, so I'm doing some compensation here to allow any aspect ratio.
-    this.__posit = new POS.Posit(this.__markerSize, this.__canvasElem.height * 4.0 / 3.0);
+    this.__initCanvasCalibration();
+    if (this.__canvasCalibration) {
+        //POS.Posit assumes square pixels, so the y coordinates of the corners are scaled by fx / fy later on
+        this.__focalLength = this.__canvasCalibration.fx;
+    } else {
+        //NOTE: the second parameter is suppose to be canvasWidth (from the js-aruco example).
+        //However, it cannot work when I change the aspect ratio of the tracking canvas.
+        //It seems as though the tracking canvas must be 4:3, so I'm doing some compensation here to allow any aspect ratio.
+        this.__focalLength = this.__height * 4.0 / 3.0;
+    }
+
+    //one POS.Posit per physical marker size, since the size is baked into its model
+    this.__posits = {};
 
-    this.__context = this.__canvasElem.getContext('2d');
+    //set the camera projection matrix in the renderer
+    if (this.__renderer) {
+        this.initCameraProjMatrix();
+    }
 };
 /**
  * Updates the instance
  * @param  {number} dt Elapsed time since previous frame
  */
-SKARF.JsArucoArLib.prototype.update = function (dt) {
-    var imageData = this.__context.getImageData(0, 0, this.__canvasElem.width, this.__canvasElem.height);
-    var markers = this.__detector.detect(imageData);
-    if (this.__debug) {
-        this.__drawCorners(markers);
-        this.__drawId(markers);
+SKARF.JsArucoArLib.prototype.update = function (dt) {
+    var detections = this.__detectFromCanvas();
+    if (this.__debug) {
+        this.__drawCorners(detections);
+        this.__drawId(detections);
+    }
+
+    //update scene
+    this.__applyDetections(detections, dt);
+};
+/**
+ * Detects markers in an image and solves their poses, without needing a DOM canvas or a renderer.
+ * The corners are in the order returned by js-aruco, i.e. clockwise from the top-left corner of the marker.
+ * @param {ImageData | Uint8ClampedArray | Uint8Array} image RGBA image, either as ImageData (or any object with <tt>width</tt>, <tt>height</tt> and <tt>data</tt>), or as a typed array of RGBA values
+ * @param {number} [width] Width of the image, if it is a typed array. Defaults to the width of this instance.
+ * @param {number} [height] Height of the image, if it is a typed array. Defaults to the height of this instance.
+ * @returns {object[]} Detected markers, each with <tt>id</tt>, <tt>corners</tt> (4 points in pixels) and <tt>matrix</tt> (THREE.Matrix4 solved matrix of the marker, relative to the camera)
+ */
+SKARF.JsArucoArLib.prototype.detect = function (image, width, height) {
+    var markers = this.__findMarkers(this.__toImageData(image, width, height));
+
+    var detections = [];
+    var corners, corner, pose, i, j;
+    for (i = 0; i < markers.length; i++) {
+
+        //align a copy of the corners to center of canvas, so that the returned corners stay in pixels
+        corners = [];
+        for (j = 0; j < markers[i].corners.length; j++) {
+            corners.push({x: markers[i].corners[j].x, y: markers[i].corners[j].y});
+        }
+        if (this.__canvasCalibration) {
+            this.__alignCalibratedCorners(corners);
+        } else {
+            for (j = 0; j < corners.length; j++) {
+                corner = corners[j];
+                //NOTE: there seems to be some scale away from the center, so I have to scale everything down from the center.
+                //The value of 0.97 is by trial-and-error, seems to work pretty well.
+                corner.x = 0.97 * (corner.x - (this.__width / 2));
+                corner.y = 0.97 * ((this.__height / 2) - corner.y);
+            }
+        }
+
+        //estimate pose
+        try {
+            pose = this.__getPosit(this.getMarkerSize(markers[i].id)).pose(corners);
+
+            this.__updateMatrix4FromRotAndTrans(pose.bestRotation, pose.bestTranslation);
+            this.__tmpMat.multiply(new THREE.Matrix4().makeRotationX(THREE.Math.degToRad(90)));
+            detections.push({
+                id: markers[i].id,
+                corners: markers[i].corners,
+                matrix: this.__tmpMat.clone()
+            });
+
+        } catch (err) {
+            //just print to console but let the error pass so that the program can continue
+            console.log(err.message);
+        }
+    }
+    return detections;
+};
+SKARF.JsArucoArLib.prototype.__getPosit = function (markerSize) {
+    if (!this.__posits.hasOwnProperty(markerSize)) {
+        this.__posits[markerSize] = new POS.Posit(markerSize, this.__focalLength);
+    }
+    return this.__posits[markerSize];
+};
+SKARF.JsArucoArLib.prototype.__findMarkers = function (imageData) {
+    return this.__detector.detect(imageData);
+};
+SKARF.JsArucoArLib.prototype.__alignCalibratedCorners = function (corners) {
+    var calibration = this.__canvasCalibration;
+    var aspect = calibration.fx / calibration.fy;
+    var i, len, ideal;
+    for (i = 0, len = corners.length; i < len; i++) {
+        //remove lens distortion, then measure from the principal point instead of the center of the canvas
+        ideal = calibration.undistortPoint(corners[i].x, corners[i].y);
+        corners[i].x = ideal.x - calibration.cx;
+        corners[i].y = (calibration.cy - ideal.y) * aspect;
+    }
+};
+SKARF.JsArucoArLib.prototype.__updateMatrix4FromRotAndTrans = function (rotationMat, translationVec) {
+    this.__tmpMat.set(
+        rotationMat[0][0], rotationMat[0][1], -rotationMat[0][2], translationVec[0],
+        rotationMat[1][0], rotationMat[1][1], -rotationMat[1][2], translationVec[1],
+        -rotationMat[2][0], -rotationMat[2][1], rotationMat[2][2], -translationVec[2],
+        0, 0, 0, 1);
+};
+SKARF.JsArucoArLib.prototype.__drawCorners = function (markers) {
+
+    var corners, corner, i, j, leni, lenj;
+    for (i = 0, leni = markers.length; i < leni; i++) {
+        corners = markers[i].corners;
+
+        this.__context.lineWidth = 2;
+        this.__context.strokeStyle = "red";
+        this.__context.beginPath();
+
+        for (j = 0, lenj = corners.length; j < lenj; j++) {
+            corner = corners[j];
+            this.__context.moveTo(corner.x, corner.y);
+            corner = corners[(j + 1) % corners.length];
+            this.__context.lineTo(corner.x, corner.y);
+        }
+
+        this.__context.stroke();
+        this.__context.closePath();
+
+        this.__context.lineWidth = 3;
+        this.__context.strokeStyle = "green";
+        this.__context.strokeRect(corners[0].x - 2, corners[0].y - 2, 4, 4);
+    }
+};
+SKARF.JsArucoArLib.prototype.__drawId = function (markers) {
+
+    var corners, corner, x, y, i, len;
+
+    this.__context.font = '12pt Calibri';
+    this.__context.fillStyle = "yellow";
+    // this.__context.strokeStyle = "black";
+    // this.__context.lineWidth = 1.0;
+
+    for (i = 0, len = markers.length; i < len; i++) {
+        corners = markers[i].corners;
+
+        x = corners[0].x;
+        y = corners[0].y;
+
+        this.__context.fillText(markers[i].id, x, y);
+        // this.__context.strokeText(markers[i].id, x, y);
+    }
+};
+
+/**
+ * ArLib class which identifies markers from a selectable {@linkcode SKARF.MarkerDictionaryFactory dictionary} of fiducial markers, e.g. ArUco 4x4/5x5/6x6 or AprilTag 36h11.
+ * It finds marker candidates and solves their poses with js-aruco, so the poses are the same as for 'jsaruco'.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ArLibFactory ArLibFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.JsArucoArLib}
+ */
+SKARF.DictionaryArLib = function (options) {
+    SKARF.JsArucoArLib.call(this, options);
+
+    this.__dictionaryType = options.dictionary || 'apriltag36h11';
+    this.__dictionary = SKARF.MarkerDictionaryFactory.create(this.__dictionaryType);
+
+    //correct up to 60% of the bits that the dictionary can correct, like OpenCV does by default
+    this.__maxCorrectionBits = (typeof options.maxCorrectionBits === 'undefined') ? Math.floor(this.__dictionary.maxCorrectionBits * 0.6) : options.maxCorrectionBits;
+
+    //size of each cell of the marker grid when warped to a square image
+    this.__cellSize = 7;
+};
+//inherit from SKARF.JsArucoArLib
+SKARF.DictionaryArLib.prototype = Object.create(SKARF.JsArucoArLib.prototype);
+SKARF.DictionaryArLib.prototype.constructor = SKARF.DictionaryArLib;
+//register with factory
+SKARF.ArLibFactory.register('dictionary', SKARF.DictionaryArLib);
+//override methods
+/**
+ * Returns the dictionary used to identify markers
+ * @returns {SKARF.MarkerDictionary} Dictionary
+ */
+SKARF.DictionaryArLib.prototype.getDictionary = function () {
+    return this.__dictionary;
+};
+/**
+ * Initializes the instance
+ */
+SKARF.DictionaryArLib.prototype.init = function () {
+    SKARF.JsArucoArLib.prototype.init.call(this);
+
+    this.__grey = new CV.Image();
+    this.__thres = new CV.Image();
+    this.__warped = new CV.Image();
+    this.__binary = [];
+};
+SKARF.DictionaryArLib.prototype.__getWorkerOptions = function () {
+    var options = SKARF.JsArucoArLib.prototype.__getWorkerOptions.call(this);
+    options.dictionary = this.__dictionaryType;
+    options.maxCorrectionBits = this.__maxCorrectionBits;
+    return options;
+};
+SKARF.DictionaryArLib.prototype.__findMarkers = function (imageData) {
+
+    //find quads with the same steps as AR.Detector.detect()
+    CV.grayscale(imageData, this.__grey);
+    CV.adaptiveThreshold(this.__grey, this.__thres, 2, 7);
+    var contours = CV.findContours(this.__thres, this.__binary);
+    var candidates = this.__detector.findCandidates(contours, imageData.width * 0.20, 0.05, 10);
+    candidates = this.__detector.clockwiseCorners(candidates);
+    candidates = this.__detector.notTooNear(candidates, 10);
+
+    //the marker grid includes a black border of 1 cell around the bits
+    var gridSize = this.__dictionary.markerSize + 2;
+
+    var markers = [];
+    var i, len, marker;
+    for (i = 0, len = candidates.length; i < len; i++) {
+        CV.warp(this.__grey, this.__warped, candidates[i], gridSize * this.__cellSize);
+        CV.threshold(this.__warped, this.__warped, CV.otsu(this.__warped));
+
+        marker = this.__readMarker(this.__warped, candidates[i], gridSize);
+        if (marker) {
+            markers.push(marker);
+        }
+    }
+    return markers;
+};
+SKARF.DictionaryArLib.prototype.__readMarker = function (warped, candidate, gridSize) {
+
+    //only count the inner part of each cell, since the edges of the cells are blurred by the warp
+    var margin = 1;
+    var square = {width: this.__cellSize - 2 * margin, height: this.__cellSize - 2 * margin};
+    var minNonZero = (square.width * square.height) >> 1;
+
+    var bits = [];
+    var row, col, isBorder, isWhite;
+    for (row = 0; row < gridSize; row++) {
+        for (col = 0; col < gridSize; col++) {
+            square.x = col * this.__cellSize + margin;
+            square.y = row * this.__cellSize + margin;
+            isWhite = CV.countNonZero(warped, square) > minNonZero;
+
+            isBorder = row === 0 || col === 0 || row === gridSize - 1 || col === gridSize - 1;
+            if (isBorder) {
+                if (isWhite) {
+                    return null;
+                }
+            } else {
+                bits.push(isWhite ? 1 : 0);
+            }
+        }
+    }
+
+    var match = this.__dictionary.identify(bits, this.__maxCorrectionBits);
+    if (!match) {
+        return null;
+    }
+
+    //turn the corners back so that the first corner is the top-left corner of the upright marker
+    return new AR.Marker(match.id, this.__detector.rotate2(candidate, (4 - match.rotation) % 4));
+};
+
+/**
+ * ArLib class which replays a recorded {@linkcode SKARF.PoseLog PoseLog} instead of tracking, so no camera or tracker is needed.<br/>
+ * One recorded frame is replayed on every update, with its recorded elapsed time. Nothing is detected in the tracking element, so it can be e.g. an empty canvas.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.ArLibFactory ArLibFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.ArLib}
+ */
+SKARF.ReplayArLib = function (options) {
+    SKARF.ArLib.call(this, options);
+
+    if (typeof options.poseLog === 'undefined') {
+        throw new Error('poseLog not specified');
+    }
+    this.__poseLog = options.poseLog;
+
+    //the recorded matrices are in the units and coordinate system of the recorded session
+    this.__markerSize = this.__poseLog.markerSize;
+    this.__compensationMatrix.setFromArray(this.__poseLog.compensationMatrix);
+    if (this.__poseLog.mainMarkerId != this.__mainMarkerId) {  //double equals for auto type conversion
+        console.warn('Pose log was recorded with main marker ' + this.__poseLog.mainMarkerId + ', but the markers JSON file uses ' + this.__mainMarkerId);
+    }
+
+    this.__loop = (typeof options.loop === 'undefined') ? false : options.loop;
+    this.__frameIndex = 0;
+};
+//inherit from SKARF.ArLib
+SKARF.ReplayArLib.prototype = Object.create(SKARF.ArLib.prototype);
+SKARF.ReplayArLib.prototype.constructor = SKARF.ReplayArLib;
+//register with factory
+SKARF.ArLibFactory.register('replay', SKARF.ReplayArLib);
+//override methods
+/**
+ * Initializes the instance
+ */
+SKARF.ReplayArLib.prototype.init = function () {
+    this.initCameraProjMatrix();
+};
+/**
+ * Initializes the camera projection matrix to the one recorded in the log, if any.
+ * This is called automatically during initialization. Call this function only if you need to re-initialize the camera projection matrix again.
+ */
+SKARF.ReplayArLib.prototype.initCameraProjMatrix = function () {
+    if (this.__poseLog.projectionMatrix) {
+        this.__renderer.initCameraProjMatrix(this.__poseLog.projectionMatrix);
+    } else {
+        SKARF.ArLib.prototype.initCameraProjMatrix.call(this);
     }
-
-    //update scene
-    this.__updateScenes(dt, markers);
 };
-SKARF.JsArucoArLib.prototype.__updateScenes = function (dt, markers) {
-    var corners, corner, pose, markerId;
+/**
+ * Replays the next recorded frame
+ * @param  {number} dt Ignored, the recorded elapsed time is used instead
+ */
+SKARF.ReplayArLib.prototype.update = function (dt) {
 
     //set all markers detected to false first
     var keys = Object.keys(this.__markers);
-    var i, j;
+    var i;
     for (i = 0; i < keys.length; i++) {
         this.__renderer.__setMarkerDetected(keys[i], false);
     }
 
-    for (i = 0; i < markers.length; i++) {
-        markerId = markers[i].id;
-        corners = markers[i].corners;
-
-        // If this is a new id, let's start tracking it.
-        if (typeof this.__markers[markerId] === 'undefined') {
-
-            console.log('Creating new marker root for id ' + markerId);
-
-            //create empty object for the marker
-            this.__markers[markerId] = {};
-
-            //create a transform for this marker
-            var transform = this.__renderer.__createTransformForMarker(markerId, this.__markerSize);
+    if (this.__frameIndex >= this.__poseLog.frames.length && this.__loop) {
+        this.__frameIndex = 0;
+    }
+    if (this.__frameIndex >= this.__poseLog.frames.length) {
+        //finished, so nothing is detected anymore
+        this.__renderer.__updateSolvedScene(dt, this.__mainMarkerId);
+        return;
+    }
 
-            //delay-load the model
-            this.__renderer.loadForMarker(markerId, transform, this.__markerSize);
+    var frame = this.__poseLog.frames[this.__frameIndex];
+    this.__frameIndex++;
 
-            //if this is the main marker id, turn on flag
-            if (markerId == this.__mainMarkerId) {  //double equals for auto type conversion
-                this.__mainMarkerHasEverBeenDetected = true;
+    var key;
+    for (key in frame.markers) {
+        if (frame.markers.hasOwnProperty(key)) {
+            if (typeof this.__markers[key] === 'undefined') {
+                this.__trackMarker(SKARF.MarkerInstanceKeys.getMarkerId(key), key);
             }
+            this.__tmpMat.setFromArray(frame.markers[key]);
+            this.__renderer.__setCurrSolvedMatrixValues(key, this.__tmpMat);
+            this.__renderer.__setMarkerDetected(key, true);
         }
+    }
 
-        //align corners to center of canvas
-        for (j = 0; j < corners.length; j++) {
-            corner = corners[j];
-            //NOTE: there seems to be some scale away from the center, so I have to scale everything down from the center.
-            //The value of 0.97 is by trial-and-error, seems to work pretty well.
-            corner.x = 0.97 * (corner.x - (this.__canvasElem.width / 2));
-            corner.y = 0.97 * ((this.__canvasElem.height / 2) - corner.y);
-        }
+    //the marker board has already been solved in the recorded matrices, so it is not solved again here
+    this.__renderer.__updateSolvedScene(frame.dt, this.__mainMarkerId);
+};
+//methods
+/**
+ * Returns the log being replayed
+ * @returns {SKARF.PoseLog} Log
+ */
+SKARF.ReplayArLib.prototype.getPoseLog = function () {
+    return this.__poseLog;
+};
+/**
+ * Returns the index of the frame that will be replayed on the next update
+ * @returns {number} Index of frame
+ */
+SKARF.ReplayArLib.prototype.getFrameIndex = function () {
+    return this.__frameIndex;
+};
+/**
+ * Sets the index of the frame that will be replayed on the next update
+ * @param {number} frameIndex Index of frame
+ */
+SKARF.ReplayArLib.prototype.setFrameIndex = function (frameIndex) {
+    this.__frameIndex = Math.max(0, frameIndex);
+};
+/**
+ * Returns true if all frames have been replayed. This is never true when looping.
+ * @returns {boolean} True if all frames have been replayed
+ */
+SKARF.ReplayArLib.prototype.isFinished = function () {
+    return !this.__loop && this.__frameIndex >= this.__poseLog.frames.length;
+};
+/**
+ * Sets whether to start again from the first frame after the last frame has been replayed
+ * @param {boolean} value Whether to loop
+ */
+SKARF.ReplayArLib.prototype.setLoop = function (value) {
+    this.__loop = value;
+};
 
-        //estimate pose
-        try {
-            pose = this.__posit.pose(corners);
+//===================================
+// OCCLUSION MASKS
+//===================================
 
-            //store the current solved matrix first
-            this.__updateMatrix4FromRotAndTrans(pose.bestRotation, pose.bestTranslation);
-            this.__tmpMat.multiply(new THREE.Matrix4().makeRotationX(THREE.Math.degToRad(90)));
-            this.__renderer.__setCurrSolvedMatrixValues(markerId, this.__tmpMat);
+/**
+ * Factory which creates OcclusionMasks
+ * @namespace
+ */
+SKARF.OcclusionMaskFactory = {
 
-            //register that this marker has been detected
-            this.__renderer.__setMarkerDetected(markerId, true);
+    __mappings: {},
 
-        } catch (err) {
-            //just print to console but let the error pass so that the program can continue
-            console.log(err.message);
+    /**
+     * Function to create a SKARF.OcclusionMask instance
+     * @param {string} type Type of OcclusionMask to create: 'skin', 'background'
+     * @param {object} [params] Additional parameters to customize this OcclusionMask
+     */
+    create: function (type, params) {
+        if (!type) {
+            throw new Error('SKARF.OcclusionMask type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.OcclusionMask of this type has not been registered with SKARF.OcclusionMaskFactory: ' + type);
+        }
+        var occlusionMask = new this.__mappings[type](params || {});
+        return occlusionMask;
+    },
+
+    /**
+     * Registers a type string to a class
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'skin'
+     * @param {SKARF.OcclusionMask} mappingClass OcclusionMask class that will be created when the associated type is used
+     */
+    register: function (mappingName, mappingClass) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
         }
+        this.__mappings[mappingName] = mappingClass;
     }
+};
 
-    //update the solved scene
-    this.__renderer.__updateSolvedScene(dt, this.__mainMarkerId);
+/**
+ * Abstract class for occlusion masks, which segment real foreground objects (e.g. the user's hand) out of the camera frame,
+ * so that the renderer can draw them over the virtual content.<br/>
+ * The mask is computed at a low resolution, and is smoothed out by texture filtering when it is drawn.
+ * @constructor
+ * @abstract
+ * @param {object} params Parameters to customize this OcclusionMask
+ * @param {number} [params.width=160] Width of the mask
+ * @param {number} [params.height=120] Height of the mask
+ * @param {boolean} [params.cleanUp=true] Whether to remove isolated foreground pixels and fill isolated holes with a 3x3 majority filter
+ */
+SKARF.OcclusionMask = function (params) {
+    this.__width = params.width || 160;
+    this.__height = params.height || 120;
+    this.__cleanUp = (typeof params.cleanUp === 'undefined') ? true : params.cleanUp;
+
+    //foreground is 255, background is 0
+    this.__rawMask = new Uint8Array(this.__width * this.__height);
+    this.__mask = new Uint8Array(this.__width * this.__height);
 };
-SKARF.JsArucoArLib.prototype.__updateMatrix4FromRotAndTrans = function (rotationMat, translationVec) {
-    this.__tmpMat.set(
-        rotationMat[0][0], rotationMat[0][1], -rotationMat[0][2], translationVec[0],
-        rotationMat[1][0], rotationMat[1][1], -rotationMat[1][2], translationVec[1],
-        -rotationMat[2][0], -rotationMat[2][1], rotationMat[2][2], -translationVec[2],
-        0, 0, 0, 1);
+/**
+ * Returns the width of the mask
+ * @returns {number} Width of the mask
+ */
+SKARF.OcclusionMask.prototype.getWidth = function () {
+    return this.__width;
 };
-SKARF.JsArucoArLib.prototype.__drawCorners = function (markers) {
-
-    var corners, corner, i, j, leni, lenj;
-    for (i = 0, leni = markers.length; i < leni; i++) {
-        corners = markers[i].corners;
-
-        this.__context.lineWidth = 2;
-        this.__context.strokeStyle = "red";
-        this.__context.beginPath();
-
-        for (j = 0, lenj = corners.length; j < lenj; j++) {
-            corner = corners[j];
-            this.__context.moveTo(corner.x, corner.y);
-            corner = corners[(j + 1) % corners.length];
-            this.__context.lineTo(corner.x, corner.y);
+/**
+ * Returns the height of the mask
+ * @returns {number} Height of the mask
+ */
+SKARF.OcclusionMask.prototype.getHeight = function () {
+    return this.__height;
+};
+/**
+ * Returns the mask of the latest frame, in rows from top to bottom
+ * @returns {Uint8Array} Mask with one value per pixel: 255 for foreground, 0 for background
+ */
+SKARF.OcclusionMask.prototype.getMask = function () {
+    return this.__mask;
+};
+/**
+ * Computes the mask of a frame
+ * @param {Uint8ClampedArray | Uint8Array} data RGBA pixels of the frame, scaled down to the size of the mask
+ * @returns {Uint8Array} Mask, as returned by {@linkcode SKARF.OcclusionMask#getMask getMask()}
+ */
+SKARF.OcclusionMask.prototype.compute = function (data) {
+    if (data.length !== this.__width * this.__height * 4) {
+        throw new Error('Frame size does not match the occlusion mask size of ' + this.__width + 'x' + this.__height);
+    }
+    this.__classify(data, this.__rawMask);
+    if (this.__cleanUp) {
+        this.__majorityFilter(this.__rawMask, this.__mask);
+    } else {
+        this.__mask.set(this.__rawMask);
+    }
+    return this.__mask;
+};
+/**
+ * Resets any state kept across frames
+ */
+SKARF.OcclusionMask.prototype.reset = function () {
+};
+SKARF.OcclusionMask.prototype.__classify = function (data, mask) {
+    throw new Error('Abstract method not implemented');
+};
+SKARF.OcclusionMask.prototype.__majorityFilter = function (src, dst) {
+    var w = this.__width, h = this.__height;
+    var x, y, nx, ny, count, total;
+    for (y = 0; y < h; y++) {
+        for (x = 0; x < w; x++) {
+            count = 0;
+            total = 0;
+            for (ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, h - 1); ny++) {
+                for (nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, w - 1); nx++) {
+                    if (src[ny * w + nx]) {
+                        count++;
+                    }
+                    total++;
+                }
+            }
+            dst[y * w + x] = (count * 2 > total) ? 255 : 0;
         }
-
-        this.__context.stroke();
-        this.__context.closePath();
-
-        this.__context.lineWidth = 3;
-        this.__context.strokeStyle = "green";
-        this.__context.strokeRect(corners[0].x - 2, corners[0].y - 2, 4, 4);
     }
 };
-SKARF.JsArucoArLib.prototype.__drawId = function (markers) {
-
-    var corners, corner, x, y, i, len;
-
-    this.__context.font = '12pt Calibri';
-    this.__context.fillStyle = "yellow";
-    // this.__context.strokeStyle = "black";
-    // this.__context.lineWidth = 1.0;
 
-    for (i = 0, len = markers.length; i < len; i++) {
-        corners = markers[i].corners;
+/**
+ * SKARF.OcclusionMask which treats skin-coloured pixels as foreground, using fixed ranges of the chroma in YCbCr space<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.OcclusionMaskFactory OcclusionMaskFactory} instead.</strong>
+ *
+ * <p>
+ * Available parameters, in addition to those of {@linkcode SKARF.OcclusionMask OcclusionMask}:<br/>
+ * <ul>
+ *   <li><strong>cbRange:</strong> range of Cb values which are skin (defaults to [77, 127])</li>
+ *   <li><strong>crRange:</strong> range of Cr values which are skin (defaults to [133, 173])</li>
+ *   <li><strong>minLuma:</strong> minimum brightness of skin, since the chroma of dark pixels is unreliable (defaults to 40)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.OcclusionMask}
+ */
+SKARF.SkinOcclusionMask = function (params) {
+    SKARF.OcclusionMask.call(this, params);
+    this.__cbRange = params.cbRange || [77, 127];
+    this.__crRange = params.crRange || [133, 173];
+    this.__minLuma = (typeof params.minLuma === 'undefined') ? 40 : params.minLuma;
+};
+//inherit
+SKARF.SkinOcclusionMask.prototype = Object.create(SKARF.OcclusionMask.prototype);
+SKARF.SkinOcclusionMask.prototype.constructor = SKARF.SkinOcclusionMask;
+//register with factory
+SKARF.OcclusionMaskFactory.register('skin', SKARF.SkinOcclusionMask);
+//override
+SKARF.SkinOcclusionMask.prototype.__classify = function (data, mask) {
+    var i, len, r, g, b, y, cb, cr;
+    for (i = 0, len = mask.length; i < len; i++) {
+        r = data[i * 4];
+        g = data[i * 4 + 1];
+        b = data[i * 4 + 2];
+        y = 0.299 * r + 0.587 * g + 0.114 * b;
+        cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        mask[i] = (y >= this.__minLuma &&
+            cb >= this.__cbRange[0] && cb <= this.__cbRange[1] &&
+            cr >= this.__crRange[0] && cr <= this.__crRange[1]) ? 255 : 0;
+    }
+};
 
-        x = corners[0].x;
-        y = corners[0].y;
+/**
+ * SKARF.OcclusionMask which treats pixels that differ from a background model as foreground.
+ * The first frame after creation or {@linkcode SKARF.OcclusionMask#reset reset()} is taken as the background, so the scene should be clear of hands at that time.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.OcclusionMaskFactory OcclusionMaskFactory} instead.</strong>
+ *
+ * <p>
+ * Available parameters, in addition to those of {@linkcode SKARF.OcclusionMask OcclusionMask}:<br/>
+ * <ul>
+ *   <li><strong>threshold:</strong> minimum sum of the absolute RGB differences from the background for a pixel to be foreground (defaults to 60)</li>
+ *   <li><strong>learningRate:</strong> rate at which background pixels are blended into the background model, to follow slow lighting changes (defaults to 0.02)</li>
+ * </ul>
+ * </p>
+ * @constructor
+ * @extends {SKARF.OcclusionMask}
+ */
+SKARF.BackgroundOcclusionMask = function (params) {
+    SKARF.OcclusionMask.call(this, params);
+    this.__threshold = (typeof params.threshold === 'undefined') ? 60 : params.threshold;
+    this.__learningRate = (typeof params.learningRate === 'undefined') ? 0.02 : params.learningRate;
 
-        this.__context.fillText(markers[i].id, x, y);
-        // this.__context.strokeText(markers[i].id, x, y);
+    this.__background = new Float32Array(this.__width * this.__height * 3);
+    this.__hasBackground = false;
+};
+//inherit
+SKARF.BackgroundOcclusionMask.prototype = Object.create(SKARF.OcclusionMask.prototype);
+SKARF.BackgroundOcclusionMask.prototype.constructor = SKARF.BackgroundOcclusionMask;
+//register with factory
+SKARF.OcclusionMaskFactory.register('background', SKARF.BackgroundOcclusionMask);
+//override
+/**
+ * Discards the background model, so that the next frame is taken as the new background
+ */
+SKARF.BackgroundOcclusionMask.prototype.reset = function () {
+    this.__hasBackground = false;
+};
+SKARF.BackgroundOcclusionMask.prototype.__classify = function (data, mask) {
+    var bg = this.__background;
+    var i, len, c, diff;
+    if (!this.__hasBackground) {
+        for (i = 0, len = mask.length; i < len; i++) {
+            for (c = 0; c < 3; c++) {
+                bg[i * 3 + c] = data[i * 4 + c];
+            }
+            mask[i] = 0;
+        }
+        this.__hasBackground = true;
+        return;
+    }
+    for (i = 0, len = mask.length; i < len; i++) {
+        diff = 0;
+        for (c = 0; c < 3; c++) {
+            diff += Math.abs(data[i * 4 + c] - bg[i * 3 + c]);
+        }
+        if (diff > this.__threshold) {
+            mask[i] = 255;
+        } else {
+            mask[i] = 0;
+            //only background pixels are learnt, so that a hand held still does not fade into the background
+            for (c = 0; c < 3; c++) {
+                bg[i * 3 + c] += this.__learningRate * (data[i * 4 + c] - bg[i * 3 + c]);
+            }
+        }
     }
 };
 
@@ -1672,6 +8478,8 @@ SKARF.RendererFactory = {
      * @param {THREE.Scene} options.scene Three.js scene
      * @param {THREE.Camera} options.camera Three.js camera
      * @param {string} options.markersJsonFile Path to a JSON file that specifies markers and models to load
+     * @param {boolean} [options.legacyGlobalCallbacks=false] Whether GuiMarkers should also call global callback functions named in the format <em>myKey_myCallbackType</em>
+     * @param {boolean} [options.modelCache=false] Whether models that are loaded more than once share their geometry and materials
      */
     create: function (type, options) {
         if (!type) {
@@ -1727,13 +8535,24 @@ SKARF.Renderer = function (options) {
     this.__isWireframeVisible = (typeof options.displayWireframe === 'undefined') ? false : options.displayWireframe;
     this.__isLocalAxisVisible = (typeof options.displayLocalAxis === 'undefined') ? false : options.displayLocalAxis;
 
-    this.__markerManager = new SKARF.MarkerManager(this.__markersJsonFile);
+    this.__markerManager = new SKARF.MarkerManager(this.__markersJsonFile, {
+        legacyGlobalCallbacks: options.legacyGlobalCallbacks,
+        modelCache: options.modelCache
+    });
     this.__localAxes = [];
 
     this.__markerTransforms = {};
 
     this.__callbacks = {};
 
+    this.__poseRecorder = null;
+
+    //occlusion pass
+    this.__occlusionMask = null;
+    this.__occlusionCanvasElem = null;
+    this.__occlusionContext = null;
+    this.setOcclusion(options.occlusion);
+
     //variables to be assigned by skarf
     this.__arLib = null;
     this.__backgroundCanvasElem = null;
@@ -1744,12 +8563,31 @@ SKARF.Renderer = function (options) {
 SKARF.Renderer.prototype.init = function () {
     this.__setupBackgroundVideo();
 };
+/**
+ * Returns a promise which resolves once the markers JSON file has been loaded
+ * @returns {Promise} Promise
+ */
+SKARF.Renderer.prototype.ready = function () {
+    return this.__markerManager.ready();
+};
+/**
+ * Returns the marker manager which loads the models and GUI markers, e.g. to release cached models with {@linkcode SKARF.MarkerManager#releaseModel releaseModel()}
+ * @returns {SKARF.MarkerManager} Marker manager
+ */
+SKARF.Renderer.prototype.getMarkerManager = function () {
+    return this.__markerManager;
+};
 /**
  * Adds a callback function that will be called during specific events
- * @param {string} type Type of callback: 'render' (only choice available now)
+ * @param {string} type Type of callback: 'render', or one of the callback types of {@linkcode SKARF.MarkerManager MarkerManager}: 'modelLoadStarted', 'modelLoaded', 'modelLoadFailed', 'markerChanged'
  * @param {function} callbackFn Callback function to call
  */
 SKARF.Renderer.prototype.addCallback = function (type, callbackFn) {
+    //model loading callbacks are managed by the marker manager
+    if (SKARF.MarkerManager.callbackTypes.indexOf(type) !== -1) {
+        this.__markerManager.addCallback(type, callbackFn);
+        return;
+    }
     if (!this.__callbacks.hasOwnProperty(type)) {
         this.__callbacks[type] = [];
     }
@@ -1763,12 +8601,82 @@ SKARF.Renderer.prototype.addCallback = function (type, callbackFn) {
         throw new Error('Callback function not defined');
     }
 };
+/**
+ * Subscribes a listener function to an event of the GUI marker with the given key
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} callbackFn Listener function, which will be called with a params object
+ */
+SKARF.Renderer.prototype.onGuiMarker = function (key, type, callbackFn) {
+    this.__markerManager.onGuiMarker(key, type, callbackFn);
+};
+/**
+ * Unsubscribes a listener function from an event of the GUI marker with the given key
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} [callbackFn] Listener function to remove. If not specified, all listeners of this event type are removed.
+ */
+SKARF.Renderer.prototype.offGuiMarker = function (key, type, callbackFn) {
+    this.__markerManager.offGuiMarker(key, type, callbackFn);
+};
+/**
+ * Returns the marker board definition from the markers JSON file
+ * @return {object} Marker board definition, or null if there is none or the markers JSON file has not been loaded yet
+ */
+SKARF.Renderer.prototype.getMarkerBoardData = function () {
+    return this.__markerManager.isReady() ? (this.__markerManager.__markerData.markerBoard || null) : null;
+};
+/**
+ * Returns the physical sizes of the markers which define their own size in the markers JSON file
+ * @return {object} Sizes keyed by marker ID (see {@linkcode SKARF.MarkerManager#getMarkerSizes MarkerManager.getMarkerSizes()})
+ */
+SKARF.Renderer.prototype.getMarkerSizes = function () {
+    return this.__markerManager.getMarkerSizes();
+};
 /**
  * Returns the designated main marker ID
- * @return {number} main marker ID
+ * @return {number} main marker ID, or null if the markers JSON file has not been loaded yet
  */
 SKARF.Renderer.prototype.getMainMarkerId = function () {
-    return this.__markerManager.__markerData.mainMarkerId;
+    return this.__markerManager.isReady() ? this.__markerManager.__markerData.mainMarkerId : null;
+};
+/**
+ * Turns the occlusion pass on or off. When it is on, real foreground objects in the camera frame, such as the user's hand, are drawn over the virtual content.
+ * @param {object | string} occlusion Type of {@linkcode SKARF.OcclusionMask OcclusionMask} to segment the foreground with (e.g. 'skin'), or an object with its type and params e.g. <tt>{type: 'background', params: {threshold: 80}}</tt>, or null to turn the occlusion pass off
+ */
+SKARF.Renderer.prototype.setOcclusion = function (occlusion) {
+    if (!occlusion) {
+        this.__occlusionMask = null;
+        return;
+    }
+    if (typeof occlusion === 'string') {
+        occlusion = {type: occlusion};
+    }
+    this.__occlusionMask = SKARF.OcclusionMaskFactory.create(occlusion.type, occlusion.params);
+};
+/**
+ * Returns the occlusion mask used by the occlusion pass
+ * @returns {SKARF.OcclusionMask} Occlusion mask, or null if the occlusion pass is off
+ */
+SKARF.Renderer.prototype.getOcclusionMask = function () {
+    return this.__occlusionMask;
+};
+SKARF.Renderer.prototype.__updateOcclusionMask = function () {
+    var mask = this.__occlusionMask;
+    var width = mask.getWidth(), height = mask.getHeight();
+
+    //scale the background frame down to the size of the mask
+    if (!this.__occlusionCanvasElem) {
+        this.__occlusionCanvasElem = document.createElement('canvas');
+        this.__occlusionContext = this.__occlusionCanvasElem.getContext('2d');
+    }
+    if (this.__occlusionCanvasElem.width !== width || this.__occlusionCanvasElem.height !== height) {
+        this.__occlusionCanvasElem.width = width;
+        this.__occlusionCanvasElem.height = height;
+    }
+    this.__occlusionContext.drawImage(this.__backgroundCanvasElem, 0, 0, width, height);
+
+    mask.compute(this.__occlusionContext.getImageData(0, 0, width, height).data);
 };
 /**
  * Updates the renderer
@@ -1781,7 +8689,7 @@ SKARF.Renderer.prototype.update = function (dt) {
 SKARF.Renderer.prototype.__setupBackgroundVideo = function () {
     throw new Error('Abstract method not implemented');
 };
-SKARF.Renderer.prototype.__createTransformForMarker = function (markerId, markerSize) {
+SKARF.Renderer.prototype.__createTransformForMarker = function (markerId, markerSize, key) {
     throw new Error('Abstract method not implemented');
 };
 /**
@@ -1807,6 +8715,18 @@ SKARF.Renderer.prototype.__setMarkerDetected = function (markerId, detected) {
 SKARF.Renderer.prototype.__updateSolvedScene = function (dt, mainMarkerId) {
     throw new Error('Abstract method not implemented');
 };
+/**
+ * Sets the recorder which records the detected markers on every frame
+ * @param {SKARF.PoseRecorder} poseRecorder Recorder, or null to stop recording
+ */
+SKARF.Renderer.prototype.setPoseRecorder = function (poseRecorder) {
+    this.__poseRecorder = poseRecorder;
+};
+SKARF.Renderer.prototype.__recordFrame = function (dt) {
+    if (this.__poseRecorder) {
+        this.__poseRecorder.__addFrame(dt, this.__markerTransforms);
+    }
+};
 /**
  * Sets visibility of wireframe
  * @abstract
@@ -1843,6 +8763,18 @@ SKARF.ThreeJsRenderer = function (options) {
 
     //temp matrix
     this.__mainMarkerRootSolvedMatrixInv = new THREE.Matrix4();
+    this.__cameraMatrixInv = new THREE.Matrix4();
+    this.__viewProjectionMatrix = new THREE.Matrix4();
+
+    //temp vectors
+    this.__cameraPosition = new THREE.Vector3();
+    this.__markerPosition = new THREE.Vector3();
+
+    //marker transforms keep the pose filter and grace period of the definition they were created with, so refresh them when it changes
+    var that = this;
+    this.__markerManager.addCallback('markerChanged', function (params) {
+        that.__markerChanged(params.markerId);
+    });
 };
 //inherit from SKARF.Renderer
 SKARF.ThreeJsRenderer.prototype = Object.create(SKARF.Renderer.prototype);
@@ -1875,6 +8807,13 @@ SKARF.ThreeJsRenderer.prototype.update = function (dt) {
     //finally, render actual scene
     this.__renderer.render(this.__videoScene, this.__videoCam);
     this.__renderer.render(this.__scene, this.__camera);
+
+    //draw the real foreground objects over the virtual content
+    if (this.__occlusionMask) {
+        this.__updateOcclusionMask();
+        this.__updateOcclusionTexture();
+        this.__renderer.render(this.__occlusionScene, this.__videoCam);
+    }
 };
 SKARF.ThreeJsRenderer.prototype.__showChildren = function (object3d, visible) {
     var children = object3d.children;
@@ -1907,15 +8846,103 @@ SKARF.ThreeJsRenderer.prototype.__setupBackgroundVideo = function () {
     this.__videoCam = new THREE.Camera();
     this.__videoScene.add(plane);
     this.__videoScene.add(this.__videoCam);
+
+    //full-screen plane which draws the video where the occlusion mask is set, on top of the scene
+    this.__occlusionTex = null;
+    this.__occlusionMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            uVideoTexture: { type: 't', value: this.__videoTex },
+            uMaskTexture: { type: 't', value: null }
+        },
+        vertexShader: this.__shaders.vert['passUv'],
+        fragmentShader: this.__shaders.frag['occlusion'],
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    });
+    this.__occlusionScene = new THREE.Scene();
+    this.__occlusionScene.add(new THREE.Mesh(this.__videoPlane, this.__occlusionMaterial));
+};
+SKARF.ThreeJsRenderer.prototype.__updateOcclusionTexture = function () {
+    var mask = this.__occlusionMask;
+
+    //(re)create the texture whenever the occlusion mask has been replaced
+    if (!this.__occlusionTex || this.__occlusionTex.image.data !== mask.getMask()) {
+        this.__occlusionTex = new THREE.DataTexture(mask.getMask(), mask.getWidth(), mask.getHeight(), THREE.LuminanceFormat, THREE.UnsignedByteType, undefined, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.LinearFilter, THREE.LinearFilter);
+        this.__occlusionTex.generateMipmaps = false;
+        this.__occlusionTex.unpackAlignment = 1;
+        //rows of the mask are from top to bottom like those of the video canvas, so flip them the same way
+        this.__occlusionTex.flipY = true;
+        this.__occlusionMaterial.uniforms['uMaskTexture'].value = this.__occlusionTex;
+    }
+
+    this.__occlusionTex.needsUpdate = true;
+};
+SKARF.ThreeJsRenderer.prototype.__shaders = {
+
+    vert: {
+
+        passUv: [
+
+            //Pass-through vertex shader for passing interpolated UVs to fragment shader
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+                "vUv = vec2(uv.x, uv.y);",
+                "gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);",
+            "}"
+
+        ].join('\n')
+
+    },
+
+    frag: {
+
+        occlusion: [
+
+            //Fragment shader that draws the video with the occlusion mask as its alpha
+
+            "uniform sampler2D uVideoTexture;",
+            "uniform sampler2D uMaskTexture;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+                "gl_FragColor = vec4(texture2D(uVideoTexture, vUv).rgb, texture2D(uMaskTexture, vUv).r);",
+            "}"
+
+        ].join('\n')
+
+    }
 };
-SKARF.ThreeJsRenderer.prototype.__createTransformForMarker = function (markerId, markerSize) {
+SKARF.ThreeJsRenderer.prototype.__markerChanged = function (markerId) {
+    var key, markerTransform;
+    for (key in this.__markerTransforms) {
+        if (this.__markerTransforms.hasOwnProperty(key) && String(this.__markerTransforms[key].markerId) === String(markerId)) {
+            markerTransform = this.__markerTransforms[key];
+            markerTransform.poseFilter = this.__markerManager.createPoseFilterForMarker(markerId);
+            markerTransform.gracePeriod = this.__markerManager.getGracePeriodForMarker(markerId);
+            markerTransform.posePredictor = (markerTransform.gracePeriod && markerTransform.gracePeriod.extrapolate) ? new SKARF.PosePredictor() : null;
+        }
+    }
+};
+SKARF.ThreeJsRenderer.prototype.__createTransformForMarker = function (markerId, markerSize, key) {
     //FIXME: no need to create a transform if this markerId is not in the models JSON file
 
-    //create a new Three.js object as marker root
+    //create a new Three.js object as marker root, keyed by instance key so that copies of the same marker ID each get their own
     var markerTransform = new THREE.Object3D();
     markerTransform.matrixAutoUpdate = false;
+    markerTransform.markerId = markerId;
     markerTransform.currSolvedMatrix = new THREE.Matrix4();
-    this.__markerTransforms[markerId] = markerTransform;
+    markerTransform.poseFilter = this.__markerManager.createPoseFilterForMarker(markerId);
+    markerTransform.gracePeriod = this.__markerManager.getGracePeriodForMarker(markerId);
+    markerTransform.posePredictor = (markerTransform.gracePeriod && markerTransform.gracePeriod.extrapolate) ? new SKARF.PosePredictor() : null;
+    markerTransform.lostFrames = 0;
+    markerTransform.lostTime = 0;
+    markerTransform.visibleLastFrame = false;
+    markerTransform.predicted = false;  //whether the marker is not actually detected, but is still within its grace period
+    this.__markerTransforms[(typeof key === 'undefined') ? markerId : key] = markerTransform;
 
     // Add the marker root to your scene.
     this.__scene.add(markerTransform);
@@ -1936,20 +8963,8 @@ SKARF.ThreeJsRenderer.prototype.__setCurrSolvedMatrixValues = function (markerId
  * @param {boolean} isVisible Visibility of wireframe
  */
 SKARF.ThreeJsRenderer.prototype.setWireframeVisible = function (isVisible) {
-
     this.__isWireframeVisible = isVisible;
-
-    var i, j, leni, lenj, m;
-    for (i = 0, leni = this.__markerManager.__materials.length; i < leni; i++) {
-        m = this.__markerManager.__materials[i];
-        if (m instanceof THREE.MeshFaceMaterial) {
-            for (j = 0, lenj = m.materials.length; j < lenj; j++) {
-                m.materials[j].wireframe = isVisible;
-            }
-        } else {
-            m.wireframe = isVisible;
-        }
-    }
+    this.__markerManager.setWireframeVisible(isVisible);
 };
 /**
  * Sets visibility of local axis
@@ -1964,6 +8979,15 @@ SKARF.ThreeJsRenderer.prototype.setLocalAxisVisible = function (isVisible) {
 };
 SKARF.ThreeJsRenderer.prototype.__updateSolvedScene = function (dt, mainMarkerId) {
 
+    //record the detected markers as they come from the AR lib
+    this.__recordFrame(dt);
+
+    //keep markers that have just been lost for their grace period, then filter the solved matrices,
+    //before they are used for any transforms or GUI markers
+    this.__applyGracePeriods(dt);
+    this.__filterSolvedMatrices(dt);
+    this.__updatePosePredictors(dt);
+
     var mainMarkerIdDetected = this.__markerTransforms[mainMarkerId] && this.__markerTransforms[mainMarkerId].detected;
     if (mainMarkerIdDetected) {
 
@@ -1973,6 +8997,9 @@ SKARF.ThreeJsRenderer.prototype.__updateSolvedScene = function (dt, mainMarkerId
         this.__camera.matrixWorldNeedsUpdate = true;
     }
 
+    //models with LOD levels select their level by their distance from the camera
+    this.__cameraPosition.getPositionFromMatrix(this.__camera.matrix);
+
     //for each of the marker root detected, move into the space of the main marker root
     var that = this;
     Object.keys(this.__markerTransforms).forEach(function (key) {
@@ -1987,9 +9014,10 @@ SKARF.ThreeJsRenderer.prototype.__updateSolvedScene = function (dt, mainMarkerId
             //show the object
             that.__showChildren(that.__markerTransforms[key], true);
 
-            //call detected() on the GUI markers
-            if (that.__markerTransforms[key].guiMarker) {
-                that.__markerTransforms[key].guiMarker.detected(dt, that.__markerTransforms[key].matrix);
+            //then hide all levels of detail but the one for this distance
+            if (that.__markerTransforms[key].modelLod) {
+                that.__markerPosition.getPositionFromMatrix(that.__markerTransforms[key].matrix);
+                that.__markerTransforms[key].modelLod.selectLevel(that.__markerPosition.distanceTo(that.__cameraPosition));
             }
         } else {
 
@@ -1997,14 +9025,100 @@ SKARF.ThreeJsRenderer.prototype.__updateSolvedScene = function (dt, mainMarkerId
 
             //hide the object
             that.__showChildren(that.__markerTransforms[key], false);
+        }
+    });
 
-            //call hidden() on the GUI markers
-            if (that.__markerTransforms[key].guiMarker) {
-                that.__markerTransforms[key].guiMarker.hidden();
-            }
+    //virtual button GUI markers project their buttons into the tracking image with the camera
+    this.__viewProjectionMatrix.multiplyMatrices(this.__camera.projectionMatrix, this.__cameraMatrixInv.getInverse(this.__camera.matrix));
+
+    //call the GUI markers only once all markers are in world space, since pair GUI markers also read the matrix of their pair marker
+    Object.keys(this.__markerTransforms).forEach(function (key) {
+        var guiMarker = that.__markerTransforms[key].guiMarker;
+        if (!guiMarker) {
+            return;
+        }
+        if (guiMarker instanceof SKARF.PairGuiMarker) {
+            var pairTransform = that.__markerTransforms[guiMarker.getPairMarkerId()];
+            guiMarker.setPairWorldMatrix((pairTransform && pairTransform.detected) ? pairTransform.matrix : null);
+        }
+        if (guiMarker instanceof SKARF.VirtualButtonMarker) {
+            guiMarker.setTrackingImage(that.__backgroundCanvasElem, that.__viewProjectionMatrix);
+        }
+        if (that.__markerTransforms[key].detected) {
+            guiMarker.detected(dt, that.__markerTransforms[key].matrix);
+        } else {
+            guiMarker.hidden();
         }
     });
 };
+SKARF.ThreeJsRenderer.prototype.__applyGracePeriods = function (dt) {
+    var id, markerTransform, gracePeriod;
+    for (id in this.__markerTransforms) {
+        if (this.__markerTransforms.hasOwnProperty(id)) {
+            markerTransform = this.__markerTransforms[id];
+            gracePeriod = markerTransform.gracePeriod;
+
+            if (markerTransform.detected) {
+                markerTransform.lostFrames = 0;
+                markerTransform.lostTime = 0;
+                markerTransform.predicted = false;
+                continue;
+            }
+
+            //only markers that have been detected at some point have a pose to keep
+            if (!gracePeriod || (markerTransform.lostFrames === 0 && !markerTransform.visibleLastFrame)) {
+                continue;
+            }
+
+            markerTransform.lostFrames++;
+            markerTransform.lostTime += (dt || 1.0 / 60.0) * 1000;
+            if ((typeof gracePeriod.frames !== 'undefined' && markerTransform.lostFrames > gracePeriod.frames) ||
+                    (typeof gracePeriod.milliseconds !== 'undefined' && markerTransform.lostTime > gracePeriod.milliseconds)) {
+                //grace period is over, marker is now lost
+                markerTransform.predicted = false;
+                if (markerTransform.posePredictor) {
+                    markerTransform.posePredictor.reset();
+                }
+                continue;
+            }
+
+            //still within grace period: keep the last pose, or extrapolate it
+            if (markerTransform.posePredictor) {
+                markerTransform.posePredictor.extrapolate(markerTransform.currSolvedMatrix, dt);
+            }
+            markerTransform.detected = true;
+            markerTransform.predicted = true;
+        }
+    }
+};
+SKARF.ThreeJsRenderer.prototype.__updatePosePredictors = function (dt) {
+    var id, markerTransform;
+    for (id in this.__markerTransforms) {
+        if (this.__markerTransforms.hasOwnProperty(id)) {
+            markerTransform = this.__markerTransforms[id];
+            markerTransform.visibleLastFrame = markerTransform.detected;
+            if (markerTransform.posePredictor && markerTransform.detected && !markerTransform.predicted) {
+                markerTransform.posePredictor.update(markerTransform.currSolvedMatrix, dt);
+            }
+        }
+    }
+};
+SKARF.ThreeJsRenderer.prototype.__filterSolvedMatrices = function (dt) {
+    var id, markerTransform;
+    for (id in this.__markerTransforms) {
+        if (this.__markerTransforms.hasOwnProperty(id)) {
+            markerTransform = this.__markerTransforms[id];
+            if (markerTransform.poseFilter) {
+                if (markerTransform.detected) {
+                    markerTransform.poseFilter.filter(markerTransform.currSolvedMatrix, dt);
+                } else {
+                    //start afresh when the marker is next detected, instead of smoothing from a stale pose
+                    markerTransform.poseFilter.reset();
+                }
+            }
+        }
+    }
+};
 /**
  * Hides all models that have been loaded
  */
@@ -2025,6 +9139,462 @@ SKARF.ThreeJsRenderer.prototype.initCameraProjMatrix = function (camProjMatrixAr
     this.__camera.projectionMatrix.setFromArray(camProjMatrixArray);
 };
 
+//===================================
+// TRACKING SOURCES
+//===================================
+
+/**
+ * Factory which creates SKARF.TrackingSources
+ * @namespace
+ */
+SKARF.TrackingSourceFactory = {
+
+    __mappings: {},
+
+    /**
+     * Function to create a SKARF.TrackingSource instance
+     * @param {string} type Type of tracking source to create: 'element', 'camera', 'video', 'imagesequence'
+     * @param {object} options Options (see the individual classes)
+     */
+    create: function (type, options) {
+        if (!type) {
+            throw new Error('SKARF.TrackingSource type not specified');
+        }
+        if (!this.__mappings.hasOwnProperty(type)) {
+            throw new Error('SKARF.TrackingSource of this type has not been registered with SKARF.TrackingSourceFactory: ' + type);
+        }
+        var trackingSource = new this.__mappings[type](options || {});
+        return trackingSource;
+    },
+
+    /**
+     * Registers a type string to a class
+     * @param {string} mappingName Name of the mapping which is used to identify the type when creating instances e.g. 'video'
+     * @param {SKARF.TrackingSource} mappingClass TrackingSource class that will be created when the associated type is used
+     */
+    register: function (mappingName, mappingClass) {
+        if (this.__mappings.hasOwnProperty(mappingName)) {
+            throw new Error('Mapping name already exists: ' + mappingName);
+        }
+        this.__mappings[mappingName] = mappingClass;
+    }
+};
+
+/**
+ * Abstract class for tracking sources, which provide the images that are tracked by a {@linkcode SKARF.Skarf Skarf} instance.<br/>
+ * Live sources show whatever the element currently shows. Stepped sources only change frame when {@linkcode SKARF.TrackingSource#step step()} or {@linkcode SKARF.TrackingSource#seek seek()} is called,
+ * so that the same recording gives identical poses on every run.
+ * @constructor
+ * @abstract
+ */
+SKARF.TrackingSource = function (options) {
+    this.__element = null;
+    this.__width = options.width;
+    this.__height = options.height;
+    this.__frameIndex = -1;
+
+    //seeks are queued so that a new frame is never requested before the previous one has arrived
+    this.__queue = Promise.resolve();
+};
+/**
+ * Returns the DOM element that is drawn to the tracking canvas
+ * @returns {video | img | canvas} DOM element
+ */
+SKARF.TrackingSource.prototype.getElement = function () {
+    return this.__element;
+};
+/**
+ * Returns the width of the tracking canvas
+ * @returns {number} Width
+ */
+SKARF.TrackingSource.prototype.getWidth = function () {
+    return this.__width;
+};
+/**
+ * Returns the height of the tracking canvas
+ * @returns {number} Height
+ */
+SKARF.TrackingSource.prototype.getHeight = function () {
+    return this.__height;
+};
+/**
+ * Returns a promise which resolves once this source can be drawn, or rejects if it could not be opened
+ * @returns {Promise} Promise
+ */
+SKARF.TrackingSource.prototype.ready = function () {
+    return Promise.resolve(this);
+};
+/**
+ * Returns true if this source only changes frame when stepped by the application
+ * @returns {boolean} True if this source is stepped
+ */
+SKARF.TrackingSource.prototype.isStepped = function () {
+    return false;
+};
+/**
+ * Returns the index of the current frame of a stepped source
+ * @returns {number} Index of the current frame, or -1 if no frame has been shown yet
+ */
+SKARF.TrackingSource.prototype.getFrameIndex = function () {
+    return this.__frameIndex;
+};
+/**
+ * Returns the number of frames of a stepped source
+ * @returns {number} Number of frames, or Infinity for live sources
+ */
+SKARF.TrackingSource.prototype.getNumFrames = function () {
+    return Infinity;
+};
+/**
+ * Returns the time between frames of a stepped source. This is used instead of the elapsed time in {@linkcode SKARF.Skarf#update Skarf.update()}, so that pose filters behave the same on every run.
+ * @returns {number} Time between frames in seconds, or undefined for live sources
+ */
+SKARF.TrackingSource.prototype.getFrameDuration = function () {
+    return undefined;
+};
+/**
+ * Shows the frame after the current one
+ * @returns {Promise} Promise which resolves with true once the frame can be drawn, or with false if there are no more frames. It rejects if the frame could not be loaded, in which case the next step moves on to the following frame.
+ */
+SKARF.TrackingSource.prototype.step = function () {
+    var that = this;
+    return this.__enqueue(function () {
+        return that.__seek(that.__frameIndex + 1);
+    });
+};
+/**
+ * Shows the frame with the given index
+ * @param {number} frameIndex Index of frame, starting from 0
+ * @returns {Promise} Promise which resolves with true once the frame can be drawn, or with false if there is no such frame
+ */
+SKARF.TrackingSource.prototype.seek = function (frameIndex) {
+    var that = this;
+    return this.__enqueue(function () {
+        return that.__seek(frameIndex);
+    });
+};
+/**
+ * Draws the current frame
+ * @param {CanvasRenderingContext2D} context 2D context of the tracking canvas
+ * @param {number} width Width to draw at
+ * @param {number} height Height to draw at
+ */
+SKARF.TrackingSource.prototype.drawTo = function (context, width, height) {
+    context.drawImage(this.__element, 0, 0, width, height);
+};
+/**
+ * Stops this source and releases its resources
+ */
+SKARF.TrackingSource.prototype.dispose = function () {
+};
+SKARF.TrackingSource.prototype.__enqueue = function (fn) {
+    var result = this.__queue.then(fn);
+    this.__queue = result.catch(function () {});  //a failed frame should not block the following ones
+    return result;
+};
+SKARF.TrackingSource.prototype.__seek = function (frameIndex) {
+    return Promise.reject(new Error('This tracking source cannot be stepped'));
+};
+SKARF.TrackingSource.prototype.__createElement = function (tagName, element) {
+    this.__element = element || document.createElement(tagName);
+    if (typeof this.__width === 'undefined') {
+        this.__width = this.__element.width || 640;
+    }
+    if (typeof this.__height === 'undefined') {
+        this.__height = this.__element.height || 480;
+    }
+    this.__element.width = this.__width;
+    this.__element.height = this.__height;
+};
+
+/**
+ * Live tracking source which uses an existing video, img or canvas element as-is.<br/>
+ * This is what a {@linkcode SKARF.Skarf Skarf} instance creates when only <tt>trackingElem</tt> is specified.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.TrackingSourceFactory TrackingSourceFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.TrackingSource}
+ * @param {object} options Options
+ * @param {video | img | canvas} options.element DOM element to track
+ */
+SKARF.ElementTrackingSource = function (options) {
+    if (typeof options.element === 'undefined') {
+        throw new Error('element not specified');
+    }
+    SKARF.TrackingSource.call(this, {
+        width: options.element.width,
+        height: options.element.height
+    });
+    this.__element = options.element;
+};
+//inherit from SKARF.TrackingSource
+SKARF.ElementTrackingSource.prototype = Object.create(SKARF.TrackingSource.prototype);
+SKARF.ElementTrackingSource.prototype.constructor = SKARF.ElementTrackingSource;
+//register with factory
+SKARF.TrackingSourceFactory.register('element', SKARF.ElementTrackingSource);
+
+/**
+ * Live tracking source which streams a web cam into a video element.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.TrackingSourceFactory TrackingSourceFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.TrackingSource}
+ * @param {object} options Options
+ * @param {video} [options.element] Video element to stream to. If not specified, a new video element is created.
+ * @param {number} [options.width=640] Width of the tracking canvas
+ * @param {number} [options.height=480] Height of the tracking canvas
+ * @param {object} [options.constraints] Video constraints passed to getUserMedia()
+ */
+SKARF.CameraTrackingSource = function (options) {
+    SKARF.TrackingSource.call(this, options);
+
+    this.__createElement('video', options.element);
+    this.__element.autoplay = true;
+    this.__element.muted = true;
+
+    this.__constraints = options.constraints || true;
+    this.__stream = null;
+    this.__readyPromise = this.__start();
+};
+//inherit from SKARF.TrackingSource
+SKARF.CameraTrackingSource.prototype = Object.create(SKARF.TrackingSource.prototype);
+SKARF.CameraTrackingSource.prototype.constructor = SKARF.CameraTrackingSource;
+//register with factory
+SKARF.TrackingSourceFactory.register('camera', SKARF.CameraTrackingSource);
+//override methods
+SKARF.CameraTrackingSource.prototype.ready = function () {
+    return this.__readyPromise;
+};
+SKARF.CameraTrackingSource.prototype.dispose = function () {
+    if (this.__stream && this.__stream.getTracks) {
+        this.__stream.getTracks().forEach(function (track) {
+            track.stop();
+        });
+    }
+    this.__stream = null;
+};
+SKARF.CameraTrackingSource.prototype.__start = function () {
+    var that = this;
+    var video = this.__element;
+    var constraints = {audio: false, video: this.__constraints};
+    return new Promise(function (resolve, reject) {
+        var onStream = function (stream) {
+            that.__stream = stream;
+            if ('srcObject' in video) {
+                video.srcObject = stream;
+            } else {
+                attachMediaStream(video, stream);  //from webrtc_adapter.js
+            }
+            resolve(that);
+        };
+        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+            navigator.mediaDevices.getUserMedia(constraints).then(onStream, function (error) {
+                reject(new Error('getUserMedia(): ' + (error.message || error.name)));
+            });
+        } else if (typeof getUserMedia === 'function') {
+            getUserMedia(constraints, onStream, function (error) {  //from webrtc_adapter.js
+                reject(new Error('getUserMedia(): ' + JSON.stringify(error)));
+            });
+        } else {
+            reject(new Error('Your browser does not support getUserMedia()'));
+        }
+    });
+};
+
+/**
+ * Stepped tracking source which plays back a recorded video file frame-by-frame.<br/>
+ * The video does not play on its own. Each {@linkcode SKARF.TrackingSource#step step()} seeks to the middle of the next frame, so the frame rate has to match the recording.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.TrackingSourceFactory TrackingSourceFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.TrackingSource}
+ * @param {object} options Options
+ * @param {string} options.url URL of the video file
+ * @param {number} [options.frameRate=30] Frame rate of the video file
+ * @param {video} [options.element] Video element to play back in. If not specified, a new video element is created.
+ * @param {number} [options.width=640] Width of the tracking canvas
+ * @param {number} [options.height=480] Height of the tracking canvas
+ */
+SKARF.VideoFileTrackingSource = function (options) {
+    if (typeof options.url === 'undefined') {
+        throw new Error('url not specified');
+    }
+    SKARF.TrackingSource.call(this, options);
+
+    this.__url = options.url;
+    this.__frameRate = options.frameRate || 30;
+    this.__numFrames = 0;
+
+    this.__createElement('video', options.element);
+    this.__element.autoplay = false;
+    this.__element.muted = true;
+    this.__element.preload = 'auto';
+
+    this.__readyPromise = this.__load();
+};
+//inherit from SKARF.TrackingSource
+SKARF.VideoFileTrackingSource.prototype = Object.create(SKARF.TrackingSource.prototype);
+SKARF.VideoFileTrackingSource.prototype.constructor = SKARF.VideoFileTrackingSource;
+//register with factory
+SKARF.TrackingSourceFactory.register('video', SKARF.VideoFileTrackingSource);
+//override methods
+SKARF.VideoFileTrackingSource.prototype.ready = function () {
+    return this.__readyPromise;
+};
+SKARF.VideoFileTrackingSource.prototype.isStepped = function () {
+    return true;
+};
+SKARF.VideoFileTrackingSource.prototype.getNumFrames = function () {
+    return this.__numFrames;
+};
+SKARF.VideoFileTrackingSource.prototype.getFrameDuration = function () {
+    return 1.0 / this.__frameRate;
+};
+SKARF.VideoFileTrackingSource.prototype.dispose = function () {
+    this.__element.removeAttribute('src');
+    this.__element.load();
+};
+SKARF.VideoFileTrackingSource.prototype.__load = function () {
+    var that = this;
+    var video = this.__element;
+    return new Promise(function (resolve, reject) {
+        var onLoaded = function () {
+            video.removeEventListener('error', onError);
+            that.__numFrames = Math.floor(video.duration * that.__frameRate);
+            console.log('Loaded ' + that.__url + ' (' + that.__numFrames + ' frames)');
+            resolve(that);
+        };
+        var onError = function () {
+            video.removeEventListener('loadeddata', onLoaded);
+            var err = new Error('error loading ' + that.__url);
+            console.error(err.message);
+            reject(err);
+        };
+        video.addEventListener('loadeddata', onLoaded, {once: true});
+        video.addEventListener('error', onError, {once: true});
+        video.src = that.__url;
+    });
+};
+SKARF.VideoFileTrackingSource.prototype.__seek = function (frameIndex) {
+    var that = this;
+    var video = this.__element;
+    return this.__readyPromise.then(function () {
+        if (frameIndex < 0 || frameIndex >= that.__numFrames) {
+            return false;
+        }
+        return new Promise(function (resolve, reject) {
+            var onSeeked = function () {
+                video.removeEventListener('error', onError);
+                that.__frameIndex = frameIndex;
+                resolve(true);
+            };
+            var onError = function () {
+                video.removeEventListener('seeked', onSeeked);
+                that.__frameIndex = frameIndex;  //so that the next step skips this frame
+                reject(new Error('error seeking ' + that.__url + ' to frame ' + frameIndex));
+            };
+            video.addEventListener('seeked', onSeeked, {once: true});
+            video.addEventListener('error', onError, {once: true});
+
+            //seek to the middle of the frame, since seeking to its exact start time may land on the previous frame
+            video.currentTime = (frameIndex + 0.5) / that.__frameRate;
+        });
+    });
+};
+
+/**
+ * Stepped tracking source which plays back a sequence of image files frame-by-frame.<br/>
+ * The images are either listed in <tt>urls</tt>, or generated from a <tt>pattern</tt> in which a run of <tt>#</tt> is replaced by the zero-padded frame number,
+ * e.g. <tt>'frames/frame_####.png'</tt> with <tt>start: 1</tt> and <tt>count: 3</tt> gives <tt>frame_0001.png</tt>, <tt>frame_0002.png</tt> and <tt>frame_0003.png</tt>.<br/>
+ * <strong>Please do not instantiate this class on your own. Use the {@linkcode SKARF.TrackingSourceFactory TrackingSourceFactory} instead.</strong>
+ * @constructor
+ * @extends {SKARF.TrackingSource}
+ * @param {object} options Options
+ * @param {string[]} [options.urls] URLs of the images, in order
+ * @param {string} [options.pattern] URL pattern of the images, used if urls is not specified
+ * @param {number} [options.start=0] First frame number of the pattern
+ * @param {number} [options.count] Number of images of the pattern
+ * @param {number} [options.frameRate=30] Frame rate that the images were captured at
+ * @param {img} [options.element] Image element to show the images in. If not specified, a new image element is created.
+ * @param {number} [options.width=640] Width of the tracking canvas
+ * @param {number} [options.height=480] Height of the tracking canvas
+ */
+SKARF.ImageSequenceTrackingSource = function (options) {
+    SKARF.TrackingSource.call(this, options);
+
+    if (options.urls) {
+        this.__urls = options.urls.slice();
+    } else if (options.pattern && options.count) {
+        this.__urls = SKARF.ImageSequenceTrackingSource.expandPattern(options.pattern, options.start || 0, options.count);
+    } else {
+        throw new Error('Either urls, or pattern and count must be specified');
+    }
+    this.__frameRate = options.frameRate || 30;
+
+    this.__createElement('img', options.element);
+};
+//inherit from SKARF.TrackingSource
+SKARF.ImageSequenceTrackingSource.prototype = Object.create(SKARF.TrackingSource.prototype);
+SKARF.ImageSequenceTrackingSource.prototype.constructor = SKARF.ImageSequenceTrackingSource;
+//register with factory
+SKARF.TrackingSourceFactory.register('imagesequence', SKARF.ImageSequenceTrackingSource);
+/**
+ * Generates the URLs of an image sequence from a pattern
+ * @param {string} pattern URL pattern, in which a run of <tt>#</tt> is replaced by the zero-padded frame number
+ * @param {number} start First frame number
+ * @param {number} count Number of images
+ * @returns {string[]} URLs
+ */
+SKARF.ImageSequenceTrackingSource.expandPattern = function (pattern, start, count) {
+    var match = /#+/.exec(pattern);
+    if (!match) {
+        throw new Error('pattern does not contain #: ' + pattern);
+    }
+    var urls = [];
+    var i, num;
+    for (i = 0; i < count; i++) {
+        num = String(start + i);
+        while (num.length < match[0].length) {
+            num = '0' + num;
+        }
+        urls.push(pattern.substring(0, match.index) + num + pattern.substring(match.index + match[0].length));
+    }
+    return urls;
+};
+//override methods
+SKARF.ImageSequenceTrackingSource.prototype.isStepped = function () {
+    return true;
+};
+SKARF.ImageSequenceTrackingSource.prototype.getNumFrames = function () {
+    return this.__urls.length;
+};
+SKARF.ImageSequenceTrackingSource.prototype.getFrameDuration = function () {
+    return 1.0 / this.__frameRate;
+};
+SKARF.ImageSequenceTrackingSource.prototype.__seek = function (frameIndex) {
+    var that = this;
+    var img = this.__element;
+    if (frameIndex < 0 || frameIndex >= this.__urls.length) {
+        return Promise.resolve(false);
+    }
+    if (frameIndex === this.__frameIndex) {
+        return Promise.resolve(true);
+    }
+    var url = this.__urls[frameIndex];
+    return new Promise(function (resolve, reject) {
+        img.onload = function () {
+            img.onload = img.onerror = null;
+            that.__frameIndex = frameIndex;
+            resolve(true);
+        };
+        img.onerror = function () {
+            img.onload = img.onerror = null;
+            that.__frameIndex = frameIndex;  //so that the next step skips this frame
+            var err = new Error('error loading ' + url);
+            console.error(err.message);
+            reject(err);
+        };
+        img.src = url;
+    });
+};
+
 //===================================
 // SKARF
 //===================================
@@ -2033,18 +9603,36 @@ SKARF.ThreeJsRenderer.prototype.initCameraProjMatrix = function (camProjMatrixAr
  * Class which handles different augmented reality libraries
  * @constructor
  * @param {object} options Options
- * @param {string} options.arLibType ArLib type: 'jsartoolkit, 'jsaruco'
- * @param {video | img | canvas} options.trackingElem DOM element used for tracking, such as a video, img or canvas
- * @param {number} options.markerSize Size of marker in mm, determines scale of scene
+ * @param {string} options.arLibType ArLib type: 'jsartoolkit, 'jsaruco', 'dictionary', 'replay'
+ * @param {video | img | canvas} [options.trackingElem] DOM element used for tracking, such as a video, img or canvas. Either this or trackingSource must be specified.
+ * @param {SKARF.TrackingSource} [options.trackingSource] Source of the images used for tracking, e.g. a recorded video which is stepped frame-by-frame (see {@linkcode SKARF.TrackingSourceFactory TrackingSourceFactory})
+ * @param {number} options.markerSize Size of marker in mm, determines scale of scene. Markers with their own <tt>size</tt> in the markers JSON file use that instead.
  * @param {number} [options.verticalFov] Vertical field-of-view of web cam (you will have to estimate this). For JSARToolKit,, if this is not defined, it will use a generic vertical field-of-view which seems to work well for general web cams.
+ * @param {string} [options.calibrationFile] Path to an intrinsics JSON file of the web cam (see {@linkcode SKARF.CameraCalibration CameraCalibration}). If this is specified, verticalFov is ignored.
+ * @param {SKARF.CameraCalibration | object} [options.calibration] Intrinsic parameters of the web cam, as an alternative to calibrationFile
  * @param {number} [options.threshold=128] Threshold value for turning tracking stream into a binary image. Ranges from 0 to 255. Used only for JSARToolKit.
+ * @param {string} [options.thresholdMode='fixed'] How the threshold adapts to the lighting: 'fixed', 'otsu' (from the histogram of each frame), 'search' (tries other thresholds while markers are lost). Used only for JSARToolKit.
+ * @param {string} [options.dictionary='apriltag36h11'] Dictionary of markers to identify: 'aruco4x4_50', 'aruco5x5_100', 'aruco6x6_250', 'apriltag36h11'. Used only for 'dictionary'.
+ * @param {number} [options.maxCorrectionBits] Maximum number of bit errors to correct when identifying markers. Defaults to 60% of what the dictionary can correct. Used only for 'dictionary'.
  * @param {boolean} [options.debug=false] Whether to turn on debug view/mode
  * @param {canvas} [options.canvasContainerElem] Div DOM element to append a newly-created tracking canvas to. If not specified, the newly-created canvas will just be appended to the body DOM element.
+ * @param {boolean} [options.showTrackingCanvas=true] Whether to append the tracking canvas to the page at all. It is still used for tracking and as the background of the render when hidden.
  * @param {string} options.rendererType Renderer type: 'threejs'
  * @param {THREE.WebGLRenderer} options.renderer Three.js renderer
  * @param {THREE.Scene} options.scene Three.js scene
  * @param {THREE.Camera} options.camera Three.js camera
  * @param {string} options.markersJsonFile Path to a JSON file that specifies markers and models to load
+ * @param {boolean} [options.legacyGlobalCallbacks=false] Whether GuiMarkers should also call global callback functions named in the format <em>myKey_myCallbackType</em>
+ * @param {boolean} [options.modelCache=false] Whether models that are loaded more than once, e.g. for several copies of a marker, share their geometry and materials. Changing a material of a cached model then changes it for every copy, so clone the material first (see {@linkcode SKARF.MarkerManager MarkerManager})
+ * @param {object | string} [options.occlusion] Turns on the occlusion pass, which draws real foreground objects such as the user's hand over the virtual content (see {@linkcode SKARF.Renderer#setOcclusion setOcclusion()}), e.g. 'skin' or <tt>{type: 'background', params: {threshold: 80}}</tt>
+ * @param {boolean} [options.multipleInstances=false] Whether printed copies of the same marker ID which are visible at the same time are tracked separately, each with its own models or GUI marker. Copies are told apart across frames by their position in the image. The main marker is always tracked once.
+ * @param {string} [options.poseLogFile] Path to a pose log file to replay (see {@linkcode SKARF.PoseLog PoseLog}). Used only for 'replay'.
+ * @param {SKARF.PoseLog | object} [options.poseLog] Pose log to replay, as an alternative to poseLogFile. Used only for 'replay'.
+ * @param {boolean} [options.useWorker=false] Whether to detect markers in a Web Worker instead of the render thread (see {@linkcode SKARF.DetectionWorker DetectionWorker}). Ignored for stepped tracking sources, which need every frame to be detected.
+ * @param {string} [options.workerUrl='js/skarf-worker.js'] Path to the worker script
+ * @param {string[]} [options.workerScripts] Scripts for the worker to import, relative to the worker script. Defaults to three.min.js, skarf.js and the scripts of the AR lib in js/lib.
+ * @param {boolean} [options.latencyCompensation=true] Whether to extrapolate the poses detected by the worker by its latency
+ * @param {number} [options.maxLatencyCompensation=0.25] Maximum time in seconds to extrapolate the poses detected by the worker by
  */
 SKARF.Skarf = function (options) {
 
@@ -2053,20 +9641,40 @@ SKARF.Skarf = function (options) {
         throw new Error('arLibType not specified');
     }
     this.__arLibType = options.arLibType;
-    if (typeof options.trackingElem === 'undefined') {
-        throw new Error('trackingElem not specified');
+    if (options.trackingSource) {
+        this.__trackingSource = options.trackingSource;
+    } else if (options.trackingElem) {
+        this.__trackingSource = SKARF.TrackingSourceFactory.create('element', {element: options.trackingElem});
+    } else {
+        throw new Error('trackingElem or trackingSource not specified');
     }
-    this.__trackingElem = options.trackingElem;
+    this.__trackingElem = this.__trackingSource.getElement();
     if (typeof options.markerSize === 'undefined') {
         throw new Error('markerSize not specified');
     }
     this.__markerSize = options.markerSize;
     this.__verticalFov = options.verticalFov;
+    this.__calibrationFile = options.calibrationFile;
+    this.__calibration = null;
+    if (options.calibration) {
+        this.__calibration = (options.calibration instanceof SKARF.CameraCalibration) ? options.calibration : new SKARF.CameraCalibration(options.calibration);
+    }
     this.__threshold = options.threshold || 128;
+    this.__thresholdMode = options.thresholdMode;
+    this.__dictionary = options.dictionary;
+    this.__maxCorrectionBits = options.maxCorrectionBits;
     this.__debug = typeof options.debug === 'undefined' ? false : options.debug;
 
+    //worker parameters
+    this.__useWorker = (typeof options.useWorker === 'undefined') ? false : options.useWorker;
+    this.__workerUrl = options.workerUrl;
+    this.__workerScripts = options.workerScripts;
+    this.__latencyCompensation = options.latencyCompensation;
+    this.__maxLatencyCompensation = options.maxLatencyCompensation;
+
     //canvas
     this.__canvasContainerElem = options.canvasContainerElem;
+    this.__showTrackingCanvas = (typeof options.showTrackingCanvas === 'undefined') ? true : options.showTrackingCanvas;
 
     //renderer parameters
     this.__rendererType = 'threejs';  //only create Three.js instances
@@ -2086,6 +9694,20 @@ SKARF.Skarf = function (options) {
         throw new Error('markersJsonFile not specified');
     }
     this.__markersJsonFile = options.markersJsonFile;
+    this.__legacyGlobalCallbacks = (typeof options.legacyGlobalCallbacks === 'undefined') ? false : options.legacyGlobalCallbacks;
+    this.__multipleInstances = (typeof options.multipleInstances === 'undefined') ? false : options.multipleInstances;
+    this.__modelCache = (typeof options.modelCache === 'undefined') ? false : options.modelCache;
+    this.__occlusion = options.occlusion;
+
+    //replay parameters
+    this.__poseLogFile = options.poseLogFile;
+    this.__poseLog = null;
+    if (options.poseLog) {
+        this.__poseLog = (options.poseLog instanceof SKARF.PoseLog) ? options.poseLog : new SKARF.PoseLog(options.poseLog);
+    }
+    if (this.__arLibType === 'replay' && !this.__poseLogFile && !this.__poseLog) {
+        throw new Error('poseLogFile or poseLog not specified');
+    }
 
     //init
     this.__init();
@@ -2095,15 +9717,17 @@ SKARF.Skarf.prototype.__create2dCanvas = function () {
     //create canvas
     this.__canvasElem = document.createElement('canvas');
 
-    //canvas should be same width/height as the tracking element
-    this.__canvasElem.width = this.__trackingElem.width;
-    this.__canvasElem.height = this.__trackingElem.height;
+    //canvas should be same width/height as the tracking source
+    this.__canvasElem.width = this.__trackingSource.getWidth();
+    this.__canvasElem.height = this.__trackingSource.getHeight();
 
     //attach to container if specified, otherwise attach to body
-    if (this.__canvasContainerElem) {
-        this.__canvasContainerElem.append(this.__canvasElem);
-    } else {
-        $('body').append(this.__canvasElem);
+    if (this.__showTrackingCanvas) {
+        if (this.__canvasContainerElem) {
+            this.__canvasContainerElem.append(this.__canvasElem);
+        } else {
+            $('body').append(this.__canvasElem);
+        }
     }
 
     //store the 2d context
@@ -2119,31 +9743,77 @@ SKARF.Skarf.prototype.__init = function () {
         renderer: this.__threejsRenderer,
         scene: this.__scene,
         camera: this.__camera,
-        markersJsonFile: this.__markersJsonFile
+        markersJsonFile: this.__markersJsonFile,
+        legacyGlobalCallbacks: this.__legacyGlobalCallbacks,
+        modelCache: this.__modelCache,
+        occlusion: this.__occlusion
+    });
+    this.__renderer.__backgroundCanvasElem = this.__canvasElem;
+    this.__renderer.init();
+
+    //AR lib needs the main marker ID and the camera calibration, so it can only be created after the markers JSON file and calibration file have been loaded
+    this.__arLib = null;
+    var that = this;
+    var calibrationPromise = this.__calibrationFile ? SKARF.CameraCalibration.load(this.__calibrationFile) : Promise.resolve(this.__calibration);
+    var poseLogPromise = (this.__arLibType === 'replay' && this.__poseLogFile) ? SKARF.PoseLog.load(this.__poseLogFile) : Promise.resolve(this.__poseLog);
+    this.__readyPromise = Promise.all([this.__renderer.ready(), calibrationPromise, this.__trackingSource.ready(), poseLogPromise]).then(function (results) {
+        that.__calibration = results[1];
+        that.__poseLog = results[3];
+        that.__initArLib();
+        return that;
+    });
+
+    //report failures here, since apps which never call ready() would otherwise only see an unhandled rejection.
+    //ready() still returns the rejected promise.
+    this.__readyPromise.then(null, function (error) {
+        console.error('Unable to initialize SKARF.Skarf: ' + error.message);
     });
+};
+SKARF.Skarf.prototype.__initArLib = function () {
 
     //create AR lib instance
     this.__arLib = SKARF.ArLibFactory.create(this.__arLibType, {
         trackingElem: this.__trackingElem,
+        width: this.__canvasElem.width,
+        height: this.__canvasElem.height,
         markerSize: this.__markerSize,
+        markerSizes: this.__renderer.getMarkerSizes(),
         verticalFov: this.__verticalFov,
+        calibration: this.__calibration,
         mainMarkerId: this.__renderer.getMainMarkerId(),
+        markerBoard: this.__renderer.getMarkerBoardData(),
+        multipleInstances: this.__multipleInstances,
         threshold: this.__threshold,
-        debug: this.__debug
+        thresholdMode: this.__thresholdMode,
+        dictionary: this.__dictionary,
+        maxCorrectionBits: this.__maxCorrectionBits,
+        debug: this.__debug,
+        poseLog: this.__poseLog,
+        useWorker: this.__useWorker && !this.__trackingSource.isStepped(),
+        workerUrl: this.__workerUrl,
+        workerScripts: this.__workerScripts,
+        latencyCompensation: this.__latencyCompensation,
+        maxLatencyCompensation: this.__maxLatencyCompensation
     });
 
     //assign necessary pointers of itself to each other
     this.__arLib.__renderer = this.__renderer;
     this.__renderer.__arLib = this.__arLib;
 
-    //assign the canvas to arLib and renderer
+    //assign the canvas to arLib
     this.__arLib.__canvasElem = this.__canvasElem;
-    this.__renderer.__backgroundCanvasElem = this.__canvasElem;
 
-    //finally call init of both
-    this.__renderer.init();
+    //finally call init
     this.__arLib.init();
 };
+/**
+ * Returns a promise which resolves with this instance once the markers JSON file (and calibration file, if any) has been loaded, the tracking source has been opened and the AR lib has been initialized,
+ * or rejects if any of these fails
+ * @returns {Promise} Promise
+ */
+SKARF.Skarf.prototype.ready = function () {
+    return this.__readyPromise;
+};
 /**
  * Returns the renderer associated with this instance
  * @returns {SKARF.Renderer} Renderer
@@ -2153,20 +9823,31 @@ SKARF.Skarf.prototype.getRenderer = function () {
 };
 /**
  * Returns the AR lib associated with this instance
- * @returns {SKARF.ArLib} AR lib
+ * @returns {SKARF.ArLib} AR lib, or null if this instance is not {@linkcode SKARF.Skarf#ready ready} yet
  */
 SKARF.Skarf.prototype.getArLib = function () {
     return this.__arLib;
 };
+/**
+ * Returns the tracking source associated with this instance
+ * @returns {SKARF.TrackingSource} Tracking source
+ */
+SKARF.Skarf.prototype.getTrackingSource = function () {
+    return this.__trackingSource;
+};
 /**
  * Draws tracking data to canvas, and then updates both the AR lib and renderer
- * @param {number} dt Elapsed time since previous frame
+ * @param {number} dt Elapsed time since previous frame. For stepped tracking sources, this is ignored and the frame duration of the source is used instead.
  */
 SKARF.Skarf.prototype.update = function (dt) {
 
-    //draw image from tracking element (video, img, canvas) to the actual canvas meant for tracking
+    if (this.__trackingSource.isStepped()) {
+        dt = this.__trackingSource.getFrameDuration();
+    }
+
+    //draw image from tracking source (video, img, canvas) to the actual canvas meant for tracking
     try {
-        this.__context.drawImage(this.__trackingElem, 0, 0, this.__canvasElem.width, this.__canvasElem.height);
+        this.__trackingSource.drawTo(this.__context, this.__canvasElem.width, this.__canvasElem.height);
         this.__canvasElem.changed = true;
     } catch (err) {
         if (err.name !== 'NS_ERROR_NOT_AVAILABLE') {
@@ -2174,13 +9855,75 @@ SKARF.Skarf.prototype.update = function (dt) {
         }
     }
 
-    //call updates
-    this.__arLib.update(dt);
+    //call updates (AR lib only exists once this instance is ready)
+    if (this.__arLib) {
+        this.__arLib.update(dt);
+    }
     this.__renderer.update(dt);
 };
+/**
+ * Gets whether markers are detected in a Web Worker
+ * @returns {boolean} Whether markers are detected in a Web Worker
+ */
+SKARF.Skarf.prototype.getUseWorker = function () {
+    return this.__arLib ? this.__arLib.getUseWorker() : this.__useWorker;
+};
+/**
+ * Sets whether markers are detected in a Web Worker. Turn this off to fall back to detecting synchronously on the render thread.
+ * This is ignored for stepped tracking sources.
+ * @param {boolean} value Whether to detect markers in a Web Worker
+ */
+SKARF.Skarf.prototype.setUseWorker = function (value) {
+    this.__useWorker = value;
+    if (this.__arLib) {
+        this.__arLib.setUseWorker(value && !this.__trackingSource.isStepped());
+    }
+};
+/**
+ * Steps a stepped tracking source to its next frame, and then {@linkcode SKARF.Skarf#update updates} this instance with that frame
+ * @returns {Promise} Promise which resolves with true once the frame has been tracked, or with false if there are no more frames
+ */
+SKARF.Skarf.prototype.stepFrame = function () {
+    var that = this;
+    return this.__readyPromise.then(function () {
+        return that.__trackingSource.step();
+    }).then(function (hasFrame) {
+        if (hasFrame) {
+            that.update();
+        }
+        return hasFrame;
+    });
+};
+/**
+ * Starts recording the detected markers and their solved matrices on every frame. This instance must be {@linkcode SKARF.Skarf#ready ready}.
+ * @returns {SKARF.PoseRecorder} Recorder
+ */
+SKARF.Skarf.prototype.startPoseRecording = function () {
+    if (!this.__arLib) {
+        throw new Error('Cannot record poses before SKARF.Skarf is ready');
+    }
+    var poseRecorder = new SKARF.PoseRecorder({
+        arLibType: this.__arLibType,
+        markerSize: this.__arLib.__markerSize,
+        mainMarkerId: this.__arLib.__mainMarkerId,
+        compensationMatrix: this.__arLib.__compensationMatrix,
+        projectionMatrix: this.__camera.projectionMatrix
+    });
+    this.__renderer.setPoseRecorder(poseRecorder);
+    return poseRecorder;
+};
+/**
+ * Stops recording the detected markers
+ * @returns {SKARF.PoseLog} Recorded log, which can be saved with {@linkcode SKARF.PoseLog#toJSON toJSON()} or {@linkcode SKARF.PoseLog#toArrayBuffer toArrayBuffer()}, or null if not recording
+ */
+SKARF.Skarf.prototype.stopPoseRecording = function () {
+    var poseRecorder = this.__renderer.__poseRecorder;
+    this.__renderer.setPoseRecorder(null);
+    return poseRecorder ? poseRecorder.getLog() : null;
+};
 /**
  * Adds a callback function that will be called during specific events
- * @param {string} type Type of callback: 'render' (only choice available now)
+ * @param {string} type Type of callback: 'render', 'modelLoadStarted', 'modelLoaded', 'modelLoadFailed', 'markerChanged'
  * @param {function} callbackFn Callback function to call
  */
 SKARF.Skarf.prototype.addCallback = function (type, callbackFn) {
@@ -2188,19 +9931,46 @@ SKARF.Skarf.prototype.addCallback = function (type, callbackFn) {
     //TODO: manage callbacks better
     this.__renderer.addCallback(type, callbackFn);
 };
+/**
+ * Subscribes a listener function to an event of the GUI marker with the given key.
+ * This can be called before the GUI marker has been detected.
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} callbackFn Listener function, which will be called with a params object
+ */
+SKARF.Skarf.prototype.onGuiMarker = function (key, type, callbackFn) {
+    this.__renderer.onGuiMarker(key, type, callbackFn);
+};
+/**
+ * Unsubscribes a listener function from an event of the GUI marker with the given key
+ * @param {string} key Key of the GUI marker (defined in JSON file)
+ * @param {string} type Type of event e.g. 'changed', 'moved'
+ * @param {function} [callbackFn] Listener function to remove. If not specified, all listeners of this event type are removed.
+ */
+SKARF.Skarf.prototype.offGuiMarker = function (key, type, callbackFn) {
+    this.__renderer.offGuiMarker(key, type, callbackFn);
+};
 /**
  * Returns true if the designated main marker has been detected
  * @return {bool} True if the designated main marker has been detected
  */
 SKARF.Skarf.prototype.mainMarkerDetected = function () {
-    return this.__arLib.__mainMarkerHasEverBeenDetected;
+    return this.__arLib !== null && this.__arLib.__mainMarkerHasEverBeenDetected;
 };
 /**
- * Inits camera projection matrix, used only for JSARToolKit.
+ * Inits camera projection matrix. For js-aruco, this is only done if a camera calibration has been specified.
  * This is called automatically during initialization. Call this function only if you need to re-initialize the camera projection matrix again.
+ * If this instance is not {@linkcode SKARF.Skarf#ready ready} yet, the call is deferred until it is.
  */
 SKARF.Skarf.prototype.initCameraProjMatrix = function () {
-    if (this.__arLib instanceof SKARF.JsArToolKitArLib) {
+    if (this.__arLib) {
         this.__arLib.initCameraProjMatrix();
+        return;
     }
+    var that = this;
+    this.__readyPromise.then(function () {
+        that.__arLib.initCameraProjMatrix();
+    }, function () {
+        //error has already been reported when initializing
+    });
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * common.js
+ * Helpers for the Node test scripts in this folder, which run skarf.js without a browser
+ *
+ * Copyright (C) 2013 Skeel Lee (http://cg.skeelogy.com)
+ */
+
+/*jslint node: true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * Scripts of each AR lib, relative to js/lib/ar
+ * @type {object}
+ */
+var AR_LIB_SCRIPTS = {
+    jsartoolkit: ['jsartoolkit/JSARToolKit.js'],
+    jsaruco: ['js-aruco/svd.js', 'js-aruco/posit1.js', 'js-aruco/cv.js', 'js-aruco/aruco.js'],
+    dictionary: ['js-aruco/svd.js', 'js-aruco/posit1.js', 'js-aruco/cv.js', 'js-aruco/aruco.js']  //finds candidate squares with js-aruco
+};
+
+/**
+ * Runs three.js, skarf.js and the scripts of an AR lib in a context that looks enough like a browser global object
+ * @param {string} [arLibType] ArLib type whose scripts to run
+ * @returns {object} Context, with THREE and SKARF
+ */
+function createSkarfContext(arLibType) {
+    var context = vm.createContext({
+        console: {log: function () {}, warn: console.warn, error: console.error},
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        Promise: Promise
+    });
+    context.self = context;
+    context.window = context;
+
+    var scripts = [path.join(JS_DIR, 'lib', 'three.min.js'), path.join(JS_DIR, 'skarf.js')];
+    (AR_LIB_SCRIPTS[arLibType] || []).forEach(function (script) {
+        scripts.push(path.join(JS_DIR, 'lib', 'ar', script));
+    });
+    scripts.forEach(function (script) {
+        vm.runInContext(fs.readFileSync(script, 'utf8'), context, {filename: script});
+    });
+
+    return context;
+}
+
+//inverse of the homography which maps the unit square onto the quad, i.e. maps pixels back to marker coordinates
+function createInverseHomography(quad) {
+    var p0 = quad[0], p1 = quad[1], p2 = quad[2], p3 = quad[3];
+    var dx1 = p1.x - p2.x, dx2 = p3.x - p2.x, dx3 = p0.x - p1.x + p2.x - p3.x;
+    var dy1 = p1.y - p2.y, dy2 = p3.y - p2.y, dy3 = p0.y - p1.y + p2.y - p3.y;
+    var den = dx1 * dy2 - dx2 * dy1;
+    var g = (dx3 * dy2 - dx2 * dy3) / den;
+    var h = (dx1 * dy3 - dx3 * dy1) / den;
+    var a = p1.x - p0.x + g * p1.x, b = p3.x - p0.x + h * p3.x, c = p0.x;
+    var d = p1.y - p0.y + g * p1.y, e = p3.y - p0.y + h * p3.y, f = p0.y;
+    return function (x, y) {
+        //adjugate of [[a, b, c], [d, e, f], [g, h, 1]], since the scale of a homography does not matter
+        var u = (e - f * h) * x + (c * h - b) * y + (b * f - c * e);
+        var v = (f * g - d) * x + (a - c * g) * y + (c * d - a * f);
+        var w = (d * h - e * g) * x + (b * g - a * h) * y + (a * e - b * d);
+        return [u / w, v / w];
+    };
+}
+
+/**
+ * Renders markers in perspective onto a white RGBA image
+ * @param {number} width Width of the image
+ * @param {number} height Height of the image
+ * @param {object[]} markers Markers, each with <tt>cells</tt> (rows of 0 for black and 1 for white, including the black border) and <tt>quad</tt> (top-left, top-right, bottom-right and bottom-left corners in pixels)
+ * @returns {Uint8ClampedArray} RGBA values
+ */
+function renderMarkers(width, height, markers) {
+    var data = new Uint8ClampedArray(width * height * 4);
+    data.fill(255);
+    markers.forEach(function (marker) {
+        var toMarker = createInverseHomography(marker.quad);
+        var numCells = marker.cells.length;
+        var x, y, uv, value, index;
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                //sample the center of each pixel
+                uv = toMarker(x + 0.5, y + 0.5);
+                if (uv[0] >= 0 && uv[0] < 1 && uv[1] >= 0 && uv[1] < 1) {
+                    value = marker.cells[Math.floor(uv[1] * numCells)][Math.floor(uv[0] * numCells)] ? 255 : 0;
+                    index = (y * width + x) * 4;
+                    data[index] = data[index + 1] = data[index + 2] = value;
+                }
+            }
+        }
+    });
+    return data;
+}
+
+/**
+ * Adds the black border around the bits of a marker
+ * @param {number[]} bits Bits of the marker (white as 1), row by row
+ * @param {number} size Number of bits along each side
+ * @returns {number[][]} Rows of cells, including the border
+ */
+function addBorder(bits, size) {
+    var cells = [];
+    var row, col, cellRow;
+    for (row = -1; row <= size; row++) {
+        cellRow = [];
+        for (col = -1; col <= size; col++) {
+            cellRow.push((row >= 0 && row < size && col >= 0 && col < size) ? bits[row * size + col] : 0);
+        }
+        cells.push(cellRow);
+    }
+    return cells;
+}
+
+/**
+ * Collects failed checks, and sets the exit code of the process if there are any
+ * @constructor
+ * @param {string} name Name of the test script
+ */
+function Checker(name) {
+    this.name = name;
+    this.numFailed = 0;
+}
+/**
+ * Checks a condition
+ * @param {boolean} condition Condition which should hold
+ * @param {string} message Description of the check
+ */
+Checker.prototype.check = function (condition, message) {
+    if (condition) {
+        console.log('ok - ' + message);
+    } else {
+        console.log('FAILED - ' + message);
+        this.numFailed++;
+    }
+};
+/**
+ * Reports the result, and sets the exit code of the process
+ */
+Checker.prototype.done = function () {
+    console.log(this.name + ': ' + (this.numFailed ? this.numFailed + ' check(s) failed' : 'all checks passed'));
+    process.exitCode = this.numFailed ? 1 : 0;
+};
+
+module.exports = {
+    createSkarfContext: createSkarfContext,
+    renderMarkers: renderMarkers,
+    addBorder: addBorder,
+    Checker: Checker
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * detect.js
+ * Runs the headless detect() of each image-based ArLib on synthetic RGBA frames under Node, and checks the IDs and corners of the detected markers
+ *
+ * Usage: node tests/node/detect.js
+ *
+ * Exits with status 1 if any check fails.
+ *
+ * Copyright (C) 2013 Skeel Lee (http://cg.skeelogy.com)
+ */
+
+/*jslint node: true */
+'use strict';
+
+var common = require('./common.js');
+
+var WIDTH = 640;
+var HEIGHT = 480;
+
+//maximum distance in pixels between a detected corner and the corner it was rendered at
+var CORNER_TOLERANCE = 3;
+
+//marker in perspective, with its corners in the order top-left, top-right, bottom-right, bottom-left
+var QUAD = [{x: 220, y: 110}, {x: 430, y: 130}, {x: 420, y: 330}, {x: 210, y: 300}];
+
+//pattern of resources/markers/jsartoolkit/64.jpg, with '#' for black
+var JSARTOOLKIT_MARKER_64 = [
+    '#######',
+    '#.....#',
+    '##...##',
+    '#.....#',
+    '###...#',
+    '#.#.#.#',
+    '#######'
+];
+
+function parseCells(rows) {
+    return rows.map(function (row) {
+        return row.split('').map(function (c) {
+            return c === '#' ? 0 : 1;
+        });
+    });
+}
+
+function createArucoCells(id) {
+    //js-aruco encodes 2 bits of the 10-bit ID in each row, using these codes (white as 1)
+    var rowCodes = [[1, 0, 0, 0, 0], [1, 0, 1, 1, 1], [0, 1, 0, 0, 1], [0, 1, 1, 1, 0]];
+    var bits = [];
+    var i;
+    for (i = 0; i < 5; i++) {
+        bits = bits.concat(rowCodes[(id >> (8 - 2 * i)) & 3]);
+    }
+    return common.addBorder(bits, 5);
+}
+
+function createDictionaryCells(SKARF, dictionaryName, id) {
+    var dictionary = SKARF.MarkerDictionaryFactory.create(dictionaryName);
+
+    //rotation 0 is the upright code
+    return common.addBorder(dictionary.__rotatedCodes[id][0], dictionary.markerSize);
+}
+
+function cornersMatch(corners) {
+    var i;
+    for (i = 0; i < 4; i++) {
+        if (Math.abs(corners[i].x - QUAD[i].x) > CORNER_TOLERANCE || Math.abs(corners[i].y - QUAD[i].y) > CORNER_TOLERANCE) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function formatCorners(corners) {
+    return corners.map(function (corner) {
+        return '(' + corner.x.toFixed(1) + ', ' + corner.y.toFixed(1) + ')';
+    }).join(' ');
+}
+
+function checkArLib(checker, name, arLibType, arLibOptions, createCells) {
+
+    var SKARF = common.createSkarfContext(arLibType).SKARF;
+    var options = {markerSize: 35, width: WIDTH, height: HEIGHT};
+    var key;
+    for (key in arLibOptions) {
+        if (arLibOptions.hasOwnProperty(key)) {
+            options[key] = arLibOptions[key];
+        }
+    }
+    var arLib = SKARF.ArLibFactory.create(arLibType, options);
+    arLib.init();
+
+    var data = common.renderMarkers(WIDTH, HEIGHT, [{cells: createCells(SKARF), quad: QUAD}]);
+
+    //typed array
+    var detections = arLib.detect(data);
+    var distance;
+    checker.check(detections.length === 1, name + ': detects 1 marker in a typed array (detected ' + detections.length + ')');
+    if (detections.length === 1) {
+        checker.check(detections[0].id === options.mainMarkerId, name + ': detects id ' + options.mainMarkerId + ' (detected ' + detections[0].id + ')');
+        checker.check(cornersMatch(detections[0].corners), name + ': corners are within ' + CORNER_TOLERANCE + ' pixels of ' + formatCorners(QUAD) + ' (detected ' + formatCorners(detections[0].corners) + ')');
+        distance = Math.abs(detections[0].matrix.elements[14]);  //the ArLibs differ in which way the camera looks along z
+        checker.check(isFinite(distance) && distance > options.markerSize, name + ': solves a pose in front of the camera (distance ' + distance.toFixed(1) + ')');
+    }
+
+    //ImageData-like object
+    detections = arLib.detect({width: WIDTH, height: HEIGHT, data: data});
+    checker.check(detections.length === 1 && detections[0].id === options.mainMarkerId, name + ': detects id ' + options.mainMarkerId + ' in an ImageData-like object');
+
+    //blank frame
+    detections = arLib.detect(common.renderMarkers(WIDTH, HEIGHT, []));
+    checker.check(detections.length === 0, name + ': detects no markers in a blank frame (detected ' + detections.length + ')');
+
+    //wrong size
+    var message = null;
+    try {
+        arLib.detect(data, WIDTH / 2, HEIGHT / 2);
+    } catch (err) {
+        message = err.message;
+    }
+    checker.check(message !== null, name + ': rejects an image of the wrong size');
+}
+
+function main() {
+    var checker = new common.Checker('detect.js');
+
+    checkArLib(checker, 'jsartoolkit', 'jsartoolkit', {mainMarkerId: 64}, function () {
+        return parseCells(JSARTOOLKIT_MARKER_64);
+    });
+    checkArLib(checker, 'jsaruco', 'jsaruco', {mainMarkerId: 1001}, function () {
+        return createArucoCells(1001);
+    });
+    ['aruco4x4_50', 'aruco5x5_100', 'aruco6x6_250', 'apriltag36h11'].forEach(function (dictionaryName) {
+        checkArLib(checker, 'dictionary ' + dictionaryName, 'dictionary', {mainMarkerId: 7, dictionary: dictionaryName}, function (SKARF) {
+            return createDictionaryCells(SKARF, dictionaryName, 7);
+        });
+    });
+
+    checker.done();
+}
+
+main();
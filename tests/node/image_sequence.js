@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * image_sequence.js
+ * Regression check that stepping an image-sequence tracking source gives identical poses on every run.
+ * Steps a synthetic sequence of a moving marker twice, each time with a new source and a new JSARToolKit ArLib (which tracks markers across frames), and compares the poses frame by frame.
+ *
+ * Usage: node tests/node/image_sequence.js
+ *
+ * Exits with status 1 if any check fails.
+ *
+ * Copyright (C) 2013 Skeel Lee (http://cg.skeelogy.com)
+ */
+
+/*jslint node: true */
+'use strict';
+
+var common = require('./common.js');
+
+var WIDTH = 320;
+var HEIGHT = 240;
+var NUM_FRAMES = 12;
+var MARKER_ID = 64;
+
+//pattern of resources/markers/jsartoolkit/64.jpg, with '#' for black
+var MARKER_CELLS = [
+    '#######',
+    '#.....#',
+    '##...##',
+    '#.....#',
+    '###...#',
+    '#.#.#.#',
+    '#######'
+].map(function (row) {
+    return row.split('').map(function (c) {
+        return c === '#' ? 0 : 1;
+    });
+});
+
+//marker which moves to the right and turns, with its far side shortened for some perspective
+function createQuad(frameIndex) {
+    var centerX = 110 + frameIndex * 8;
+    var centerY = 120 + frameIndex * 2;
+    var angle = frameIndex * 0.06;
+    var halfSize = 50;
+    var corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    return corners.map(function (corner) {
+        var x = corner[0] * halfSize * (corner[1] < 0 ? 0.85 : 1.0);
+        var y = corner[1] * halfSize;
+        return {
+            x: centerX + x * Math.cos(angle) - y * Math.sin(angle),
+            y: centerY + x * Math.sin(angle) + y * Math.cos(angle)
+        };
+    });
+}
+
+//stands in for the img element of the source, and "loads" the frame rendered for its URL
+function createImage(frames) {
+    var image = {width: WIDTH, height: HEIGHT, pixels: null, onload: null, onerror: null};
+    Object.defineProperty(image, 'src', {
+        set: function (url) {
+            setTimeout(function () {
+                if (frames.hasOwnProperty(url)) {
+                    image.pixels = frames[url];
+                    image.onload();
+                } else {
+                    image.onerror();
+                }
+            }, 0);
+        }
+    });
+    return image;
+}
+
+//stands in for the 2D context of the tracking canvas
+function createContext() {
+    var context = {pixels: null};
+    context.drawImage = function (image) {
+        context.pixels = new Uint8ClampedArray(image.pixels);
+    };
+    context.getImageData = function () {
+        return {width: WIDTH, height: HEIGHT, data: context.pixels};
+    };
+    return context;
+}
+
+//steps through the whole sequence with a new source and ArLib, and returns the detections of each frame
+function run(urls, frames) {
+    var SKARF = common.createSkarfContext('jsartoolkit').SKARF;
+    var source = SKARF.TrackingSourceFactory.create('imagesequence', {urls: urls, element: createImage(frames), width: WIDTH, height: HEIGHT});
+    var arLib = SKARF.ArLibFactory.create('jsartoolkit', {markerSize: 1, mainMarkerId: MARKER_ID, width: WIDTH, height: HEIGHT});
+    arLib.init();
+    var context = createContext();
+
+    var results = [];
+    function step() {
+        return source.step().then(function (hasFrame) {
+            if (!hasFrame) {
+                return results;
+            }
+            source.drawTo(context, WIDTH, HEIGHT);
+            results.push({
+                frameIndex: source.getFrameIndex(),
+                detections: arLib.detect(context.getImageData()).map(function (detection) {
+                    return {id: detection.id, matrix: Array.prototype.slice.call(detection.matrix.elements)};
+                })
+            });
+            return step();
+        });
+    }
+    return source.ready().then(step);
+}
+
+function main() {
+    var checker = new common.Checker('image_sequence.js');
+
+    var SKARF = common.createSkarfContext().SKARF;
+    var urls = SKARF.ImageSequenceTrackingSource.expandPattern('frames/frame_####.png', 1, NUM_FRAMES);
+    var frames = {};
+    urls.forEach(function (url, i) {
+        frames[url] = common.renderMarkers(WIDTH, HEIGHT, [{cells: MARKER_CELLS, quad: createQuad(i)}]);
+    });
+
+    run(urls, frames).then(function (firstRun) {
+        return run(urls, frames).then(function (secondRun) {
+
+            checker.check(firstRun.length === NUM_FRAMES && secondRun.length === NUM_FRAMES, 'both runs step through all ' + NUM_FRAMES + ' frames (stepped ' + firstRun.length + ' and ' + secondRun.length + ')');
+
+            var i, len, first, second;
+            for (i = 0, len = Math.min(firstRun.length, secondRun.length); i < len; i++) {
+                first = firstRun[i];
+                second = secondRun[i];
+                checker.check(first.frameIndex === i && second.frameIndex === i, 'frame ' + i + ': both runs show frame ' + i);
+                checker.check(first.detections.length === 1 && first.detections[0].id === MARKER_ID, 'frame ' + i + ': marker ' + MARKER_ID + ' is detected');
+                checker.check(JSON.stringify(first.detections) === JSON.stringify(second.detections), 'frame ' + i + ': both runs give identical poses');
+            }
+
+            //the marker moves, so identical poses are not just the same pose on every frame
+            checker.check(firstRun.length > 1 && JSON.stringify(firstRun[0].detections) !== JSON.stringify(firstRun[firstRun.length - 1].detections), 'the pose changes over the sequence');
+        });
+    }).then(function () {
+        checker.done();
+    }, function (err) {
+        checker.check(false, 'stepping the sequence does not fail: ' + err.message);
+        checker.done();
+    });
+}
+
+main();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * validate_markers.js
+ * Node command-line script which validates markers JSON files using SKARF.MarkerDataValidator
+ *
+ * Usage: node tools/validate_markers.js [--no-main-marker] [--require <script.js>]... <markers.json>...
+ *
+ *   --no-main-marker   do not require mainMarkerId (for files only used with a standalone SKARF.MarkerManager)
+ *   --require          browser script to run after skarf.js, e.g. one which registers custom ModelLoader or GuiMarker types
+ *
+ * Exits with status 1 if any problems are found.
+ *
+ * Copyright (C) 2013 Skeel Lee (http://cg.skeelogy.com)
+ */
+
+/*jslint node: true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var JS_DIR = path.join(__dirname, '..', 'js');
+
+function createSkarfContext(requiredScripts) {
+
+    //three.js and skarf.js are browser scripts, so run them in a context that looks enough like a browser global object
+    var context = vm.createContext({
+        console: {log: function () {}, warn: console.warn, error: console.error},
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout
+    });
+    context.self = context;
+    context.window = context;
+
+    var scripts = [path.join(JS_DIR, 'lib', 'three.min.js'), path.join(JS_DIR, 'skarf.js')].concat(requiredScripts);
+    scripts.forEach(function (script) {
+        vm.runInContext(fs.readFileSync(script, 'utf8'), context, {filename: script});
+    });
+
+    return context;
+}
+
+function main(args) {
+
+    var files = [];
+    var requiredScripts = [];
+    var requireMainMarkerId = true;
+    var i;
+    for (i = 0; i < args.length; i++) {
+        if (args[i] === '--no-main-marker') {
+            requireMainMarkerId = false;
+        } else if (args[i] === '--require') {
+            requiredScripts.push(path.resolve(args[++i]));
+        } else {
+            files.push(args[i]);
+        }
+    }
+
+    if (files.length === 0) {
+        console.error('Usage: node tools/validate_markers.js [--no-main-marker] [--require <script.js>]... <markers.json>...');
+        return 2;
+    }
+
+    var SKARF = createSkarfContext(requiredScripts).SKARF;
+
+    var numInvalid = 0;
+    files.forEach(function (file) {
+
+        var problems;
+        try {
+            var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            problems = SKARF.MarkerDataValidator.format(SKARF.MarkerDataValidator.validate(data, {requireMainMarkerId: requireMainMarkerId}));
+        } catch (err) {
+            problems = [err.message];
+        }
+
+        if (problems.length === 0) {
+            console.log(file + ': OK');
+        } else {
+            numInvalid++;
+            problems.forEach(function (problem) {
+                console.log(file + ': ' + problem);
+            });
+        }
+    });
+
+    return numInvalid > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));